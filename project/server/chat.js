@@ -3,7 +3,7 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getProvider } from '../../server/utils/providers/index.js';
 
 // Load .env file
 dotenv.config();
@@ -15,8 +15,8 @@ const port = 3002;
 app.use(cors());
 app.use(express.json());
 
-// ✅ Initialize Gemini client with API Key
-const client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// ✅ Initialize the LLM provider selected by LLM_PROVIDER (gemini, openai or mock)
+const provider = getProvider();
 
 // ✅ Helper to mask API key in logs
 const maskApiKey = (key) => {
@@ -41,8 +41,8 @@ app.post('/api/chat', async (req, res) => {
       return res.status(400).json({ error: '❌ Query is required and must be a string' });
     }
 
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ answer: '⚠️ Error: Gemini API key not configured' });
+    if (!provider.configured) {
+      return res.status(500).json({ answer: `⚠️ Error: ${provider.name} provider not configured` });
     }
 
     const contextPrompt = `You are MOSDAC AI Help Bot, a helpful assistant specializing in space technology, satellite data, and remote sensing. You work for MOSDAC (Meteorological and Oceanographic Satellite Data Archival Centre).
@@ -58,15 +58,13 @@ Please provide helpful, accurate, and professional responses about:
 
 User query: ${query}`;
 
-    console.log('🚀 Sending request to Gemini API...');
+    console.log(`🚀 Sending request to ${provider.name} (${provider.chatModel})...`);
 
-    const model = client.getGenerativeModel({ model: "gemini-1.5-flash" });
-    const result = await model.generateContent(contextPrompt);
-    const text = result.response.candidates?.[0]?.content?.parts?.[0]?.text;
+    const text = await provider.generate(contextPrompt);
 
-    if (!text) throw new Error('Empty response from Gemini');
+    if (!text) throw new Error(`Empty response from ${provider.name}`);
 
-    console.log('✅ Gemini response received:', text.slice(0, 100) + '...');
+    console.log('✅ LLM response received:', text.slice(0, 100) + '...');
 
     res.json({ answer: text });
 
@@ -93,6 +91,7 @@ app.get('/api/health', (req, res) => {
     service: 'MOSDAC AI Chat Backend',
     timestamp: new Date().toISOString(),
     geminiApiKey: process.env.GEMINI_API_KEY ? 'Configured' : 'Missing',
+    llmProvider: provider.name,
     port,
   };
 
@@ -104,6 +103,7 @@ app.get('/api/health', (req, res) => {
 app.listen(port, () => {
   console.log('🚀 MOSDAC AI Chat Backend starting...');
   console.log(`📡 Running at http://localhost:${port}`);
+  console.log(`🤖 LLM Provider: ${provider.name} (${provider.chatModel})`);
   console.log(`🛰️ Gemini API Key Configured: ${process.env.GEMINI_API_KEY ? 'Yes' : 'No'}`);
   console.log(`🔑 API Key (masked): ${maskApiKey(process.env.GEMINI_API_KEY)}`);
   console.log('✅ Ready to receive chat requests');
@@ -6,7 +6,29 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { runRAG } from './utils/rag.js';
+import { runRAG, runIndexedRAG, streamIndexedRAG, prepareKnowledgeIndex } from './utils/rag.js';
+import { loadDocumentLibrary } from './utils/documentLoader.js';
+import { crawlSite, loadCrawledPages } from './utils/crawler.js';
+import { buildGraphFromSections } from './utils/graphBuilder.js';
+import { resolveNode, searchNodes, getNeighbourhood, findShortestPath } from './utils/graphQueries.js';
+import { GRAPH_FORMATS, isGraphFormat, exportGraph } from './utils/graphExporters.js';
+import { extractGeoLocations } from './utils/geoExtractor.js';
+import { extractTracksFromText, extractTracksFromXLSX, mergeTracks } from './utils/trackExtractor.js';
+import { GEO_FORMATS, isGeoFormat, exportGeoLocations } from './utils/geoExporters.js';
+import { DEFAULT_PLACE_RADIUS_KM, normalizeArea, getSpatialIndex, findDocumentsInArea } from './utils/spatialIndex.js';
+import { LOCAL_TILE_ROUTE, loadTileSources } from './utils/tileSources.js';
+import { getProvider } from './utils/providers/index.js';
+import { resolveRetrievalMode } from './utils/hybridRetriever.js';
+import { resolveReranker } from './utils/reranker.js';
+import { resolveVerificationMode, stripCitations } from './utils/answerVerifier.js';
+import {
+  getSession,
+  getOrCreateSession,
+  appendTurn,
+  getHistory,
+  deleteSession,
+  getSessionCount
+} from './utils/sessionStore.js';
 
 // Fix __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -18,6 +40,9 @@ dotenv.config();
 const app = express();
 const port = 3002;
 
+// LLM and embedding backend, chosen with LLM_PROVIDER (gemini, openai or mock)
+const provider = getProvider();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -43,8 +68,9 @@ if (!fs.existsSync(queryLogPath)) {
  * @param {string} query - User query
  * @param {string} response - Bot response
  * @param {string} status - Request status (success/error)
+ * @param {string|null} sessionId - Conversation session the query belongs to
  */
-function logQuery(query, response, status = 'success') {
+function logQuery(query, response, status = 'success', sessionId = null) {
   try {
     const logEntry = {
       timestamp: new Date().toISOString(),
@@ -52,7 +78,7 @@ function logQuery(query, response, status = 'success') {
       response: response,
       status: status,
       responseLength: response.length,
-      sessionId: Date.now().toString() // Simple session identifier
+      sessionId: sessionId
     };
 
     // Convert log entry to JSON string with newline
@@ -82,6 +108,330 @@ try {
   mosdacKnowledgeBase = `MOSDAC (Meteorological and Oceanographic Satellite Data Archival Centre) is India's premier facility for satellite data archival and distribution. Established by ISRO, MOSDAC serves as the central repository for meteorological and oceanographic satellite data. For detailed information, please visit the official MOSDAC website.`;
 }
 
+// Folder of PDF/DOCX/XLSX documents ingested alongside the knowledge base
+const documentsDir = process.env.DOCUMENTS_DIR
+  ? path.resolve(process.env.DOCUMENTS_DIR)
+  : path.join(__dirname, 'documents');
+
+// Summary of the last document library load, reported by the health check
+let documentLibraryFiles = [];
+
+// Storm tracks read from XLSX advisories in the document library, keyed by filename
+let documentTracks = new Map();
+
+// Folder of crawled website pages, written by `npm run crawl`
+const crawlStoreDir = process.env.CRAWL_STORE_DIR
+  ? path.resolve(process.env.CRAWL_STORE_DIR)
+  : path.join(__dirname, 'crawl');
+
+// Number of crawled pages in the last index build, reported by the health check
+let crawledPageCount = 0;
+
+// Persisted vector index over the knowledge base (built once, reused per request)
+let knowledgeIndex = null;
+let knowledgeIndexPromise = null;
+let knowledgeIndexError = null;
+
+// Entity/relation graph over the same sources, used for graph-augmented retrieval
+let knowledgeGraph = null;
+
+/**
+ * Extract storm tracks from the XLSX advisories in the document library
+ * Spreadsheet rows are indexed one per chunk, so tracks are read from the whole sheet up front
+ * @param {Array<Object>} files - Document library summary from loadDocumentLibrary
+ * @returns {Promise<Map<string, Array<Object>>>} - Tracks keyed by document filename
+ */
+async function loadDocumentTracks(files) {
+  const tracks = new Map();
+
+  for (const file of files.filter(entry => entry.type === 'XLSX' && entry.status === 'loaded')) {
+    try {
+      const fileTracks = await extractTracksFromXLSX(path.join(documentsDir, file.filename), { source: file.filename });
+      if (fileTracks.length > 0) {
+        tracks.set(file.filename, fileTracks);
+        console.log(`🌀 Found ${fileTracks.length} storm tracks in ${file.filename}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Skipping storm tracks in ${file.filename}: ${error.message}`);
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * Gather the bundled content, crawled pages and document library as text sections
+ * @returns {Promise<Array<Object>>} - Sections with text and source metadata
+ */
+async function loadKnowledgeSections() {
+  const { sections, files } = await loadDocumentLibrary(documentsDir);
+  documentLibraryFiles = files;
+  documentTracks = await loadDocumentTracks(files);
+
+  const crawledPages = loadCrawledPages(crawlStoreDir);
+  crawledPageCount = crawledPages.length;
+
+  return [
+    {
+      text: mosdacKnowledgeBase,
+      metadata: { filename: 'mosdac_content.json', type: 'Knowledge Base' }
+    },
+    ...crawledPages,
+    ...sections
+  ];
+}
+
+/**
+ * Build the knowledge base index from the bundled content, crawled pages and document library
+ * Only chunks that changed since the last build are embedded; the knowledge graph is rebuilt alongside
+ * @returns {Promise<Object>} - Built vector index
+ */
+async function buildKnowledgeIndex() {
+  const knowledgeSections = await loadKnowledgeSections();
+
+  const { index, stats } = await prepareKnowledgeIndex(knowledgeSections);
+  knowledgeGraph = buildGraphFromSections(knowledgeSections);
+
+  console.log(`🗄️ Knowledge index ready: ${stats.total} chunks (${stats.added} newly embedded)`);
+  console.log(`🕸️ Knowledge graph ready: ${knowledgeGraph.nodes.length} entities, ${knowledgeGraph.edges.length} relations`);
+  return index;
+}
+
+/**
+ * Load the persisted knowledge base index, embedding only chunks that changed
+ * Concurrent callers share the same in-flight build
+ * @returns {Promise<Object>} - Loaded vector index
+ */
+function getKnowledgeIndex() {
+  if (knowledgeIndex) {
+    return Promise.resolve(knowledgeIndex);
+  }
+
+  if (!knowledgeIndexPromise) {
+    knowledgeIndexPromise = buildKnowledgeIndex()
+      .then(index => {
+        knowledgeIndex = index;
+        knowledgeIndexError = null;
+        return index;
+      })
+      .catch(error => {
+        // Allow a later request to retry the build
+        knowledgeIndexPromise = null;
+        knowledgeIndexError = error.message;
+        throw error;
+      });
+  }
+
+  return knowledgeIndexPromise;
+}
+
+/**
+ * Rebuild the index after the knowledge base changed
+ * The current index keeps serving requests until the new one is ready
+ * @returns {Promise<Object>} - Rebuilt vector index
+ */
+async function refreshKnowledgeIndex() {
+  try {
+    const index = await buildKnowledgeIndex();
+    knowledgeIndex = index;
+    knowledgeIndexPromise = Promise.resolve(index);
+    knowledgeIndexError = null;
+    return index;
+  } catch (error) {
+    knowledgeIndexError = error.message;
+    throw error;
+  }
+}
+
+/**
+ * Get the knowledge graph, building it from the sources if the index hasn't been built yet
+ * The graph needs no embeddings, so the graph endpoints work even without a configured provider
+ * @returns {Promise<Object>} - Knowledge graph
+ */
+async function getKnowledgeGraph() {
+  if (!knowledgeGraph) {
+    knowledgeGraph = buildGraphFromSections(await loadKnowledgeSections());
+  }
+  return knowledgeGraph;
+}
+
+// Basemaps offered to the frontend map: a JSON config of XYZ/WMS services (MAP_TILE_CONFIG) plus any
+// MBTiles packages in MBTILES_DIR; MAP_TILES_OFFLINE=true keeps only self-hosted sources
+const mapTileOptions = {
+  configPath: process.env.MAP_TILE_CONFIG ? path.resolve(process.env.MAP_TILE_CONFIG) : null,
+  mbtilesDir: process.env.MBTILES_DIR
+    ? path.resolve(process.env.MBTILES_DIR)
+    : path.join(__dirname, 'tiles'),
+  offline: process.env.MAP_TILES_OFFLINE === 'true'
+};
+let mapTilesPromise = null;
+
+/**
+ * Load the map tile sources and open the MBTiles packages, once
+ * @returns {Promise<Object>} - { sources, defaultSource, packages }
+ */
+function getMapTiles() {
+  if (!mapTilesPromise) {
+    mapTilesPromise = loadTileSources(mapTileOptions).catch(error => {
+      mapTilesPromise = null;
+      throw error;
+    });
+  }
+  return mapTilesPromise;
+}
+
+// Scheduled re-crawl of the MOSDAC website, disabled unless CRAWL_INTERVAL_HOURS is set
+const crawlIntervalHours = parseFloat(process.env.CRAWL_INTERVAL_HOURS || '0');
+let lastCrawl = null;
+let crawlInProgress = false;
+
+/**
+ * Re-crawl the website and re-ingest if any page or document changed
+ * Unchanged pages are answered with 304s and keep their embeddings
+ */
+async function runScheduledCrawl() {
+  if (crawlInProgress) {
+    console.log('⏭️ Skipping scheduled crawl, previous crawl still running');
+    return;
+  }
+
+  crawlInProgress = true;
+  try {
+    const result = await crawlSite({
+      storeDir: crawlStoreDir,
+      ...(process.env.CRAWL_START_URL ? { startUrl: process.env.CRAWL_START_URL } : {})
+    });
+
+    lastCrawl = {
+      completedAt: result.completedAt,
+      version: result.version,
+      hasChanges: result.hasChanges,
+      pages: result.pages.length,
+      errors: result.errors.length
+    };
+
+    if (result.hasChanges && provider.configured) {
+      console.log(`🔁 Knowledge base changed (version ${result.version}), re-ingesting...`);
+      await refreshKnowledgeIndex();
+    }
+  } catch (error) {
+    console.error('❌ Scheduled crawl failed:', error.message);
+    lastCrawl = { completedAt: new Date().toISOString(), error: error.message };
+  } finally {
+    crawlInProgress = false;
+  }
+}
+
+/**
+ * Collect the answer and the full text of its retrieved chunks, each named after where it came from
+ * @param {string} answer - Generated answer
+ * @param {Array<Object>} sources - Sources returned with the answer
+ * @param {Object} vectorIndex - Index holding the full text of the retrieved chunks
+ * @returns {Array<Object>} - Non-empty segments { text, source, filename }
+ */
+function answerSegments(answer, sources, vectorIndex) {
+  const chunksById = new Map(vectorIndex.chunks.map(chunk => [chunk.id, chunk]));
+  return [
+    { text: stripCitations(answer), source: 'Answer' },
+    ...sources.map(source => ({
+      text: chunksById.get(source.chunkId)?.content || '',
+      source: source.title || source.filename || 'Knowledge Base',
+      filename: source.filename
+    }))
+  ].filter(segment => segment.text.trim());
+}
+
+/**
+ * Extract coordinates mentioned in an answer and its retrieved chunks
+ * Each location records the document it came from so the map can colour it; a location
+ * mentioned in several places is kept once, attributed to its first mention
+ * A failure here should never break the chat response
+ * @param {string} answer - Generated answer
+ * @param {Array<Object>} sources - Sources returned with the answer
+ * @param {Object} vectorIndex - Index holding the full text of the retrieved chunks
+ * @returns {Array<Object>} - Locations from extractGeoLocations, each with a `source` name
+ */
+function findGeoLocations(answer, sources, vectorIndex) {
+  try {
+    const seen = new Set();
+    return answerSegments(answer, sources, vectorIndex)
+      .flatMap(segment => extractGeoLocations(segment.text).map(location => ({ ...location, source: segment.source })))
+      .filter(location => {
+        const key = `${location.lat},${location.lon},${location.label || ''}`;
+        return !seen.has(key) && seen.add(key);
+      });
+  } catch (error) {
+    console.error('❌ Error extracting geo locations:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Extract every location mentioned in one indexed document
+ * Each location records the document and, where known, the page or section it was found on
+ * @param {Object} vectorIndex - Knowledge index
+ * @param {string} filename - Document filename as stored in chunk metadata
+ * @returns {Array<Object>|null} - Locations from extractGeoLocations, or null if the document isn't indexed
+ */
+function findDocumentLocations(vectorIndex, filename) {
+  const chunks = vectorIndex.chunks.filter(chunk => chunk.metadata?.filename === filename);
+  if (chunks.length === 0) return null;
+
+  const seen = new Set();
+  return chunks
+    .flatMap(chunk => extractGeoLocations(chunk.content).map(location => ({
+      ...location,
+      source: chunk.metadata.title || filename,
+      ...(chunk.metadata.page && { page: chunk.metadata.page }),
+      ...(chunk.metadata.section && { section: chunk.metadata.section })
+    })))
+    .filter(location => {
+      const key = `${location.lat},${location.lon},${location.label || ''}`;
+      return !seen.has(key) && seen.add(key);
+    });
+}
+
+/**
+ * Send a location export as a file download
+ * @param {Object} res - Express response
+ * @param {Array<Object>} locations - Locations to export
+ * @param {string} format - Key of GEO_FORMATS
+ * @param {string} name - Base name for the file and the exported collection
+ */
+function sendGeoExport(res, locations, format, name) {
+  const { content, extension, mimeType } = exportGeoLocations(locations, format, { name });
+  const basename = name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'locations';
+
+  res.setHeader('Content-Type', `${mimeType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}_locations.${extension}"`);
+  res.send(content);
+}
+
+/**
+ * Extract storm tracks from an answer and its retrieved chunks
+ * Fixes of the same storm found in different chunks are joined into one track; an XLSX advisory
+ * that was retrieved contributes its whole track, since its rows are indexed one per chunk
+ * A failure here should never break the chat response
+ * @param {string} answer - Generated answer
+ * @param {Array<Object>} sources - Sources returned with the answer
+ * @param {Object} vectorIndex - Index holding the full text of the retrieved chunks
+ * @returns {Array<Object>} - Tracks from the track extractor, in time order
+ */
+function findGeoTracks(answer, sources, vectorIndex) {
+  try {
+    const filenames = new Set(sources.map(source => source.filename));
+    const tableTracks = [...filenames].flatMap(filename => documentTracks.get(filename) || []);
+    const textTracks = answerSegments(answer, sources, vectorIndex)
+      .filter(segment => !documentTracks.has(segment.filename))
+      .flatMap(segment => extractTracksFromText(segment.text, { source: segment.source, label: segment.source, minPoints: 1 }));
+
+    return mergeTracks([...tableTracks, ...textTracks]).filter(track => track.points.length > 1);
+  } catch (error) {
+    console.error('❌ Error extracting storm tracks:', error.message);
+    return [];
+  }
+}
+
 // ✅ Helper to mask API key in logs
 const maskApiKey = (key) => {
   if (!key) return 'NOT_SET';
@@ -90,15 +440,15 @@ const maskApiKey = (key) => {
 };
 
 /**
- * Test Gemini API connectivity
+ * Test LLM provider connectivity
  * @returns {Promise<Object>} - API status information
  */
-async function testGeminiAPI() {
+async function testProviderAPI() {
   try {
-    if (!process.env.GEMINI_API_KEY) {
+    if (!provider.configured) {
       return {
         status: 'error',
-        message: 'API key not configured',
+        message: 'LLM provider not configured',
         accessible: false
       };
     }
@@ -107,7 +457,7 @@ async function testGeminiAPI() {
     const testResponse = await runRAG(
       'MOSDAC is a satellite data center.',
       'What is MOSDAC?',
-      { chunkSize: 100, topK: 1, maxTokens: 50 }
+      { chunkSize: 100, chunkOverlap: 20, topK: 1, maxTokens: 50 }
     );
 
     return {
@@ -125,6 +475,60 @@ async function testGeminiAPI() {
   }
 }
 
+// RAG settings shared by the regular and streaming chat routes
+// The number of context chunks is left to the context token budget (CONTEXT_TOKEN_BUDGET)
+const CHAT_RAG_OPTIONS = {
+  temperature: 0.7,
+  maxTokens: 1000
+};
+
+/**
+ * Check that a chat request can be served
+ * @param {*} query - Query from the request body
+ * @returns {Object|null} - { httpStatus, message, logStatus } describing the problem, or null if valid
+ */
+function validateChatRequest(query) {
+  if (!query || typeof query !== 'string') {
+    return { httpStatus: 400, message: '❌ Query is required and must be a string', logStatus: 'validation_error' };
+  }
+
+  if (!provider.configured) {
+    const message = provider.name === 'gemini'
+      ? '⚠️ Error: Gemini API key not configured'
+      : provider.name === 'openai'
+        ? '⚠️ Error: OPENAI_BASE_URL not configured'
+        : `⚠️ Error: LLM provider "${provider.name}" not configured`;
+    return { httpStatus: 500, message, logStatus: 'config_error' };
+  }
+
+  if (!mosdacKnowledgeBase) {
+    return { httpStatus: 500, message: '⚠️ Error: MOSDAC knowledge base not available', logStatus: 'knowledge_base_error' };
+  }
+
+  return null;
+}
+
+/**
+ * Map a RAG error to a user-facing message and log status
+ * @param {Error} error - Error thrown by the RAG system
+ * @returns {Object} - { message, logStatus }
+ */
+function describeRAGError(error) {
+  if (error.message.includes('API_KEY') || error.message.includes('authentication')) {
+    return { message: '⚠️ Error: Invalid Gemini API key configuration', logStatus: 'auth_error' };
+  } else if (error.message.includes('quota')) {
+    return { message: '⚠️ Error: Gemini API quota exceeded', logStatus: 'quota_error' };
+  } else if (error.message.includes('not reachable')) {
+    return { message: '⚠️ Error: Local model server is not reachable', logStatus: 'provider_error' };
+  } else if (error.message.includes('model')) {
+    return { message: '⚠️ Error: AI model temporarily unavailable', logStatus: 'model_error' };
+  } else if (error.message.includes('RAG')) {
+    return { message: '⚠️ Error: Knowledge retrieval system unavailable', logStatus: 'rag_error' };
+  } else {
+    return { message: '⚠️ Error: Unable to process your request at the moment', logStatus: 'system_error' };
+  }
+}
+
 // ✅ POST route for chat using RAG system with logging
 app.post('/api/chat', async (req, res) => {
   const startTime = Date.now();
@@ -132,44 +536,43 @@ app.post('/api/chat', async (req, res) => {
   let botResponse = '';
   let requestStatus = 'error';
 
+  let sessionId = null;
+
   try {
-    const { query } = req.body;
+    const { query, filters } = req.body;
     userQuery = query || '';
 
     console.log('📨 Incoming chat request:', {
       query: userQuery,
+      filters,
+      sessionId: req.body.sessionId,
       timestamp: new Date().toISOString(),
     });
 
-    console.log('🔑 Gemini API Key status:', maskApiKey(process.env.GEMINI_API_KEY));
+    console.log(`🔑 LLM provider: ${provider.name}, Gemini API Key status:`, maskApiKey(process.env.GEMINI_API_KEY));
 
-    if (!query || typeof query !== 'string') {
-      botResponse = '❌ Query is required and must be a string';
-      logQuery(userQuery, botResponse, 'validation_error');
-      return res.status(400).json({ error: botResponse });
+    const invalid = validateChatRequest(query);
+    if (invalid) {
+      botResponse = invalid.message;
+      logQuery(userQuery, botResponse, invalid.logStatus);
+      return res.status(invalid.httpStatus).json(
+        invalid.httpStatus === 400 ? { error: botResponse } : { answer: botResponse }
+      );
     }
 
-    if (!process.env.GEMINI_API_KEY) {
-      botResponse = '⚠️ Error: Gemini API key not configured';
-      logQuery(userQuery, botResponse, 'config_error');
-      return res.status(500).json({ answer: botResponse });
-    }
-
-    if (!mosdacKnowledgeBase) {
-      botResponse = '⚠️ Error: MOSDAC knowledge base not available';
-      logQuery(userQuery, botResponse, 'knowledge_base_error');
-      return res.status(500).json({ answer: botResponse });
-    }
+    // Continue the client's conversation, or start a new one
+    const session = getOrCreateSession(req.body.sessionId);
+    sessionId = session.id;
 
     console.log('🚀 Processing query with RAG system...');
 
-    // Use RAG system with MOSDAC knowledge base
-    const answer = await runRAG(mosdacKnowledgeBase, query, {
-      chunkSize: 800,
-      chunkOverlap: 150,
-      topK: 4,
-      temperature: 0.7,
-      maxTokens: 1000
+    // Use RAG system over the persisted MOSDAC knowledge base index
+    const vectorIndex = await getKnowledgeIndex();
+    const { answer, standaloneQuery, sources, context, retrieval, graphPath, verification } = await runIndexedRAG(vectorIndex, query, {
+      ...CHAT_RAG_OPTIONS,
+      filters,
+      history: getHistory(sessionId),
+      graph: knowledgeGraph
     });
 
     botResponse = answer;
@@ -181,37 +584,407 @@ app.post('/api/chat', async (req, res) => {
     console.log('📊 Response preview:', answer.slice(0, 100) + '...');
 
     // Log successful query and response
-    logQuery(userQuery, botResponse, requestStatus);
+    logQuery(userQuery, botResponse, requestStatus, sessionId);
+    appendTurn(sessionId, { query, standaloneQuery, answer: stripCitations(answer) });
 
-    res.json({ answer: botResponse });
+    res.json({
+      answer: botResponse,
+      sessionId,
+      standaloneQuery,
+      source: sources[0],
+      sources,
+      context,
+      geoLocations: findGeoLocations(answer, sources, vectorIndex),
+      geoTracks: findGeoTracks(answer, sources, vectorIndex),
+      retrieval,
+      graphPath,
+      verification
+    });
 
   } catch (error) {
     console.error('❌ RAG System Error:', error.message);
     
-    let msg = '⚠️ Error: Unable to process your request at the moment';
-
-    if (error.message.includes('API_KEY') || error.message.includes('authentication')) {
-      msg = '⚠️ Error: Invalid Gemini API key configuration';
-      requestStatus = 'auth_error';
-    } else if (error.message.includes('quota')) {
-      msg = '⚠️ Error: Gemini API quota exceeded';
-      requestStatus = 'quota_error';
-    } else if (error.message.includes('model')) {
-      msg = '⚠️ Error: AI model temporarily unavailable';
-      requestStatus = 'model_error';
-    } else if (error.message.includes('RAG')) {
-      msg = '⚠️ Error: Knowledge retrieval system unavailable';
-      requestStatus = 'rag_error';
+    const { message, logStatus } = describeRAGError(error);
+    botResponse = message;
+    requestStatus = logStatus;
+    
+    // Log error query and response
+    logQuery(userQuery, botResponse, requestStatus, sessionId);
+
+    res.json({ answer: botResponse, sessionId });
+  }
+});
+
+// ✅ POST route for streaming chat over Server-Sent Events
+// Emits `retrieval` (sources and context), then `token` events, then `done` with timings
+app.post('/api/chat/stream', async (req, res) => {
+  const { query, filters } = req.body;
+  const userQuery = query || '';
+
+  console.log('📨 Incoming streaming chat request:', {
+    query: userQuery,
+    filters,
+    sessionId: req.body.sessionId,
+    timestamp: new Date().toISOString(),
+  });
+
+  const invalid = validateChatRequest(query);
+  if (invalid) {
+    logQuery(userQuery, invalid.message, invalid.logStatus);
+    return res.status(invalid.httpStatus).json(
+      invalid.httpStatus === 400 ? { error: invalid.message } : { answer: invalid.message }
+    );
+  }
+
+  // Continue the client's conversation, or start a new one
+  const sessionId = getOrCreateSession(req.body.sessionId).id;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop generating as soon as the client cancels or disconnects
+  const abortController = new AbortController();
+  res.on('close', () => abortController.abort());
+
+  let answer = '';
+  let standaloneQuery = query;
+  let sources = [];
+  let context = '';
+
+  try {
+    const vectorIndex = await getKnowledgeIndex();
+    const events = streamIndexedRAG(vectorIndex, query, {
+      ...CHAT_RAG_OPTIONS,
+      filters,
+      history: getHistory(sessionId),
+      graph: knowledgeGraph,
+      signal: abortController.signal
+    });
+
+    for await (const event of events) {
+      if (abortController.signal.aborted) break;
+
+      if (event.type === 'retrieval') {
+        standaloneQuery = event.standaloneQuery;
+        sources = event.sources;
+        context = event.context;
+        sendEvent('retrieval', {
+          sessionId,
+          standaloneQuery,
+          source: sources[0],
+          sources,
+          context,
+          retrieval: event.retrieval,
+          graphPath: event.graphPath
+        });
+      } else if (event.type === 'token') {
+        answer += event.text;
+        sendEvent('token', { text: event.text });
+      } else if (event.type === 'done') {
+        answer = event.answer;
+        sendEvent('done', {
+          answer,
+          sources,
+          geoLocations: findGeoLocations(answer, sources, vectorIndex),
+          geoTracks: findGeoTracks(answer, sources, vectorIndex),
+          verification: event.verification,
+          timings: event.timings
+        });
+      }
+    }
+
+    if (abortController.signal.aborted) {
+      console.log('🛑 Streaming chat request cancelled by client');
+      logQuery(userQuery, answer, 'cancelled', sessionId);
     } else {
-      requestStatus = 'system_error';
+      logQuery(userQuery, answer, 'success', sessionId);
+      appendTurn(sessionId, { query, standaloneQuery, answer: stripCitations(answer) });
     }
 
-    botResponse = msg;
-    
-    // Log error query and response
-    logQuery(userQuery, botResponse, requestStatus);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('🛑 Streaming chat request cancelled by client');
+      logQuery(userQuery, answer, 'cancelled', sessionId);
+    } else {
+      console.error('❌ RAG Stream Error:', error.message);
+      const { message, logStatus } = describeRAGError(error);
+      logQuery(userQuery, message, logStatus, sessionId);
+      sendEvent('error', { answer: message, sessionId });
+    }
+  } finally {
+    res.end();
+  }
+});
+
+// ✅ Route to get a conversation session's history
+app.get('/api/sessions/:sessionId', (req, res) => {
+  const session = getSession(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found or expired' });
+  }
+
+  res.json({
+    sessionId: session.id,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastActiveAt: new Date(session.lastActiveAt).toISOString(),
+    turns: session.turns
+  });
+});
+
+// ✅ Route to end a conversation session
+app.delete('/api/sessions/:sessionId', (req, res) => {
+  const deleted = deleteSession(req.params.sessionId);
+  res.json({ deleted });
+});
+
+// ✅ Route to get the knowledge graph, optionally restricted to one entity type
+app.get('/api/graph', async (req, res) => {
+  try {
+    const graph = await getKnowledgeGraph();
+    const { type } = req.query;
+
+    const nodes = type ? graph.nodes.filter(node => node.type === type) : graph.nodes;
+    const nodeIds = new Set(nodes.map(node => node.id));
+    const edges = graph.edges.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target));
+
+    res.json({ metadata: graph.metadata, nodes, edges });
+  } catch (error) {
+    console.error('❌ Error loading knowledge graph:', error.message);
+    res.status(500).json({ error: 'Unable to load knowledge graph' });
+  }
+});
+
+// ✅ Route to search graph nodes by name
+app.get('/api/graph/search', async (req, res) => {
+  try {
+    const graph = await getKnowledgeGraph();
+    const { q, type, limit } = req.query;
+
+    res.json({ query: q || '', nodes: searchNodes(graph, q, { type, limit }) });
+  } catch (error) {
+    console.error('❌ Error searching knowledge graph:', error.message);
+    res.status(500).json({ error: 'Unable to search knowledge graph' });
+  }
+});
+
+// ✅ Route to get a node's neighbourhood, e.g. /api/graph/nodes/satellite:insat-3d/neighbors?hops=2
+app.get('/api/graph/nodes/:nodeId/neighbors', async (req, res) => {
+  try {
+    const graph = await getKnowledgeGraph();
+    const node = resolveNode(graph, req.params.nodeId);
+
+    if (!node) {
+      return res.status(404).json({ error: 'Entity not found in knowledge graph' });
+    }
+
+    res.json(getNeighbourhood(graph, node.id, req.query.hops));
+  } catch (error) {
+    console.error('❌ Error expanding graph node:', error.message);
+    res.status(500).json({ error: 'Unable to expand graph node' });
+  }
+});
+
+// ✅ Route to find the shortest relation path between two entities (ids or names)
+app.get('/api/graph/path', async (req, res) => {
+  try {
+    const { from, to, maxHops } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both "from" and "to" entities are required' });
+    }
+
+    const graph = await getKnowledgeGraph();
+    const fromNode = resolveNode(graph, from);
+    const toNode = resolveNode(graph, to);
+
+    if (!fromNode || !toNode) {
+      return res.status(404).json({ error: `Entity not found in knowledge graph: ${fromNode ? to : from}` });
+    }
+
+    const graphPath = findShortestPath(graph, fromNode.id, toNode.id, maxHops);
+    res.json({ from: fromNode.id, to: toNode.id, found: !!graphPath, path: graphPath });
+  } catch (error) {
+    console.error('❌ Error finding graph path:', error.message);
+    res.status(500).json({ error: 'Unable to find graph path' });
+  }
+});
+
+// ✅ Route to download the knowledge graph, e.g. /api/graph/export?format=graphml
+// Formats: json, graphml, gexf, cypher, neo4j-nodes, neo4j-relationships, turtle, jsonld
+app.get('/api/graph/export', async (req, res) => {
+  const format = req.query.format || 'json';
+
+  if (!isGraphFormat(format)) {
+    return res.status(400).json({
+      error: `Unsupported graph format "${format}"`,
+      formats: Object.keys(GRAPH_FORMATS)
+    });
+  }
+
+  try {
+    const graph = await getKnowledgeGraph();
+    const { content, extension, mimeType } = exportGraph(graph, format);
+
+    res.setHeader('Content-Type', `${mimeType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="mosdac_knowledge_graph.${extension}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('❌ Error exporting knowledge graph:', error.message);
+    res.status(500).json({ error: 'Unable to export knowledge graph' });
+  }
+});
+
+// ✅ Route to download the locations mentioned in a document, e.g. /api/geo/export?filename=report.pdf&format=kml
+// Formats: geojson, kml, csv
+app.get('/api/geo/export', async (req, res) => {
+  const { filename } = req.query;
+  const format = req.query.format || 'geojson';
+
+  if (!isGeoFormat(format)) {
+    return res.status(400).json({ error: `Unsupported geo format "${format}"`, formats: Object.keys(GEO_FORMATS) });
+  }
+  if (typeof filename !== 'string' || !filename.trim()) {
+    return res.status(400).json({ error: 'Provide the document filename' });
+  }
 
-    res.json({ answer: botResponse });
+  let vectorIndex;
+  try {
+    vectorIndex = await getKnowledgeIndex();
+  } catch (error) {
+    console.error('❌ Error exporting document locations:', error.message);
+    return res.status(503).json({ error: 'Knowledge index is not available' });
+  }
+
+  const locations = findDocumentLocations(vectorIndex, filename);
+  if (!locations) {
+    return res.status(404).json({ error: `Document not found in the knowledge base: ${filename}` });
+  }
+
+  try {
+    sendGeoExport(res, locations, format, filename.split('/').pop());
+  } catch (error) {
+    console.error('❌ Error exporting document locations:', error.message);
+    res.status(500).json({ error: 'Unable to export locations' });
+  }
+});
+
+// ✅ Route to download locations already on the client, such as those on an answer's map
+app.post('/api/geo/export', (req, res) => {
+  const { locations, name } = req.body || {};
+  const format = req.body?.format || 'geojson';
+
+  if (!isGeoFormat(format)) {
+    return res.status(400).json({ error: `Unsupported geo format "${format}"`, formats: Object.keys(GEO_FORMATS) });
+  }
+  if (!Array.isArray(locations)) {
+    return res.status(400).json({ error: 'Locations must be an array' });
+  }
+
+  try {
+    sendGeoExport(res, locations, format, typeof name === 'string' && name.trim() ? name.trim() : 'mosdac_answer');
+  } catch (error) {
+    console.error('❌ Error exporting locations:', error.message);
+    res.status(500).json({ error: 'Unable to export locations' });
+  }
+});
+
+// ✅ Route to list the documents covering an area, e.g. /api/spatial/coverage?north=25&south=10&east=90&west=80,
+// /api/spatial/coverage?lat=13.08&lon=80.27&radiusKm=100 or /api/spatial/coverage?place=Bay of Bengal
+app.get('/api/spatial/coverage', async (req, res) => {
+  const { place, lat, lon, radiusKm, north, south, east, west } = req.query;
+
+  let requestedArea;
+  if (place) {
+    requestedArea = { type: 'place', name: place };
+  } else if (lat !== undefined || lon !== undefined) {
+    requestedArea = { type: 'circle', lat, lon, radiusKm: radiusKm ?? DEFAULT_PLACE_RADIUS_KM };
+  } else {
+    requestedArea = { type: 'bbox', north, south, east, west };
+  }
+
+  const area = normalizeArea(requestedArea);
+  if (!area) {
+    return res.status(400).json({
+      error: place
+        ? `Place not found in gazetteer: ${place}`
+        : 'Provide a bounding box (north, south, east, west), a point (lat, lon, radiusKm) or a place name'
+    });
+  }
+
+  try {
+    const vectorIndex = await getKnowledgeIndex();
+    const documents = findDocumentsInArea(vectorIndex, area);
+
+    res.json({
+      area,
+      documents,
+      matchedChunks: documents.reduce((total, document) => total + document.chunks, 0)
+    });
+  } catch (error) {
+    console.error('❌ Error searching spatial coverage:', error.message);
+    res.status(503).json({ error: 'Knowledge index is not available' });
+  }
+});
+
+// ✅ Route to list storm tracks read from XLSX advisories in the document library, e.g. /api/tracks?name=Biparjoy
+app.get('/api/tracks', async (req, res) => {
+  try {
+    await getKnowledgeIndex();
+    const name = typeof req.query.name === 'string' ? req.query.name.trim().toLowerCase() : '';
+    const tracks = mergeTracks([...documentTracks.values()].flat())
+      .filter(track => !name || (track.name || track.label).toLowerCase() === name);
+
+    res.json({ tracks });
+  } catch (error) {
+    console.error('❌ Error listing storm tracks:', error.message);
+    res.status(503).json({ error: 'Knowledge index is not available' });
+  }
+});
+
+// ✅ Route to get the basemaps the frontend map can offer
+app.get('/api/map/config', async (req, res) => {
+  try {
+    const { sources, defaultSource } = await getMapTiles();
+    res.json({ sources, defaultSource, offline: mapTileOptions.offline });
+  } catch (error) {
+    console.error('❌ Error loading map tile sources:', error.message);
+    res.status(500).json({ error: 'Unable to load map tile sources' });
+  }
+});
+
+// ✅ Route to serve a tile from an MBTiles package, e.g. /api/tiles/india/5/22/14
+app.get(`${LOCAL_TILE_ROUTE}/:sourceId/:z/:x/:y`, async (req, res) => {
+  const parts = [req.params.z, req.params.x, req.params.y.replace(/\.\w+$/, '')];
+  const [z, x, y] = parts.map(Number);
+  if (!parts.every(part => /^\d+$/.test(part)) || z > 22 || x >= 2 ** z || y >= 2 ** z) {
+    return res.status(400).json({ error: 'Invalid tile coordinates' });
+  }
+
+  try {
+    const { packages } = await getMapTiles();
+    const tiles = packages.get(req.params.sourceId);
+    if (!tiles) {
+      return res.status(404).json({ error: 'Tile source not found' });
+    }
+
+    const tile = tiles.getTile(z, x, y);
+    if (!tile) {
+      return res.status(404).end();
+    }
+
+    res.setHeader('Content-Type', tiles.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.send(tile);
+  } catch (error) {
+    console.error('❌ Error serving map tile:', error.message);
+    res.status(500).json({ error: 'Unable to read map tile' });
   }
 });
 
@@ -244,6 +1017,49 @@ app.get('/api/health', async (req, res) => {
         size: mosdacKnowledgeBase.length,
         available: !!mosdacKnowledgeBase
       },
+      vectorIndex: {
+        status: knowledgeIndex ? 'loaded' : (knowledgeIndexPromise ? 'building' : 'not_loaded'),
+        chunks: knowledgeIndex ? knowledgeIndex.chunks.length : 0,
+        embeddingModel: knowledgeIndex ? knowledgeIndex.embeddingModel : null,
+        updatedAt: knowledgeIndex ? knowledgeIndex.updatedAt : null,
+        error: knowledgeIndexError
+      },
+      retrieval: {
+        mode: resolveRetrievalMode(process.env.RETRIEVAL_MODE),
+        reranker: resolveReranker(process.env.RERANKER),
+        answerVerification: resolveVerificationMode(process.env.ANSWER_VERIFICATION)
+      },
+      knowledgeGraph: {
+        status: knowledgeGraph ? 'loaded' : 'not_loaded',
+        entities: knowledgeGraph ? knowledgeGraph.nodes.length : 0,
+        relations: knowledgeGraph ? knowledgeGraph.edges.length : 0
+      },
+      spatialIndex: {
+        status: knowledgeIndex ? 'loaded' : 'not_loaded',
+        taggedChunks: knowledgeIndex ? getSpatialIndex(knowledgeIndex).taggedChunks : 0
+      },
+      mapTiles: {
+        configPath: mapTileOptions.configPath,
+        mbtilesDir: mapTileOptions.mbtilesDir,
+        offline: mapTileOptions.offline
+      },
+      documentLibrary: {
+        directory: documentsDir,
+        files: documentLibraryFiles.length,
+        failed: documentLibraryFiles.filter(file => file.status === 'error').length,
+        stormTracks: [...documentTracks.values()].reduce((total, tracks) => total + tracks.length, 0),
+        documents: documentLibraryFiles
+      },
+      crawl: {
+        directory: crawlStoreDir,
+        pages: crawledPageCount,
+        intervalHours: crawlIntervalHours || null,
+        inProgress: crawlInProgress,
+        last: lastCrawl
+      },
+      sessions: {
+        active: getSessionCount()
+      },
       logging: {
         directory: {
           status: fs.existsSync(logsDir) ? 'available' : 'missing',
@@ -260,8 +1076,14 @@ app.get('/api/health', async (req, res) => {
       }
     };
 
-    // Gemini API status
+    // LLM provider and Gemini API status
     const geminiStatus = {
+      provider: {
+        name: provider.name,
+        chatModel: provider.chatModel,
+        embeddingModel: provider.embeddingModel,
+        configured: provider.configured
+      },
       apiKey: {
         configured: !!process.env.GEMINI_API_KEY,
         masked: maskApiKey(process.env.GEMINI_API_KEY),
@@ -277,7 +1099,7 @@ app.get('/api/health', async (req, res) => {
     // Test Gemini API connectivity (with timeout)
     try {
       const apiTest = await Promise.race([
-        testGeminiAPI(),
+        testProviderAPI(),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('API test timeout')), 5000)
         )
@@ -302,7 +1124,7 @@ app.get('/api/health', async (req, res) => {
       healthy: (
         backendStatus.server.status === 'running' &&
         backendStatus.knowledgeBase.available &&
-        geminiStatus.apiKey.configured &&
+        geminiStatus.provider.configured &&
         geminiStatus.connectivity.accessible
       ),
       issues: []
@@ -312,11 +1134,11 @@ app.get('/api/health', async (req, res) => {
     if (!backendStatus.knowledgeBase.available) {
       overallHealth.issues.push('Knowledge base not loaded');
     }
-    if (!geminiStatus.apiKey.configured) {
-      overallHealth.issues.push('Gemini API key not configured');
+    if (!geminiStatus.provider.configured) {
+      overallHealth.issues.push(`LLM provider "${provider.name}" not configured`);
     }
     if (!geminiStatus.connectivity.accessible) {
-      overallHealth.issues.push('Gemini API not accessible');
+      overallHealth.issues.push(`LLM provider "${provider.name}" not accessible`);
     }
     if (!backendStatus.logging.directory.status === 'available') {
       overallHealth.issues.push('Logging directory not available');
@@ -405,6 +1227,7 @@ app.get('/api/logs', (req, res) => {
 app.listen(port, () => {
   console.log('🚀 MOSDAC AI Chat Backend with RAG starting...');
   console.log(`📡 Running at http://localhost:${port}`);
+  console.log(`🤖 LLM Provider: ${provider.name} (${provider.chatModel}, embeddings: ${provider.embeddingModel})`);
   console.log(`🛰️ Gemini API Key Configured: ${process.env.GEMINI_API_KEY ? 'Yes' : 'No'}`);
   console.log(`🔑 API Key (masked): ${maskApiKey(process.env.GEMINI_API_KEY)}`);
   console.log(`📚 Knowledge Base Status: ${mosdacKnowledgeBase ? 'Loaded' : 'Missing'}`);
@@ -412,4 +1235,16 @@ app.listen(port, () => {
   console.log(`📝 Query Logging: ${fs.existsSync(queryLogPath) ? 'Enabled' : 'Disabled'}`);
   console.log(`📁 Logs Directory: ${logsDir}`);
   console.log('✅ Ready to receive chat requests with RAG-powered responses and logging');
+
+  // Build or reload the vector index up front so the first chat request doesn't pay for it
+  if (provider.configured && mosdacKnowledgeBase) {
+    getKnowledgeIndex().catch(error => {
+      console.error('❌ Error preparing knowledge index:', error.message);
+    });
+  }
+
+  if (crawlIntervalHours > 0) {
+    console.log(`🕸️ Re-crawling the MOSDAC website every ${crawlIntervalHours} hours`);
+    setInterval(runScheduledCrawl, crawlIntervalHours * 60 * 60 * 1000);
+  }
 });
\ No newline at end of file
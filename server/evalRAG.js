@@ -0,0 +1,249 @@
+// Evaluation script for the RAG pipeline, scoring config variants against the golden question set
+// Usage: npm run eval -- [--variants baseline,top-k-4] [--golden path] [--baseline report.json] [--out dir]
+// "npm run eval" pins the offline mock provider so runs are repeatable; "npm run eval:provider" uses LLM_PROVIDER
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { runIndexedRAG, prepareKnowledgeIndex } from './utils/rag.js';
+import { getProvider } from './utils/providers/index.js';
+import {
+  SUMMARY_METRICS,
+  DEFAULT_REGRESSION_TOLERANCE,
+  loadGoldenSet,
+  evaluateQuestion,
+  summarizeResults,
+  compareReports,
+  renderHTMLReport
+} from './utils/ragEvaluator.js';
+import dotenv from 'dotenv';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config();
+
+const DATA_PATH = path.join(__dirname, 'utils', 'data', 'mosdac_content.json');
+const DEFAULT_GOLDEN_PATH = path.join(__dirname, 'utils', 'data', 'rag_golden_set.json');
+const DEFAULT_REPORT_DIR = path.join(__dirname, 'logs', 'eval');
+
+// Indexes built per chunking configuration, kept apart from the chat server's index so embeddings are reused between runs
+const EVAL_INDEX_DIR = path.join(__dirname, 'index', 'eval');
+
+// Config variants compared by default; options are passed to prepareKnowledgeIndex and runIndexedRAG
+const DEFAULT_VARIANTS = [
+  { name: 'baseline', options: {} },
+  { name: 'chunk-500', options: { chunkSize: 500, chunkOverlap: 100 } },
+  { name: 'recursive-chunking', options: { chunking: 'recursive' } },
+  { name: 'top-k-4', options: { topK: 4 } },
+  { name: 'vector-only', options: { retrievalMode: 'vector' } },
+  { name: 'keyword-only', options: { retrievalMode: 'keyword' } }
+];
+
+/**
+ * Run a function with console.log silenced, since the RAG pipeline logs every step of every question
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - Its result
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Index file for a variant's chunking, so variants that chunk alike share one index
+ * @param {Object} provider - LLM provider
+ * @param {Object} options - Variant options
+ * @returns {string} - Index path
+ */
+function variantIndexPath(provider, options) {
+  const chunkingKey = [
+    options.chunking || process.env.CHUNKING || 'default',
+    options.chunkSize || 'default',
+    options.chunkOverlap || 'default'
+  ].join('_');
+  return path.join(EVAL_INDEX_DIR, `${provider.name}_${chunkingKey}.json`);
+}
+
+/**
+ * Answer every golden question with one config variant
+ * @param {Object} variant - { name, options }
+ * @param {Array<Object>} sources - Knowledge sections
+ * @param {Object} goldenSet - Golden question set
+ * @param {Object} provider - LLM provider
+ * @returns {Promise<Object>} - { name, options, summary, results }
+ */
+async function evaluateVariant(variant, sources, goldenSet, provider) {
+  const { index } = await quietly(() => prepareKnowledgeIndex(sources, {
+    ...variant.options,
+    provider,
+    indexPath: variantIndexPath(provider, variant.options)
+  }));
+  const chunksById = new Map(index.chunks.map(chunk => [chunk.id, chunk]));
+  const results = [];
+
+  for (const question of goldenSet.questions) {
+    const startTime = Date.now();
+    const response = await quietly(() => runIndexedRAG(index, question.question, { ...variant.options, provider }));
+    const latencyMs = Date.now() - startTime;
+
+    // Sources only carry an excerpt; metrics need the full chunk text
+    const chunks = response.sources.map(source => chunksById.get(source.chunkId)).filter(Boolean);
+    results.push(evaluateQuestion(question, response, chunks, latencyMs));
+  }
+
+  return { name: variant.name, options: variant.options, summary: summarizeResults(results), results };
+}
+
+/**
+ * Print a variant's summary metrics
+ * @param {Object} variant - Evaluated variant
+ */
+function printSummary(variant) {
+  const metrics = SUMMARY_METRICS
+    .map(metric => `${metric} ${typeof variant.summary[metric] === 'number' ? variant.summary[metric].toFixed(3) : '–'}`)
+    .join(' · ');
+  console.log(`📊 ${variant.name}: ${metrics} · ${variant.summary.averageLatencyMs}ms`);
+
+  variant.results
+    .filter(result => !result.refusalCorrect || result.retrieval?.firstRelevantRank === null)
+    .forEach(result => {
+      const problem = !result.refusalCorrect
+        ? (result.expectRefusal ? 'answered instead of refusing' : 'refused although the answer is in the knowledge base')
+        : 'expected source not retrieved';
+      console.log(`   ⚠️ ${result.id} ${problem}`);
+    });
+}
+
+/**
+ * Evaluate the RAG pipeline on the golden set and write JSON and HTML reports
+ * @param {Object} options - { variants (names), goldenPath, baselinePath, outDir, tolerance }
+ * @returns {Promise<Object>} - Evaluation report; rejects on errors and on regressions against the baseline
+ */
+async function evaluateRAG(options = {}) {
+  console.log('🚀 Starting RAG Evaluation...\n');
+
+  try {
+    const goldenPath = options.goldenPath || DEFAULT_GOLDEN_PATH;
+    const goldenSet = loadGoldenSet(goldenPath);
+    console.log(`📋 Golden set v${goldenSet.version}: ${goldenSet.questions.length} questions`);
+
+    if (!fs.existsSync(DATA_PATH)) {
+      throw new Error(`MOSDAC content file not found: ${DATA_PATH}`);
+    }
+    const mosdacData = JSON.parse(fs.readFileSync(DATA_PATH, 'utf-8'));
+    const sources = [{
+      text: mosdacData.content,
+      metadata: { filename: 'mosdac_content.json', type: 'Knowledge Base' }
+    }];
+
+    const provider = getProvider();
+    if (!provider.configured) {
+      throw new Error(`LLM provider "${provider.name}" is not configured. Set GEMINI_API_KEY or OPENAI_BASE_URL in your .env file, or use npm run eval to run offline.`);
+    }
+    console.log(`🔑 LLM Provider: ${provider.name} (${provider.chatModel})\n`);
+
+    const variants = options.variants
+      ? options.variants.map(name => {
+        const variant = DEFAULT_VARIANTS.find(candidate => candidate.name === name);
+        if (!variant) {
+          throw new Error(`Unknown variant "${name}". Expected one of: ${DEFAULT_VARIANTS.map(candidate => candidate.name).join(', ')}`);
+        }
+        return variant;
+      })
+      : DEFAULT_VARIANTS;
+
+    const report = {
+      createdAt: new Date().toISOString(),
+      provider: provider.name,
+      chatModel: provider.chatModel,
+      goldenSet: { path: path.relative(__dirname, goldenPath), version: goldenSet.version, questions: goldenSet.questions.length },
+      variants: [],
+      comparison: null
+    };
+
+    for (const variant of variants) {
+      console.log(`🧪 Evaluating ${variant.name}...`);
+      const evaluated = await evaluateVariant(variant, sources, goldenSet, provider);
+      report.variants.push(evaluated);
+      printSummary(evaluated);
+    }
+
+    if (options.baselinePath) {
+      const baseline = JSON.parse(fs.readFileSync(options.baselinePath, 'utf-8'));
+      const tolerance = options.tolerance ?? DEFAULT_REGRESSION_TOLERANCE;
+      report.comparison = { baseline: options.baselinePath, tolerance, ...compareReports(report, baseline, tolerance) };
+    }
+
+    const outDir = options.outDir || DEFAULT_REPORT_DIR;
+    fs.mkdirSync(outDir, { recursive: true });
+    const reportName = `eval_${report.createdAt.replace(/[:.]/g, '-')}`;
+    const jsonPath = path.join(outDir, `${reportName}.json`);
+    const htmlPath = path.join(outDir, `${reportName}.html`);
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf-8');
+    fs.writeFileSync(htmlPath, renderHTMLReport(report), 'utf-8');
+    console.log(`\n💾 Report saved to: ${jsonPath}`);
+    console.log(`🌐 HTML report: ${htmlPath}`);
+
+    if (report.comparison) {
+      if (!report.comparison.comparable) {
+        console.log(`\n⚠️ Baseline not compared: ${report.comparison.reason}`);
+      } else {
+        report.comparison.improvements.forEach(entry => {
+          console.log(`📈 ${entry.variant} ${entry.metric}: ${entry.baseline} → ${entry.current}`);
+        });
+        report.comparison.regressions.forEach(entry => {
+          console.log(`📉 ${entry.variant} ${entry.metric}: ${entry.baseline} → ${entry.current}`);
+        });
+        if (report.comparison.regressions.length > 0) {
+          throw new Error(`${report.comparison.regressions.length} metric(s) regressed against ${options.baselinePath}`);
+        }
+      }
+    }
+
+    console.log('\n🎉 RAG evaluation completed!');
+    return report;
+
+  } catch (error) {
+    console.error('\n❌ RAG Evaluation Error:', error.message);
+
+    if (error.message.includes('regressed')) {
+      console.log('\n💡 Open the HTML report to see which questions changed, or pass a newer --baseline if the change is intended');
+    } else if (error.message.includes('not configured')) {
+      console.log('\n💡 Solution: use "npm run eval" to run the evaluation offline with the mock provider');
+    }
+
+    throw error;
+  }
+}
+
+// Export the evaluation function
+export { DEFAULT_VARIANTS, evaluateRAG };
+
+// Run the evaluation if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      variants: { type: 'string' },
+      golden: { type: 'string' },
+      baseline: { type: 'string' },
+      out: { type: 'string' },
+      tolerance: { type: 'string' }
+    }
+  });
+
+  evaluateRAG({
+    variants: values.variants ? values.variants.split(',').map(name => name.trim()).filter(Boolean) : null,
+    goldenPath: values.golden ? path.resolve(values.golden) : null,
+    baselinePath: values.baseline ? path.resolve(values.baseline) : null,
+    outDir: values.out ? path.resolve(values.out) : null,
+    tolerance: values.tolerance !== undefined ? Number(values.tolerance) : undefined
+  }).catch(() => process.exit(1));
+}
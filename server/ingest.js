@@ -0,0 +1,89 @@
+// Ingest script that builds or incrementally updates the persisted vector index
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { prepareKnowledgeIndex } from './utils/rag.js';
+import { loadDocumentLibrary } from './utils/documentLoader.js';
+import { loadCrawledPages } from './utils/crawler.js';
+import { getProvider } from './utils/providers/index.js';
+import dotenv from 'dotenv';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Embed the MOSDAC knowledge base and document library into the on-disk vector index
+ * Unchanged chunks keep their stored embeddings, so re-running is cheap
+ */
+async function ingestKnowledgeBase() {
+  console.log('🚀 Starting knowledge base ingest...\n');
+
+  try {
+    const dataPath = path.join(__dirname, 'utils', 'data', 'mosdac_content.json');
+
+    if (!fs.existsSync(dataPath)) {
+      throw new Error(`MOSDAC content file not found: ${dataPath}`);
+    }
+
+    const provider = getProvider();
+    if (!provider.configured) {
+      throw new Error('GEMINI_API_KEY environment variable is required. Please set it in your .env file, or set LLM_PROVIDER=mock to run offline.');
+    }
+
+    const mosdacData = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+    console.log(`📄 Content length: ${mosdacData.content.length} characters\n`);
+
+    const documentsDir = process.env.DOCUMENTS_DIR
+      ? path.resolve(process.env.DOCUMENTS_DIR)
+      : path.join(__dirname, 'documents');
+
+    const startTime = Date.now();
+    const { sections, files } = await loadDocumentLibrary(documentsDir);
+    const crawledPages = loadCrawledPages(process.env.CRAWL_STORE_DIR
+      ? path.resolve(process.env.CRAWL_STORE_DIR)
+      : path.join(__dirname, 'crawl'));
+
+    const { index, stats } = await prepareKnowledgeIndex([
+      {
+        text: mosdacData.content,
+        metadata: { filename: 'mosdac_content.json', type: 'Knowledge Base' }
+      },
+      ...crawledPages,
+      ...sections
+    ]);
+
+    console.log('\n📋 INGEST SUMMARY:');
+    console.log('=' .repeat(50));
+    console.log(`Documents loaded: ${files.filter(file => file.status === 'loaded').length}/${files.length}`);
+    console.log(`Crawled pages: ${crawledPages.length}`);
+    console.log(`Total chunks: ${stats.total}`);
+    console.log(`Newly embedded: ${stats.added}`);
+    console.log(`Reused embeddings: ${stats.reused}`);
+    console.log(`Removed chunks: ${stats.removed}`);
+    console.log(`Embedding model: ${index.embeddingModel}`);
+    console.log(`Processing time: ${Date.now() - startTime}ms`);
+    console.log('=' .repeat(50));
+
+    files
+      .filter(file => file.status === 'error')
+      .forEach(file => console.log(`⚠️ Skipped ${file.filename}: ${file.error}`));
+
+    console.log('\n🎉 Ingest completed successfully!');
+
+  } catch (error) {
+    console.error('\n❌ Ingest Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export the ingest function
+export { ingestKnowledgeBase };
+
+// Run the ingest if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  ingestKnowledgeBase();
+}
@@ -0,0 +1,259 @@
+// Test script for the site crawler, run against a local fixture site
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import { crawlSite, loadCrawledPages } from './utils/crawler.js';
+import { listVersions, diffVersions, rollbackToVersion } from './utils/kbVersions.js';
+
+// Fixture site: each route is { status, type, body } or a redirect { status, location }
+const FIXTURE_ROUTES = {
+  '/robots.txt': { type: 'text/plain', body: 'User-agent: *\nDisallow: /private\n' },
+  '/': {
+    body: `<html><head><title>Fixture Portal</title></head><body>
+      <nav><a href="/about">About</a> <a href="/private/secret">Private</a> Navigation menu text</nav>
+      <main>
+        <h1>Welcome to the fixture portal</h1>
+        <p>Satellite products are listed below.</p>
+        <a href="/a">Old link A</a> <a href="/b">Old link B</a>
+        <a href="/files/report.pdf">Annual report</a>
+        <a href="/docs/..%2F..%2F..%2F..%2Fescaped.pdf">Crafted path</a>
+        <a href="/files/broken%E0%A4%A.pdf">Malformed escape</a>
+        <a href="http://localhost:1/elsewhere">Another site</a>
+      </main>
+      <footer>Copyright footer text</footer>
+    </body></html>`
+  },
+  '/about': {
+    body: '<html><head><title>About</title></head><body><main><p>About INSAT-3DR and its imager.</p><a href="/deep/1">More</a></main></body></html>'
+  },
+  '/deep/1': {
+    body: '<html><head><title>Deep 1</title></head><body><main><p>Depth two page.</p><a href="/deep/2">Deeper</a></main></body></html>'
+  },
+  '/deep/2': {
+    body: '<html><head><title>Deep 2</title></head><body><main><p>Depth three page.</p></main></body></html>'
+  },
+  '/a': { status: 301, location: '/c' },
+  '/b': { status: 301, location: '/c' },
+  '/c': {
+    body: '<html><head><title>Moved</title></head><body><main><p>Redirect target page.</p></main></body></html>'
+  },
+  '/private/secret': {
+    body: '<html><body><main><p>Should never be crawled.</p></main></body></html>'
+  },
+  '/files/report.pdf': { type: 'application/pdf', body: '%PDF-1.4 fixture report' },
+  '/docs/..%2F..%2F..%2F..%2Fescaped.pdf': { type: 'application/pdf', body: '%PDF-1.4 crafted path' },
+  '/files/broken%E0%A4%A.pdf': { type: 'application/pdf', body: '%PDF-1.4 malformed escape' }
+};
+
+/**
+ * Start the fixture site on a free local port
+ * Responses carry an ETag and answer a matching If-None-Match with 304, like the real site
+ * @param {Object} routes - Route table, read on every request so tests can change it between crawls
+ * @returns {Promise<Object>} - { server, baseUrl }
+ */
+function startFixtureServer(routes) {
+  const server = http.createServer((request, response) => {
+    const route = routes[new URL(request.url, 'http://fixture').pathname];
+
+    if (!route) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found');
+      return;
+    }
+    if (route.location) {
+      response.writeHead(route.status, { Location: route.location });
+      response.end();
+      return;
+    }
+
+    const etag = `"${crypto.createHash('sha1').update(route.body).digest('hex')}"`;
+    if (request.headers['if-none-match'] === etag) {
+      response.writeHead(304, { ETag: etag });
+      response.end();
+      return;
+    }
+
+    response.writeHead(route.status || 200, { 'Content-Type': route.type || 'text/html; charset=utf-8', ETag: etag });
+    response.end(route.body);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Crawl the fixture site into a fresh store, with the crawler's progress log silenced
+ * @param {string} baseUrl - Fixture site URL
+ * @param {string} workDir - Folder holding the crawl store and documents
+ * @param {Object} options - Extra crawl options
+ * @returns {Promise<Object>} - crawlSite result
+ */
+async function crawlFixture(baseUrl, workDir, options = {}) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await crawlSite({
+      startUrl: `${baseUrl}/`,
+      maxDepth: 2,
+      maxPages: 20,
+      delayMs: 0,
+      timeoutMs: 5000,
+      storeDir: path.join(workDir, 'crawl'),
+      documentsDir: path.join(workDir, 'documents'),
+      ...options
+    });
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Crawl the fixture site and check robots.txt, limits, boilerplate stripping, documents and redirects,
+ * then change the site, re-crawl, and check change detection, version diffs and rollback
+ */
+async function testCrawler() {
+  console.log('🚀 Starting Crawler Test Script...\n');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mosdac-crawler-test-'));
+  const routes = structuredClone(FIXTURE_ROUTES);
+  const { server, baseUrl } = await startFixtureServer(routes);
+  const failures = [];
+  const check = (condition, message) => {
+    console.log(`${condition ? '✅' : '❌'} ${message}`);
+    if (!condition) failures.push(message);
+  };
+
+  try {
+    const crawl = await crawlFixture(baseUrl, workDir);
+    const pageUrls = crawl.pages.map(page => page.url.replace(baseUrl, ''));
+    const skippedFor = (pathname) => crawl.skipped.find(entry => entry.url === `${baseUrl}${pathname}`);
+
+    console.log(`🌐 Crawled ${pageUrls.join(', ')}\n`);
+
+    check(pageUrls.includes('/') && pageUrls.includes('/about') && pageUrls.includes('/deep/1'), 'pages within maxDepth are crawled');
+    check(!pageUrls.includes('/deep/2'), 'pages beyond maxDepth are not crawled');
+    check(skippedFor('/private/secret')?.reason === 'robots.txt', 'robots.txt Disallow is respected');
+    check(!pageUrls.some(url => url.includes('elsewhere')), 'links to other hosts are not followed');
+
+    check(pageUrls.filter(url => url === '/c').length === 1, 'a page reached through two redirects is stored once');
+    check(!pageUrls.includes('/a') && !pageUrls.includes('/b'), 'redirected pages are stored under their final URL');
+    check(/duplicate of .*\/c$/.test(skippedFor('/b')?.reason || ''), 'the second redirect is skipped as a duplicate');
+    check(new Set(crawl.changes.pages.new).size === crawl.changes.pages.new.length, 'change lists have no duplicate URLs');
+
+    const home = crawl.pages.find(page => page.url === `${baseUrl}/`);
+    check(home?.content.includes('Welcome to the fixture portal'), 'main content is kept');
+    check(home && !home.content.includes('Copyright footer') && !home.content.includes('Navigation menu'), 'navigation and footer are stripped');
+    check(home?.links.includes(`${baseUrl}/about`), 'links inside stripped navigation still drive the crawl');
+
+    const report = crawl.documents.find(document => document.url === `${baseUrl}/files/report.pdf`);
+    check(report?.type === 'PDF', 'linked documents are discovered with their type');
+    check(!!report && fs.existsSync(path.join(workDir, 'documents', report.filename)), 'linked documents are downloaded');
+
+    // Encoded "../" segments must not let a download escape the documents folder
+    const documentsDir = path.join(workDir, 'documents');
+    const crafted = crawl.documents.find(document => document.url.includes('escaped.pdf'));
+    check(!!crafted && crafted.filename.endsWith('/docs/escaped.pdf') && fs.existsSync(path.join(documentsDir, crafted.filename)), 'a document with encoded ../ segments is saved inside the documents folder');
+    check(!fs.existsSync(path.resolve(documentsDir, '127.0.0.1/docs/../../../../escaped.pdf')), 'nothing is written outside the documents folder');
+    check(crawl.documents.some(document => document.url.endsWith('broken%E0%A4%A.pdf')), 'a document URL with a malformed escape is still downloaded');
+
+    const limited = await crawlFixture(baseUrl, fs.mkdtempSync(path.join(workDir, 'limited-')), { maxPages: 2 });
+    check(limited.pages.length === 2, 'maxPages caps the number of stored pages');
+
+    // Re-crawl after the site changed: one page edited, one added, one removed and the report replaced
+    console.log('\n🔁 Re-crawling the changed site...');
+    routes['/about'] = {
+      body: '<html><head><title>About</title></head><body><main><p>About INSAT-3DR and its sounder.</p><a href="/deep/1">More</a> <a href="/news">News</a></main></body></html>'
+    };
+    routes['/news'] = {
+      body: '<html><head><title>News</title></head><body><main><p>New cyclone products released.</p></main></body></html>'
+    };
+    delete routes['/deep/1'];
+    routes['/files/report.pdf'] = { type: 'application/pdf', body: '%PDF-1.4 fixture report, revised edition' };
+
+    const recrawl = await crawlFixture(baseUrl, workDir);
+    const changed = (group, status) => recrawl.changes[group][status].map(url => url.replace(baseUrl, '')).sort();
+
+    check(changed('pages', 'new').join() === '/news', 'an added page is reported as new');
+    check(changed('pages', 'changed').join() === '/about', 'an edited page is reported as changed');
+    check(changed('pages', 'unchanged').join() === '/,/c', 'pages answering 304 are reported as unchanged');
+    check(changed('pages', 'removed').join() === '/deep/1', 'a page answering 404 is reported as removed');
+    check(changed('documents', 'changed').join() === '/files/report.pdf', 'a replaced document is reported as changed');
+    check(!fs.existsSync(path.join(workDir, 'crawl', 'pages', `${crawl.pages.find(page => page.url.endsWith('/deep/1')).id}.json`)), 'a removed page is deleted from the store');
+
+    // A 304 must not be trusted once the local copy of a document is gone
+    const reportPath = path.join(workDir, 'documents', report.filename);
+    fs.rmSync(reportPath);
+    const restored = await crawlFixture(baseUrl, workDir);
+    check(restored.changes.documents.unchanged.includes(`${baseUrl}/files/report.pdf`), 'a deleted document answering 304 is downloaded again');
+    check(fs.existsSync(reportPath) && fs.readFileSync(reportPath, 'utf-8') === routes['/files/report.pdf'].body, 'the re-downloaded document has its full content');
+    check(!restored.hasChanges, 'an unchanged re-crawl reports no changes');
+
+    const storeDir = path.join(workDir, 'crawl');
+    const versions = listVersions(storeDir);
+    check(versions.length === 2, 'a version is saved for each crawl that changed something');
+
+    const diff = diffVersions(storeDir, 'previous', 'latest');
+    check(diff.pages.added.map(page => page.url).join() === `${baseUrl}/news`, 'the version diff lists the added page');
+    check(diff.pages.removed.map(page => page.url).join() === `${baseUrl}/deep/1`, 'the version diff lists the removed page');
+    check(!!diff.pages.changed[0]?.linesAdded.includes('About INSAT-3DR and its sounder.'), 'the version diff shows the changed lines');
+    check(diff.documents.changed.map(document => document.url).join() === `${baseUrl}/files/report.pdf`, 'the version diff lists the changed document');
+
+    const log = console.log;
+    console.log = () => {};
+    let rolledBack;
+    try {
+      rollbackToVersion(storeDir, versions[0].id, { documentsDir: path.join(workDir, 'documents') });
+      rolledBack = loadCrawledPages(storeDir);
+    } finally {
+      console.log = log;
+    }
+    // A version naming a file outside the documents folder is refused before anything is touched
+    const tampered = JSON.parse(fs.readFileSync(path.join(storeDir, 'versions', `${versions[1].id}.json`), 'utf-8'));
+    tampered.id = 'v9999';
+    tampered.documents[0].filename = '../../escaped.pdf';
+    fs.writeFileSync(path.join(storeDir, 'versions', 'v9999.json'), JSON.stringify(tampered), 'utf-8');
+    let refused = false;
+    const errorLog = console.error;
+    console.error = () => {};
+    try {
+      rollbackToVersion(storeDir, 'v9999', { documentsDir });
+    } catch {
+      refused = true;
+    } finally {
+      console.error = errorLog;
+    }
+    check(refused && fs.existsSync(reportPath), 'rollback refuses a version with a document path outside the documents folder');
+
+    const aboutText = rolledBack.find(section => section.metadata.url === `${baseUrl}/about`)?.text || '';
+    check(rolledBack.length === crawl.pages.length, 'rollback restores the pages of the chosen version');
+    check(aboutText.includes('its imager') && !aboutText.includes('its sounder'), 'rollback restores the earlier page content');
+    check(!rolledBack.some(section => section.metadata.url === `${baseUrl}/news`), 'rollback drops pages added after the version');
+    check(fs.readFileSync(reportPath, 'utf-8') === FIXTURE_ROUTES['/files/report.pdf'].body, 'rollback restores the earlier document');
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} crawler checks failed`);
+    }
+
+    console.log('\n🎉 Crawler test completed successfully!');
+
+  } catch (error) {
+    console.error('\n❌ Crawler Test Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Export the test function
+export { testCrawler };
+
+// Run the test if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testCrawler();
+}
@@ -0,0 +1,125 @@
+// Test script for the coordinate parser and geo extractor, driven by the geo fixtures file
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractGeoLocations } from './utils/geoExtractor.js';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_PATH = path.join(__dirname, 'utils', 'data', 'geo_fixtures.json');
+
+/**
+ * Compare one extracted location against its expected values
+ * @param {Object} actual - Extracted location
+ * @param {Object} expected - Expected { lat?, lon?, format?, label?, bbox? }
+ * @param {number} tolerance - Allowed difference in degrees
+ * @returns {Array<string>} - Mismatch descriptions (empty when the location matches)
+ */
+function compareLocation(actual, expected, tolerance) {
+  const problems = [];
+  const near = (a, b) => a !== null && b !== null && Math.abs(a - b) <= tolerance;
+
+  ['lat', 'lon'].forEach(key => {
+    if (expected[key] !== undefined && !near(actual[key], expected[key])) {
+      problems.push(`${key} ${actual[key]} != ${expected[key]}`);
+    }
+  });
+  ['format', 'label'].forEach(key => {
+    if (expected[key] !== undefined && actual[key] !== expected[key]) {
+      problems.push(`${key} ${actual[key]} != ${expected[key]}`);
+    }
+  });
+  if (expected.bbox) {
+    Object.entries(expected.bbox).forEach(([key, value]) => {
+      if (!actual.bbox || !near(actual.bbox[key], value)) {
+        problems.push(`bbox.${key} ${actual.bbox?.[key]} != ${value}`);
+      }
+    });
+  }
+
+  // Offsets must point back at the matched text
+  if (actual.originalText === undefined || actual.start === undefined) {
+    problems.push('missing originalText or offsets');
+  }
+
+  return problems;
+}
+
+/**
+ * Run every fixture case through extractGeoLocations
+ */
+async function testGeoExtractor() {
+  console.log('🚀 Starting Geo Extractor Test Script...\n');
+
+  try {
+    if (!fs.existsSync(FIXTURES_PATH)) {
+      throw new Error(`Geo fixtures file not found: ${FIXTURES_PATH}`);
+    }
+
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf-8'));
+    const failures = [];
+    const groups = new Map();
+
+    // The extractor logs a line per call; keep the output to the test results
+    const log = console.log;
+    console.log = () => {};
+
+    fixtures.cases.forEach(testCase => {
+      const tolerance = testCase.tolerance ?? fixtures.defaultTolerance;
+      const actual = extractGeoLocations(testCase.text);
+      const problems = [];
+
+      if (actual.length !== testCase.expected.length) {
+        problems.push(`expected ${testCase.expected.length} locations, got ${actual.length} ${JSON.stringify(actual.map(location => location.originalText))}`);
+      } else {
+        testCase.expected.forEach((expected, index) => {
+          problems.push(...compareLocation(actual[index], expected, tolerance));
+          const { originalText, start, end } = actual[index];
+          if (testCase.text.slice(start, end) !== originalText) {
+            problems.push(`offsets ${start}-${end} don't match "${originalText}"`);
+          }
+        });
+      }
+
+      const stats = groups.get(testCase.group) || { passed: 0, total: 0 };
+      stats.total++;
+      if (problems.length === 0) {
+        stats.passed++;
+      } else {
+        failures.push({ text: testCase.text, problems });
+      }
+      groups.set(testCase.group, stats);
+    });
+
+    console.log = log;
+
+    groups.forEach((stats, group) => {
+      console.log(`${stats.passed === stats.total ? '✅' : '❌'} ${group}: ${stats.passed}/${stats.total}`);
+    });
+
+    if (failures.length > 0) {
+      console.log('');
+      failures.forEach(failure => {
+        console.log(`❌ "${failure.text}"`);
+        failure.problems.forEach(problem => console.log(`   - ${problem}`));
+      });
+      throw new Error(`${failures.length} of ${fixtures.cases.length} geo fixtures failed`);
+    }
+
+    console.log(`\n🎉 All ${fixtures.cases.length} geo fixtures passed!`);
+
+  } catch (error) {
+    console.error('\n❌ Geo Extractor Test Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export the test function
+export { testGeoExtractor };
+
+// Run the test if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testGeoExtractor();
+}
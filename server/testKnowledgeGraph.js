@@ -0,0 +1,200 @@
+// Test script for the knowledge graph: relation cues in the builder, and round trips through every export format
+import { buildGraphFromSections } from './utils/graphBuilder.js';
+import { exportGraph, importGraph } from './utils/graphExporters.js';
+
+// Confidence graphBuilder gives an edge supported by a cue word
+const CUE_CONFIDENCE = 0.9;
+
+// Sentences and the relations they should (cued) or should not (notCued) state with a cue word
+// notCued relations may still appear from co-occurrence, but only at the lower confidence
+const RELATION_CASES = [
+  { text: 'The Imager measures SST.', cued: ['sensor:imager measures parameter:sst'] },
+  { text: 'OLR maps humidity over the tropics.', cued: ['product:olr describes parameter:humidity'] },
+  { text: 'ISRO launched INSAT-3D in 2013.', cued: ['organisation:isro operates satellite:insat-3d'] },
+  { text: 'The Imager sensor team met the SST working group in Delhi.', notCued: ['sensor:imager measures parameter:sst'] },
+  { text: 'OLR offers software for humidity studies.', notCued: ['product:olr describes parameter:humidity'] },
+  { text: 'ISRO staff toured the downtown office next to the INSAT-3D display.', notCued: ['organisation:isro operates satellite:insat-3d'] }
+];
+
+// Text that trips up naive serialisers: separators, quotes, markup and line breaks (including U+2028)
+const AWKWARD_TEXT = 'Imager, resolution: 4 km; "split-window" channels <10.8 & 12 µm>\nsecond line\u2028sep\ttabbed, key: value';
+
+// Hand-built graph whose every free-text field carries awkward text
+const AWKWARD_GRAPH = {
+  nodes: [
+    {
+      id: 'satellite:insat-3d',
+      label: 'INSAT-3D, "the imager satellite"',
+      type: 'satellite',
+      aliases: ['INSAT 3D', 'insat, 3d: alias'],
+      description: AWKWARD_TEXT,
+      discovered: false,
+      mentions: 3,
+      sources: ['reports/insat, 2024: "final".pdf', 'line\nbreak.txt']
+    },
+    {
+      id: 'sensor:imager',
+      label: 'Imager',
+      type: 'sensor',
+      aliases: [],
+      description: '',
+      discovered: true,
+      mentions: 1,
+      sources: []
+    }
+  ],
+  edges: [
+    {
+      id: 'edge_0',
+      source: 'satellite:insat-3d',
+      target: 'sensor:imager',
+      type: 'carries',
+      label: 'carries',
+      weight: 2,
+      confidence: 0.9,
+      evidence: [
+        { text: AWKWARD_TEXT, source: 'reports/insat, 2024: "final".pdf' },
+        { text: 'INSAT-3D carries the Imager, resolution: 4 km.', source: null }
+      ]
+    }
+  ]
+};
+
+// Formats that can be imported back, with how to feed an export to importGraph
+const ROUND_TRIP_FORMATS = [
+  { format: 'json' },
+  { format: 'graphml' },
+  { format: 'gexf' },
+  { format: 'cypher' },
+  {
+    format: 'neo4j-csv',
+    exportContent: graph => ({
+      nodes: exportGraph(graph, 'neo4j-nodes').content,
+      relationships: exportGraph(graph, 'neo4j-relationships').content
+    })
+  },
+  { format: 'turtle' },
+  { format: 'jsonld' }
+];
+
+/**
+ * The fields every format has to preserve, in a stable order for comparison
+ * @param {Object} graph - Knowledge graph
+ * @returns {Object} - { nodes, edges } sorted by id
+ */
+function comparableGraph(graph) {
+  const nodes = graph.nodes
+    .map(node => ({
+      id: node.id,
+      label: node.label,
+      type: node.type,
+      aliases: node.aliases,
+      description: node.description || '',
+      discovered: !!node.discovered,
+      mentions: node.mentions,
+      sources: node.sources
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  const edges = graph.edges
+    .map(edge => ({
+      source: edge.source,
+      target: edge.target,
+      type: edge.type,
+      confidence: edge.confidence,
+      evidence: edge.evidence.map(item => ({ text: item.text, source: item.source || null }))
+    }))
+    .sort((a, b) => `${a.source}|${a.type}|${a.target}`.localeCompare(`${b.source}|${b.type}|${b.target}`));
+
+  return { nodes, edges };
+}
+
+/**
+ * Build a graph from one sentence with the builder's progress log silenced
+ * @param {Array<Object>} sections - Sections to build from
+ * @returns {Object} - Knowledge graph
+ */
+function buildQuietly(sections) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return buildGraphFromSections(sections);
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Check the relation cues on known sentences, then export and re-import graphs in every format
+ * and compare the result with the original
+ */
+async function testKnowledgeGraph() {
+  console.log('🚀 Starting Knowledge Graph Test Script...\n');
+
+  const failures = [];
+  const check = (condition, message) => {
+    console.log(`${condition ? '✅' : '❌'} ${message}`);
+    if (!condition) failures.push(message);
+  };
+
+  try {
+    console.log('🔗 Relation cues');
+    RELATION_CASES.forEach(({ text, cued = [], notCued = [] }) => {
+      const cuedRelations = buildQuietly([{ text }]).edges
+        .filter(edge => edge.confidence >= CUE_CONFIDENCE)
+        .map(edge => `${edge.source} ${edge.type} ${edge.target}`);
+
+      cued.forEach(relation => check(cuedRelations.includes(relation), `"${text}" states ${relation}`));
+      notCued.forEach(relation => check(!cuedRelations.includes(relation), `"${text}" does not state ${relation}`));
+    });
+
+    const builtGraph = buildQuietly([
+      { text: 'INSAT-3D carries the Imager, resolution: 4 km. The "Sounder" on INSAT-3D measures humidity: 18 channels.', metadata: { filename: 'insat, 3d: "notes".txt' } }
+    ]);
+    console.log('');
+    check(builtGraph.edges.length > 0, 'the built graph has relations to round-trip');
+
+    const graphs = [
+      { name: 'hand-built graph with awkward text', graph: AWKWARD_GRAPH },
+      { name: 'graph built from text', graph: builtGraph }
+    ];
+
+    for (const { name, graph } of graphs) {
+      console.log(`\n🕸️ ${name}`);
+      const expected = JSON.stringify(comparableGraph(graph));
+
+      for (const { format, exportContent } of ROUND_TRIP_FORMATS) {
+        let actual;
+        try {
+          const content = exportContent ? exportContent(graph) : exportGraph(graph, format).content;
+          actual = JSON.stringify(comparableGraph(importGraph(content, format)));
+        } catch (error) {
+          actual = error.message;
+        }
+
+        check(actual === expected, `${format} round-trips the graph`);
+        if (actual !== expected) {
+          console.log(`   expected ${expected}\n   got      ${actual}`);
+        }
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} knowledge graph checks failed`);
+    }
+
+    console.log('\n🎉 Knowledge graph test completed successfully!');
+
+  } catch (error) {
+    console.error('\n❌ Knowledge Graph Test Error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Export the test function
+export { testKnowledgeGraph };
+
+// Run the test if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testKnowledgeGraph();
+}
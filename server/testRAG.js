@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { runRAG } from './utils/rag.js';
+import { getProvider } from './utils/providers/index.js';
 import dotenv from 'dotenv';
 
 // Fix __dirname for ES modules
@@ -40,12 +41,13 @@ async function testRAGSystem() {
     const testQuery = "What is INSAT-3D?";
     console.log(`❓ Test Query: "${testQuery}"\n`);
 
-    // Step 3: Check API key
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY environment variable is required. Please set it in your .env file.');
+    // Step 3: Check the LLM provider (LLM_PROVIDER=mock runs offline without a key)
+    const provider = getProvider();
+    if (!provider.configured) {
+      throw new Error('GEMINI_API_KEY environment variable is required. Please set it in your .env file, or set LLM_PROVIDER=mock to run offline.');
     }
 
-    console.log('🔑 Gemini API Key: Configured ✅\n');
+    console.log(`🔑 LLM Provider: ${provider.name} (${provider.chatModel}) configured ✅\n`);
 
     // Step 4: Run RAG system
     console.log('🤖 Running RAG system...');
@@ -102,6 +104,7 @@ async function testRAGSystem() {
         temperature: 0.7,
         maxTokens: 1000
       },
+      provider: provider.name,
       analysis: {
         containsINSAT3D: response.includes('INSAT-3D'),
         containsSatellite: response.includes('satellite'),
@@ -119,6 +122,11 @@ async function testRAGSystem() {
     fs.writeFileSync(resultsPath, JSON.stringify(resultsData, null, 2), 'utf-8');
     console.log(`\n💾 Results saved to: ${resultsPath}`);
 
+    // Fail the run (and CI) if retrieval missed the document the query is about
+    if (!resultsData.analysis.containsINSAT3D) {
+      throw new Error('RAG response does not mention INSAT-3D, retrieval may be broken');
+    }
+
     console.log('\n🎉 RAG test completed successfully!');
 
   } catch (error) {
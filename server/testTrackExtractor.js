@@ -0,0 +1,136 @@
+// Test script for the storm track extractor, driven by the track fixtures file
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractTracksFromText, extractTracksFromRows } from './utils/trackExtractor.js';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_PATH = path.join(__dirname, 'utils', 'data', 'track_fixtures.json');
+
+/**
+ * Compare one extracted track point against its expected values
+ * @param {Object} actual - Extracted point
+ * @param {Object} expected - Expected { lat, lon, time, intensity? }
+ * @param {number} tolerance - Allowed difference in degrees
+ * @returns {Array<string>} - Mismatch descriptions (empty when the point matches)
+ */
+function comparePoint(actual, expected, tolerance) {
+  const problems = [];
+
+  ['lat', 'lon'].forEach(key => {
+    if (Math.abs(actual[key] - expected[key]) > tolerance) {
+      problems.push(`${key} ${actual[key]} != ${expected[key]}`);
+    }
+  });
+  if (actual.time !== expected.time) {
+    problems.push(`time ${actual.time} != ${expected.time}`);
+  }
+  if (expected.intensity !== undefined) {
+    const actualIntensity = JSON.stringify(actual.intensity || null);
+    const expectedIntensity = JSON.stringify(expected.intensity);
+    if (actualIntensity !== expectedIntensity) {
+      problems.push(`intensity ${actualIntensity} != ${expectedIntensity}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Compare the extracted tracks of one case against the expected ones
+ * @param {Array<Object>} actual - Extracted tracks
+ * @param {Array<Object>} expected - Expected { name, label?, points }
+ * @param {number} tolerance - Allowed difference in degrees
+ * @returns {Array<string>} - Mismatch descriptions
+ */
+function compareTracks(actual, expected, tolerance) {
+  if (actual.length !== expected.length) {
+    return [`expected ${expected.length} tracks, got ${actual.length} ${JSON.stringify(actual.map(track => track.label))}`];
+  }
+
+  return expected.flatMap((track, index) => {
+    const problems = [];
+    const prefix = `track ${index + 1}`;
+
+    if (actual[index].name !== track.name) {
+      problems.push(`${prefix} name ${actual[index].name} != ${track.name}`);
+    }
+    if (track.label !== undefined && actual[index].label !== track.label) {
+      problems.push(`${prefix} label ${actual[index].label} != ${track.label}`);
+    }
+    if (actual[index].points.length !== track.points.length) {
+      problems.push(`${prefix} has ${actual[index].points.length} points, expected ${track.points.length}`);
+      return problems;
+    }
+
+    track.points.forEach((point, pointIndex) => {
+      comparePoint(actual[index].points[pointIndex], point, tolerance)
+        .forEach(problem => problems.push(`${prefix} point ${pointIndex + 1} ${problem}`));
+    });
+    return problems;
+  });
+}
+
+/**
+ * Run every fixture case through extractTracksFromText or extractTracksFromRows
+ */
+async function testTrackExtractor() {
+  console.log('🚀 Starting Track Extractor Test Script...\n');
+
+  try {
+    if (!fs.existsSync(FIXTURES_PATH)) {
+      throw new Error(`Track fixtures file not found: ${FIXTURES_PATH}`);
+    }
+
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf-8'));
+    const failures = [];
+    const groups = new Map();
+
+    fixtures.cases.forEach(testCase => {
+      const tolerance = testCase.tolerance ?? fixtures.defaultTolerance;
+      const actual = testCase.rows
+        ? extractTracksFromRows(testCase.rows, testCase.options)
+        : extractTracksFromText(testCase.text, testCase.options);
+      const problems = compareTracks(actual, testCase.expected, tolerance);
+
+      const stats = groups.get(testCase.group) || { passed: 0, total: 0 };
+      stats.total++;
+      if (problems.length === 0) {
+        stats.passed++;
+      } else {
+        failures.push({ name: testCase.name, problems });
+      }
+      groups.set(testCase.group, stats);
+    });
+
+    groups.forEach((stats, group) => {
+      console.log(`${stats.passed === stats.total ? '✅' : '❌'} ${group}: ${stats.passed}/${stats.total}`);
+    });
+
+    if (failures.length > 0) {
+      console.log('');
+      failures.forEach(failure => {
+        console.log(`❌ ${failure.name}`);
+        failure.problems.forEach(problem => console.log(`   - ${problem}`));
+      });
+      throw new Error(`${failures.length} of ${fixtures.cases.length} track fixtures failed`);
+    }
+
+    console.log(`\n🎉 All ${fixtures.cases.length} track fixtures passed!`);
+
+  } catch (error) {
+    console.error('\n❌ Track Extractor Test Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Export the test function
+export { testTrackExtractor };
+
+// Run the test if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testTrackExtractor();
+}
@@ -0,0 +1,223 @@
+// Answer Verifier utility for checking generated answers against the context they cite
+// Every sentence making a claim must be backed by the numbered passages it cites ([1], [2, 3]);
+// unsupported claims are flagged or stripped, and a "not in knowledge base" reply is recognised
+import { tokenize } from './keywordIndex.js';
+
+// Exact reply the prompt asks for when the context doesn't contain the answer
+const NOT_IN_KNOWLEDGE_BASE_MARKER = 'NOT_IN_KNOWLEDGE_BASE';
+
+// Answer shown instead of the marker
+const NOT_IN_KNOWLEDGE_BASE_ANSWER = 'I could not find this in the MOSDAC knowledge base. Try rephrasing the question or widening the filters, or contact MOSDAC directly for help.';
+
+// ANSWER_VERIFICATION values: report unsupported claims, remove them, or skip the check
+const VERIFICATION_MODES = ['flag', 'strip', 'off'];
+const DEFAULT_VERIFICATION_MODE = 'flag';
+
+// Share of a sentence's terms that must appear in its cited passages
+const DEFAULT_SUPPORT_THRESHOLD = 0.5;
+
+// Sentences with fewer terms than this ("Here is what I found:") make no claim to check
+const MIN_CLAIM_TERMS = 3;
+
+// Inline citation such as [2] or [1, 3]
+const CITATION_PATTERN = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Validate a verification mode, falling back to flag
+ * @param {string} mode - Requested mode (e.g. from ANSWER_VERIFICATION)
+ * @returns {string} - One of VERIFICATION_MODES
+ */
+function resolveVerificationMode(mode) {
+  if (!mode) return DEFAULT_VERIFICATION_MODE;
+
+  const normalized = String(mode).trim().toLowerCase();
+  if (VERIFICATION_MODES.includes(normalized)) return normalized;
+
+  console.warn(`⚠️ Unknown answer verification mode "${mode}", using ${DEFAULT_VERIFICATION_MODE}. Expected one of: ${VERIFICATION_MODES.join(', ')}`);
+  return DEFAULT_VERIFICATION_MODE;
+}
+
+/**
+ * Whether the model answered that the context doesn't cover the question
+ * @param {string} answer - Generated answer
+ * @returns {boolean} - True when the answer carries the marker
+ */
+function isNotInKnowledgeBase(answer) {
+  return String(answer || '').includes(NOT_IN_KNOWLEDGE_BASE_MARKER);
+}
+
+/**
+ * Passage numbers cited in a piece of text
+ * @param {string} text - Sentence or answer
+ * @returns {Array<number>} - Distinct citation numbers in order of appearance
+ */
+function parseCitations(text) {
+  const numbers = [];
+  for (const match of String(text || '').matchAll(CITATION_PATTERN)) {
+    match[1].split(',').map(Number).forEach(number => {
+      if (!numbers.includes(number)) numbers.push(number);
+    });
+  }
+  return numbers;
+}
+
+/**
+ * Remove inline citations, e.g. before storing an answer in the conversation history
+ * @param {string} text - Answer text
+ * @returns {string} - Text without [n] markers
+ */
+function stripCitations(text) {
+  return String(text || '').replace(CITATION_PATTERN, '');
+}
+
+/**
+ * Split a line of the answer into sentences, keeping each sentence's trailing citations with it
+ * @param {string} line - One line of the answer
+ * @returns {Array<string>} - Sentences
+ */
+function splitSentences(line) {
+  return line
+    .split(/(?<=[.!?](?:\s*\[\d+(?:\s*,\s*\d+)*\])*)\s+(?=[A-Z0-9("'[*•-])/)
+    .filter(sentence => sentence.trim());
+}
+
+/**
+ * Check one sentence against the retrieved passages
+ * Its terms, and in particular any numbers, must appear in the passages it cites;
+ * a sentence without valid citations may be backed by any passage, which is then cited for it instead
+ * @param {string} sentence - Answer sentence
+ * @param {Array<Set<string>>} passageTerms - Terms of each retrieved passage, in citation order
+ * @param {number} threshold - Required share of the sentence's terms
+ * @returns {Object} - { status: 'supported' | 'unsupported' | 'neutral', citations, support, recited } where recited marks replaced citations
+ */
+function checkSentence(sentence, passageTerms, threshold) {
+  const cited = parseCitations(sentence).filter(number => number >= 1 && number <= passageTerms.length);
+  const terms = [...new Set(tokenize(stripCitations(sentence)))];
+
+  if (terms.length < MIN_CLAIM_TERMS) {
+    return { status: 'neutral', citations: cited, support: null };
+  }
+
+  const supportFrom = numbers => {
+    const available = new Set(numbers.flatMap(number => [...passageTerms[number - 1]]));
+    const numbersMissing = terms.some(term => /\d/.test(term) && !available.has(term));
+    const share = terms.filter(term => available.has(term)).length / terms.length;
+    return numbersMissing ? Math.min(share, threshold / 2) : share;
+  };
+
+  if (cited.length > 0) {
+    const support = supportFrom(cited);
+    if (support >= threshold) {
+      return { status: 'supported', citations: cited, support };
+    }
+  }
+
+  // Uncited (or wrongly cited) sentences are matched against the best single passage
+  const best = passageTerms
+    .map((_, index) => ({ number: index + 1, support: supportFrom([index + 1]) }))
+    .sort((a, b) => b.support - a.support)[0];
+
+  if (best && best.support >= threshold) {
+    return { status: 'supported', citations: [best.number], support: best.support, recited: true };
+  }
+
+  return { status: 'unsupported', citations: cited, support: cited.length > 0 ? supportFrom(cited) : (best?.support || 0) };
+}
+
+/**
+ * Add a citation to a sentence, before its closing punctuation
+ * @param {string} sentence - Answer sentence
+ * @param {Array<number>} citations - Passage numbers
+ * @returns {string} - Sentence ending with e.g. " [2]."
+ */
+function addCitation(sentence, citations) {
+  return sentence.replace(/([.!?:]*)(\s*)$/, ` [${citations.join(', ')}]$1$2`);
+}
+
+/**
+ * Verify a generated answer against the retrieved passages it was given
+ * @param {string} answer - Generated answer with [n] citations
+ * @param {Array<Object>} results - Retrieved { chunk } entries in the order they were numbered in the prompt
+ * @param {Object} options - { mode, threshold }
+ * @returns {Object} - { answer, verification } where answer is the text to show and verification is
+ *   { mode, notInKnowledgeBase, grounded, checkedSentences, unsupportedClaims: [{ text, citations, support }], removedClaims }
+ */
+function verifyAnswer(answer, results, options = {}) {
+  const mode = resolveVerificationMode(options.mode);
+  const threshold = options.threshold || DEFAULT_SUPPORT_THRESHOLD;
+  const verification = {
+    mode,
+    notInKnowledgeBase: false,
+    grounded: true,
+    checkedSentences: 0,
+    unsupportedClaims: [],
+    removedClaims: 0
+  };
+
+  if (isNotInKnowledgeBase(answer)) {
+    return { answer: NOT_IN_KNOWLEDGE_BASE_ANSWER, verification: { ...verification, notInKnowledgeBase: true } };
+  }
+
+  // Unchecked answers are neither grounded nor ungrounded
+  if (mode === 'off') {
+    return { answer, verification: { ...verification, grounded: null } };
+  }
+
+  const passageTerms = results.map(result => new Set(tokenize(result.chunk.content)));
+  let supportedClaims = 0;
+
+  const lines = answer.split('\n').map(line => {
+    if (!line.trim()) return line;
+
+    // A bullet or number marker stays in front of the first sentence on its line
+    const marker = line.match(/^\s*(?:[-*•]|\d+[.)])\s+/)?.[0] || '';
+    const kept = splitSentences(line.slice(marker.length)).map(sentence => {
+      const check = checkSentence(sentence, passageTerms, threshold);
+      if (check.status === 'neutral') return sentence;
+
+      verification.checkedSentences++;
+      if (check.status === 'supported') {
+        supportedClaims++;
+        return check.recited ? addCitation(stripCitations(sentence), check.citations) : sentence;
+      }
+
+      verification.unsupportedClaims.push({
+        text: stripCitations(sentence).trim(),
+        citations: check.citations,
+        support: Math.round(check.support * 100) / 100
+      });
+      return mode === 'strip' ? null : sentence;
+    }).filter(sentence => sentence !== null);
+
+    return kept.length > 0 ? marker + kept.join(' ') : null;
+  }).filter(line => line !== null);
+
+  verification.grounded = verification.unsupportedClaims.length === 0;
+
+  if (mode === 'strip') {
+    verification.removedClaims = verification.unsupportedClaims.length;
+
+    // Nothing left that the context backs up
+    if (verification.checkedSentences > 0 && supportedClaims === 0) {
+      return { answer: NOT_IN_KNOWLEDGE_BASE_ANSWER, verification: { ...verification, notInKnowledgeBase: true } };
+    }
+  }
+
+  if (verification.unsupportedClaims.length > 0) {
+    console.log(`🧾 ${verification.unsupportedClaims.length} of ${verification.checkedSentences} claims not supported by the cited context${mode === 'strip' ? ' (removed)' : ''}`);
+  }
+
+  return { answer: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(), verification };
+}
+
+// Export the functions as ES modules
+export {
+  NOT_IN_KNOWLEDGE_BASE_MARKER,
+  NOT_IN_KNOWLEDGE_BASE_ANSWER,
+  VERIFICATION_MODES,
+  resolveVerificationMode,
+  isNotInKnowledgeBase,
+  parseCitations,
+  stripCitations,
+  verifyAnswer
+};
@@ -0,0 +1,486 @@
+// Coordinate Parser utility for finding geographic coordinates in free text
+// Recognises decimal, DMS/DM (with ASCII or unicode marks), labelled, UTM, MGRS and range notations,
+// and scores each match against its context so version numbers, measurements and table values are rejected
+
+// Matches scoring below this are dropped by default
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Starting confidence for each notation, before context adjustments
+const BASE_CONFIDENCE = {
+  labeled: 0.95,
+  dms: 0.95,
+  dm: 0.9,
+  mgrs: 0.9,
+  decimal_hemisphere: 0.9,
+  utm: 0.85,
+  range: 0.85,
+  decimal_degrees: 0.7,
+  simple_decimal: 0.5
+};
+
+// Formats with no hemisphere or label, which need supporting context to be trusted
+const WEAK_FORMATS = new Set(['decimal_degrees', 'simple_decimal']);
+
+// Regular expression building blocks
+const DEG = '[°º˚]';
+const MIN = "['′’]";
+const SEC = `(?:["″”]|''|′′)`;
+const NUM = '\\d{1,3}(?:\\.\\d+)?';
+const SUB = '\\d{1,2}(?:\\.\\d+)?';
+
+// 23°, 23.5°, 23° 02′, 23°02'15"
+const ANGLE_SYMBOLIC = `${NUM}\\s*${DEG}(?:\\s*${SUB}\\s*${MIN}(?:\\s*${SUB}\\s*${SEC})?)?`;
+// 23 02 15 — only accepted when followed by a hemisphere letter
+const ANGLE_SPACED = `\\d{1,3}\\s+\\d{1,2}(?:\\s+${SUB})?(?=\\s*[NSEW](?![A-Za-z]))`;
+const ANGLE_ANY = `(?:${ANGLE_SYMBOLIC}|${ANGLE_SPACED}|${NUM})`;
+
+/**
+ * Angle with a hemisphere letter before or after it
+ * @param {string} letters - Allowed hemisphere letters, 'NS' or 'EW'
+ * @returns {string} - Regular expression source
+ */
+function hemisphereAngle(letters) {
+  return `(?:(?<![A-Za-z])[${letters}]\\s*${ANGLE_ANY}|${ANGLE_ANY}\\s*[${letters}](?![A-Za-z]))`;
+}
+
+/**
+ * Angle after a lat/lon label, where the hemisphere and sign are optional
+ * @param {string} letters - Allowed hemisphere letters
+ * @returns {string} - Regular expression source
+ */
+function labeledAngle(letters) {
+  return `(?:(?<![A-Za-z])[${letters}]\\s*)?-?${ANGLE_ANY}(?:\\s*[${letters}](?![A-Za-z]))?`;
+}
+
+const PAIR_SEPARATOR = '\\s*(?:,|;|\\/|\\band\\b)?\\s*';
+const LAT_LABEL = '(?:[Ll]at(?:itude)?|LAT(?:ITUDE)?)\\.?';
+const LON_LABEL = '(?:[Ll]ong?(?:itude)?|LONG?(?:ITUDE)?)\\.?';
+const LABEL_FILLER = '[^\\d\\n]{0,15}?';
+const NUMBER_START = '(?<![\\w.]|\\w-)';
+
+/**
+ * Build a latitude or longitude range expression such as "10°–25°N" or "between 60 and 80 E"
+ * @param {string} letters - Hemisphere letters of the range
+ * @returns {string} - Regular expression source capturing (from, fromHemisphere, to, toHemisphere)
+ */
+function rangeSource(letters) {
+  return `(?:between\\s+)?(${NUM})\\s*${DEG}?\\s*(?:([${letters}])(?![A-Za-z]))?\\s*(?:[-–—]|to|and)\\s*(${NUM})\\s*${DEG}?\\s*([${letters}])(?![A-Za-z])`;
+}
+
+// Coordinate notations, most specific first
+const COORDINATE_PATTERNS = [
+  {
+    format: 'labeled',
+    regex: new RegExp(`${LAT_LABEL}\\s*[:=]?\\s*(${labeledAngle('NS')})${LABEL_FILLER}${LON_LABEL}\\s*[:=]?\\s*(${labeledAngle('EW')})`, 'g'),
+    order: 'latlon'
+  },
+  {
+    format: 'labeled',
+    regex: new RegExp(`${LON_LABEL}\\s*[:=]?\\s*(${labeledAngle('EW')})${LABEL_FILLER}${LAT_LABEL}\\s*[:=]?\\s*(${labeledAngle('NS')})`, 'g'),
+    order: 'lonlat'
+  },
+  {
+    format: 'hemisphere',
+    regex: new RegExp(`${NUMBER_START}(${hemisphereAngle('NS')})${PAIR_SEPARATOR}(${hemisphereAngle('EW')})`, 'g'),
+    order: 'latlon'
+  },
+  {
+    format: 'hemisphere',
+    regex: new RegExp(`${NUMBER_START}(${hemisphereAngle('EW')})${PAIR_SEPARATOR}(${hemisphereAngle('NS')})`, 'g'),
+    order: 'lonlat'
+  },
+  {
+    format: 'decimal_degrees',
+    regex: new RegExp(`${NUMBER_START}(-?${ANGLE_SYMBOLIC})\\s*[,;\\/]?\\s*(-?${ANGLE_SYMBOLIC})`, 'g'),
+    order: 'latlon'
+  },
+  {
+    format: 'simple_decimal',
+    regex: new RegExp(`${NUMBER_START}(-?\\d{1,3}\\.\\d+)(\\s*,\\s*|\\s+)(-?\\d{1,3}\\.\\d+)(?!\\.?\\d|[\\w°º˚'′’])`, 'g'),
+    order: 'latlon'
+  }
+];
+
+const UTM_PATTERN = /(?<![\w.])(?:UTM\s*)?(?:[Zz]one\s*)?(\d{1,2})\s?([C-HJ-NP-X])\s*,?\s+(?:E\s*)?(\d{6}(?:\.\d+)?)\s*(?:m\s*E|mE|E|m)?\s*,?\s+(?:N\s*)?(\d{6,7}(?:\.\d+)?)\s*(?:m\s*N|mN|N|m)?(?![\w.])/g;
+const MGRS_PATTERN = /(?<![\w.])(\d{1,2})([C-HJ-NP-X])\s?([A-HJ-NP-Z])([A-HJ-NP-V])\s?(\d{1,5})\s?(\d{1,5})?(?![\w.])/g;
+const RANGE_PATTERN = new RegExp(`${NUMBER_START}${rangeSource('NS')}(?:${PAIR_SEPARATOR}${rangeSource('EW')})?`, 'g');
+const LON_RANGE_PATTERN = new RegExp(`${NUMBER_START}${rangeSource('EW')}`, 'g');
+
+// Context that makes a numeric pair more or less likely to be a coordinate
+const CUE_WORDS = /\b(?:lat(?:itude)?|lon(?:g(?:itude)?)?|coord(?:inate)?s?|located|location|position|cent(?:red|ered|re|er)|landfall|crossed|epicent(?:re|er)|station|site|point|grid)\b/i;
+const UNIT_AFTER = /^\s*(?:km|m|cm|mm|nm|µm|um|micron|%|hpa|mb|mbar|k\b|°\s*[cfk]|deg\s*[cf]|mhz|ghz|hz|kg|kw|w\b|v\b|s\b|sec|min|hrs?\b|hours?|days?|years?|kt|knots|m\/s|dbz|db\b|x\b|bits?)/i;
+const VERSION_BEFORE = /\b(?:v|ver|version|release|rev(?:ision)?|build)\.?\s*$/i;
+const CODE_BEFORE = /[A-Za-z]+-?\d+[A-Za-z]*\s*[,:]?\s*$/;
+
+/**
+ * Convert an angle such as "23°02′15″N", "N 23.5" or "-72.57" to signed decimal degrees
+ * @param {string} text - Angle text
+ * @returns {Object|null} - { value, hemisphere, parts } or null when minutes/seconds are out of range
+ */
+function parseAngle(text) {
+  const numbers = (text.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  const hemisphere = (text.match(/(?<![A-Za-z])[NSEW](?![A-Za-z])/) || [])[0] || null;
+  if (numbers.length === 0 || numbers.length > 3) return null;
+
+  const [degrees, minutes = 0, seconds = 0] = numbers;
+  if (minutes >= 60 || seconds >= 60) return null;
+
+  let value = degrees + minutes / 60 + seconds / 3600;
+  if (/^\s*-/.test(text) || hemisphere === 'S' || hemisphere === 'W') value = -value;
+
+  return { value, hemisphere, parts: numbers.length };
+}
+
+/**
+ * Check that a latitude/longitude pair is on the globe
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} - True if both are finite and in range
+ */
+function inRange(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+}
+
+// WGS84 ellipsoid and UTM scale factor
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const UTM_K0 = 0.9996;
+
+/**
+ * Distance along the central meridian from the equator to a latitude
+ * @param {number} phi - Latitude in radians
+ * @returns {number} - Meridional arc in metres
+ */
+function meridionalArc(phi) {
+  const e2 = WGS84_E2;
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  return WGS84_A * (
+    (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+}
+
+/**
+ * Convert UTM coordinates to latitude/longitude (WGS84)
+ * @param {number} zone - UTM zone 1-60
+ * @param {boolean} northern - True for the northern hemisphere
+ * @param {number} easting - Easting in metres
+ * @param {number} northing - Northing in metres
+ * @returns {Object} - { lat, lon } in decimal degrees
+ */
+function utmToLatLon(zone, northern, easting, northing) {
+  const e2 = WGS84_E2;
+  const ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  const x = easting - 500000;
+  const y = northern ? northing : northing - 10000000;
+
+  const mu = (y / UTM_K0) / (WGS84_A * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256));
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+  const sinPhi = Math.sin(phi1);
+  const cosPhi = Math.cos(phi1);
+  const n1 = WGS84_A / Math.sqrt(1 - e2 * sinPhi ** 2);
+  const t1 = Math.tan(phi1) ** 2;
+  const c1 = ep2 * cosPhi ** 2;
+  const r1 = WGS84_A * (1 - e2) / Math.pow(1 - e2 * sinPhi ** 2, 1.5);
+  const d = x / (n1 * UTM_K0);
+
+  const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (
+    d ** 2 / 2 -
+    (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4 / 24 +
+    (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6 / 720
+  );
+  const lon = (d -
+    (1 + 2 * t1 + c1) * d ** 3 / 6 +
+    (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5 / 120
+  ) / cosPhi;
+
+  return {
+    lat: lat * 180 / Math.PI,
+    lon: (zone - 1) * 6 - 180 + 3 + lon * 180 / Math.PI
+  };
+}
+
+// MGRS latitude bands (8° each from 80°S) and 100 km square letters
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+/**
+ * Convert an MGRS reference to UTM
+ * @param {number} zone - UTM zone
+ * @param {string} band - Latitude band letter
+ * @param {string} column - 100 km column letter
+ * @param {string} row - 100 km row letter
+ * @param {string} eastingDigits - Easting within the square (1-5 digits)
+ * @param {string} northingDigits - Northing within the square (same precision)
+ * @returns {Object|null} - { zone, northern, easting, northing } or null for an invalid square
+ */
+function mgrsToUtm(zone, band, column, row, eastingDigits, northingDigits) {
+  const columnIndex = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(column);
+  let rowIndex = MGRS_ROW_LETTERS.indexOf(row);
+  if (columnIndex < 0 || rowIndex < 0) return null;
+
+  // Even zones start their row lettering at F
+  if (zone % 2 === 0) rowIndex = (rowIndex - 5 + 20) % 20;
+
+  const scale = 10 ** (5 - eastingDigits.length);
+  const easting = (columnIndex + 1) * 100000 + Number(eastingDigits) * scale;
+  let northing = rowIndex * 100000 + Number(northingDigits) * scale;
+
+  // Row letters repeat every 2,000 km; the band gives the lowest northing the point can have
+  const bandIndex = LATITUDE_BANDS.indexOf(band);
+  const northern = band >= 'N';
+  const bandSouth = (-80 + bandIndex * 8) * Math.PI / 180;
+  let minNorthing = UTM_K0 * meridionalArc(bandSouth);
+  if (!northern) minNorthing += 10000000;
+  minNorthing -= 100000;
+
+  while (northing < minNorthing) {
+    northing += 2000000;
+  }
+
+  return { zone, northern, easting, northing };
+}
+
+/**
+ * Score a candidate match against its surrounding text
+ * Hemisphere, label and grid notations start high; bare decimal pairs need supporting context
+ * @param {string} format - Coordinate format
+ * @param {string} text - Full input text
+ * @param {number} start - Match start offset
+ * @param {number} end - Match end offset
+ * @param {Object} details - { decimals } for numeric pairs
+ * @returns {number} - Confidence between 0 and 1
+ */
+function scoreCandidate(format, text, start, end, details = {}) {
+  let confidence = BASE_CONFIDENCE[format];
+  const before = text.slice(Math.max(0, start - 60), start);
+  const after = text.slice(end, end + 12);
+
+  if (CUE_WORDS.test(before)) confidence += 0.2;
+  if (UNIT_AFTER.test(after)) confidence -= 0.5;
+  if (VERSION_BEFORE.test(before)) confidence -= 0.5;
+
+  if (WEAK_FORMATS.has(format)) {
+    if (CODE_BEFORE.test(before)) confidence -= 0.3;
+
+    // Rows of a data table rather than a position in prose
+    const lineStart = text.lastIndexOf('\n', start) + 1;
+    const lineEnd = text.indexOf('\n', end);
+    const line = text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd);
+    if ((line.match(/\d+(?:\.\d+)?/g) || []).length >= 6 || /[|\t]/.test(line)) confidence -= 0.3;
+
+    if (details.decimals !== undefined) {
+      if (details.decimals <= 1) confidence -= 0.2;
+      if (details.decimals >= 3) confidence += 0.1;
+    }
+    if (details.spaceSeparated) confidence -= 0.1;
+  }
+
+  return Math.round(Math.min(Math.max(confidence, 0), 1) * 100) / 100;
+}
+
+/**
+ * Turn a matched angle pair into a candidate
+ * @param {Object} pattern - Entry of COORDINATE_PATTERNS
+ * @param {RegExpExecArray} match - Regex match
+ * @returns {Object|null} - { lat, lon, format, details } or null if the pair is invalid
+ */
+function pairCandidate(pattern, match) {
+  if (pattern.format === 'simple_decimal') {
+    const decimals = Math.min(...[match[1], match[3]].map(value => (value.split('.')[1] || '').length));
+    return {
+      lat: parseFloat(match[1]),
+      lon: parseFloat(match[3]),
+      format: 'simple_decimal',
+      details: { decimals, spaceSeparated: !match[2].includes(',') }
+    };
+  }
+
+  const [latText, lonText] = pattern.order === 'latlon' ? [match[1], match[2]] : [match[2], match[1]];
+  const lat = parseAngle(latText);
+  const lon = parseAngle(lonText);
+  if (!lat || !lon) return null;
+
+  // Hemisphere letters must agree with the axis they were read for
+  if ((lat.hemisphere && !'NS'.includes(lat.hemisphere)) || (lon.hemisphere && !'EW'.includes(lon.hemisphere))) {
+    return null;
+  }
+
+  let format = pattern.format;
+  if (format === 'hemisphere') {
+    const parts = Math.max(lat.parts, lon.parts);
+    format = parts === 3 ? 'dms' : parts === 2 ? 'dm' : 'decimal_hemisphere';
+  }
+
+  return { lat: lat.value, lon: lon.value, format, details: {} };
+}
+
+/**
+ * Collect range candidates such as "10°–25°N, 60°–80°E"
+ * A lone latitude or longitude band is returned with a null for the other axis
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - Candidates with a bbox
+ */
+function findRanges(text) {
+  const candidates = [];
+  const toRange = (from, fromHemisphere, to, toHemisphere) => {
+    const sign = (hemisphere) => (hemisphere === 'S' || hemisphere === 'W' ? -1 : 1);
+    const values = [parseFloat(from) * sign(fromHemisphere || toHemisphere), parseFloat(to) * sign(toHemisphere)];
+    return [Math.min(...values), Math.max(...values)];
+  };
+
+  RANGE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = RANGE_PATTERN.exec(text)) !== null) {
+    const [south, north] = toRange(match[1], match[2], match[3], match[4]);
+    const [west, east] = match[5] ? toRange(match[5], match[6], match[7], match[8]) : [null, null];
+    if (Math.abs(south) > 90 || Math.abs(north) > 90 || (west !== null && (Math.abs(west) > 180 || Math.abs(east) > 180))) continue;
+
+    candidates.push({
+      lat: (south + north) / 2,
+      lon: west === null ? null : (west + east) / 2,
+      bbox: { north, south, east, west },
+      format: 'range',
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  LON_RANGE_PATTERN.lastIndex = 0;
+  while ((match = LON_RANGE_PATTERN.exec(text)) !== null) {
+    const [west, east] = toRange(match[1], match[2], match[3], match[4]);
+    if (Math.abs(west) > 180 || Math.abs(east) > 180) continue;
+
+    candidates.push({
+      lat: null,
+      lon: (west + east) / 2,
+      bbox: { north: null, south: null, east, west },
+      format: 'range',
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Collect UTM and MGRS candidates
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - Candidates converted to latitude/longitude
+ */
+function findGridReferences(text) {
+  const candidates = [];
+  let match;
+
+  UTM_PATTERN.lastIndex = 0;
+  while ((match = UTM_PATTERN.exec(text)) !== null) {
+    const zone = parseInt(match[1], 10);
+    const easting = parseFloat(match[3]);
+    const northing = parseFloat(match[4]);
+    if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000 || northing > 10000000) continue;
+
+    const { lat, lon } = utmToLatLon(zone, match[2] >= 'N', easting, northing);
+    candidates.push({ lat, lon, format: 'utm', start: match.index, end: match.index + match[0].length });
+  }
+
+  MGRS_PATTERN.lastIndex = 0;
+  while ((match = MGRS_PATTERN.exec(text)) !== null) {
+    const zone = parseInt(match[1], 10);
+    let eastingDigits = match[5];
+    let northingDigits = match[6];
+
+    // Unspaced references ("43QCB1234567890") split the digit run in half
+    if (northingDigits === undefined) {
+      if (eastingDigits.length % 2 !== 0) continue;
+      northingDigits = eastingDigits.slice(eastingDigits.length / 2);
+      eastingDigits = eastingDigits.slice(0, eastingDigits.length / 2);
+    }
+    if (zone < 1 || zone > 60 || eastingDigits.length !== northingDigits.length) continue;
+
+    const utm = mgrsToUtm(zone, match[2], match[3], match[4], eastingDigits, northingDigits);
+    if (!utm) continue;
+
+    const { lat, lon } = utmToLatLon(utm.zone, utm.northern, utm.easting, utm.northing);
+    candidates.push({ lat, lon, format: 'mgrs', start: match.index, end: match.index + match[0].length });
+  }
+
+  return candidates;
+}
+
+/**
+ * Find coordinates in text
+ * Every notation is matched independently; overlapping matches resolve to the most confident,
+ * then the longest, so "lat 23 N long 72 E" is one labelled match rather than a hemisphere pair
+ * @param {string} text - Input text
+ * @param {Object} options - { minConfidence } (default 0.5)
+ * @returns {Array<Object>} - Matches { lat, lon, format, originalText, start, end, confidence, bbox? } in text order;
+ *   lat or lon is null for a lone latitude or longitude band
+ */
+function parseCoordinates(text, options = {}) {
+  const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  const candidates = [...findRanges(text), ...findGridReferences(text)];
+
+  COORDINATE_PATTERNS.forEach(pattern => {
+    pattern.regex.lastIndex = 0;
+    let match;
+    while ((match = pattern.regex.exec(text)) !== null) {
+      const candidate = pairCandidate(pattern, match);
+      if (candidate) {
+        candidates.push({ ...candidate, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  });
+
+  const scored = candidates
+    .filter(candidate => candidate.lat === null || candidate.lon === null || inRange(candidate.lat, candidate.lon))
+    .map(candidate => ({
+      ...candidate,
+      confidence: scoreCandidate(candidate.format, text, candidate.start, candidate.end, candidate.details)
+    }));
+
+  const accepted = [];
+  scored
+    .sort((a, b) => b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+    .forEach(candidate => {
+      const overlaps = accepted.some(other => candidate.start < other.end && other.start < candidate.end);
+      if (!overlaps) accepted.push(candidate);
+    });
+
+  const round = (value) => (value === null ? null : Math.round(value * 1000000) / 1000000);
+
+  return accepted
+    .filter(candidate => candidate.confidence >= minConfidence)
+    .sort((a, b) => a.start - b.start)
+    .map(candidate => ({
+      lat: round(candidate.lat),
+      lon: round(candidate.lon),
+      format: candidate.format,
+      originalText: text.slice(candidate.start, candidate.end),
+      start: candidate.start,
+      end: candidate.end,
+      confidence: candidate.confidence,
+      ...(candidate.bbox && { bbox: candidate.bbox })
+    }));
+}
+
+// Export the functions as ES modules
+export {
+  DEFAULT_MIN_CONFIDENCE,
+  parseCoordinates,
+  parseAngle,
+  utmToLatLon,
+  mgrsToUtm
+};
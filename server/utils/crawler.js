@@ -0,0 +1,803 @@
+// 🛰️ This script crawls the MOSDAC website and stores each page's main content for the knowledge base
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { JSDOM } from 'jsdom';
+import { fileURLToPath } from 'url';
+import { SUPPORTED_TYPES } from './documentLoader.js';
+import { createSnapshot, documentPath } from './kbVersions.js';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// MOSDAC home page, the default starting point of a crawl
+const MOSDAC_URL = 'https://www.mosdac.gov.in/';
+
+// Default crawl settings, every one can be overridden per crawl
+const DEFAULT_CRAWL_OPTIONS = {
+  startUrl: MOSDAC_URL,
+  maxDepth: 2,
+  maxPages: 50,
+  delayMs: 1000,
+  timeoutMs: 15000,
+  userAgent: 'MOSDAC-AI-HelpBot/1.0 (+knowledge base crawler)',
+  storeDir: path.resolve(__dirname, '..', 'crawl'),
+  documentsDir: path.resolve(__dirname, '..', 'documents', 'crawled'),
+  downloadDocuments: true,
+  maxDocumentBytes: 25 * 1024 * 1024
+};
+
+// Elements that hold navigation, chrome or scripts rather than page content
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'form',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  '.breadcrumb', '.menu', '.navbar', '.sidebar', '.footer', '.header', '#header', '#footer'
+];
+
+// Candidate containers for the main content, tried in order before falling back to <body>
+const MAIN_CONTENT_SELECTORS = ['main', 'article', '[role="main"]', '#content', '#main-content', '.main-content', '.content'];
+
+// Elements after which a line break is kept when flattening to text
+const BLOCK_SELECTORS = 'p, div, section, li, tr, table, h1, h2, h3, h4, h5, h6, br, dd, dt, blockquote, pre';
+
+/**
+ * Compute a stable content hash for a page
+ * @param {string} text - Page content
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text, 'utf-8').digest('hex');
+}
+
+/**
+ * Resolve a link against its page and normalise it for de-duplication
+ * Fragments are dropped and only http(s) URLs are kept
+ * @param {string} href - Link as written in the page
+ * @param {string} baseUrl - URL of the page containing the link
+ * @returns {string|null} - Absolute URL, or null if the link can't be crawled
+ */
+function normalizeUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Document type of a linked file, based on its extension
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - PDF, DOCX or XLSX, or null for anything else
+ */
+function getDocumentType(url) {
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+  return SUPPORTED_TYPES[extension] || null;
+}
+
+/**
+ * Parse a robots.txt file, keeping the rules that apply to our user agent
+ * Rules for a matching named agent take precedence over the "*" group
+ * @param {string} text - robots.txt body
+ * @param {string} userAgent - Crawler user agent
+ * @returns {Object} - { rules: [{ allow, path }], crawlDelayMs }
+ */
+function parseRobotsTxt(text, userAgent) {
+  const agentToken = userAgent.split('/')[0].toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group of rules
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds)) {
+        current.crawlDelayMs = seconds * 1000;
+      }
+    }
+  });
+
+  const group = groups.find(g => g.agents.some(agent => agent !== '*' && agentToken.includes(agent)))
+    || groups.find(g => g.agents.includes('*'));
+
+  return {
+    rules: group ? group.rules : [],
+    crawlDelayMs: group ? group.crawlDelayMs : null
+  };
+}
+
+/**
+ * Check a robots.txt rule path against a URL path, honouring "*" and "$"
+ * @param {string} rulePath - Path pattern from robots.txt
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {boolean} - True if the rule matches
+ */
+function robotsRuleMatches(rulePath, urlPath) {
+  const pattern = rulePath
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+    .replace(/\\\$$/, '$');
+
+  return new RegExp(`^${pattern}`).test(urlPath);
+}
+
+/**
+ * Decide whether robots.txt lets us fetch a URL
+ * The longest matching rule wins, and Allow wins a tie
+ * @param {Object} robots - Result of parseRobotsTxt
+ * @param {string} url - Absolute URL
+ * @returns {boolean} - True if crawling is allowed
+ */
+function isAllowedByRobots(robots, url) {
+  const { pathname, search } = new URL(url);
+  const urlPath = pathname + search;
+
+  let best = null;
+  robots.rules.forEach(rule => {
+    if (!robotsRuleMatches(rule.path, urlPath)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch and parse robots.txt for a site
+ * A missing or unreadable robots.txt allows everything
+ * @param {string} origin - Site origin such as https://www.mosdac.gov.in
+ * @param {Object} options - Crawl options (userAgent, timeoutMs)
+ * @returns {Promise<Object>} - Parsed robots rules
+ */
+async function fetchRobotsTxt(origin, options) {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': options.userAgent },
+      timeout: options.timeoutMs,
+      responseType: 'text',
+      validateStatus: status => status < 500
+    });
+
+    if (response.status >= 400) {
+      return { rules: [], crawlDelayMs: null };
+    }
+
+    return parseRobotsTxt(String(response.data), options.userAgent);
+  } catch (error) {
+    console.warn(`⚠️ Could not read robots.txt for ${origin}: ${error.message}`);
+    return { rules: [], crawlDelayMs: null };
+  }
+}
+
+/**
+ * Create a limiter that spaces requests at least delayMs apart
+ * @param {number} delayMs - Minimum gap between requests
+ * @returns {Function} - Async function to await before each request
+ */
+function createRateLimiter(delayMs) {
+  let nextAllowedAt = 0;
+
+  return async function waitForTurn() {
+    const now = Date.now();
+    const waitMs = Math.max(0, nextAllowedAt - now);
+    nextAllowedAt = Math.max(now, nextAllowedAt) + delayMs;
+
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  };
+}
+
+/**
+ * Flatten an element to text, keeping a line break after block elements
+ * @param {Element} element - Root element
+ * @returns {string} - Text with one paragraph per line and collapsed whitespace
+ */
+function elementToText(element) {
+  const document = element.ownerDocument;
+
+  element.querySelectorAll(BLOCK_SELECTORS).forEach(block => {
+    block.appendChild(document.createTextNode('\n'));
+  });
+
+  return element.textContent
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+}
+
+/**
+ * Extract the title, main content and outgoing links of an HTML page
+ * Links are collected before navigation is stripped, so menus still drive the crawl
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @returns {Object} - { title, content, links, documentLinks }
+ */
+function extractPageContent(html, pageUrl) {
+  const dom = new JSDOM(html, { url: pageUrl });
+  const document = dom.window.document;
+
+  const links = new Set();
+  const documentLinks = new Set();
+
+  document.querySelectorAll('a[href]').forEach(anchor => {
+    const url = normalizeUrl(anchor.getAttribute('href'), pageUrl);
+    if (!url) return;
+
+    if (getDocumentType(url)) {
+      documentLinks.add(url);
+    } else {
+      links.add(url);
+    }
+  });
+
+  const title = (document.querySelector('title')?.textContent
+    || document.querySelector('h1')?.textContent
+    || pageUrl).replace(/\s+/g, ' ').trim();
+
+  document.querySelectorAll(BOILERPLATE_SELECTORS.join(', ')).forEach(element => element.remove());
+
+  const main = MAIN_CONTENT_SELECTORS
+    .map(selector => document.querySelector(selector))
+    .find(element => element && element.textContent.trim())
+    || document.body;
+
+  const content = main ? elementToText(main) : '';
+  dom.window.close();
+
+  return {
+    title,
+    content,
+    links: [...links],
+    documentLinks: [...documentLinks]
+  };
+}
+
+/**
+ * Check whether a URL belongs to one of the hosts the crawl is restricted to
+ * @param {string} url - Absolute URL
+ * @param {Array<string>} allowedHosts - Allowed hostnames (host:port for non-default ports)
+ * @returns {boolean} - True if the URL is in scope
+ */
+function isAllowedHost(url, allowedHosts) {
+  return allowedHosts.includes(new URL(url).host);
+}
+
+/**
+ * Store id for a URL, used as the page's file name in the document store
+ * @param {string} url - Page URL
+ * @returns {string} - Short stable identifier
+ */
+function pageIdForUrl(url) {
+  return crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+}
+
+/**
+ * Save a crawled page to the per-page document store
+ * @param {Object} page - { url, title, crawledAt, contentHash, content, ... }
+ * @param {string} storeDir - Crawl store folder
+ * @returns {string} - Page id
+ */
+function savePage(page, storeDir) {
+  const id = pageIdForUrl(page.url);
+  const pagesDir = path.join(storeDir, 'pages');
+  fs.mkdirSync(pagesDir, { recursive: true });
+  fs.writeFileSync(path.join(pagesDir, `${id}.json`), JSON.stringify({ ...page, id }, null, 2), 'utf-8');
+  return id;
+}
+
+/**
+ * Delete a page that disappeared from the site
+ * @param {string} url - Page URL
+ * @param {string} storeDir - Crawl store folder
+ */
+function deletePage(url, storeDir) {
+  fs.rmSync(path.join(storeDir, 'pages', `${pageIdForUrl(url)}.json`), { force: true });
+}
+
+/**
+ * Load the manifest and page records of the previous crawl
+ * These provide the ETag/Last-Modified validators and content hashes for change detection
+ * @param {string} storeDir - Crawl store folder
+ * @returns {Object} - { manifest, pages: Map<url, page>, documents: Map<url, document> }
+ */
+function loadPreviousCrawl(storeDir) {
+  const manifestPath = path.join(storeDir, 'manifest.json');
+  const pages = new Map();
+  const documents = new Map();
+
+  if (!fs.existsSync(manifestPath)) {
+    return { manifest: null, pages, documents };
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+
+    manifest.pages.forEach(entry => {
+      const pagePath = path.join(storeDir, 'pages', `${entry.id}.json`);
+      if (fs.existsSync(pagePath)) {
+        pages.set(entry.url, JSON.parse(fs.readFileSync(pagePath, 'utf-8')));
+      }
+    });
+
+    (manifest.documents || []).forEach(document => documents.set(document.url, document));
+
+    return { manifest, pages, documents };
+
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable previous crawl: ${error.message}`);
+    return { manifest: null, pages, documents };
+  }
+}
+
+/**
+ * Conditional request headers from a previous response's validators
+ * @param {Object|undefined} previous - Previous page or document record
+ * @returns {Object} - If-None-Match / If-Modified-Since headers
+ */
+function conditionalHeaders(previous) {
+  const headers = {};
+  if (previous?.etag) headers['If-None-Match'] = previous.etag;
+  if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+  return headers;
+}
+
+// Statuses that mean a resource is gone for good rather than temporarily failing
+const GONE_STATUSES = [404, 410];
+
+/**
+ * File path for a downloaded document, under its host and URL path to keep names unique
+ * Encoded "." and ".." segments are dropped so a crafted link can't climb out of the documents folder
+ * @param {string} url - Document URL
+ * @returns {string} - Relative path inside the documents folder, with "/" separators
+ */
+function documentFilename(url) {
+  const { host, pathname } = new URL(url);
+  let decoded = pathname;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    // Malformed escapes are kept as they are and sanitised like any other character
+  }
+
+  const safeSegments = decoded
+    .split(/[/\\]/)
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => segment.replace(/[^\w.-]+/g, '_'));
+  return [host.replace(/[^\w.-]+/g, '_'), ...safeSegments].join('/');
+}
+
+/**
+ * Download a linked document into the documents folder so the parsers can ingest it
+ * Sends the previous validators, so an unchanged document costs a 304 instead of a download
+ * @param {string} url - Document URL
+ * @param {Object} options - Crawl options (documentsDir, userAgent, timeoutMs, maxDocumentBytes)
+ * @param {Object} previous - Record from the previous crawl, if any
+ * @returns {Promise<Object>} - { url, filename, type, bytes, contentHash, etag, lastModified, downloadedAt, status }
+ */
+async function downloadDocument(url, options, previous) {
+  const filename = documentFilename(url);
+  const filePath = documentPath(options.documentsDir, filename);
+
+  // Validators are only worth sending while the local copy still exists
+  const request = (headers) => axios.get(url, {
+    headers: { 'User-Agent': options.userAgent, ...headers },
+    timeout: options.timeoutMs,
+    responseType: 'arraybuffer',
+    maxContentLength: options.maxDocumentBytes,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304 || GONE_STATUSES.includes(status)
+  });
+
+  let response = await request(conditionalHeaders(previous));
+
+  if (response.status === 304) {
+    if (previous && fs.existsSync(filePath)) {
+      return { ...previous, status: 'unchanged' };
+    }
+    response = await request({});
+  }
+
+  if (GONE_STATUSES.includes(response.status)) {
+    return { url, status: 'removed' };
+  }
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Unexpected HTTP ${response.status} for ${url}`);
+  }
+
+  const data = Buffer.from(response.data);
+  const contentHash = crypto.createHash('sha256').update(data).digest('hex');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, data);
+
+  return {
+    url,
+    filename,
+    type: getDocumentType(url),
+    bytes: data.length,
+    contentHash,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    downloadedAt: new Date().toISOString(),
+    status: !previous ? 'new' : (previous.contentHash === contentHash ? 'unchanged' : 'changed')
+  };
+}
+
+/**
+ * Crawl a site breadth-first and store the main content of every page
+ * The crawl stays on the start URL's host (plus any allowedHosts), respects robots.txt
+ * and spaces requests by delayMs or the site's Crawl-delay, whichever is longer.
+ * Re-crawls are incremental: pages and documents from the previous crawl are fetched
+ * with ETag/Last-Modified validators and compared by content hash, so every URL ends
+ * up new, changed, unchanged or removed. A knowledge base version is saved whenever
+ * anything changed.
+ * @param {Object} options - Overrides for DEFAULT_CRAWL_OPTIONS, plus optional allowedHosts and maxVersions
+ * @returns {Promise<Object>} - { startUrl, crawledAt, version, changes, pages, documents, skipped, errors }
+ */
+async function crawlSite(options = {}) {
+  const config = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const startUrl = normalizeUrl(config.startUrl, config.startUrl);
+
+  if (!startUrl) {
+    throw new Error(`Invalid start URL: ${config.startUrl}`);
+  }
+
+  const allowedHosts = config.allowedHosts || [new URL(startUrl).host];
+  const crawledAt = new Date().toISOString();
+  const previous = loadPreviousCrawl(config.storeDir);
+
+  console.log(`🚀 Crawling ${startUrl} (depth ${config.maxDepth}, up to ${config.maxPages} pages)...`);
+  if (previous.manifest) {
+    console.log(`🔁 Re-crawl against ${previous.pages.size} pages from ${previous.manifest.crawledAt}`);
+  }
+
+  // robots.txt is fetched once per origin
+  const robotsByOrigin = new Map();
+  const getRobots = async (url) => {
+    const { origin } = new URL(url);
+    if (!robotsByOrigin.has(origin)) {
+      robotsByOrigin.set(origin, await fetchRobotsTxt(origin, config));
+    }
+    return robotsByOrigin.get(origin);
+  };
+
+  const startRobots = await getRobots(startUrl);
+  const waitForTurn = createRateLimiter(Math.max(config.delayMs, startRobots.crawlDelayMs || 0));
+
+  const queue = [{ url: startUrl, depth: 0 }];
+  const seen = new Set([startUrl]);
+  const seenDocuments = new Set();
+  const visited = new Set();
+  const pages = [];
+  const documents = [];
+  const skipped = [];
+  const errors = [];
+  const changes = {
+    pages: { new: [], changed: [], unchanged: [], removed: [] },
+    documents: { new: [], changed: [], unchanged: [], removed: [] }
+  };
+
+  // Queue the links of a page, whether freshly parsed or reused after a 304
+  const enqueueLinks = (links, documentLinks, depth) => {
+    if (depth < config.maxDepth) {
+      links
+        .filter(link => isAllowedHost(link, allowedHosts) && !seen.has(link))
+        .forEach(link => {
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        });
+    }
+
+    documentLinks
+      .filter(link => isAllowedHost(link, allowedHosts))
+      .forEach(link => seenDocuments.add(link));
+  };
+
+  while (queue.length > 0 && pages.length < config.maxPages) {
+    const { url, depth } = queue.shift();
+
+    // Already stored as the target of an earlier redirect
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    if (!isAllowedByRobots(await getRobots(url), url)) {
+      skipped.push({ url, reason: 'robots.txt' });
+      continue;
+    }
+
+    const previousPage = previous.pages.get(url);
+
+    try {
+      await waitForTurn();
+
+      const response = await axios.get(url, {
+        headers: {
+          'User-Agent': config.userAgent,
+          Accept: 'text/html,application/xhtml+xml',
+          ...conditionalHeaders(previousPage)
+        },
+        timeout: config.timeoutMs,
+        responseType: 'text',
+        validateStatus: status => (status >= 200 && status < 300) || status === 304 || GONE_STATUSES.includes(status)
+      });
+
+      if (GONE_STATUSES.includes(response.status)) {
+        skipped.push({ url, reason: `HTTP ${response.status}` });
+        continue;
+      }
+
+      // Not modified: keep the stored page and follow its stored links
+      if (response.status === 304 && previousPage) {
+        const page = { ...previousPage, depth, crawledAt: new Date().toISOString() };
+        savePage(page, config.storeDir);
+        pages.push(page);
+        changes.pages.unchanged.push(url);
+        enqueueLinks(page.links || [], page.documentLinks || [], depth);
+        console.log(`📄 [${pages.length}/${config.maxPages}] ${url} (not modified)`);
+        continue;
+      }
+
+      const contentType = String(response.headers['content-type'] || '');
+      if (!contentType.includes('html')) {
+        skipped.push({ url, reason: `content type ${contentType || 'unknown'}` });
+        continue;
+      }
+
+      // Redirects can land outside the crawl scope
+      const finalUrl = normalizeUrl(response.request?.res?.responseUrl || url, url);
+      if (!isAllowedHost(finalUrl, allowedHosts)) {
+        skipped.push({ url, reason: `redirected off-site to ${finalUrl}` });
+        continue;
+      }
+
+      // Several URLs can redirect to the same page; store it only once
+      if (visited.has(finalUrl) && finalUrl !== url) {
+        skipped.push({ url, reason: `duplicate of ${finalUrl}` });
+        continue;
+      }
+      visited.add(finalUrl);
+      seen.add(finalUrl);
+
+      const { title, content, links, documentLinks } = extractPageContent(String(response.data), finalUrl);
+
+      if (content) {
+        const contentHash = hashContent(content);
+        const earlier = previous.pages.get(finalUrl);
+        const status = !earlier ? 'new' : (earlier.contentHash === contentHash ? 'unchanged' : 'changed');
+        const now = new Date().toISOString();
+
+        const page = {
+          url: finalUrl,
+          title,
+          crawledAt: now,
+          updatedAt: status === 'unchanged' ? (earlier.updatedAt || earlier.crawledAt) : now,
+          contentHash,
+          depth,
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null,
+          links,
+          documentLinks,
+          content
+        };
+        page.id = savePage(page, config.storeDir);
+        pages.push(page);
+        changes.pages[status].push(finalUrl);
+        console.log(`📄 [${pages.length}/${config.maxPages}] ${finalUrl} (${status}, ${content.length} characters)`);
+      } else {
+        skipped.push({ url, reason: 'no main content' });
+      }
+
+      enqueueLinks(links, documentLinks, depth);
+
+    } catch (error) {
+      errors.push({ url, error: error.message });
+      console.error(`❌ Error crawling ${url}:`, error.message);
+
+      // A transient failure shouldn't drop a page we already have
+      if (previousPage) {
+        pages.push(previousPage);
+        changes.pages.unchanged.push(url);
+      }
+    }
+  }
+
+  // A crawl cut short by maxPages or by fetch errors hasn't proven that unvisited pages are gone, so keep them
+  const incomplete = queue.length > 0 || errors.length > 0;
+  previous.pages.forEach((page, url) => {
+    if (pages.some(current => current.url === url)) return;
+
+    if (incomplete && !visited.has(url)) {
+      pages.push(page);
+      changes.pages.unchanged.push(url);
+    } else {
+      deletePage(url, config.storeDir);
+      changes.pages.removed.push(url);
+    }
+  });
+
+  if (config.downloadDocuments) {
+    for (const url of seenDocuments) {
+      if (!isAllowedByRobots(await getRobots(url), url)) {
+        skipped.push({ url, reason: 'robots.txt' });
+        continue;
+      }
+
+      const previousDocument = previous.documents.get(url);
+
+      try {
+        await waitForTurn();
+        const { status, ...document } = await downloadDocument(url, config, previousDocument);
+
+        if (status === 'removed') {
+          skipped.push({ url, reason: 'document no longer available' });
+          continue;
+        }
+
+        documents.push(document);
+        changes.documents[status].push(url);
+        console.log(`📥 ${document.filename} (${document.type}, ${status})`);
+      } catch (error) {
+        errors.push({ url, error: error.message });
+        console.error(`❌ Error downloading ${url}:`, error.message);
+
+        if (previousDocument) {
+          documents.push(previousDocument);
+          changes.documents.unchanged.push(url);
+        }
+      }
+    }
+
+    // Documents that are no longer linked or available are deleted so they drop out of the index
+    previous.documents.forEach((document, url) => {
+      if (documents.some(current => current.url === url)) return;
+
+      if (incomplete && !seenDocuments.has(url)) {
+        documents.push(document);
+        changes.documents.unchanged.push(url);
+      } else {
+        fs.rmSync(documentPath(config.documentsDir, document.filename), { force: true });
+        changes.documents.removed.push(url);
+      }
+    });
+  }
+
+  const hasChanges = ['new', 'changed', 'removed'].some(status => (
+    changes.pages[status].length > 0 || changes.documents[status].length > 0
+  ));
+
+  // Snapshot whenever the content moved, so an operator can diff or roll back this crawl
+  let version = previous.manifest?.version || null;
+  if ((hasChanges || !version) && pages.length > 0) {
+    version = createSnapshot(config.storeDir, { startUrl, pages, documents, changes }, {
+      documentsDir: config.documentsDir,
+      maxVersions: config.maxVersions
+    }).id;
+  }
+
+  const manifest = {
+    startUrl,
+    crawledAt,
+    completedAt: new Date().toISOString(),
+    version,
+    hasChanges,
+    changes,
+    pages: pages.map(({ id, url, title, crawledAt: pageCrawledAt, updatedAt, contentHash, depth }) => ({
+      id, url, title, crawledAt: pageCrawledAt, updatedAt, contentHash, depth
+    })),
+    documents,
+    skipped,
+    errors
+  };
+
+  fs.mkdirSync(config.storeDir, { recursive: true });
+  fs.writeFileSync(path.join(config.storeDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf-8');
+
+  console.log(`✅ Crawl finished: ${pages.length} pages, ${documents.length} documents, ${skipped.length} skipped, ${errors.length} errors`);
+  console.log(`🔁 Pages: ${changes.pages.new.length} new, ${changes.pages.changed.length} changed, ${changes.pages.unchanged.length} unchanged, ${changes.pages.removed.length} removed`);
+
+  return { ...manifest, pages };
+}
+
+/**
+ * Load the pages of the last crawl as knowledge base sections
+ * @param {string} storeDir - Crawl store folder
+ * @returns {Array<Object>} - Array of { text, metadata } sections of type Web
+ */
+function loadCrawledPages(storeDir = DEFAULT_CRAWL_OPTIONS.storeDir) {
+  const manifestPath = path.join(storeDir, 'manifest.json');
+
+  if (!fs.existsSync(manifestPath)) {
+    return [];
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    const sections = [];
+
+    manifest.pages.forEach(entry => {
+      const pagePath = path.join(storeDir, 'pages', `${entry.id}.json`);
+      if (!fs.existsSync(pagePath)) return;
+
+      const page = JSON.parse(fs.readFileSync(pagePath, 'utf-8'));
+      sections.push({
+        text: `${page.title}\n${page.content}`,
+        metadata: {
+          filename: page.url,
+          type: 'Web',
+          url: page.url,
+          title: page.title
+        }
+      });
+    });
+
+    console.log(`🌐 Loaded ${sections.length} crawled pages from ${storeDir}`);
+    return sections;
+
+  } catch (error) {
+    console.error('❌ Error loading crawled pages:', error.message);
+    return [];
+  }
+}
+
+// Export the functions as ES modules
+export {
+  DEFAULT_CRAWL_OPTIONS,
+  normalizeUrl,
+  parseRobotsTxt,
+  isAllowedByRobots,
+  extractPageContent,
+  crawlSite,
+  loadCrawledPages
+};
+
+// Run the crawler if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  crawlSite({
+    startUrl: process.env.CRAWL_START_URL || MOSDAC_URL,
+    maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || DEFAULT_CRAWL_OPTIONS.maxDepth, 10),
+    maxPages: parseInt(process.env.CRAWL_MAX_PAGES || DEFAULT_CRAWL_OPTIONS.maxPages, 10),
+    delayMs: parseInt(process.env.CRAWL_DELAY_MS || DEFAULT_CRAWL_OPTIONS.delayMs, 10)
+  }).catch(error => {
+    console.error('❌ Error crawling MOSDAC:', error.message);
+    process.exit(1);
+  });
+}
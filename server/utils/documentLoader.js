@@ -0,0 +1,148 @@
+// Document Loader utility for ingesting a folder of PDF, DOCX and XLSX files into the knowledge base
+import fs from 'fs';
+import path from 'path';
+import { parsePDFPages } from './parsers/pdfParser.js';
+import { parseDOCXSections } from './parsers/docParser.js';
+import { parseXLSXSheets } from './parsers/xlsxParser.js';
+
+// File extensions the loader understands, mapped to the document type shown in the UI
+const SUPPORTED_TYPES = {
+  '.pdf': 'PDF',
+  '.docx': 'DOCX',
+  '.xlsx': 'XLSX'
+};
+
+/**
+ * Recursively list supported documents in a folder
+ * @param {string} dirPath - Folder to scan
+ * @returns {Array<string>} - Absolute paths of supported files, sorted for stable ordering
+ */
+function scanDocumentsFolder(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+
+  const files = [];
+
+  fs.readdirSync(dirPath, { withFileTypes: true }).forEach(entry => {
+    const entryPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...scanDocumentsFolder(entryPath));
+    } else if (SUPPORTED_TYPES[path.extname(entry.name).toLowerCase()]) {
+      files.push(entryPath);
+    }
+  });
+
+  return files.sort();
+}
+
+/**
+ * Render a spreadsheet row as text, keeping every value next to its column header
+ * @param {Object} row - Row object keyed by header
+ * @param {Array<string>} headers - Column headers in sheet order
+ * @returns {string} - Row text such as "Satellite: INSAT-3D | Sensor: Imager"
+ */
+function renderRow(row, headers) {
+  return headers
+    .filter(header => row[header] !== '' && row[header] !== undefined)
+    .map(header => `${header}: ${row[header]}`)
+    .join(' | ');
+}
+
+/**
+ * Parse a single document into normalised text sections with metadata
+ * @param {string} filePath - Path to the document
+ * @param {string} rootDir - Documents folder, used to build the relative filename
+ * @returns {Promise<Array<Object>>} - Array of { text, metadata } sections
+ */
+async function loadDocument(filePath, rootDir) {
+  const type = SUPPORTED_TYPES[path.extname(filePath).toLowerCase()];
+  const filename = path.relative(rootDir, filePath).split(path.sep).join('/');
+  const baseMetadata = { filename, type };
+
+  switch (type) {
+    case 'PDF': {
+      const pages = await parsePDFPages(filePath);
+      return pages
+        .filter(page => page.text.trim())
+        .map(page => ({
+          text: page.text,
+          metadata: { ...baseMetadata, page: page.page }
+        }));
+    }
+
+    case 'DOCX': {
+      const sections = await parseDOCXSections(filePath);
+      return sections.map(section => ({
+        text: section.text,
+        metadata: section.section
+          ? { ...baseMetadata, section: section.section, headingPath: section.headingPath }
+          : baseMetadata
+      }));
+    }
+
+    case 'XLSX': {
+      const sheets = await parseXLSXSheets(filePath);
+      const sections = [];
+
+      sheets.forEach(sheet => {
+        sheet.rows.forEach((row, index) => {
+          const text = renderRow(row, sheet.headers);
+          if (!text) return;
+
+          // Row numbers match the spreadsheet, counting blank rows and any offset of the used range
+          const rowNumber = sheet.rowNumbers[index];
+          sections.push({
+            text: `Sheet ${sheet.sheet}, row ${rowNumber}: ${text}`,
+            metadata: { ...baseMetadata, sheet: sheet.sheet, row: rowNumber }
+          });
+        });
+      });
+
+      return sections;
+    }
+
+    default:
+      throw new Error(`Unsupported document type: ${filePath}`);
+  }
+}
+
+/**
+ * Load every supported document in a folder
+ * A document that fails to parse is reported and skipped rather than aborting the whole library
+ * @param {string} dirPath - Documents folder
+ * @returns {Promise<Object>} - { sections, files } where files summarises each document
+ */
+async function loadDocumentLibrary(dirPath) {
+  const filePaths = scanDocumentsFolder(dirPath);
+  const sections = [];
+  const files = [];
+
+  console.log(`📂 Found ${filePaths.length} documents in ${dirPath}`);
+
+  for (const filePath of filePaths) {
+    const filename = path.relative(dirPath, filePath).split(path.sep).join('/');
+    const type = SUPPORTED_TYPES[path.extname(filePath).toLowerCase()];
+
+    try {
+      const documentSections = await loadDocument(filePath, dirPath);
+      sections.push(...documentSections);
+      files.push({ filename, type, sections: documentSections.length, status: 'loaded' });
+      console.log(`📄 Loaded ${filename} (${type}, ${documentSections.length} sections)`);
+    } catch (error) {
+      files.push({ filename, type, sections: 0, status: 'error', error: error.message });
+      console.error(`❌ Error loading ${filename}:`, error.message);
+    }
+  }
+
+  return { sections, files };
+}
+
+// Export the functions as ES modules
+export {
+  SUPPORTED_TYPES,
+  scanDocumentsFolder,
+  loadDocument,
+  loadDocumentLibrary
+};
@@ -0,0 +1,198 @@
+// Geo Exporters utility for converting extracted locations to GIS interchange formats
+// Supports GeoJSON FeatureCollections, KML (Google Earth) and CSV point tables
+import { isValidCoordinate } from './geoExtractor.js';
+
+// Formats offered for download, with their file extension and MIME type
+const GEO_FORMATS = {
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+// Location fields written as properties, in column order for CSV
+const LOCATION_PROPERTIES = ['label', 'source', 'originalText', 'format', 'confidence', 'placeType', 'page', 'section'];
+
+/**
+ * Escape a value for use in XML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Leading characters that make spreadsheet apps evaluate a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * Text that a spreadsheet would run as a formula gets a leading apostrophe; numbers are written as they are
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  if (typeof value === 'number') return String(value);
+
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keep the locations that can be placed on a map
+ * Lone latitude or longitude bands have a null axis and are dropped
+ * @param {Array<Object>} locations - Locations from extractGeoLocations
+ * @returns {Array<Object>} - Locations with a valid lat/lon
+ */
+function mappableLocations(locations) {
+  return (Array.isArray(locations) ? locations : [])
+    .filter(location => location && isValidCoordinate(location.lat, location.lon));
+}
+
+/**
+ * Display name for a location: its label, the text it was read from, or its coordinates
+ * @param {Object} location - Extracted location
+ * @returns {string} - Name
+ */
+function locationName(location) {
+  return location.label || location.originalText || `${location.lat}, ${location.lon}`;
+}
+
+/**
+ * Pick the exported properties of a location, skipping empty ones
+ * @param {Object} location - Extracted location
+ * @returns {Object} - Properties in LOCATION_PROPERTIES order
+ */
+function locationProperties(location) {
+  const properties = {};
+  LOCATION_PROPERTIES.forEach(key => {
+    if (location[key] !== undefined && location[key] !== null && location[key] !== '') {
+      properties[key] = location[key];
+    }
+  });
+  return properties;
+}
+
+/**
+ * Export locations as a GeoJSON FeatureCollection of points
+ * Regions keep their extent as the feature's bbox ([west, south, east, north])
+ * @param {Array<Object>} locations - Locations from extractGeoLocations
+ * @param {Object} options - { name } written as the collection name
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+function exportGeoJSON(locations, options = {}) {
+  return {
+    type: 'FeatureCollection',
+    ...(options.name && { name: options.name }),
+    features: mappableLocations(locations).map(location => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [location.lon, location.lat] },
+      ...(location.bbox && {
+        bbox: [location.bbox.west, location.bbox.south, location.bbox.east, location.bbox.north]
+      }),
+      properties: { name: locationName(location), ...locationProperties(location) }
+    }))
+  };
+}
+
+/**
+ * Export locations as a KML document with one placemark per location
+ * @param {Array<Object>} locations - Locations from extractGeoLocations
+ * @param {Object} options - { name } written as the document name
+ * @returns {string} - KML document
+ */
+function exportKML(locations, options = {}) {
+  const placemarks = mappableLocations(locations).map(location => {
+    const properties = locationProperties(location);
+    const description = [
+      location.source && `Source: ${location.source}`,
+      location.originalText && `Text: ${location.originalText}`
+    ].filter(Boolean).join('\n');
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(locationName(location))}</name>`,
+      ...(description ? [`      <description>${escapeXml(description)}</description>`] : []),
+      '      <ExtendedData>',
+      ...Object.entries(properties).map(([key, value]) =>
+        `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`),
+      '      </ExtendedData>',
+      `      <Point><coordinates>${location.lon},${location.lat},0</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(options.name || 'MOSDAC locations')}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Export locations as CSV with one row per location
+ * @param {Array<Object>} locations - Locations from extractGeoLocations
+ * @returns {string} - CSV with a header row
+ */
+function exportCSV(locations) {
+  const header = ['name', 'lat', 'lon', ...LOCATION_PROPERTIES];
+  const rows = mappableLocations(locations).map(location => [
+    locationName(location),
+    location.lat,
+    location.lon,
+    ...LOCATION_PROPERTIES.map(key => location[key])
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Whether a requested format is one of GEO_FORMATS
+ * Only own keys count, so names like "toString" inherited from Object.prototype are rejected
+ * @param {*} format - Format from a query string or request body
+ * @returns {boolean} - True for a supported format
+ */
+function isGeoFormat(format) {
+  return typeof format === 'string' && Object.hasOwn(GEO_FORMATS, format);
+}
+
+/**
+ * Export locations in one of GEO_FORMATS
+ * @param {Array<Object>} locations - Locations from extractGeoLocations
+ * @param {string} format - Key of GEO_FORMATS
+ * @param {Object} options - { name } used as the collection or document name
+ * @returns {Object} - { content, extension, mimeType }
+ */
+function exportGeoLocations(locations, format, options = {}) {
+  if (!isGeoFormat(format)) {
+    throw new Error(`Unsupported geo format "${format}". Use one of: ${Object.keys(GEO_FORMATS).join(', ')}`);
+  }
+
+  const exporters = {
+    geojson: () => JSON.stringify(exportGeoJSON(locations, options), null, 2),
+    kml: () => exportKML(locations, options),
+    csv: () => exportCSV(locations)
+  };
+
+  return { content: exporters[format](), ...GEO_FORMATS[format] };
+}
+
+// Export the functions as ES modules
+export {
+  GEO_FORMATS,
+  isGeoFormat,
+  exportGeoLocations,
+  exportGeoJSON,
+  exportKML,
+  exportCSV
+};
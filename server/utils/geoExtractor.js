@@ -1,156 +1,159 @@
 // Geographic Location Extractor utility for extracting latitude and longitude coordinates from text
+// Numeric coordinates are parsed directly; place names are geocoded with a bundled offline gazetteer
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCoordinates } from './coordinateParser.js';
+
+// Get current directory for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bundled gazetteer of Indian states, cities, coastal regions, ocean basins and islands
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, 'data', 'gazetteer.json');
+
+// Compiled default gazetteer, loaded on first use
+let defaultGazetteer = null;
+
+// Gazetteer matches are exact names, so they are reported with a fixed confidence
+const PLACE_NAME_CONFIDENCE = 0.9;
 
 /**
- * Extract latitude and longitude coordinates from text using regex patterns
- * Supports various coordinate formats commonly found in text
- * @param {string} text - Input text to search for coordinates
- * @returns {Array<Object>} - Array of {lat, lon} objects with extracted coordinates
- * @throws {Error} - If input text is invalid
+ * Load a gazetteer file
+ * @param {string} gazetteerPath - Path to the gazetteer JSON file
+ * @returns {Array<Object>} - Places { id, type, name, aliases, lat, lon, bbox?, polygon? }
  */
-function extractGeoLocations(text) {
+function loadGazetteer(gazetteerPath = DEFAULT_GAZETTEER_PATH) {
   try {
-    // Validate input
-    if (!text || typeof text !== 'string') {
-      throw new Error('Input text must be a non-empty string');
-    }
-
-    const coordinates = [];
+    return JSON.parse(fs.readFileSync(gazetteerPath, 'utf-8')).places;
+  } catch (error) {
+    console.error('❌ Error loading gazetteer:', error.message);
+    throw new Error(`Failed to load gazetteer: ${error.message}`);
+  }
+}
 
-    // Regex patterns for different coordinate formats
-    const patterns = [
-      // Pattern 1: Decimal degrees (DD.dddd)
-      // Examples: 28.6139, 77.2090 | -34.6037, -58.3816 | 40.7128°N, 74.0060°W
-      {
-        regex: /(-?\d{1,3}(?:\.\d+)?)\s*[°]?\s*([NS])?\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*[°]?\s*([EW])?/gi,
-        type: 'decimal_degrees'
-      },
+/**
+ * Compile a place name into a whole-word regular expression
+ * Spaces and hyphens are interchangeable and "and"/"&" match each other; short names
+ * such as "Goa" or "Puri" only match when capitalised as written
+ * @param {string} name - Place name or alias
+ * @returns {RegExp} - Global regular expression for the name
+ */
+function placeNamePattern(name) {
+  const words = name
+    .split(/[-\s]+/)
+    .map(word => (/^(?:and|&)$/i.test(word) ? '(?:and|&)' : word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+  return new RegExp(`(?<![\\w-])${words.join('[-\\s]+')}(?![\\w-])`, name.length <= 4 ? 'g' : 'gi');
+}
 
-      // Pattern 2: Degrees, Minutes, Seconds (DMS)
-      // Examples: 40°42'46"N 74°00'21"W | 28°36'50"N, 77°12'32"E
-      {
-        regex: /(\d{1,3})[°]\s*(\d{1,2})['′]\s*(\d{1,2}(?:\.\d+)?)[″"]\s*([NS])\s*[,\s]*\s*(\d{1,3})[°]\s*(\d{1,2})['′]\s*(\d{1,2}(?:\.\d+)?)[″"]\s*([EW])/gi,
-        type: 'dms'
-      },
+/**
+ * Prepare gazetteer places for matching
+ * @param {Array<Object>} places - Gazetteer places
+ * @returns {Array<Object>} - Places with compiled name patterns
+ */
+function compileGazetteer(places) {
+  return places.map(place => ({
+    ...place,
+    patterns: [place.name, ...(place.aliases || [])].map(placeNamePattern)
+  }));
+}
 
-      // Pattern 3: Degrees and Minutes (DM)
-      // Examples: 40°42.767'N 74°00.350'W | 28°36.833'N, 77°12.533'E
-      {
-        regex: /(\d{1,3})[°]\s*(\d{1,2}(?:\.\d+)?)['′]\s*([NS])\s*[,\s]*\s*(\d{1,3})[°]\s*(\d{1,2}(?:\.\d+)?)['′]\s*([EW])/gi,
-        type: 'dm'
-      },
+/**
+ * Get the compiled bundled gazetteer
+ * @returns {Array<Object>} - Compiled places
+ */
+function getDefaultGazetteer() {
+  if (!defaultGazetteer) {
+    defaultGazetteer = compileGazetteer(loadGazetteer());
+  }
+  return defaultGazetteer;
+}
 
-      // Pattern 4: Simple decimal coordinates without direction indicators
-      // Examples: 28.6139, 77.2090 | -34.6037, -58.3816
-      {
-        regex: /(-?\d{1,3}\.\d+)\s*[,\s]\s*(-?\d{1,3}\.\d+)/g,
-        type: 'simple_decimal'
-      },
+/**
+ * Find gazetteer place names in text
+ * Overlapping matches resolve to the longest one, so "Odisha coast" is the coastal region
+ * rather than the state and "Andaman and Nicobar Islands" isn't also read as "Andaman Islands"
+ * @param {string} text - Input text
+ * @param {Array<Object>} gazetteer - Compiled places (defaults to the bundled gazetteer)
+ * @returns {Array<Object>} - Mentions { place, start, end, text } in text order
+ */
+function findPlaceNames(text, gazetteer = getDefaultGazetteer()) {
+  const candidates = [];
 
-      // Pattern 5: Coordinates with explicit lat/lon labels
-      // Examples: lat: 28.6139, lon: 77.2090 | latitude=40.7128, longitude=-74.0060
-      {
-        regex: /(?:lat(?:itude)?[:=]\s*(-?\d{1,3}(?:\.\d+)?)).*?(?:lon(?:gitude)?[:=]\s*(-?\d{1,3}(?:\.\d+)?))/gi,
-        type: 'labeled'
+  gazetteer.forEach(place => {
+    place.patterns.forEach(pattern => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        candidates.push({ place, start: match.index, end: match.index + match[0].length, text: match[0] });
       }
-    ];
+    });
+  });
 
-    // Process each pattern
-    patterns.forEach(pattern => {
-      let match;
-      while ((match = pattern.regex.exec(text)) !== null) {
-        let lat, lon;
+  const accepted = [];
+  candidates
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+    .forEach(candidate => {
+      const overlaps = accepted.some(other => candidate.start < other.end && other.start < candidate.end);
+      if (!overlaps) accepted.push(candidate);
+    });
 
-        switch (pattern.type) {
-          case 'decimal_degrees':
-            lat = parseFloat(match[1]);
-            lon = parseFloat(match[3]);
-            
-            // Handle direction indicators (N/S for latitude, E/W for longitude)
-            if (match[2] && match[2].toUpperCase() === 'S') lat = -Math.abs(lat);
-            if (match[4] && match[4].toUpperCase() === 'W') lon = -Math.abs(lon);
-            break;
+  return accepted.sort((a, b) => a.start - b.start);
+}
 
-          case 'dms':
-            // Convert DMS to decimal degrees
-            const latDeg = parseInt(match[1]);
-            const latMin = parseInt(match[2]);
-            const latSec = parseFloat(match[3]);
-            const latDir = match[4].toUpperCase();
-            
-            const lonDeg = parseInt(match[5]);
-            const lonMin = parseInt(match[6]);
-            const lonSec = parseFloat(match[7]);
-            const lonDir = match[8].toUpperCase();
-            
-            lat = latDeg + (latMin / 60) + (latSec / 3600);
-            lon = lonDeg + (lonMin / 60) + (lonSec / 3600);
-            
-            if (latDir === 'S') lat = -lat;
-            if (lonDir === 'W') lon = -lon;
-            break;
+/**
+ * Geocode the place names mentioned in text
+ * @param {string} text - Input text
+ * @param {Array<Object>} gazetteer - Compiled places (defaults to the bundled gazetteer)
+ * @returns {Array<Object>} - Unique { lat, lon, label, placeType, format, originalText, start, end, confidence, bbox?, polygon? }
+ *   locations in order of first mention
+ */
+function extractPlaceLocations(text, gazetteer = getDefaultGazetteer()) {
+  const seen = new Set();
 
-          case 'dm':
-            // Convert DM to decimal degrees
-            const latDegDM = parseInt(match[1]);
-            const latMinDM = parseFloat(match[2]);
-            const latDirDM = match[3].toUpperCase();
-            
-            const lonDegDM = parseInt(match[4]);
-            const lonMinDM = parseFloat(match[5]);
-            const lonDirDM = match[6].toUpperCase();
-            
-            lat = latDegDM + (latMinDM / 60);
-            lon = lonDegDM + (lonMinDM / 60);
-            
-            if (latDirDM === 'S') lat = -lat;
-            if (lonDirDM === 'W') lon = -lon;
-            break;
+  return findPlaceNames(text, gazetteer)
+    .filter(({ place }) => !seen.has(place.id) && seen.add(place.id))
+    .map(({ place, start, end, text: originalText }) => ({
+      lat: place.lat,
+      lon: place.lon,
+      label: place.name,
+      placeType: place.type,
+      format: 'place_name',
+      originalText,
+      start,
+      end,
+      confidence: PLACE_NAME_CONFIDENCE,
+      ...(place.bbox && { bbox: place.bbox }),
+      ...(place.polygon && { polygon: place.polygon })
+    }));
+}
 
-          case 'simple_decimal':
-            lat = parseFloat(match[1]);
-            lon = parseFloat(match[2]);
-            break;
+/**
+ * Extract latitude and longitude coordinates from text
+ * Numeric coordinates come from the coordinate parser, followed by geocoded place names
+ * @param {string} text - Input text to search for coordinates
+ * @param {Object} options - { minConfidence: drop weaker coordinate matches, places: false to skip place names,
+ *   gazetteer: compiled places to use instead of the bundled one }
+ * @returns {Array<Object>} - Locations { lat, lon, format, originalText, start, end, confidence, bbox? } in text order;
+ *   places also carry label, placeType and polygon
+ * @throws {Error} - If input text is invalid
+ */
+function extractGeoLocations(text, options = {}) {
+  try {
+    // Validate input
+    if (!text || typeof text !== 'string') {
+      throw new Error('Input text must be a non-empty string');
+    }
 
-          case 'labeled':
-            lat = parseFloat(match[1]);
-            lon = parseFloat(match[2]);
-            break;
-        }
+    // A lone latitude or longitude band can't be placed on the map
+    const coordinates = parseCoordinates(text, { minConfidence: options.minConfidence })
+      .filter(coord => coord.lat !== null && coord.lon !== null);
 
-        // Validate coordinate ranges
-        if (isValidCoordinate(lat, lon)) {
-          // Round to 6 decimal places for precision
-          lat = Math.round(lat * 1000000) / 1000000;
-          lon = Math.round(lon * 1000000) / 1000000;
-          
-          // Check for duplicates
-          const isDuplicate = coordinates.some(coord => 
-            Math.abs(coord.lat - lat) < 0.000001 && 
-            Math.abs(coord.lon - lon) < 0.000001
-          );
-          
-          if (!isDuplicate) {
-            coordinates.push({
-              lat,
-              lon,
-              format: pattern.type,
-              originalText: match[0].trim()
-            });
-          }
-        }
-      }
-    });
+    const places = options.places === false ? [] : extractPlaceLocations(text, options.gazetteer);
 
-    // Sort coordinates by latitude (north to south)
-    coordinates.sort((a, b) => b.lat - a.lat);
+    console.log(`🌍 Extracted ${coordinates.length} coordinate matches and ${places.length} place names from text`);
 
-    console.log(`🌍 Extracted ${coordinates.length} unique coordinate pairs from text`);
-    
-    return coordinates.map(coord => ({
-      lat: coord.lat,
-      lon: coord.lon
-    }));
+    return [...coordinates, ...places].sort((a, b) => a.start - b.start);
 
   } catch (error) {
     console.error('❌ Error extracting geo locations:', error.message);
@@ -242,19 +245,14 @@ function getBoundingBox(coordinates) {
   };
 }
 
-// Export the functions using module.exports for CommonJS compatibility
-module.exports = {
-  extractGeoLocations,
-  extractGeoLocationsFromFile,
-  formatCoordinates,
-  getBoundingBox,
-  isValidCoordinate
-};
-
-// Also export as ES module for modern usage
+// Export the functions as ES modules
 export { 
   extractGeoLocations, 
   extractGeoLocationsFromFile, 
+  loadGazetteer,
+  compileGazetteer,
+  findPlaceNames,
+  extractPlaceLocations,
   formatCoordinates, 
   getBoundingBox, 
   isValidCoordinate 
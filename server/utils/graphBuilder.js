@@ -1,82 +1,306 @@
-// Knowledge Graph Builder utility for creating basic graphs from text
+// Knowledge Graph Builder utility for extracting MOSDAC entities and their relations from text
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Catalog of known satellites, sensors, products, organisations and parameters
+const DEFAULT_CATALOG_PATH = path.join(__dirname, 'data', 'entity_catalog.json');
+
+// Satellite names not in the catalog are still picked up by their mission family and number
+const SATELLITE_NAME_PATTERN = /(?<![\w-])(?:INSAT|Kalpana|Oceansat|SCATSAT|Cartosat|Resourcesat|RISAT|EOS|GSAT)[-\s]?\d{1,2}[A-Z]{0,2}(?![\w-])/gi;
+
+// Typed relations between entity types, in the direction the edge is drawn
+// A cue word in the sentence raises confidence; relations with requireCue are only
+// created when the sentence says so, since co-occurrence alone is too ambiguous for them.
+// Cues are anchored at word starts so they don't fire inside unrelated words ("sensor", "offers")
+const RELATION_RULES = [
+  { from: 'satellite', to: 'sensor', type: 'carries', label: 'carries', cue: /\bcarr(?:y|ies|ied|ying)\b|\bon[\s-]?board\b|\bpayloads?\b|\binstruments?\b|\bequipped\b/i },
+  { from: 'sensor', to: 'product', type: 'produces', label: 'produces', cue: /\bproduc|\bderiv|\bgenerat|\bretriev|\bestimat|\bfrom\b/i },
+  { from: 'satellite', to: 'product', type: 'provides', label: 'provides', cue: /\bproduc|\bderiv|\bprovid|\bgenerat|\bfrom\b/i },
+  { from: 'product', to: 'organisation', type: 'used_by', label: 'used by', cue: /\bused?\b|\busers?\b|\butili[sz]|\bassimilat|\bsupport|\bdisseminat|\bissued?\b/i },
+  { from: 'sensor', to: 'parameter', type: 'measures', label: 'measures', cue: /\bmeasur|\bobserv|\bmonitor|\bretriev/i },
+  { from: 'satellite', to: 'parameter', type: 'observes', label: 'observes', cue: /\bmeasur|\bobserv|\bmonitor|\bstud(?:y|ies|ied|ying)\b/i },
+  { from: 'product', to: 'parameter', type: 'describes', label: 'describes', cue: /\bmap(?:s|ped|ping)?\b|\bestimat|\bconcentrations?\b/i },
+  { from: 'organisation', to: 'satellite', type: 'operates', label: 'operates', cue: /\boperat|\blaunch|\bbuil[dt]|\bdevelop|\bown(?:s|ed)?\b/i, requireCue: true },
+  { from: 'organisation', to: 'satellite', type: 'archives', label: 'archives data from', cue: /\barchiv|\bprocess|\bdisseminat|\bdistribut|\bdata from\b/i, requireCue: true },
+  { from: 'organisation', to: 'organisation', type: 'part_of', label: 'part of', cue: /\blocated at\b|\bpart of\b|\bunit of\b|\bcent(?:re|er) of\b|\bunder\b/i, requireCue: true, ordered: true }
+];
+
+// Confidence of an edge supported by a cue word versus by co-occurrence only
+const CUE_CONFIDENCE = 0.9;
+const COOCCURRENCE_CONFIDENCE = 0.6;
 
 /**
- * Build a basic knowledge graph from text by splitting into sentences
- * Each sentence becomes a node, connected linearly to the next sentence
- * @param {string} text - Input text to process
- * @returns {Object} - Object containing nodes and edges arrays
+ * Load the entity catalog
+ * @param {string} catalogPath - Path to the catalog JSON file
+ * @returns {Array<Object>} - Catalog entities { id, type, label, aliases, description }
  */
-function buildGraphFromText(text) {
+function loadEntityCatalog(catalogPath = DEFAULT_CATALOG_PATH) {
   try {
-    // Validate input
-    if (!text || typeof text !== 'string') {
-      throw new Error('Input text must be a non-empty string');
+    return JSON.parse(fs.readFileSync(catalogPath, 'utf-8')).entities;
+  } catch (error) {
+    console.error('Error loading entity catalog:', error.message);
+    throw new Error(`Failed to load entity catalog: ${error.message}`);
+  }
+}
+
+/**
+ * Compile a catalog alias into a whole-word regular expression
+ * Hyphens and spaces are interchangeable ("INSAT-3D", "INSAT 3D", "INSAT3D"),
+ * and short upper-case acronyms like SST or SAC only match in upper case
+ * @param {string} alias - Alias text
+ * @returns {RegExp} - Global regular expression for the alias
+ */
+function aliasToPattern(alias) {
+  const escaped = alias
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/[-\s]+/g, '[-\\s]?');
+  const caseSensitive = /^[A-Z0-9-]{2,5}$/.test(alias);
+  return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Prepare catalog entities for matching
+ * @param {Array<Object>} catalog - Catalog entities
+ * @returns {Array<Object>} - Entities with compiled alias patterns
+ */
+function compileCatalog(catalog) {
+  return catalog.map(entity => ({
+    ...entity,
+    patterns: [entity.label, ...(entity.aliases || [])].map(aliasToPattern)
+  }));
+}
+
+/**
+ * Split text into sentences, treating line breaks (list items, headings) as boundaries too
+ * @param {string} text - Input text
+ * @returns {Array<string>} - Sentences with collapsed whitespace
+ */
+function splitSentences(text) {
+  return text
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9("])/)
+    .map(sentence => sentence.replace(/^\s*(?:[-•*]|\d+[.)])\s+/, '').replace(/\s+/g, ' ').trim())
+    .filter(sentence => sentence.length > 2);
+}
+
+/**
+ * Find the catalog entities mentioned in a sentence
+ * Overlapping matches resolve to the longest one, so "Sea Surface Temperature Monitor"
+ * is a sensor rather than the parameter "Sea Surface Temperature"
+ * @param {string} sentence - Sentence text
+ * @param {Array<Object>} entities - Compiled catalog entities
+ * @returns {Array<Object>} - Mentions { entity, start, end, text } in sentence order
+ */
+function findEntityMentions(sentence, entities) {
+  const candidates = [];
+
+  entities.forEach(entity => {
+    entity.patterns.forEach(pattern => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(sentence)) !== null) {
+        candidates.push({ entity, start: match.index, end: match.index + match[0].length, text: match[0] });
+      }
+    });
+  });
+
+  // Satellites outside the catalog, e.g. a newly launched EOS mission
+  SATELLITE_NAME_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = SATELLITE_NAME_PATTERN.exec(sentence)) !== null) {
+    const label = match[0].replace(/\s+/g, '-').toUpperCase();
+    candidates.push({
+      entity: { id: label.toLowerCase(), type: 'satellite', label, aliases: [match[0]], discovered: true },
+      start: match.index,
+      end: match.index + match[0].length,
+      text: match[0]
+    });
+  }
+
+  const accepted = [];
+  candidates
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+    .forEach(candidate => {
+      const overlaps = accepted.some(other => candidate.start < other.end && other.start < candidate.end);
+      if (!overlaps) accepted.push(candidate);
+    });
+
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the relation rule for a pair of entity types in either direction
+ * @param {Object} first - Mention appearing first in the sentence
+ * @param {Object} second - Mention appearing later in the sentence
+ * @param {string} sentence - Sentence text, checked for cue words
+ * @returns {Array<Object>} - Matching { rule, source, target, cued } relations
+ */
+function matchRelationRules(first, second, sentence) {
+  const relations = [];
+
+  RELATION_RULES.forEach(rule => {
+    let source = null;
+    let target = null;
+
+    if (first.entity.type === rule.from && second.entity.type === rule.to) {
+      source = first;
+      target = second;
+    } else if (!rule.ordered && second.entity.type === rule.from && first.entity.type === rule.to) {
+      source = second;
+      target = first;
     }
 
-    // Clean and normalize the text
-    const cleanText = text.trim().replace(/\s+/g, ' ');
-    
-    if (cleanText.length === 0) {
-      return { nodes: [], edges: [] };
+    if (!source) return;
+
+    // Look for the cue between the two mentions first, falling back to the whole sentence
+    const between = sentence.slice(first.end, second.start);
+    const cued = rule.cue.test(between) || (!rule.requireCue && rule.cue.test(sentence));
+
+    if (rule.requireCue && !cued) return;
+    relations.push({ rule, source, target, cued });
+  });
+
+  return relations;
+}
+
+/**
+ * Build an entity-relation knowledge graph from several documents
+ * Entities come from the catalog (plus satellite names matched by pattern), and each
+ * pair of entities mentioned in the same sentence is linked by the typed relation for
+ * their entity types. Every edge keeps the sentences that support it as evidence.
+ * @param {Array<Object>} sections - Array of { text, metadata } sections (metadata.filename is kept as the evidence source)
+ * @param {Object} options - { catalog, catalogPath }
+ * @returns {Object} - { nodes, edges, metadata } graph
+ */
+function buildGraphFromSections(sections, options = {}) {
+  try {
+    if (!Array.isArray(sections)) {
+      throw new Error('Sections must be an array');
     }
 
-    // Split text into sentences using multiple delimiters
-    // This regex looks for sentence endings followed by whitespace and capital letter
-    const sentences = cleanText
-      .split(/[.!?]+/)
-      .map(sentence => sentence.trim())
-      .filter(sentence => sentence.length > 0)
-      .map(sentence => {
-        // Ensure sentence ends with proper punctuation
-        if (!/[.!?]$/.test(sentence)) {
-          sentence += '.';
+    const entities = compileCatalog(options.catalog || loadEntityCatalog(options.catalogPath));
+    const nodesById = new Map();
+    const edgesByKey = new Map();
+    let totalSentences = 0;
+
+    const addNode = (entity, source) => {
+      const id = `${entity.type}:${entity.id}`;
+      if (!nodesById.has(id)) {
+        nodesById.set(id, {
+          id,
+          label: entity.label,
+          type: entity.type,
+          aliases: entity.aliases || [],
+          description: entity.description || null,
+          discovered: !!entity.discovered,
+          mentions: 0,
+          sources: []
+        });
+      }
+
+      const node = nodesById.get(id);
+      node.mentions++;
+      if (source && !node.sources.includes(source)) {
+        node.sources.push(source);
+      }
+      return node;
+    };
+
+    sections.forEach(section => {
+      if (!section.text || typeof section.text !== 'string') return;
+      const source = section.metadata?.filename || null;
+
+      splitSentences(section.text).forEach(sentence => {
+        const sentenceIndex = totalSentences++;
+        const mentions = findEntityMentions(sentence, entities);
+
+        // The same entity mentioned twice in a sentence counts once
+        const unique = mentions.filter((mention, i) => (
+          mentions.findIndex(other => other.entity.type === mention.entity.type && other.entity.id === mention.entity.id) === i
+        ));
+
+        unique.forEach(mention => {
+          mention.node = addNode(mention.entity, source);
+        });
+
+        for (let i = 0; i < unique.length; i++) {
+          for (let j = i + 1; j < unique.length; j++) {
+            matchRelationRules(unique[i], unique[j], sentence).forEach(({ rule, source: from, target: to, cued }) => {
+              const key = `${from.node.id}|${rule.type}|${to.node.id}`;
+
+              if (!edgesByKey.has(key)) {
+                edgesByKey.set(key, {
+                  id: `edge_${edgesByKey.size}`,
+                  source: from.node.id,
+                  target: to.node.id,
+                  type: rule.type,
+                  label: rule.label,
+                  weight: 0,
+                  confidence: 0,
+                  evidence: []
+                });
+              }
+
+              const edge = edgesByKey.get(key);
+              edge.weight++;
+              edge.confidence = Math.max(edge.confidence, cued ? CUE_CONFIDENCE : COOCCURRENCE_CONFIDENCE);
+              edge.evidence.push({ sentence: sentenceIndex, text: sentence, source });
+            });
+          }
         }
-        return sentence;
       });
+    });
 
-    // If no sentences found, return empty graph
-    if (sentences.length === 0) {
-      return { nodes: [], edges: [] };
-    }
+    const nodes = [...nodesById.values()];
+    const edges = [...edgesByKey.values()];
 
-    // Create nodes from sentences
-    const nodes = sentences.map((sentence, index) => ({
-      id: `node_${index}`,
-      label: `Sentence ${index + 1}`,
-      text: sentence,
-      index: index,
-      wordCount: sentence.split(/\s+/).length,
-      type: 'sentence'
-    }));
-
-    // Create linear edges connecting consecutive sentences
-    const edges = [];
-    for (let i = 0; i < sentences.length - 1; i++) {
-      edges.push({
-        id: `edge_${i}`,
-        source: `node_${i}`,
-        target: `node_${i + 1}`,
-        type: 'sequence',
-        weight: 1,
-        label: `leads to`
-      });
-    }
+    const countBy = (items, key) => items.reduce((counts, item) => {
+      counts[item[key]] = (counts[item[key]] || 0) + 1;
+      return counts;
+    }, {});
 
-    // Return the knowledge graph structure
     return {
       nodes,
       edges,
       metadata: {
-        totalSentences: sentences.length,
-        totalConnections: edges.length,
-        averageWordsPerSentence: Math.round(
-          sentences.reduce((sum, sentence) => sum + sentence.split(/\s+/).length, 0) / sentences.length
-        ),
-        graphType: 'linear_sequence'
+        totalSentences,
+        totalEntities: nodes.length,
+        totalRelations: edges.length,
+        entityTypes: countBy(nodes, 'type'),
+        relationTypes: countBy(edges, 'type'),
+        sources: sections.map(section => section.metadata?.filename).filter(Boolean),
+        builtAt: new Date().toISOString(),
+        graphType: 'entity_relation'
       }
     };
 
+  } catch (error) {
+    console.error('Error building graph from sections:', error.message);
+    throw new Error(`Failed to build knowledge graph: ${error.message}`);
+  }
+}
+
+/**
+ * Build an entity-relation knowledge graph from text
+ * @param {string} text - Input text to process
+ * @param {Object} options - { source, catalog, catalogPath }
+ * @returns {Object} - Object containing nodes, edges and metadata
+ */
+function buildGraphFromText(text, options = {}) {
+  try {
+    // Validate input
+    if (!text || typeof text !== 'string') {
+      throw new Error('Input text must be a non-empty string');
+    }
+
+    return buildGraphFromSections([
+      { text, metadata: options.source ? { filename: options.source } : {} }
+    ], options);
+
   } catch (error) {
     console.error('Error building graph from text:', error.message);
     throw new Error(`Failed to build knowledge graph: ${error.message}`);
@@ -99,7 +323,7 @@ async function buildGraphFromFile(filePath) {
     const text = fs.readFileSync(filePath, 'utf-8');
     
     // Build graph from the text content
-    return buildGraphFromText(text);
+    return buildGraphFromText(text, { source: path.basename(filePath) });
     
   } catch (error) {
     console.error('Error building graph from file:', error.message);
@@ -135,36 +359,35 @@ function exportGraphToJSON(graph, outputPath) {
  */
 function printGraphStats(graph) {
   console.log('\n📊 Knowledge Graph Statistics:');
-  console.log(`├── Nodes: ${graph.nodes.length}`);
-  console.log(`├── Edges: ${graph.edges.length}`);
-  
+  console.log(`├── Entities: ${graph.nodes.length}`);
+  console.log(`├── Relations: ${graph.edges.length}`);
+
   if (graph.metadata) {
-    console.log(`├── Total Sentences: ${graph.metadata.totalSentences}`);
-    console.log(`├── Total Connections: ${graph.metadata.totalConnections}`);
-    console.log(`├── Avg Words/Sentence: ${graph.metadata.averageWordsPerSentence}`);
+    console.log(`├── Sentences Scanned: ${graph.metadata.totalSentences}`);
+    Object.entries(graph.metadata.entityTypes || {}).forEach(([type, count]) => {
+      console.log(`├── ${type}: ${count}`);
+    });
     console.log(`└── Graph Type: ${graph.metadata.graphType}`);
   }
-  
-  console.log('\n🔗 Sample Connections:');
-  graph.edges.slice(0, 3).forEach(edge => {
-    const sourceNode = graph.nodes.find(n => n.id === edge.source);
-    const targetNode = graph.nodes.find(n => n.id === edge.target);
-    console.log(`├── "${sourceNode?.text.substring(0, 50)}..." → "${targetNode?.text.substring(0, 50)}..."`);
+
+  const labelOf = (id) => graph.nodes.find(n => n.id === id)?.label || id;
+
+  console.log('\n🔗 Sample Relations:');
+  graph.edges.slice(0, 5).forEach(edge => {
+    console.log(`├── ${labelOf(edge.source)} —${edge.label}→ ${labelOf(edge.target)} (${edge.evidence.length} sentences)`);
   });
 }
 
-// Export the functions using module.exports for CommonJS compatibility
-module.exports = {
+// Export the functions as ES modules
+export {
+  RELATION_RULES,
+  loadEntityCatalog,
+  splitSentences,
+  findEntityMentions,
+  compileCatalog,
+  buildGraphFromSections,
   buildGraphFromText,
   buildGraphFromFile,
   exportGraphToJSON,
   printGraphStats
-};
-
-// Also export as ES module for modern usage
-export { 
-  buildGraphFromText, 
-  buildGraphFromFile, 
-  exportGraphToJSON, 
-  printGraphStats 
 };
\ No newline at end of file
@@ -0,0 +1,1237 @@
+// Graph Exporters utility for converting the knowledge graph to and from standard interchange formats
+// Supports GraphML and GEXF (Gephi), Cypher scripts and CSV bulk-import files (Neo4j), and RDF Turtle/JSON-LD
+import fs from 'fs';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { RELATION_RULES } from './graphBuilder.js';
+
+// Namespaces of the MOSDAC ontology and of the exported entities and relations
+const MOSDAC_ONTOLOGY = 'https://mosdac.gov.in/ontology#';
+const MOSDAC_ENTITY = 'https://mosdac.gov.in/entity/';
+const MOSDAC_RELATION = 'https://mosdac.gov.in/relation/';
+
+const RDF_PREFIXES = {
+  mosdac: MOSDAC_ONTOLOGY,
+  entity: MOSDAC_ENTITY,
+  relation: MOSDAC_RELATION,
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  dcterms: 'http://purl.org/dc/terms/',
+  xsd: 'http://www.w3.org/2001/XMLSchema#'
+};
+
+// Ontology classes for each entity type
+const ENTITY_CLASSES = {
+  satellite: { name: 'Satellite', comment: 'An Earth observation satellite whose data MOSDAC archives' },
+  sensor: { name: 'Sensor', comment: 'An instrument or payload carried by a satellite' },
+  product: { name: 'Product', comment: 'A data product derived from satellite observations' },
+  organisation: { name: 'Organisation', comment: 'An agency or centre that operates, archives or uses satellite data' },
+  parameter: { name: 'Parameter', comment: 'A geophysical quantity measured or described by the data' }
+};
+
+// Node and edge fields written as attributes by the tabular and XML formats
+const NODE_ATTRIBUTES = [
+  { key: 'type', type: 'string' },
+  { key: 'aliases', type: 'json' },
+  { key: 'description', type: 'string' },
+  { key: 'discovered', type: 'boolean' },
+  { key: 'mentions', type: 'int' },
+  { key: 'sources', type: 'json' }
+];
+
+const EDGE_ATTRIBUTES = [
+  { key: 'type', type: 'string' },
+  { key: 'confidence', type: 'double' },
+  { key: 'evidence', type: 'json' }
+];
+
+/**
+ * Convert a relation type to an RDF property local name, e.g. used_by -> usedBy
+ * @param {string} type - Relation type
+ * @returns {string} - camelCase property name
+ */
+function relationProperty(type) {
+  return type.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * IRI for a graph node, e.g. satellite:insat-3d -> https://mosdac.gov.in/entity/satellite/insat-3d
+ * @param {string} nodeId - Node id
+ * @returns {string} - Entity IRI
+ */
+function entityIri(nodeId) {
+  const [type, ...rest] = nodeId.split(':');
+  return `${MOSDAC_ENTITY}${type}/${encodeURIComponent(rest.join(':'))}`;
+}
+
+/**
+ * Rebuild the graph metadata after an import
+ * @param {Array<Object>} nodes - Imported nodes
+ * @param {Array<Object>} edges - Imported edges
+ * @param {string} format - Format the graph was read from
+ * @returns {Object} - Graph with nodes, edges and metadata
+ */
+function toGraph(nodes, edges, format) {
+  const countBy = (items, key) => items.reduce((counts, item) => {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    nodes,
+    edges,
+    metadata: {
+      totalEntities: nodes.length,
+      totalRelations: edges.length,
+      entityTypes: countBy(nodes, 'type'),
+      relationTypes: countBy(edges, 'type'),
+      importedFrom: format,
+      importedAt: new Date().toISOString(),
+      graphType: 'entity_relation'
+    }
+  };
+}
+
+/**
+ * Fill in the defaults every node and edge carries, so imports match graphBuilder output
+ * @param {Object} node - Partially imported node
+ * @returns {Object} - Complete node
+ */
+function completeNode(node) {
+  return {
+    id: node.id,
+    label: node.label || node.id,
+    type: node.type || node.id.split(':')[0],
+    aliases: node.aliases || [],
+    description: node.description || '',
+    discovered: !!node.discovered,
+    mentions: node.mentions || 0,
+    sources: node.sources || []
+  };
+}
+
+/**
+ * @param {Object} edge - Partially imported edge
+ * @returns {Object} - Complete edge
+ */
+function completeEdge(edge) {
+  return {
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    type: edge.type,
+    label: edge.label || edge.type,
+    weight: edge.weight || 0,
+    confidence: edge.confidence || 0,
+    evidence: edge.evidence || []
+  };
+}
+
+/**
+ * Turn an attribute value into text for XML or CSV
+ * @param {*} value - Attribute value
+ * @param {string} type - Attribute type from NODE_ATTRIBUTES/EDGE_ATTRIBUTES
+ * @returns {string} - Serialised value
+ */
+function serializeAttribute(value, type) {
+  if (type === 'json') return JSON.stringify(value ?? []);
+  if (value === undefined || value === null) return '';
+  return String(value);
+}
+
+/**
+ * Read an attribute value written by serializeAttribute
+ * @param {string} text - Serialised value
+ * @param {string} type - Attribute type
+ * @returns {*} - Parsed value
+ */
+function parseAttribute(text, type) {
+  if (text === undefined || text === null) return undefined;
+  if (type === 'json') return text ? JSON.parse(text) : [];
+  if (type === 'boolean') return text === 'true';
+  if (type === 'int') return parseInt(text, 10) || 0;
+  if (type === 'double') return parseFloat(text) || 0;
+  return text;
+}
+
+/**
+ * Escape text for an XML attribute or element
+ * Line breaks and tabs become character references, since attribute value normalisation would turn them into spaces
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+}
+
+/**
+ * Parse an XML string into a DOM document
+ * @param {string} xml - XML content
+ * @returns {Document} - Parsed document
+ */
+function parseXml(xml) {
+  const document = new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XML');
+  }
+  return document;
+}
+
+/**
+ * Export a graph as GraphML
+ * List-valued fields (aliases, sources, evidence) are stored as JSON strings so they round-trip
+ * @param {Object} graph - Knowledge graph
+ * @returns {string} - GraphML document
+ */
+function exportGraphML(graph) {
+  const graphmlType = (type) => (type === 'json' ? 'string' : type);
+  const keys = [
+    '    <key id="label" for="all" attr.name="label" attr.type="string"/>',
+    ...NODE_ATTRIBUTES.map(attr => `    <key id="n_${attr.key}" for="node" attr.name="${attr.key}" attr.type="${graphmlType(attr.type)}"/>`),
+    '    <key id="e_weight" for="edge" attr.name="weight" attr.type="int"/>',
+    ...EDGE_ATTRIBUTES.map(attr => `    <key id="e_${attr.key}" for="edge" attr.name="${attr.key}" attr.type="${graphmlType(attr.type)}"/>`)
+  ];
+
+  const dataLines = (prefix, attributes, item) => attributes
+    .map(attr => `      <data key="${prefix}_${attr.key}">${escapeXml(serializeAttribute(item[attr.key], attr.type))}</data>`);
+
+  const nodes = graph.nodes.map(node => [
+    `    <node id="${escapeXml(node.id)}">`,
+    `      <data key="label">${escapeXml(node.label)}</data>`,
+    ...dataLines('n', NODE_ATTRIBUTES, node),
+    '    </node>'
+  ].join('\n'));
+
+  const edges = graph.edges.map(edge => [
+    `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+    `      <data key="label">${escapeXml(edge.label)}</data>`,
+    `      <data key="e_weight">${edge.weight}</data>`,
+    ...dataLines('e', EDGE_ATTRIBUTES, edge),
+    '    </edge>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...keys,
+    '  <graph id="mosdac_knowledge_graph" edgedefault="directed">',
+    ...nodes,
+    ...edges,
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Import a graph from GraphML written by exportGraphML (or another tool using the same attribute names)
+ * @param {string} xml - GraphML document
+ * @returns {Object} - Knowledge graph
+ */
+function importGraphML(xml) {
+  try {
+    const document = parseXml(xml);
+
+    // Map key ids to attribute names, so files re-saved by other tools still import
+    const keyNames = new Map();
+    [...document.getElementsByTagName('key')].forEach(key => {
+      keyNames.set(key.getAttribute('id'), key.getAttribute('attr.name') || key.getAttribute('id'));
+    });
+
+    const readData = (element, attributes) => {
+      const values = {};
+      [...element.getElementsByTagName('data')].forEach(data => {
+        const name = keyNames.get(data.getAttribute('key')) || data.getAttribute('key');
+        const attr = attributes.find(candidate => candidate.key === name);
+        values[name] = attr ? parseAttribute(data.textContent, attr.type) : data.textContent;
+      });
+      return values;
+    };
+
+    const nodes = [...document.getElementsByTagName('node')].map(element => completeNode({
+      ...readData(element, NODE_ATTRIBUTES),
+      id: element.getAttribute('id')
+    }));
+
+    const edges = [...document.getElementsByTagName('edge')].map((element, index) => {
+      const data = readData(element, [...EDGE_ATTRIBUTES, { key: 'weight', type: 'int' }]);
+      return completeEdge({
+        ...data,
+        id: element.getAttribute('id') || `edge_${index}`,
+        source: element.getAttribute('source'),
+        target: element.getAttribute('target')
+      });
+    });
+
+    return toGraph(nodes, edges, 'graphml');
+  } catch (error) {
+    throw new Error(`Failed to import GraphML: ${error.message}`);
+  }
+}
+
+/**
+ * Export a graph as GEXF 1.3 for Gephi
+ * @param {Object} graph - Knowledge graph
+ * @returns {string} - GEXF document
+ */
+function exportGEXF(graph) {
+  const gexfType = (type) => ({ json: 'string', int: 'integer' }[type] || type);
+  const attributeDeclarations = (attributes) => attributes
+    .map(attr => `      <attribute id="${attr.key}" title="${attr.key}" type="${gexfType(attr.type)}"/>`);
+
+  const attvalues = (attributes, item) => [
+    '        <attvalues>',
+    ...attributes.map(attr => `          <attvalue for="${attr.key}" value="${escapeXml(serializeAttribute(item[attr.key], attr.type))}"/>`),
+    '        </attvalues>'
+  ];
+
+  const nodes = graph.nodes.map(node => [
+    `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`,
+    ...attvalues(NODE_ATTRIBUTES, node),
+    '      </node>'
+  ].join('\n'));
+
+  const edges = graph.edges.map(edge => [
+    `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" label="${escapeXml(edge.label)}" weight="${edge.weight}">`,
+    ...attvalues(EDGE_ATTRIBUTES, edge),
+    '      </edge>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>MOSDAC AI Help Bot</creator>',
+    '    <description>MOSDAC entity and relation knowledge graph</description>',
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    '    <attributes class="node">',
+    ...attributeDeclarations(NODE_ATTRIBUTES),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...attributeDeclarations(EDGE_ATTRIBUTES),
+    '    </attributes>',
+    '    <nodes>',
+    ...nodes,
+    '    </nodes>',
+    '    <edges>',
+    ...edges,
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Import a graph from GEXF written by exportGEXF
+ * @param {string} xml - GEXF document
+ * @returns {Object} - Knowledge graph
+ */
+function importGEXF(xml) {
+  try {
+    const document = parseXml(xml);
+
+    // Attribute ids may be renumbered by Gephi, so resolve them through their titles
+    const attributeTitles = new Map();
+    [...document.getElementsByTagName('attribute')].forEach(attribute => {
+      const owner = attribute.parentNode.getAttribute('class');
+      attributeTitles.set(`${owner}:${attribute.getAttribute('id')}`, attribute.getAttribute('title'));
+    });
+
+    const readAttvalues = (element, owner, attributes) => {
+      const values = {};
+      [...element.getElementsByTagName('attvalue')].forEach(attvalue => {
+        const id = attvalue.getAttribute('for');
+        const name = attributeTitles.get(`${owner}:${id}`) || id;
+        const attr = attributes.find(candidate => candidate.key === name);
+        values[name] = attr ? parseAttribute(attvalue.getAttribute('value'), attr.type) : attvalue.getAttribute('value');
+      });
+      return values;
+    };
+
+    const nodes = [...document.getElementsByTagName('node')].map(element => completeNode({
+      ...readAttvalues(element, 'node', NODE_ATTRIBUTES),
+      id: element.getAttribute('id'),
+      label: element.getAttribute('label')
+    }));
+
+    const edges = [...document.getElementsByTagName('edge')].map((element, index) => completeEdge({
+      ...readAttvalues(element, 'edge', EDGE_ATTRIBUTES),
+      id: element.getAttribute('id') || `edge_${index}`,
+      source: element.getAttribute('source'),
+      target: element.getAttribute('target'),
+      label: element.getAttribute('label'),
+      weight: parseFloat(element.getAttribute('weight')) || 0
+    }));
+
+    return toGraph(nodes, edges, 'gexf');
+  } catch (error) {
+    throw new Error(`Failed to import GEXF: ${error.message}`);
+  }
+}
+
+/**
+ * Format a value as a Cypher literal
+ * Strings use JSON escaping, which Cypher string literals accept; U+2028/U+2029 are escaped
+ * too, since JSON leaves them raw and they would end a statement line for the importer
+ * @param {*} value - Property value
+ * @returns {string} - Cypher literal
+ */
+function cypherLiteral(value) {
+  if (Array.isArray(value)) return `[${value.map(cypherLiteral).join(', ')}]`;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value ?? '')).replace(/[\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16)}`);
+}
+
+/**
+ * Format a property map as a Cypher map literal
+ * @param {Object} properties - Property values
+ * @returns {string} - e.g. {id: "satellite:insat-3d", mentions: 3}
+ */
+function cypherMap(properties) {
+  return `{${Object.entries(properties).map(([key, value]) => `${key}: ${cypherLiteral(value)}`).join(', ')}}`;
+}
+
+/**
+ * Neo4j label for an entity type, e.g. satellite -> Satellite
+ * @param {string} type - Entity type
+ * @returns {string} - Node label
+ */
+function nodeLabel(type) {
+  return ENTITY_CLASSES[type]?.name || type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * Export a graph as a Cypher script of CREATE statements
+ * Every node gets the shared :Entity label so relations can be matched by id; evidence is stored as a list of sentences
+ * @param {Object} graph - Knowledge graph
+ * @returns {string} - Cypher script
+ */
+function exportCypher(graph) {
+  const nodeStatements = graph.nodes.map(node => `CREATE (:Entity:${nodeLabel(node.type)} ${cypherMap({
+    id: node.id,
+    label: node.label,
+    type: node.type,
+    aliases: node.aliases || [],
+    description: node.description || '',
+    discovered: !!node.discovered,
+    mentions: node.mentions || 0,
+    sources: node.sources || []
+  })});`);
+
+  const edgeStatements = graph.edges.map(edge => [
+    `MATCH (a:Entity {id: ${cypherLiteral(edge.source)}}), (b:Entity {id: ${cypherLiteral(edge.target)}})`,
+    `CREATE (a)-[:${edge.type.toUpperCase()} ${cypherMap({
+      id: edge.id,
+      label: edge.label,
+      weight: edge.weight,
+      confidence: edge.confidence,
+      evidence: edge.evidence.map(item => item.text),
+      evidenceSources: edge.evidence.map(item => item.source || '')
+    })}]->(b);`
+  ].join('\n'));
+
+  return [
+    '// MOSDAC knowledge graph',
+    `// Exported ${new Date().toISOString()}: ${graph.nodes.length} entities, ${graph.edges.length} relations`,
+    'CREATE CONSTRAINT mosdac_entity_id IF NOT EXISTS FOR (n:Entity) REQUIRE n.id IS UNIQUE;',
+    '',
+    ...nodeStatements,
+    '',
+    ...edgeStatements,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Parse a Cypher map literal written by cypherMap
+ * @param {string} text - Map literal including braces
+ * @returns {Object} - Property values
+ */
+function parseCypherMap(text) {
+  // Quote the bare keys; the values are already valid JSON. String literals are matched
+  // as whole tokens first, so text like ", resolution: 4 km" inside a value is left alone
+  const json = text.replace(/"(?:[^"\\]|\\.)*"|([{,]\s*)([A-Za-z_]\w*)\s*:/g, (match, prefix, key) => (
+    key ? `${prefix}"${key}":` : match
+  ));
+  return JSON.parse(json);
+}
+
+/**
+ * Rebuild evidence records from the parallel text/source lists used by the flat formats
+ * @param {Array<string>} texts - Evidence sentences
+ * @param {Array<string>} sources - Evidence sources, if present
+ * @returns {Array<Object>} - Evidence records
+ */
+function evidenceFromLists(texts = [], sources = []) {
+  return texts.map((text, index) => ({ text, source: sources[index] || null }));
+}
+
+/**
+ * Import a graph from a Cypher script written by exportCypher
+ * Only the statement shapes produced by the exporter are recognised
+ * @param {string} script - Cypher script
+ * @returns {Object} - Knowledge graph
+ */
+function importCypher(script) {
+  try {
+    const nodes = [];
+    const edges = [];
+
+    // Maps contain no nested braces, so a lazy match up to "})" is enough; strings can't hold raw newlines
+    const nodePattern = /^CREATE \(:Entity:\w+ (\{.*\})\);$/gm;
+    const edgePattern = /^MATCH \(a:Entity \{id: (".*?")\}\), \(b:Entity \{id: (".*?")\}\)\nCREATE \(a\)-\[:(\w+) (\{.*\})\]->\(b\);$/gm;
+
+    for (const match of script.matchAll(nodePattern)) {
+      nodes.push(completeNode(parseCypherMap(match[1])));
+    }
+
+    for (const match of script.matchAll(edgePattern)) {
+      const properties = parseCypherMap(match[4]);
+      edges.push(completeEdge({
+        ...properties,
+        source: JSON.parse(match[1]),
+        target: JSON.parse(match[2]),
+        type: match[3].toLowerCase(),
+        evidence: evidenceFromLists(properties.evidence, properties.evidenceSources)
+      }));
+    }
+
+    return toGraph(nodes, edges, 'cypher');
+  } catch (error) {
+    throw new Error(`Failed to import Cypher: ${error.message}`);
+  }
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+// Separator for array fields in Neo4j CSV files (neo4j-admin --array-delimiter)
+const CSV_ARRAY_DELIMITER = '|';
+
+/**
+ * Export a graph as the node and relationship CSV files for neo4j-admin database import
+ * @param {Object} graph - Knowledge graph
+ * @returns {Object} - { nodes, relationships } CSV contents
+ */
+function exportNeo4jCSV(graph) {
+  // The array delimiter can't be escaped, so it is replaced inside values
+  const list = (values) => (values || []).map(value => String(value).replace(/\|/g, '/')).join(CSV_ARRAY_DELIMITER);
+
+  const nodeRows = graph.nodes.map(node => [
+    node.id,
+    node.label,
+    node.type,
+    list(node.aliases),
+    node.description || '',
+    !!node.discovered,
+    node.mentions || 0,
+    list(node.sources),
+    `Entity;${nodeLabel(node.type)}`
+  ]);
+
+  const relationshipRows = graph.edges.map(edge => [
+    edge.source,
+    edge.target,
+    edge.type.toUpperCase(),
+    edge.id,
+    edge.label,
+    edge.weight,
+    edge.confidence,
+    list(edge.evidence.map(item => item.text)),
+    list(edge.evidence.map(item => item.source || ''))
+  ]);
+
+  const toCsv = (header, rows) => [header, ...rows]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\n') + '\n';
+
+  return {
+    nodes: toCsv(
+      ['id:ID', 'label', 'type', 'aliases:string[]', 'description', 'discovered:boolean', 'mentions:int', 'sources:string[]', ':LABEL'],
+      nodeRows
+    ),
+    relationships: toCsv(
+      [':START_ID', ':END_ID', ':TYPE', 'id', 'label', 'weight:int', 'confidence:float', 'evidence:string[]', 'evidenceSources:string[]'],
+      relationshipRows
+    )
+  };
+}
+
+/**
+ * Import a graph from Neo4j bulk-import CSV files written by exportNeo4jCSV
+ * Columns are matched by header name, with the type suffix (":int", ":string[]") ignored
+ * @param {string} nodesCsv - Nodes CSV content
+ * @param {string} relationshipsCsv - Relationships CSV content
+ * @returns {Object} - Knowledge graph
+ */
+function importNeo4jCSV(nodesCsv, relationshipsCsv) {
+  try {
+    // Neo4j's own columns (":START_ID", ":TYPE") keep their full name
+    const parseColumn = (column) => {
+      if (column.startsWith(':')) return [column, 'string'];
+      const [name, type = 'string'] = column.split(':');
+      return [name, type];
+    };
+
+    const readRecords = (text) => {
+      const [header = [], ...rows] = parseCsv(text || '');
+      return rows.map(fields => {
+        const record = {};
+        header.forEach((column, index) => {
+          const [name, type] = parseColumn(column);
+          const raw = fields[index] ?? '';
+
+          if (type.endsWith('[]')) record[name] = raw ? raw.split(CSV_ARRAY_DELIMITER) : [];
+          else if (type === 'int') record[name] = parseInt(raw, 10) || 0;
+          else if (type === 'float') record[name] = parseFloat(raw) || 0;
+          else if (type === 'boolean') record[name] = raw === 'true';
+          else record[name] = raw;
+        });
+        return record;
+      });
+    };
+
+    const nodes = readRecords(nodesCsv).map(record => completeNode(record));
+    const edges = readRecords(relationshipsCsv).map((record, index) => completeEdge({
+      ...record,
+      id: record.id || `edge_${index}`,
+      source: record[':START_ID'],
+      target: record[':END_ID'],
+      type: (record[':TYPE'] || '').toLowerCase(),
+      evidence: evidenceFromLists(record.evidence, record.evidenceSources)
+    }));
+
+    return toGraph(nodes, edges, 'neo4j-csv');
+  } catch (error) {
+    throw new Error(`Failed to import Neo4j CSV: ${error.message}`);
+  }
+}
+
+// Relation types keyed by their RDF property name, e.g. usedBy -> used_by
+const RELATION_TYPES_BY_PROPERTY = new Map(RELATION_RULES.map(rule => [relationProperty(rule.type), rule]));
+
+/**
+ * Describe the MOSDAC ontology as triples: one class per entity type and one property per relation type
+ * @returns {Array<Object>} - { subject, predicate, object } triples
+ */
+function ontologyTriples() {
+  const { rdf, rdfs, owl } = RDF_PREFIXES;
+  const triples = [];
+  const add = (subject, predicate, object) => triples.push({ subject, predicate, object });
+
+  add(`${MOSDAC_ONTOLOGY}Entity`, `${rdf}type`, { iri: `${owl}Class` });
+  add(`${MOSDAC_ONTOLOGY}Entity`, `${rdfs}label`, { value: 'Entity' });
+  add(`${MOSDAC_ONTOLOGY}Relation`, `${rdf}type`, { iri: `${owl}Class` });
+  add(`${MOSDAC_ONTOLOGY}Relation`, `${rdfs}comment`, { value: 'A relation extracted from the knowledge base, with its weight, confidence and evidence sentences' });
+  add(`${MOSDAC_ONTOLOGY}Evidence`, `${rdf}type`, { iri: `${owl}Class` });
+  add(`${MOSDAC_ONTOLOGY}Evidence`, `${rdfs}comment`, { value: 'A sentence supporting a relation (rdf:value) and the document it came from (dcterms:source)' });
+  add(`${MOSDAC_ONTOLOGY}evidence`, `${rdf}type`, { iri: `${owl}ObjectProperty` });
+  add(`${MOSDAC_ONTOLOGY}evidence`, `${rdfs}domain`, { iri: `${MOSDAC_ONTOLOGY}Relation` });
+  add(`${MOSDAC_ONTOLOGY}evidence`, `${rdfs}range`, { iri: `${MOSDAC_ONTOLOGY}Evidence` });
+
+  Object.values(ENTITY_CLASSES).forEach(({ name, comment }) => {
+    const iri = `${MOSDAC_ONTOLOGY}${name}`;
+    add(iri, `${rdf}type`, { iri: `${owl}Class` });
+    add(iri, `${rdfs}subClassOf`, { iri: `${MOSDAC_ONTOLOGY}Entity` });
+    add(iri, `${rdfs}label`, { value: name });
+    add(iri, `${rdfs}comment`, { value: comment });
+  });
+
+  RELATION_RULES.forEach(rule => {
+    const iri = `${MOSDAC_ONTOLOGY}${relationProperty(rule.type)}`;
+    add(iri, `${rdf}type`, { iri: `${owl}ObjectProperty` });
+    add(iri, `${rdfs}label`, { value: rule.label });
+    add(iri, `${rdfs}domain`, { iri: `${MOSDAC_ONTOLOGY}${ENTITY_CLASSES[rule.from].name}` });
+    add(iri, `${rdfs}range`, { iri: `${MOSDAC_ONTOLOGY}${ENTITY_CLASSES[rule.to].name}` });
+  });
+
+  [['identifier', 'Knowledge graph node id'], ['mentions', 'Number of sentences mentioning the entity'],
+    ['discovered', 'True when the entity was found in the text rather than the entity catalog'],
+    ['weight', 'Number of sentences supporting the relation'], ['confidence', 'Confidence of the extracted relation']].forEach(([name, comment]) => {
+    add(`${MOSDAC_ONTOLOGY}${name}`, `${rdf}type`, { iri: `${owl}DatatypeProperty` });
+    add(`${MOSDAC_ONTOLOGY}${name}`, `${rdfs}comment`, { value: comment });
+  });
+
+  return triples;
+}
+
+/**
+ * Convert a graph to RDF triples using the MOSDAC ontology
+ * Each relation is stated directly (entity mosdac:carries entity) and also reified as an rdf:Statement
+ * carrying its weight, confidence and evidence; each evidence item is a mosdac:Evidence resource holding
+ * the sentence and its source document
+ * @param {Object} graph - Knowledge graph
+ * @returns {Array<Object>} - { subject, predicate, object } triples, object being { iri } or { value }
+ */
+function graphToTriples(graph) {
+  const { rdf, rdfs, skos, dcterms } = RDF_PREFIXES;
+  const triples = ontologyTriples();
+  const add = (subject, predicate, object) => triples.push({ subject, predicate, object });
+
+  graph.nodes.forEach(node => {
+    const iri = entityIri(node.id);
+    add(iri, `${rdf}type`, { iri: `${MOSDAC_ONTOLOGY}${nodeLabel(node.type)}` });
+    add(iri, `${MOSDAC_ONTOLOGY}identifier`, { value: node.id });
+    add(iri, `${rdfs}label`, { value: node.label });
+    (node.aliases || []).forEach(alias => add(iri, `${skos}altLabel`, { value: alias }));
+    if (node.description) add(iri, `${dcterms}description`, { value: node.description });
+    add(iri, `${MOSDAC_ONTOLOGY}discovered`, { value: !!node.discovered });
+    add(iri, `${MOSDAC_ONTOLOGY}mentions`, { value: node.mentions || 0 });
+    (node.sources || []).forEach(source => add(iri, `${dcterms}source`, { value: source }));
+  });
+
+  graph.edges.forEach(edge => {
+    const iri = `${MOSDAC_RELATION}${encodeURIComponent(edge.id)}`;
+    const property = `${MOSDAC_ONTOLOGY}${relationProperty(edge.type)}`;
+
+    add(entityIri(edge.source), property, { iri: entityIri(edge.target) });
+    add(iri, `${rdf}type`, { iri: `${rdf}Statement` });
+    add(iri, `${rdf}type`, { iri: `${MOSDAC_ONTOLOGY}Relation` });
+    add(iri, `${rdf}subject`, { iri: entityIri(edge.source) });
+    add(iri, `${rdf}predicate`, { iri: property });
+    add(iri, `${rdf}object`, { iri: entityIri(edge.target) });
+    add(iri, `${rdfs}label`, { value: edge.label });
+    add(iri, `${MOSDAC_ONTOLOGY}weight`, { value: edge.weight });
+    add(iri, `${MOSDAC_ONTOLOGY}confidence`, { value: edge.confidence });
+    edge.evidence.forEach((item, index) => {
+      const evidenceIri = `${iri}/evidence/${index + 1}`;
+      add(iri, `${MOSDAC_ONTOLOGY}evidence`, { iri: evidenceIri });
+      add(evidenceIri, `${rdf}type`, { iri: `${MOSDAC_ONTOLOGY}Evidence` });
+      add(evidenceIri, `${rdf}value`, { value: item.text });
+      if (item.source) add(evidenceIri, `${dcterms}source`, { value: item.source });
+    });
+  });
+
+  return triples;
+}
+
+/**
+ * Rebuild a graph from RDF triples
+ * Reified rdf:Statements become edges with their weight, confidence and evidence; evidence given as plain
+ * literals (e.g. from other RDF tools) is kept without a source. Direct relation triples
+ * without a statement (e.g. from other RDF tools) become edges with default weights
+ * @param {Array<Object>} triples - { subject, predicate, object } triples
+ * @param {string} format - Format the triples were read from
+ * @returns {Object} - Knowledge graph
+ */
+function triplesToGraph(triples, format) {
+  const { rdf, rdfs, skos, dcterms } = RDF_PREFIXES;
+  const subjects = new Map();
+
+  triples.forEach(({ subject, predicate, object }) => {
+    if (!subjects.has(subject)) subjects.set(subject, new Map());
+    const properties = subjects.get(subject);
+    if (!properties.has(predicate)) properties.set(predicate, []);
+    properties.get(predicate).push(object);
+  });
+
+  const values = (properties, predicate) => (properties.get(predicate) || []).map(object => object.iri ?? object.value);
+  const first = (properties, predicate) => values(properties, predicate)[0];
+
+  const classTypes = new Map(Object.entries(ENTITY_CLASSES).map(([type, { name }]) => [`${MOSDAC_ONTOLOGY}${name}`, type]));
+  const idsByIri = new Map();
+  const nodes = [];
+
+  subjects.forEach((properties, iri) => {
+    const type = values(properties, `${rdf}type`).map(typeIri => classTypes.get(typeIri)).find(Boolean);
+    if (!type) return;
+
+    const id = first(properties, `${MOSDAC_ONTOLOGY}identifier`) ||
+      `${type}:${decodeURIComponent(iri.split('/').pop())}`;
+    idsByIri.set(iri, id);
+
+    nodes.push(completeNode({
+      id,
+      type,
+      label: first(properties, `${rdfs}label`),
+      aliases: values(properties, `${skos}altLabel`),
+      description: first(properties, `${dcterms}description`),
+      discovered: first(properties, `${MOSDAC_ONTOLOGY}discovered`) === true,
+      mentions: first(properties, `${MOSDAC_ONTOLOGY}mentions`),
+      sources: values(properties, `${dcterms}source`)
+    }));
+  });
+
+  // Evidence is a mosdac:Evidence resource, or just the sentence as a literal
+  const evidenceItem = (object) => {
+    if (object.iri === undefined) return { text: String(object.value), source: null };
+    const properties = subjects.get(object.iri) || new Map();
+    return { text: String(first(properties, `${rdf}value`) ?? ''), source: first(properties, `${dcterms}source`) ?? null };
+  };
+
+  const relationType = (propertyIri) => {
+    const name = propertyIri.startsWith(MOSDAC_ONTOLOGY) ? propertyIri.slice(MOSDAC_ONTOLOGY.length) : null;
+    return name && RELATION_TYPES_BY_PROPERTY.has(name) ? RELATION_TYPES_BY_PROPERTY.get(name) : null;
+  };
+
+  const edges = [];
+  const stated = new Set();
+
+  subjects.forEach((properties, iri) => {
+    if (!values(properties, `${rdf}type`).includes(`${rdf}Statement`)) return;
+
+    const rule = relationType(first(properties, `${rdf}predicate`) || '');
+    const source = idsByIri.get(first(properties, `${rdf}subject`));
+    const target = idsByIri.get(first(properties, `${rdf}object`));
+    if (!rule || !source || !target) return;
+
+    stated.add(`${source}|${rule.type}|${target}`);
+    edges.push(completeEdge({
+      id: decodeURIComponent(iri.split('/').pop()),
+      source,
+      target,
+      type: rule.type,
+      label: first(properties, `${rdfs}label`) || rule.label,
+      weight: first(properties, `${MOSDAC_ONTOLOGY}weight`),
+      confidence: first(properties, `${MOSDAC_ONTOLOGY}confidence`),
+      evidence: (properties.get(`${MOSDAC_ONTOLOGY}evidence`) || []).map(evidenceItem)
+    }));
+  });
+
+  triples.forEach(({ subject, predicate, object }) => {
+    const rule = relationType(predicate);
+    const source = idsByIri.get(subject);
+    const target = object.iri && idsByIri.get(object.iri);
+    if (!rule || !source || !target || stated.has(`${source}|${rule.type}|${target}`)) return;
+
+    stated.add(`${source}|${rule.type}|${target}`);
+    edges.push(completeEdge({ id: `edge_${edges.length}`, source, target, type: rule.type, label: rule.label, weight: 1 }));
+  });
+
+  return toGraph(nodes, edges, format);
+}
+
+/**
+ * Shorten an IRI with a known prefix when the local name allows it
+ * @param {string} iri - Full IRI
+ * @returns {string|null} - Prefixed name, or null if none applies
+ */
+function compactIri(iri) {
+  for (const [prefix, namespace] of Object.entries(RDF_PREFIXES)) {
+    if (iri.startsWith(namespace)) {
+      const local = iri.slice(namespace.length);
+      if (/^[A-Za-z_][\w-]*$/.test(local)) return `${prefix}:${local}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Format an RDF term for Turtle
+ * @param {Object} object - { iri } or { value }
+ * @returns {string} - Turtle term
+ */
+function turtleTerm(object) {
+  if (object.iri !== undefined) {
+    return compactIri(object.iri) || `<${object.iri}>`;
+  }
+  if (typeof object.value === 'boolean' || typeof object.value === 'number') return String(object.value);
+  return JSON.stringify(String(object.value));
+}
+
+/**
+ * Export a graph, together with the MOSDAC ontology, as RDF Turtle
+ * @param {Object} graph - Knowledge graph
+ * @returns {string} - Turtle document
+ */
+function exportTurtle(graph) {
+  const bySubject = new Map();
+  graphToTriples(graph).forEach(triple => {
+    if (!bySubject.has(triple.subject)) bySubject.set(triple.subject, []);
+    bySubject.get(triple.subject).push(triple);
+  });
+
+  const rdfType = `${RDF_PREFIXES.rdf}type`;
+  const blocks = [...bySubject.entries()].map(([subject, subjectTriples]) => {
+    const predicates = new Map();
+    subjectTriples.forEach(({ predicate, object }) => {
+      if (!predicates.has(predicate)) predicates.set(predicate, []);
+      predicates.get(predicate).push(turtleTerm(object));
+    });
+
+    const lines = [...predicates.entries()].map(([predicate, objects]) =>
+      `    ${predicate === rdfType ? 'a' : turtleTerm({ iri: predicate })} ${objects.join(', ')}`
+    );
+    return `${turtleTerm({ iri: subject })}\n${lines.join(' ;\n')} .`;
+  });
+
+  return [
+    ...Object.entries(RDF_PREFIXES).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`),
+    '',
+    `# MOSDAC knowledge graph: ${graph.nodes.length} entities, ${graph.edges.length} relations`,
+    '',
+    blocks.join('\n\n'),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Parse Turtle into triples
+ * Covers the subset written by exportTurtle plus common shorthand (prefixes, 'a', ';' and ',' lists,
+ * language tags and typed literals); blank nodes and collections are not supported
+ * @param {string} text - Turtle document
+ * @returns {Array<Object>} - { subject, predicate, object } triples
+ */
+function parseTurtle(text) {
+  const tokenPattern = /\s+|#[^\n]*|(@prefix|PREFIX)\b|<([^>]*)>|"((?:[^"\\]|\\.)*)"(?:@[\w-]+|\^\^(<[^>]*>|[A-Za-z][\w-]*:[\w-]*))?|([+-]?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(true|false)\b(?!:)|(a)\b(?!:)|([A-Za-z][\w-]*)?:((?:[\w-]|\.(?=[\w-]))*)|([.;,])/y;
+  const prefixes = {};
+  const tokens = [];
+
+  let index = 0;
+  while (index < text.length) {
+    tokenPattern.lastIndex = index;
+    const match = tokenPattern.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected Turtle syntax near "${text.slice(index, index + 30)}"`);
+    }
+    index = tokenPattern.lastIndex;
+
+    const [, directive, iri, string, datatype, number, boolean, keywordA, prefix, local, punctuation] = match;
+    if (directive) tokens.push({ kind: 'prefix' });
+    else if (iri !== undefined) tokens.push({ kind: 'term', term: { iri } });
+    else if (string !== undefined) {
+      const value = JSON.parse(`"${string.replace(/\\'/g, "'")}"`);
+      const typed = datatype && /(double|decimal|float|integer|int|long)>?$/.test(datatype) ? Number(value) : value;
+      tokens.push({ kind: 'term', term: { value: datatype && /boolean>?$/.test(datatype) ? value === 'true' : typed } });
+    } else if (number !== undefined) tokens.push({ kind: 'term', term: { value: Number(number) } });
+    else if (boolean !== undefined) tokens.push({ kind: 'term', term: { value: boolean === 'true' } });
+    else if (keywordA) tokens.push({ kind: 'term', term: { iri: `${RDF_PREFIXES.rdf}type` } });
+    else if (local !== undefined) tokens.push({ kind: 'pname', prefix: prefix || '', local });
+    else if (punctuation) tokens.push({ kind: punctuation });
+  }
+
+  // Resolve prefixed names now that all @prefix directives are known
+  const resolve = (token) => {
+    if (token.kind === 'term') return token.term;
+    if (token.kind === 'pname') {
+      if (!(token.prefix in prefixes)) throw new Error(`Unknown prefix "${token.prefix}:"`);
+      return { iri: prefixes[token.prefix] + token.local };
+    }
+    throw new Error(`Expected a term but found "${token.kind}"`);
+  };
+
+  const triples = [];
+  let position = 0;
+  const next = () => tokens[position++];
+  const peek = () => tokens[position];
+
+  while (position < tokens.length) {
+    if (peek().kind === 'prefix') {
+      next();
+      const name = next();
+      const namespace = next();
+      if (name.kind !== 'pname' || namespace.kind !== 'term' || !namespace.term.iri) {
+        throw new Error('Malformed @prefix directive');
+      }
+      prefixes[name.prefix] = namespace.term.iri;
+      if (peek()?.kind === '.') next();
+      continue;
+    }
+
+    const subject = resolve(next());
+    for (;;) {
+      const predicate = resolve(next());
+      for (;;) {
+        triples.push({ subject: subject.iri, predicate: predicate.iri, object: resolve(next()) });
+        if (peek()?.kind !== ',') break;
+        next();
+      }
+
+      const separator = next();
+      if (!separator || separator.kind === '.') break;
+      if (separator.kind !== ';') throw new Error(`Expected ";" or "." but found "${separator.kind}"`);
+      if (peek()?.kind === '.') {
+        next();
+        break;
+      }
+    }
+  }
+
+  return triples;
+}
+
+/**
+ * Import a graph from RDF Turtle
+ * @param {string} text - Turtle document
+ * @returns {Object} - Knowledge graph
+ */
+function importTurtle(text) {
+  try {
+    return triplesToGraph(parseTurtle(text), 'turtle');
+  } catch (error) {
+    throw new Error(`Failed to import Turtle: ${error.message}`);
+  }
+}
+
+/**
+ * Export a graph, together with the MOSDAC ontology, as JSON-LD
+ * @param {Object} graph - Knowledge graph
+ * @returns {Object} - JSON-LD document with @context and @graph
+ */
+function exportJSONLD(graph) {
+  const compact = (iri) => compactIri(iri) || iri;
+  const rdfType = `${RDF_PREFIXES.rdf}type`;
+  const documents = new Map();
+
+  graphToTriples(graph).forEach(({ subject, predicate, object }) => {
+    if (!documents.has(subject)) documents.set(subject, { '@id': compact(subject) });
+    const document = documents.get(subject);
+
+    const key = predicate === rdfType ? '@type' : compact(predicate);
+    const value = predicate === rdfType
+      ? compact(object.iri)
+      : (object.iri !== undefined ? { '@id': compact(object.iri) } : object.value);
+
+    if (key in document) {
+      document[key] = [].concat(document[key], value);
+    } else {
+      document[key] = value;
+    }
+  });
+
+  return {
+    '@context': RDF_PREFIXES,
+    '@graph': [...documents.values()]
+  };
+}
+
+/**
+ * Import a graph from JSON-LD in compacted form (prefix-only @context, no nested term definitions)
+ * @param {Object|string} input - JSON-LD document or its text
+ * @returns {Object} - Knowledge graph
+ */
+function importJSONLD(input) {
+  try {
+    const document = typeof input === 'string' ? JSON.parse(input) : input;
+    const context = Object.fromEntries(
+      Object.entries(document['@context'] || {}).filter(([, value]) => typeof value === 'string')
+    );
+
+    const expand = (name) => {
+      const separator = name.indexOf(':');
+      if (separator > 0) {
+        const prefix = name.slice(0, separator);
+        if (prefix in context) return context[prefix] + name.slice(separator + 1);
+      }
+      return name;
+    };
+
+    const toObject = (value) => {
+      if (value && typeof value === 'object') {
+        return value['@id'] !== undefined ? { iri: expand(value['@id']) } : { value: value['@value'] };
+      }
+      return { value };
+    };
+
+    const triples = [];
+    const items = document['@graph'] || (Array.isArray(document) ? document : [document]);
+
+    items.forEach(item => {
+      const subject = expand(item['@id']);
+      Object.entries(item).forEach(([key, raw]) => {
+        if (key === '@id' || key === '@context') return;
+
+        [].concat(raw).forEach(value => {
+          if (key === '@type') {
+            triples.push({ subject, predicate: `${RDF_PREFIXES.rdf}type`, object: { iri: expand(value) } });
+          } else {
+            triples.push({ subject, predicate: expand(key), object: toObject(value) });
+          }
+        });
+      });
+    });
+
+    return triplesToGraph(triples, 'jsonld');
+  } catch (error) {
+    throw new Error(`Failed to import JSON-LD: ${error.message}`);
+  }
+}
+
+// Supported export formats with their file extension and content type
+const GRAPH_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  graphml: { extension: 'graphml', mimeType: 'application/graphml+xml' },
+  gexf: { extension: 'gexf', mimeType: 'application/gexf+xml' },
+  cypher: { extension: 'cypher', mimeType: 'text/plain' },
+  'neo4j-nodes': { extension: 'nodes.csv', mimeType: 'text/csv' },
+  'neo4j-relationships': { extension: 'relationships.csv', mimeType: 'text/csv' },
+  turtle: { extension: 'ttl', mimeType: 'text/turtle' },
+  jsonld: { extension: 'jsonld', mimeType: 'application/ld+json' }
+};
+
+/**
+ * Whether a requested format is one of GRAPH_FORMATS
+ * Only own keys count, so names like "toString" inherited from Object.prototype are rejected
+ * @param {*} format - Format from a query string
+ * @returns {boolean} - True for a supported format
+ */
+function isGraphFormat(format) {
+  return typeof format === 'string' && Object.hasOwn(GRAPH_FORMATS, format);
+}
+
+/**
+ * Export a graph in one of GRAPH_FORMATS
+ * The Neo4j CSV export is split into its nodes and relationships files
+ * @param {Object} graph - Knowledge graph
+ * @param {string} format - Key of GRAPH_FORMATS
+ * @returns {Object} - { content, extension, mimeType }
+ */
+function exportGraph(graph, format) {
+  if (!isGraphFormat(format)) {
+    throw new Error(`Unsupported graph format "${format}". Use one of: ${Object.keys(GRAPH_FORMATS).join(', ')}`);
+  }
+
+  const exporters = {
+    json: () => JSON.stringify({ ...graph, exportedAt: new Date().toISOString(), format: 'knowledge_graph_v1' }, null, 2),
+    graphml: () => exportGraphML(graph),
+    gexf: () => exportGEXF(graph),
+    cypher: () => exportCypher(graph),
+    'neo4j-nodes': () => exportNeo4jCSV(graph).nodes,
+    'neo4j-relationships': () => exportNeo4jCSV(graph).relationships,
+    turtle: () => exportTurtle(graph),
+    jsonld: () => JSON.stringify(exportJSONLD(graph), null, 2)
+  };
+
+  return { content: exporters[format](), ...GRAPH_FORMATS[format] };
+}
+
+/**
+ * Import a graph from one of GRAPH_FORMATS
+ * For Neo4j CSV pass format 'neo4j-csv' and content { nodes, relationships }
+ * @param {string|Object} content - Exported content
+ * @param {string} format - Key of GRAPH_FORMATS, or 'neo4j-csv'
+ * @returns {Object} - Knowledge graph
+ */
+function importGraph(content, format) {
+  switch (format) {
+    case 'json':
+      return typeof content === 'string' ? JSON.parse(content) : content;
+    case 'graphml':
+      return importGraphML(content);
+    case 'gexf':
+      return importGEXF(content);
+    case 'cypher':
+      return importCypher(content);
+    case 'neo4j-csv':
+      return importNeo4jCSV(content.nodes, content.relationships);
+    case 'turtle':
+      return importTurtle(content);
+    case 'jsonld':
+      return importJSONLD(content);
+    default:
+      throw new Error(`Unsupported graph format "${format}"`);
+  }
+}
+
+/**
+ * Write a graph export to disk
+ * For 'neo4j-csv', outputPath is a directory that receives nodes.csv and relationships.csv
+ * @param {Object} graph - Knowledge graph
+ * @param {string} format - Key of GRAPH_FORMATS, or 'neo4j-csv'
+ * @param {string} outputPath - Output file (or directory for Neo4j CSV)
+ */
+function exportGraphToFile(graph, format, outputPath) {
+  try {
+    if (format === 'neo4j-csv') {
+      const { nodes, relationships } = exportNeo4jCSV(graph);
+      fs.mkdirSync(outputPath, { recursive: true });
+      fs.writeFileSync(path.join(outputPath, 'nodes.csv'), nodes, 'utf-8');
+      fs.writeFileSync(path.join(outputPath, 'relationships.csv'), relationships, 'utf-8');
+    } else {
+      fs.writeFileSync(outputPath, exportGraph(graph, format).content, 'utf-8');
+    }
+
+    console.log(`🕸️ Knowledge graph exported as ${format} to: ${outputPath}`);
+  } catch (error) {
+    console.error('❌ Error exporting graph:', error.message);
+    throw new Error(`Failed to export graph: ${error.message}`);
+  }
+}
+
+// Export the functions as ES modules
+export {
+  GRAPH_FORMATS,
+  isGraphFormat,
+  RDF_PREFIXES,
+  exportGraph,
+  importGraph,
+  exportGraphToFile,
+  exportGraphML,
+  importGraphML,
+  exportGEXF,
+  importGEXF,
+  exportCypher,
+  importCypher,
+  exportNeo4jCSV,
+  importNeo4jCSV,
+  exportTurtle,
+  importTurtle,
+  exportJSONLD,
+  importJSONLD
+};
@@ -0,0 +1,211 @@
+// Graph Queries utility for searching and traversing the knowledge graph
+// Backs the /api/graph endpoints; traversal treats relations as undirected but reports them in their own direction
+
+// Limits so a single request can't return the whole graph by accident
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_HOPS = 4;
+const MAX_NEIGHBOURHOOD_NODES = 150;
+const MAX_PATH_HOPS = 6;
+
+// Adjacency lists and node lookups, cached per graph
+const adjacencyCache = new WeakMap();
+
+/**
+ * Get the node lookup and adjacency lists for a graph
+ * @param {Object} graph - Knowledge graph from buildGraphFromSections
+ * @returns {Object} - { nodesById: Map, adjacency: Map<nodeId, Array<{ edge, neighbour }>> }
+ */
+function getAdjacency(graph) {
+  if (!adjacencyCache.has(graph)) {
+    const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+    const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+
+    graph.edges.forEach(edge => {
+      adjacency.get(edge.source)?.push({ edge, neighbour: edge.target });
+      adjacency.get(edge.target)?.push({ edge, neighbour: edge.source });
+    });
+
+    adjacencyCache.set(graph, { nodesById, adjacency });
+  }
+
+  return adjacencyCache.get(graph);
+}
+
+/**
+ * Clamp a requested hop count to a safe range
+ * @param {*} value - Raw value, e.g. from a query string
+ * @param {number} fallback - Value used when the input is missing or invalid
+ * @param {number} max - Upper bound
+ * @returns {number} - Whole number between 1 and max
+ */
+function clampHops(value, fallback, max) {
+  const hops = parseInt(value, 10);
+  if (Number.isNaN(hops)) {
+    return fallback;
+  }
+  return Math.min(Math.max(hops, 1), max);
+}
+
+/**
+ * Find a node by id, or by its label or one of its aliases (case-insensitive)
+ * @param {Object} graph - Knowledge graph
+ * @param {string} ref - Node id such as "satellite:insat-3d", or a name such as "INSAT-3D"
+ * @returns {Object|null} - Matching node
+ */
+function resolveNode(graph, ref) {
+  if (!ref || typeof ref !== 'string') {
+    return null;
+  }
+
+  const { nodesById } = getAdjacency(graph);
+  if (nodesById.has(ref)) {
+    return nodesById.get(ref);
+  }
+
+  const name = ref.trim().toLowerCase();
+  return graph.nodes.find(node =>
+    node.label.toLowerCase() === name ||
+    (node.aliases || []).some(alias => alias.toLowerCase() === name)
+  ) || null;
+}
+
+/**
+ * Search nodes by name, ranking exact and prefix matches on labels and aliases above description matches
+ * @param {Object} graph - Knowledge graph
+ * @param {string} query - Search text
+ * @param {Object} options - { type, limit }
+ * @returns {Array<Object>} - Matching nodes with a `score`, best first
+ */
+function searchNodes(graph, query, options = {}) {
+  const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_SEARCH_LIMIT, 100);
+  const text = (query || '').trim().toLowerCase();
+
+  const scoreNode = (node) => {
+    if (!text) return 1;
+
+    const names = [node.label, ...(node.aliases || [])].map(name => name.toLowerCase());
+    if (names.includes(text)) return 4;
+    if (names.some(name => name.startsWith(text))) return 3;
+    if (names.some(name => name.includes(text))) return 2;
+    if ((node.description || '').toLowerCase().includes(text)) return 1;
+    return 0;
+  };
+
+  return graph.nodes
+    .filter(node => !options.type || node.type === options.type)
+    .map(node => ({ ...node, score: scoreNode(node) }))
+    .filter(node => node.score > 0)
+    .sort((a, b) => b.score - a.score || (b.mentions || 0) - (a.mentions || 0))
+    .slice(0, limit);
+}
+
+/**
+ * Collect the nodes and relations within N hops of a node
+ * @param {Object} graph - Knowledge graph
+ * @param {string} nodeId - Centre node id
+ * @param {number} hops - Number of hops to expand (capped at MAX_HOPS)
+ * @returns {Object|null} - { center, hops, nodes (each with its `hop`), edges, truncated }, or null for an unknown node
+ */
+function getNeighbourhood(graph, nodeId, hops = 1) {
+  const { nodesById, adjacency } = getAdjacency(graph);
+  if (!nodesById.has(nodeId)) {
+    return null;
+  }
+
+  const depth = clampHops(hops, 1, MAX_HOPS);
+  const nodeHops = new Map([[nodeId, 0]]);
+  const edges = new Map();
+  let frontier = [nodeId];
+  let truncated = false;
+
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    const next = [];
+
+    frontier.forEach(current => {
+      adjacency.get(current).forEach(({ edge, neighbour }) => {
+        if (!nodeHops.has(neighbour)) {
+          if (nodeHops.size >= MAX_NEIGHBOURHOOD_NODES) {
+            truncated = true;
+            return;
+          }
+          nodeHops.set(neighbour, hop);
+          next.push(neighbour);
+        }
+        edges.set(edge.id, edge);
+      });
+    });
+
+    frontier = next;
+  }
+
+  return {
+    center: nodesById.get(nodeId),
+    hops: depth,
+    nodes: [...nodeHops.entries()].map(([id, hop]) => ({ ...nodesById.get(id), hop })),
+    edges: [...edges.values()],
+    truncated
+  };
+}
+
+/**
+ * Find the shortest chain of relations between two nodes (breadth-first, ignoring edge direction)
+ * @param {Object} graph - Knowledge graph
+ * @param {string} fromId - Start node id
+ * @param {string} toId - End node id
+ * @param {number} maxHops - Longest path to consider (capped at MAX_PATH_HOPS)
+ * @returns {Object|null} - { nodes, edges, length } in path order, or null if the nodes aren't connected
+ */
+function findShortestPath(graph, fromId, toId, maxHops = MAX_PATH_HOPS) {
+  const { nodesById, adjacency } = getAdjacency(graph);
+  if (!nodesById.has(fromId) || !nodesById.has(toId)) {
+    return null;
+  }
+
+  if (fromId === toId) {
+    return { nodes: [nodesById.get(fromId)], edges: [], length: 0 };
+  }
+
+  const limit = clampHops(maxHops, MAX_PATH_HOPS, MAX_PATH_HOPS);
+  const previous = new Map([[fromId, null]]);
+  let frontier = [fromId];
+
+  for (let hop = 1; hop <= limit && frontier.length > 0 && !previous.has(toId); hop++) {
+    const next = [];
+
+    frontier.forEach(current => {
+      adjacency.get(current).forEach(({ edge, neighbour }) => {
+        if (!previous.has(neighbour)) {
+          previous.set(neighbour, { node: current, edge });
+          next.push(neighbour);
+        }
+      });
+    });
+
+    frontier = next;
+  }
+
+  if (!previous.has(toId)) {
+    return null;
+  }
+
+  const nodes = [];
+  const edges = [];
+  for (let current = toId; current !== null;) {
+    nodes.unshift(nodesById.get(current));
+    const step = previous.get(current);
+    if (step) edges.unshift(step.edge);
+    current = step ? step.node : null;
+  }
+
+  return { nodes, edges, length: edges.length };
+}
+
+// Export the functions as ES modules
+export {
+  MAX_HOPS,
+  MAX_PATH_HOPS,
+  resolveNode,
+  searchNodes,
+  getNeighbourhood,
+  findShortestPath
+};
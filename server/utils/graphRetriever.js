@@ -0,0 +1,250 @@
+// Graph Retriever utility for graph-augmented retrieval (GraphRAG)
+// Expands vector search results with chunks that support the knowledge graph relations around the query's entities
+import { compileCatalog, findEntityMentions } from './graphBuilder.js';
+import { cosineSimilarity } from './vectorIndex.js';
+
+// Defaults for neighbourhood expansion
+const DEFAULT_GRAPH_OPTIONS = {
+  hops: 2,
+  maxEdges: 12,
+  graphTopK: 3
+};
+
+// Compiled entity patterns and per-chunk entity mentions, cached per graph
+const graphCache = new WeakMap();
+
+/**
+ * Get the compiled entity matchers and chunk mention cache for a graph
+ * @param {Object} graph - Knowledge graph from buildGraphFromSections
+ * @returns {Object} - { entities, chunkMentions: WeakMap<chunk, Set<nodeId>>, nodesById }
+ */
+function getGraphCache(graph) {
+  if (!graphCache.has(graph)) {
+    const entities = compileCatalog(graph.nodes.map(node => ({
+      id: node.id.slice(node.type.length + 1),
+      type: node.type,
+      label: node.label,
+      aliases: node.aliases
+    })));
+
+    graphCache.set(graph, {
+      entities,
+      chunkMentions: new WeakMap(),
+      nodesById: new Map(graph.nodes.map(node => [node.id, node]))
+    });
+  }
+
+  return graphCache.get(graph);
+}
+
+/**
+ * Find the graph nodes mentioned in a piece of text
+ * @param {Object} graph - Knowledge graph
+ * @param {string} text - Query or chunk text
+ * @returns {Set<string>} - Node ids present in the graph
+ */
+function findGraphEntities(graph, text) {
+  const { entities, nodesById } = getGraphCache(graph);
+
+  return new Set(
+    findEntityMentions(text, entities)
+      .map(mention => `${mention.entity.type}:${mention.entity.id}`)
+      .filter(id => nodesById.has(id))
+  );
+}
+
+/**
+ * Entities mentioned in a chunk, computed once per chunk
+ * @param {Object} graph - Knowledge graph
+ * @param {Object} chunk - Indexed chunk
+ * @returns {Set<string>} - Node ids mentioned in the chunk
+ */
+function chunkEntities(graph, chunk) {
+  const { chunkMentions } = getGraphCache(graph);
+
+  if (!chunkMentions.has(chunk)) {
+    chunkMentions.set(chunk, findGraphEntities(graph, chunk.content));
+  }
+
+  return chunkMentions.get(chunk);
+}
+
+/**
+ * Walk the graph outwards from the seed entities, strongest relations first
+ * Edges are followed in both directions but reported in their own direction
+ * @param {Object} graph - Knowledge graph
+ * @param {Set<string>} seeds - Node ids found in the query
+ * @param {Object} options - { hops, maxEdges }
+ * @returns {Array<Object>} - Traversed edges with the hop at which they were reached
+ */
+function expandNeighbourhood(graph, seeds, options) {
+  const adjacency = new Map();
+  graph.edges.forEach(edge => {
+    [edge.source, edge.target].forEach(nodeId => {
+      if (!adjacency.has(nodeId)) adjacency.set(nodeId, []);
+      adjacency.get(nodeId).push(edge);
+    });
+  });
+
+  const strength = (edge) => edge.confidence * Math.log2(1 + edge.weight);
+  const visitedNodes = new Set(seeds);
+  const traversed = new Map();
+  let frontier = [...seeds];
+
+  for (let hop = 1; hop <= options.hops && frontier.length > 0; hop++) {
+    const next = [];
+
+    frontier
+      .flatMap(nodeId => adjacency.get(nodeId) || [])
+      .sort((a, b) => strength(b) - strength(a))
+      .forEach(edge => {
+        if (traversed.has(edge.id) || traversed.size >= options.maxEdges) return;
+        traversed.set(edge.id, { edge, hop });
+
+        [edge.source, edge.target].forEach(nodeId => {
+          if (!visitedNodes.has(nodeId)) {
+            visitedNodes.add(nodeId);
+            next.push(nodeId);
+          }
+        });
+      });
+
+    frontier = next;
+  }
+
+  return [...traversed.values()];
+}
+
+/**
+ * Describe traversed edges for the response and the prompt
+ * @param {Object} graph - Knowledge graph
+ * @param {Set<string>} seeds - Node ids found in the query
+ * @param {Array<Object>} traversed - Result of expandNeighbourhood
+ * @returns {Object} - { seeds, nodes, edges } where each edge carries labels and one evidence sentence
+ */
+function describeGraphPath(graph, seeds, traversed) {
+  const { nodesById } = getGraphCache(graph);
+  const describeNode = (id) => {
+    const node = nodesById.get(id);
+    return { id, label: node.label, type: node.type };
+  };
+
+  const nodeIds = new Set(seeds);
+  traversed.forEach(({ edge }) => {
+    nodeIds.add(edge.source);
+    nodeIds.add(edge.target);
+  });
+
+  return {
+    seeds: [...seeds].map(describeNode),
+    nodes: [...nodeIds].map(describeNode),
+    edges: traversed.map(({ edge, hop }) => ({
+      id: edge.id,
+      source: edge.source,
+      sourceLabel: nodesById.get(edge.source).label,
+      target: edge.target,
+      targetLabel: nodesById.get(edge.target).label,
+      type: edge.type,
+      label: edge.label,
+      confidence: edge.confidence,
+      hop,
+      evidence: edge.evidence[0]?.text || null
+    }))
+  };
+}
+
+/**
+ * Format graph relations as lines for the RAG prompt
+ * @param {Object} graphPath - Result of describeGraphPath
+ * @returns {string} - One "A —relation→ B" line per edge, or 'None'
+ */
+function formatGraphPath(graphPath) {
+  if (!graphPath || graphPath.edges.length === 0) {
+    return 'None';
+  }
+
+  return graphPath.edges
+    .map(edge => `- ${edge.sourceLabel} ${edge.label} ${edge.targetLabel}`)
+    .join('\n');
+}
+
+/**
+ * Combine vector search results with chunks that support the query's graph neighbourhood
+ * A chunk supports an edge when it mentions both of its entities; those chunks are ranked
+ * by how many traversed edges they support, then by similarity to the query
+ * @param {Object} graph - Knowledge graph
+ * @param {Array<Object>} chunks - Candidate chunks (already filtered)
+ * @param {Array<Object>} vectorResults - { chunk, score, retrievedBy? } results from vector, keyword or hybrid search
+ * @param {string} userQuery - Standalone user query
+ * @param {Array<number>} queryEmbedding - Embedded query, used to score graph-only chunks
+ * @param {Object} options - { hops, maxEdges, graphTopK }
+ * @returns {Object} - { results, graphPath } where results carry retrievedBy: vector, keyword, hybrid, graph,
+ *   or both for vector results the graph also supports
+ */
+function graphAugmentResults(graph, chunks, vectorResults, userQuery, queryEmbedding, options = {}) {
+  const config = { ...DEFAULT_GRAPH_OPTIONS, ...options };
+  const results = vectorResults.map(result => ({ retrievedBy: 'vector', ...result }));
+
+  if (!graph || !Array.isArray(graph.nodes) || graph.nodes.length === 0) {
+    return { results, graphPath: null };
+  }
+
+  const seeds = findGraphEntities(graph, userQuery);
+  if (seeds.size === 0) {
+    console.log('🕸️ No known entities in the query, using vector results only');
+    return { results, graphPath: null };
+  }
+
+  const traversed = expandNeighbourhood(graph, seeds, config);
+  const graphPath = describeGraphPath(graph, seeds, traversed);
+
+  console.log(`🕸️ Graph expansion: ${seeds.size} query entities, ${traversed.length} relations`);
+
+  if (traversed.length === 0) {
+    return { results, graphPath };
+  }
+
+  const supportCounts = new Map();
+  chunks.forEach(chunk => {
+    const mentioned = chunkEntities(graph, chunk);
+    const supported = traversed.filter(({ edge }) => mentioned.has(edge.source) && mentioned.has(edge.target)).length;
+    if (supported > 0) {
+      supportCounts.set(chunk, supported);
+    }
+  });
+
+  const byChunkId = new Map(results.map(result => [result.chunk.id, result]));
+
+  [...supportCounts.entries()]
+    .map(([chunk, supported]) => ({
+      chunk,
+      supported,
+      score: cosineSimilarity(queryEmbedding, chunk.embedding)
+    }))
+    .sort((a, b) => b.supported - a.supported || b.score - a.score)
+    .forEach(candidate => {
+      const existing = byChunkId.get(candidate.chunk.id);
+      if (existing) {
+        if (existing.retrievedBy === 'vector') existing.retrievedBy = 'both';
+        return;
+      }
+
+      const graphOnly = results.filter(result => result.retrievedBy === 'graph').length;
+      if (graphOnly >= config.graphTopK) return;
+
+      const added = { chunk: candidate.chunk, score: candidate.score, retrievedBy: 'graph' };
+      results.push(added);
+      byChunkId.set(candidate.chunk.id, added);
+    });
+
+  return { results, graphPath };
+}
+
+// Export the functions as ES modules
+export {
+  DEFAULT_GRAPH_OPTIONS,
+  findGraphEntities,
+  expandNeighbourhood,
+  formatGraphPath,
+  graphAugmentResults
+};
@@ -0,0 +1,117 @@
+// Hybrid Retriever utility for combining vector similarity search with BM25 keyword search
+// Rankings from both retrievers are merged with reciprocal rank fusion (RRF)
+import { searchVectorIndex, cosineSimilarity } from './vectorIndex.js';
+import { getKeywordIndex, searchKeywordIndex } from './keywordIndex.js';
+
+// RETRIEVAL_MODE values: embeddings only, BM25 only, or both fused
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const DEFAULT_RETRIEVAL_MODE = 'hybrid';
+
+// RRF rank offset; larger values flatten the gap between the top ranks
+const DEFAULT_RRF_K = 60;
+
+// Each retriever proposes this many times topK candidates for fusion
+const CANDIDATE_MULTIPLIER = 3;
+
+/**
+ * Validate a retrieval mode, falling back to hybrid
+ * @param {string} mode - Requested mode (e.g. from RETRIEVAL_MODE)
+ * @returns {string} - One of RETRIEVAL_MODES
+ */
+function resolveRetrievalMode(mode) {
+  if (!mode) return DEFAULT_RETRIEVAL_MODE;
+
+  const normalized = String(mode).trim().toLowerCase();
+  if (RETRIEVAL_MODES.includes(normalized)) return normalized;
+
+  console.warn(`⚠️ Unknown retrieval mode "${mode}", using ${DEFAULT_RETRIEVAL_MODE}. Expected one of: ${RETRIEVAL_MODES.join(', ')}`);
+  return DEFAULT_RETRIEVAL_MODE;
+}
+
+/**
+ * Merge ranked result lists with reciprocal rank fusion
+ * Each list adds weight / (k + rank) to a chunk's fused score, so chunks ranked well by both retrievers rise to the top
+ * @param {Array<Object>} rankings - Lists { name, results: [{ chunk, score }], weight }
+ * @param {number} k - RRF rank offset
+ * @returns {Array<Object>} - { chunk, fusedScore, scores: { [name]: score } } sorted by descending fused score
+ */
+function reciprocalRankFusion(rankings, k = DEFAULT_RRF_K) {
+  const fused = new Map();
+
+  rankings.forEach(({ name, results, weight = 1 }) => {
+    results.forEach((result, index) => {
+      const entry = fused.get(result.chunk.id) || { chunk: result.chunk, fusedScore: 0, scores: {} };
+      entry.fusedScore += weight / (k + index + 1);
+      entry.scores[name] = result.score;
+      fused.set(result.chunk.id, entry);
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Retrieve the chunks for a query in the configured mode
+ * The reported score stays a 0-1 "match" value: cosine similarity when the query was embedded,
+ * otherwise the BM25 score relative to the best keyword match
+ * @param {Object} vectorIndex - Index to search; a filtered copy can carry its parent's `keywordIndex`
+ * @param {string} query - Standalone user query
+ * @param {Array<number>|null} queryEmbedding - Embedded query (not needed in keyword mode)
+ * @param {Object} options - { mode, topK, rrfK, weights: { vector, keyword } }
+ * @returns {Array<Object>} - Array of { chunk, score, retrievedBy: vector | keyword | hybrid }
+ */
+function hybridSearch(vectorIndex, query, queryEmbedding, options = {}) {
+  const mode = resolveRetrievalMode(options.mode);
+  const topK = options.topK || 4;
+  const weights = { vector: 1, keyword: 1, ...options.weights };
+
+  if (mode === 'vector') {
+    return searchVectorIndex(vectorIndex, queryEmbedding, topK)
+      .map(result => ({ ...result, retrievedBy: 'vector' }));
+  }
+
+  // A filtered index reuses the full keyword index, restricted to the chunks that passed the filters
+  const keywordIndex = vectorIndex.keywordIndex || getKeywordIndex(vectorIndex);
+  const candidateIds = vectorIndex.keywordIndex ? new Set(vectorIndex.chunks.map(chunk => chunk.id)) : null;
+  const poolSize = mode === 'keyword' ? topK : topK * CANDIDATE_MULTIPLIER;
+  const keywordResults = searchKeywordIndex(keywordIndex, query, poolSize, candidateIds);
+  const bestKeywordScore = keywordResults[0]?.score || 1;
+
+  const matchScore = (chunk, keywordScore) => (queryEmbedding
+    ? cosineSimilarity(queryEmbedding, chunk.embedding)
+    : (keywordScore || 0) / bestKeywordScore);
+
+  if (mode === 'keyword') {
+    return keywordResults.map(result => ({
+      chunk: result.chunk,
+      score: matchScore(result.chunk, result.score),
+      retrievedBy: 'keyword'
+    }));
+  }
+
+  const vectorResults = searchVectorIndex(vectorIndex, queryEmbedding, poolSize);
+  const fused = reciprocalRankFusion([
+    { name: 'vector', results: vectorResults, weight: weights.vector },
+    { name: 'keyword', results: keywordResults, weight: weights.keyword }
+  ], options.rrfK || DEFAULT_RRF_K);
+
+  return fused.slice(0, topK).map(({ chunk, scores }) => {
+    const inVector = scores.vector !== undefined;
+    const inKeyword = scores.keyword !== undefined;
+    return {
+      chunk,
+      score: inVector ? scores.vector : matchScore(chunk, scores.keyword),
+      retrievedBy: inVector && inKeyword ? 'hybrid' : (inVector ? 'vector' : 'keyword')
+    };
+  });
+}
+
+// Export the functions as ES modules
+export {
+  RETRIEVAL_MODES,
+  DEFAULT_RETRIEVAL_MODE,
+  DEFAULT_RRF_K,
+  resolveRetrievalMode,
+  reciprocalRankFusion,
+  hybridSearch
+};
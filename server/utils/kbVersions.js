@@ -0,0 +1,414 @@
+// Knowledge Base Versions utility for snapshotting crawls, diffing them and rolling back
+// Page text and document files are stored once per content hash, so unchanged content costs nothing per version
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Default crawl store and documents folders, matching the crawler defaults
+const DEFAULT_STORE_DIR = path.resolve(__dirname, '..', 'crawl');
+const DEFAULT_DOCUMENTS_DIR = path.resolve(__dirname, '..', 'documents', 'crawled');
+
+// Older versions beyond this are pruned after each snapshot
+const DEFAULT_MAX_VERSIONS = 20;
+
+/**
+ * Store a blob under its content hash, skipping the write if it already exists
+ * @param {string} storeDir - Crawl store folder
+ * @param {string} contentHash - SHA-256 of the data
+ * @param {string|Buffer} data - Page text or document bytes
+ */
+function storeObject(storeDir, contentHash, data) {
+  const objectPath = path.join(storeDir, 'objects', contentHash);
+  if (fs.existsSync(objectPath)) return;
+
+  fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+  fs.writeFileSync(objectPath, data);
+}
+
+/**
+ * Read a stored blob
+ * @param {string} storeDir - Crawl store folder
+ * @param {string} contentHash - SHA-256 of the data
+ * @returns {Buffer} - Stored bytes
+ */
+function readObject(storeDir, contentHash) {
+  const objectPath = path.join(storeDir, 'objects', contentHash);
+  if (!fs.existsSync(objectPath)) {
+    throw new Error(`Snapshot object ${contentHash} is missing`);
+  }
+  return fs.readFileSync(objectPath);
+}
+
+/**
+ * Absolute path of a downloaded document, refusing filenames that would land outside the documents folder
+ * @param {string} documentsDir - Documents folder
+ * @param {string} filename - Relative document path from the crawl manifest or a version
+ * @returns {string} - Absolute file path
+ */
+function documentPath(documentsDir, filename) {
+  const root = path.resolve(documentsDir);
+  const filePath = path.resolve(root, filename);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Document path "${filename}" is outside the documents folder`);
+  }
+  return filePath;
+}
+
+/**
+ * List the saved versions, oldest first
+ * @param {string} storeDir - Crawl store folder
+ * @returns {Array<Object>} - Version summaries { id, createdAt, startUrl, pages, documents, changes }
+ */
+function listVersions(storeDir = DEFAULT_STORE_DIR) {
+  const versionsDir = path.join(storeDir, 'versions');
+  if (!fs.existsSync(versionsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(versionsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const version = JSON.parse(fs.readFileSync(path.join(versionsDir, file), 'utf-8'));
+      return {
+        id: version.id,
+        createdAt: version.createdAt,
+        startUrl: version.startUrl,
+        pages: version.pages.length,
+        documents: version.documents.length,
+        changes: version.changes
+      };
+    });
+}
+
+/**
+ * Load a version by id
+ * @param {string} storeDir - Crawl store folder
+ * @param {string} versionId - Version id, or "latest"/"previous"
+ * @returns {Object} - Full version with page and document entries
+ */
+function loadVersion(storeDir, versionId) {
+  const versions = listVersions(storeDir);
+  let id = versionId;
+
+  if (versionId === 'latest') {
+    id = versions[versions.length - 1]?.id;
+  } else if (versionId === 'previous') {
+    id = versions[versions.length - 2]?.id;
+  }
+
+  const versionPath = id ? path.join(storeDir, 'versions', `${id}.json`) : null;
+  if (!versionPath || !fs.existsSync(versionPath)) {
+    throw new Error(`Knowledge base version not found: ${versionId}`);
+  }
+
+  return JSON.parse(fs.readFileSync(versionPath, 'utf-8'));
+}
+
+/**
+ * Delete the oldest versions beyond maxVersions and any objects no remaining version uses
+ * @param {string} storeDir - Crawl store folder
+ * @param {number} maxVersions - Number of versions to keep
+ */
+function pruneVersions(storeDir, maxVersions = DEFAULT_MAX_VERSIONS) {
+  const versions = listVersions(storeDir);
+  const expired = versions.slice(0, Math.max(0, versions.length - maxVersions));
+
+  expired.forEach(version => {
+    fs.rmSync(path.join(storeDir, 'versions', `${version.id}.json`), { force: true });
+  });
+
+  if (expired.length === 0) return;
+
+  const referenced = new Set();
+  listVersions(storeDir).forEach(summary => {
+    const version = loadVersion(storeDir, summary.id);
+    version.pages.forEach(page => referenced.add(page.contentHash));
+    version.documents.forEach(document => referenced.add(document.contentHash));
+  });
+
+  const objectsDir = path.join(storeDir, 'objects');
+  if (fs.existsSync(objectsDir)) {
+    fs.readdirSync(objectsDir)
+      .filter(hash => !referenced.has(hash))
+      .forEach(hash => fs.rmSync(path.join(objectsDir, hash), { force: true }));
+  }
+
+  console.log(`🧹 Pruned ${expired.length} old knowledge base versions`);
+}
+
+/**
+ * Save the result of a crawl as a new knowledge base version
+ * @param {string} storeDir - Crawl store folder
+ * @param {Object} crawl - { startUrl, pages: [{ id, url, title, contentHash, content, ... }], documents, changes }
+ * @param {Object} options - { documentsDir, maxVersions }
+ * @returns {Object} - The saved version
+ */
+function createSnapshot(storeDir, crawl, options = {}) {
+  try {
+    const documentsDir = options.documentsDir || DEFAULT_DOCUMENTS_DIR;
+    const versions = listVersions(storeDir);
+    const lastNumber = versions.length > 0 ? parseInt(versions[versions.length - 1].id.slice(1), 10) : 0;
+    const id = `v${String(lastNumber + 1).padStart(4, '0')}`;
+
+    crawl.pages.forEach(page => storeObject(storeDir, page.contentHash, page.content));
+    crawl.documents.forEach(document => {
+      const filePath = documentPath(documentsDir, document.filename);
+      if (fs.existsSync(filePath)) {
+        storeObject(storeDir, document.contentHash, fs.readFileSync(filePath));
+      }
+    });
+
+    const version = {
+      id,
+      createdAt: new Date().toISOString(),
+      parent: versions[versions.length - 1]?.id || null,
+      startUrl: crawl.startUrl,
+      changes: crawl.changes ? summarizeChanges(crawl.changes) : null,
+      pages: crawl.pages.map(page => ({
+        id: page.id,
+        url: page.url,
+        title: page.title,
+        depth: page.depth,
+        crawledAt: page.crawledAt,
+        contentHash: page.contentHash
+      })),
+      documents: crawl.documents.map(document => ({
+        url: document.url,
+        filename: document.filename,
+        type: document.type,
+        bytes: document.bytes,
+        contentHash: document.contentHash
+      }))
+    };
+
+    const versionsDir = path.join(storeDir, 'versions');
+    fs.mkdirSync(versionsDir, { recursive: true });
+    fs.writeFileSync(path.join(versionsDir, `${id}.json`), JSON.stringify(version, null, 2), 'utf-8');
+    console.log(`🏷️ Saved knowledge base version ${id} (${version.pages.length} pages, ${version.documents.length} documents)`);
+
+    pruneVersions(storeDir, options.maxVersions || DEFAULT_MAX_VERSIONS);
+    return version;
+
+  } catch (error) {
+    console.error('❌ Error saving knowledge base version:', error.message);
+    throw new Error(`Failed to save knowledge base version: ${error.message}`);
+  }
+}
+
+/**
+ * Count the entries in a crawl change set
+ * @param {Object} changes - { pages: { new, changed, removed, unchanged }, documents: {...} } with URL lists
+ * @returns {Object} - Same shape with counts instead of lists
+ */
+function summarizeChanges(changes) {
+  const count = (group) => Object.fromEntries(
+    Object.entries(group).map(([status, urls]) => [status, urls.length])
+  );
+  return { pages: count(changes.pages), documents: count(changes.documents) };
+}
+
+/**
+ * Line-level difference between two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Object} - { added, removed } arrays of lines present on only one side
+ */
+function diffLines(before, after) {
+  const beforeLines = new Set(before.split('\n'));
+  const afterLines = new Set(after.split('\n'));
+
+  return {
+    added: [...afterLines].filter(line => !beforeLines.has(line)),
+    removed: [...beforeLines].filter(line => !afterLines.has(line))
+  };
+}
+
+/**
+ * Compare two knowledge base versions
+ * @param {string} storeDir - Crawl store folder
+ * @param {string} fromId - Older version id (or "previous")
+ * @param {string} toId - Newer version id (or "latest")
+ * @returns {Object} - { from, to, pages: { added, removed, changed }, documents: { added, removed, changed } }
+ */
+function diffVersions(storeDir, fromId, toId) {
+  const from = loadVersion(storeDir, fromId);
+  const to = loadVersion(storeDir, toId);
+
+  const compare = (beforeEntries, afterEntries, key) => {
+    const before = new Map(beforeEntries.map(entry => [entry[key], entry]));
+    const after = new Map(afterEntries.map(entry => [entry[key], entry]));
+
+    return {
+      added: afterEntries.filter(entry => !before.has(entry[key])),
+      removed: beforeEntries.filter(entry => !after.has(entry[key])),
+      changed: afterEntries
+        .filter(entry => before.has(entry[key]) && before.get(entry[key]).contentHash !== entry.contentHash)
+        .map(entry => ({ before: before.get(entry[key]), after: entry }))
+    };
+  };
+
+  const pages = compare(from.pages, to.pages, 'url');
+  const documents = compare(from.documents, to.documents, 'url');
+
+  return {
+    from: from.id,
+    to: to.id,
+    pages: {
+      ...pages,
+      changed: pages.changed.map(({ before, after }) => {
+        const lines = diffLines(
+          readObject(storeDir, before.contentHash).toString('utf-8'),
+          readObject(storeDir, after.contentHash).toString('utf-8')
+        );
+        return {
+          url: after.url,
+          title: after.title,
+          linesAdded: lines.added,
+          linesRemoved: lines.removed
+        };
+      })
+    },
+    documents: {
+      ...documents,
+      changed: documents.changed.map(({ before, after }) => ({
+        url: after.url,
+        filename: after.filename,
+        bytesBefore: before.bytes,
+        bytesAfter: after.bytes
+      }))
+    }
+  };
+}
+
+/**
+ * Restore the crawl store and downloaded documents to a saved version
+ * Conditional request headers are dropped so the next crawl re-fetches every page
+ * @param {string} storeDir - Crawl store folder
+ * @param {string} versionId - Version to restore (or "previous")
+ * @param {Object} options - { documentsDir }
+ * @returns {Object} - The restored version
+ */
+function rollbackToVersion(storeDir, versionId, options = {}) {
+  try {
+    const documentsDir = options.documentsDir || DEFAULT_DOCUMENTS_DIR;
+    const version = loadVersion(storeDir, versionId);
+
+    // Read every object and check every path first so a bad version can't leave a half-restored store
+    const pageContents = version.pages.map(page => readObject(storeDir, page.contentHash).toString('utf-8'));
+    const documentBytes = version.documents.map(document => readObject(storeDir, document.contentHash));
+    const documentPaths = version.documents.map(document => documentPath(documentsDir, document.filename));
+
+    const pagesDir = path.join(storeDir, 'pages');
+    fs.rmSync(pagesDir, { recursive: true, force: true });
+    fs.mkdirSync(pagesDir, { recursive: true });
+
+    version.pages.forEach((page, i) => {
+      const record = { ...page, content: pageContents[i], links: [], documentLinks: [] };
+      fs.writeFileSync(path.join(pagesDir, `${page.id}.json`), JSON.stringify(record, null, 2), 'utf-8');
+    });
+
+    fs.rmSync(documentsDir, { recursive: true, force: true });
+    documentPaths.forEach((filePath, i) => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, documentBytes[i]);
+    });
+
+    const manifest = {
+      startUrl: version.startUrl,
+      crawledAt: version.createdAt,
+      completedAt: version.createdAt,
+      version: version.id,
+      rolledBackAt: new Date().toISOString(),
+      pages: version.pages,
+      documents: version.documents,
+      changes: null,
+      skipped: [],
+      errors: []
+    };
+    fs.writeFileSync(path.join(storeDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf-8');
+
+    console.log(`⏪ Rolled knowledge base back to ${version.id} (${version.pages.length} pages, ${version.documents.length} documents)`);
+    return version;
+
+  } catch (error) {
+    console.error('❌ Error rolling back knowledge base:', error.message);
+    throw new Error(`Failed to roll back knowledge base: ${error.message}`);
+  }
+}
+
+/**
+ * Print a version diff in a readable form
+ * @param {Object} diff - Result of diffVersions
+ */
+function printDiff(diff) {
+  console.log(`\n📊 Changes from ${diff.from} to ${diff.to}:`);
+  console.log('=' .repeat(50));
+
+  diff.pages.added.forEach(page => console.log(`➕ ${page.url} (${page.title})`));
+  diff.pages.removed.forEach(page => console.log(`➖ ${page.url} (${page.title})`));
+  diff.pages.changed.forEach(page => {
+    console.log(`✏️ ${page.url} (+${page.linesAdded.length}/-${page.linesRemoved.length} lines)`);
+    page.linesRemoved.slice(0, 3).forEach(line => console.log(`    - ${line.substring(0, 100)}`));
+    page.linesAdded.slice(0, 3).forEach(line => console.log(`    + ${line.substring(0, 100)}`));
+  });
+
+  diff.documents.added.forEach(document => console.log(`➕ ${document.filename} (${document.type})`));
+  diff.documents.removed.forEach(document => console.log(`➖ ${document.filename} (${document.type})`));
+  diff.documents.changed.forEach(document => {
+    console.log(`✏️ ${document.filename} (${document.bytesBefore} → ${document.bytesAfter} bytes)`);
+  });
+
+  console.log('=' .repeat(50));
+  console.log(`Pages: ${diff.pages.added.length} added, ${diff.pages.changed.length} changed, ${diff.pages.removed.length} removed`);
+  console.log(`Documents: ${diff.documents.added.length} added, ${diff.documents.changed.length} changed, ${diff.documents.removed.length} removed`);
+}
+
+// Export the functions as ES modules
+export {
+  documentPath,
+  listVersions,
+  loadVersion,
+  createSnapshot,
+  pruneVersions,
+  diffVersions,
+  rollbackToVersion,
+  printDiff
+};
+
+// Command line: list | diff [from] [to] | rollback <version>
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  const storeDir = process.env.CRAWL_STORE_DIR ? path.resolve(process.env.CRAWL_STORE_DIR) : DEFAULT_STORE_DIR;
+
+  try {
+    if (command === 'list') {
+      const versions = listVersions(storeDir);
+      console.log(`📚 ${versions.length} knowledge base versions in ${storeDir}`);
+      versions.forEach(version => {
+        const changes = version.changes
+          ? ` (+${version.changes.pages.new} ~${version.changes.pages.changed} -${version.changes.pages.removed} pages)`
+          : '';
+        console.log(`${version.id}  ${version.createdAt}  ${version.pages} pages, ${version.documents} documents${changes}`);
+      });
+    } else if (command === 'diff') {
+      printDiff(diffVersions(storeDir, args[0] || 'previous', args[1] || 'latest'));
+    } else if (command === 'rollback') {
+      if (!args[0]) {
+        throw new Error('Usage: rollback <version>');
+      }
+      rollbackToVersion(storeDir, args[0]);
+      console.log('💡 Run "npm run ingest" or restart the chat server to rebuild the index');
+    } else {
+      throw new Error(`Unknown command "${command}". Use list, diff [from] [to] or rollback <version>`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,159 @@
+// Keyword Index utility for BM25 lexical search over the knowledge base chunks
+// Complements vector search on exact identifiers such as "INSAT-3DR", "L2B" or "OLR" that embeddings blur together
+
+// BM25 parameters: term frequency saturation and document length normalisation
+const DEFAULT_BM25_OPTIONS = {
+  k1: 1.2,
+  b: 0.75
+};
+
+// Common English words that carry no search meaning
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'tell', 'that', 'the', 'their', 'there', 'these',
+  'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you'
+]);
+
+// A word, or several joined by hyphens, slashes, dots or underscores ("insat-3dr", "l2b", "3d/imager")
+const TOKEN_PATTERN = /[a-z0-9]+(?:[-_./][a-z0-9]+)*/g;
+
+// Keyword indexes, cached per vector index
+const keywordIndexCache = new WeakMap();
+
+/**
+ * Reduce a plain word to a simple singular form so "products" matches "product"
+ * Identifiers containing digits are left exactly as written
+ * @param {string} word - Lowercase word
+ * @returns {string} - Normalised word
+ */
+function normalizeWord(word) {
+  if (/^[a-z]{4,}s$/.test(word) && !/(?:ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Split text into search terms
+ * Hyphenated satellite and sensor names are kept whole as well as split into their parts,
+ * so "INSAT-3DR" matches that exact name strongly and still matches a search for "INSAT"
+ * @param {string} text - Text to tokenise
+ * @returns {Array<string>} - Terms in text order
+ */
+function tokenize(text) {
+  const terms = [];
+
+  (String(text || '').toLowerCase().match(TOKEN_PATTERN) || []).forEach(token => {
+    const cleaned = token.replace(/[-_./]+$/, '');
+    const parts = cleaned.split(/[-_./]/).filter(Boolean);
+
+    if (parts.length > 1) {
+      terms.push(cleaned);
+    }
+    parts.forEach(part => {
+      if (!STOPWORDS.has(part)) terms.push(normalizeWord(part));
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Text of a chunk used for keyword matching: its content plus the document title and section
+ * @param {Object} chunk - Indexed chunk
+ * @returns {string} - Searchable text
+ */
+function chunkSearchText(chunk) {
+  const metadata = chunk.metadata || {};
+  return [metadata.title, metadata.section, chunk.content].filter(Boolean).join('\n');
+}
+
+/**
+ * Build a BM25 index over chunks
+ * @param {Array<Object>} chunks - Indexed chunks with id, content and metadata
+ * @param {Object} options - { k1, b }
+ * @returns {Object} - { postings: Map<term, Map<chunkId, tf>>, lengths: Map<chunkId, number>, chunksById, averageLength, k1, b }
+ */
+function buildKeywordIndex(chunks, options = {}) {
+  const { k1, b } = { ...DEFAULT_BM25_OPTIONS, ...options };
+  const postings = new Map();
+  const lengths = new Map();
+  const chunksById = new Map();
+  let totalLength = 0;
+
+  chunks.forEach(chunk => {
+    const terms = tokenize(chunkSearchText(chunk));
+    chunksById.set(chunk.id, chunk);
+    lengths.set(chunk.id, terms.length);
+    totalLength += terms.length;
+
+    terms.forEach(term => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const counts = postings.get(term);
+      counts.set(chunk.id, (counts.get(chunk.id) || 0) + 1);
+    });
+  });
+
+  return {
+    postings,
+    lengths,
+    chunksById,
+    averageLength: chunks.length > 0 ? totalLength / chunks.length : 0,
+    k1,
+    b
+  };
+}
+
+/**
+ * Get the keyword index for a vector index, building it on first use
+ * @param {Object} vectorIndex - Knowledge index from prepareKnowledgeIndex
+ * @returns {Object} - Keyword index over its chunks
+ */
+function getKeywordIndex(vectorIndex) {
+  if (!keywordIndexCache.has(vectorIndex)) {
+    keywordIndexCache.set(vectorIndex, buildKeywordIndex(vectorIndex.chunks));
+  }
+  return keywordIndexCache.get(vectorIndex);
+}
+
+/**
+ * Rank chunks against a query with BM25
+ * Term statistics come from the whole index, so filtering candidates doesn't change how rare a term counts as
+ * @param {Object} keywordIndex - Index from buildKeywordIndex
+ * @param {string} query - Search query
+ * @param {number} topK - Number of chunks to return
+ * @param {Set<string>} candidateIds - Optional chunk ids to restrict the search to
+ * @returns {Array<Object>} - Array of { chunk, score } sorted by descending score; chunks sharing no term are left out
+ */
+function searchKeywordIndex(keywordIndex, query, topK = 4, candidateIds = null) {
+  const { postings, lengths, chunksById, averageLength, k1, b } = keywordIndex;
+  const documentCount = lengths.size;
+  const scores = new Map();
+
+  new Set(tokenize(query)).forEach(term => {
+    const counts = postings.get(term);
+    if (!counts) return;
+
+    const idf = Math.log(1 + (documentCount - counts.size + 0.5) / (counts.size + 0.5));
+    counts.forEach((tf, chunkId) => {
+      if (candidateIds && !candidateIds.has(chunkId)) return;
+      const lengthRatio = averageLength > 0 ? lengths.get(chunkId) / averageLength : 1;
+      const termScore = idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengthRatio));
+      scores.set(chunkId, (scores.get(chunkId) || 0) + termScore);
+    });
+  });
+
+  return [...scores.entries()]
+    .sort((first, second) => second[1] - first[1])
+    .slice(0, topK)
+    .map(([chunkId, score]) => ({ chunk: chunksById.get(chunkId), score }));
+}
+
+// Export the functions as ES modules
+export {
+  DEFAULT_BM25_OPTIONS,
+  tokenize,
+  buildKeywordIndex,
+  getKeywordIndex,
+  searchKeywordIndex
+};
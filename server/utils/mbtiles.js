@@ -0,0 +1,114 @@
+// MBTiles utility for serving raster map tiles from local SQLite tile packages
+// Used in air-gapped deployments where public tile servers can't be reached
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Raster formats Leaflet can display directly; vector (pbf) packages are skipped
+const TILE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * Package id used in tile URLs, derived from the file name
+ * Characters the tile route doesn't accept (spaces, dots, ...) become dashes, e.g. "india tiles.mbtiles" -> "india-tiles"
+ * @param {string} filePath - Path to the .mbtiles file
+ * @returns {string} - Id matching /^[\w-]+$/
+ */
+function packageIdForFile(filePath) {
+  const slug = path.basename(filePath, path.extname(filePath)).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'mbtiles';
+}
+
+/**
+ * Open an MBTiles file
+ * The package is opened read-only from disk, so multi-gigabyte packages don't have to fit in memory
+ * @param {string} filePath - Path to the .mbtiles file
+ * @returns {Promise<Object>} - { id, filePath, metadata, format, contentType, getTile(z, x, y), close() }
+ * @throws {Error} - If the file is missing, isn't an MBTiles package, or holds vector tiles
+ */
+async function openMBTiles(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`MBTiles file not found: ${filePath}`);
+    }
+
+    const db = new Database(filePath, { readonly: true, fileMustExist: true });
+    let metadata;
+    let format;
+    let statement;
+
+    try {
+      metadata = {};
+      db.prepare('SELECT name, value FROM metadata').all().forEach(({ name, value }) => {
+        metadata[name] = value;
+      });
+
+      format = (metadata.format || 'png').toLowerCase();
+      if (!TILE_CONTENT_TYPES[format]) {
+        throw new Error(`Unsupported tile format "${format}" (only raster png/jpg/webp packages can be served)`);
+      }
+
+      statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?').pluck();
+    } catch (error) {
+      // Not a usable package (e.g. no tiles table): release the file before giving up
+      db.close();
+      throw error;
+    }
+
+    return {
+      id: packageIdForFile(filePath),
+      filePath,
+      metadata,
+      format,
+      contentType: TILE_CONTENT_TYPES[format],
+
+      /**
+       * Read one tile in XYZ numbering (MBTiles stores rows bottom-up, TMS style)
+       * @param {number} z - Zoom level
+       * @param {number} x - Column
+       * @param {number} y - Row, counted from the top
+       * @returns {Buffer|null} - Tile image, or null if the package doesn't have it
+       */
+      getTile(z, x, y) {
+        const tileRow = (2 ** z) - 1 - y;
+        const data = statement.get(z, x, tileRow);
+        return data ? Buffer.from(data) : null;
+      },
+
+      close() {
+        db.close();
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error opening MBTiles:', error.message);
+    throw new Error(`Failed to open MBTiles: ${error.message}`);
+  }
+}
+
+/**
+ * Find the MBTiles packages in a directory
+ * @param {string} directory - Directory to scan
+ * @returns {Array<string>} - Paths of .mbtiles files, sorted by name
+ */
+function listMBTiles(directory) {
+  if (!directory || !fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.toLowerCase().endsWith('.mbtiles'))
+    .sort()
+    .map(file => path.join(directory, file));
+}
+
+// Export the functions as ES modules
+export {
+  TILE_CONTENT_TYPES,
+  openMBTiles,
+  listMBTiles
+};
@@ -1,6 +1,7 @@
 // DOCX Parser utility for extracting text content from .docx files
 import fs from 'fs';
 import mammoth from 'mammoth';
+import { JSDOM } from 'jsdom';
 
 /**
  * Parse DOCX file and extract plain text content
@@ -32,10 +33,111 @@ async function parseDOCX(filePath) {
   }
 }
 
-// Export the function using module.exports for CommonJS compatibility
-module.exports = {
-  parseDOCX
-};
+/**
+ * Render a list element as "- item" or "1. item" lines, nested lists indented under their item
+ * @param {Element} list - UL or OL element
+ * @param {number} depth - Nesting depth
+ * @returns {Array<string>} - Text lines
+ */
+function listToLines(list, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  Array.from(list.children).filter(child => child.tagName === 'LI').forEach((item, index) => {
+    const nested = Array.from(item.children).filter(child => child.tagName === 'UL' || child.tagName === 'OL');
+    const text = Array.from(item.childNodes)
+      .filter(node => !nested.includes(node))
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const marker = list.tagName === 'OL' ? `${index + 1}.` : '-';
+    if (text) lines.push(`${indent}${marker} ${text}`);
+    nested.forEach(child => lines.push(...listToLines(child, depth + 1)));
+  });
+
+  return lines;
+}
+
+/**
+ * Render a table element as markdown pipe rows, the first row as the header
+ * @param {Element} table - TABLE element
+ * @returns {Array<string>} - Text lines
+ */
+function tableToLines(table) {
+  const rows = Array.from(table.querySelectorAll('tr')).map(row => Array.from(row.children)
+    .map(cell => cell.textContent.replace(/\s+/g, ' ').replace(/\|/g, '/').trim()));
+
+  const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+  if (lines.length > 1) {
+    lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+  }
+  return lines;
+}
+
+/**
+ * Parse DOCX file into sections delimited by its headings
+ * Lists and tables keep their structure as "- item" lines and markdown pipe rows
+ * @param {string} filePath - Path to the .docx file
+ * @returns {Promise<Array<Object>>} - Array of { section, headingPath, text } objects in document order
+ * @throws {Error} - If file doesn't exist or parsing fails
+ */
+async function parseDOCXSections(filePath) {
+  try {
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`DOCX file not found: ${filePath}`);
+    }
+
+    // Check if file has .docx extension
+    if (!filePath.toLowerCase().endsWith('.docx')) {
+      throw new Error(`Invalid file type. Expected .docx file, got: ${filePath}`);
+    }
+
+    // HTML conversion keeps heading styles, which raw text extraction loses
+    const result = await mammoth.convertToHtml({ path: filePath });
+    const document = new JSDOM(result.value).window.document;
+
+    const sections = [];
+    let headings = [];
+    let current = { section: null, headingPath: [], lines: [] };
+
+    const flush = () => {
+      const text = current.lines.join('\n').trim();
+      if (text) {
+        sections.push({ section: current.section, headingPath: current.headingPath, text });
+      }
+    };
+
+    Array.from(document.body.children).forEach(element => {
+      const content = element.textContent.trim();
+      if (!content) return;
+
+      if (/^H[1-6]$/.test(element.tagName)) {
+        // Each heading closes the headings at its own level and below
+        const level = Number(element.tagName[1]);
+        headings = [...headings.filter(heading => heading.level < level), { level, text: content }];
+
+        flush();
+        current = { section: content, headingPath: headings.map(heading => heading.text), lines: [] };
+      } else if (element.tagName === 'UL' || element.tagName === 'OL') {
+        current.lines.push(...listToLines(element));
+      } else if (element.tagName === 'TABLE') {
+        current.lines.push(...tableToLines(element));
+      } else {
+        current.lines.push(content);
+      }
+    });
+    flush();
+
+    return sections;
+    
+  } catch (error) {
+    console.error('Error parsing DOCX sections:', error.message);
+    throw new Error(`Failed to parse DOCX: ${error.message}`);
+  }
+}
 
-// Also export as ES module for modern usage
-export { parseDOCX };
\ No newline at end of file
+// Export the functions as ES modules
+export { parseDOCX, parseDOCXSections };
\ No newline at end of file
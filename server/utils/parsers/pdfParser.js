@@ -30,10 +30,51 @@ async function parsePDF(filePath) {
   }
 }
 
-// Export the function using module.exports for CommonJS compatibility
-module.exports = {
-  parsePDF
-};
+/**
+ * Parse PDF file and extract text content page by page
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<Array<Object>>} - Array of { page, text } objects, one per page
+ * @throws {Error} - If file doesn't exist or parsing fails
+ */
+async function parsePDFPages(filePath) {
+  try {
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`PDF file not found: ${filePath}`);
+    }
+
+    const dataBuffer = fs.readFileSync(filePath);
+    const pages = [];
+
+    // Pages are rendered one after another, collect each page's text as it is rendered
+    await pdf(dataBuffer, {
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent();
+        let lastY;
+        let text = '';
+
+        // Start a new line whenever the vertical position changes
+        for (const item of textContent.items) {
+          if (lastY === item.transform[5] || lastY === undefined) {
+            text += item.str;
+          } else {
+            text += '\n' + item.str;
+          }
+          lastY = item.transform[5];
+        }
+
+        pages.push({ page: pageData.pageNumber, text });
+        return text;
+      }
+    });
+
+    return pages;
+    
+  } catch (error) {
+    console.error('Error parsing PDF pages:', error.message);
+    throw new Error(`Failed to parse PDF: ${error.message}`);
+  }
+}
 
-// Also export as ES module for modern usage
-export { parsePDF };
\ No newline at end of file
+// Export the functions as ES modules
+export { parsePDF, parsePDFPages };
\ No newline at end of file
@@ -2,6 +2,53 @@
 import fs from 'fs';
 import XLSX from 'xlsx';
 
+/**
+ * Convert a worksheet into header names and row objects
+ * @param {Object} worksheet - SheetJS worksheet
+ * @returns {Object} - { headers, rows, rowNumbers } where rows are keyed by header and rowNumbers
+ *   holds each row's number as shown in the spreadsheet
+ */
+function sheetToObjects(worksheet) {
+  // Convert worksheet to JSON
+  // Using header: 1 to get array of arrays, then we'll convert to objects
+  // Blank rows are kept so every entry's position maps back to a spreadsheet row
+  const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '', // Default value for empty cells
+    blankrows: true
+  });
+
+  // The used range may start below row 1 (e.g. a title block removed above the table)
+  const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
+  const isBlank = row => row.every(cell => cell === '' || cell === null || cell === undefined);
+  const headerIndex = jsonData.findIndex(row => !isBlank(row));
+
+  // If no data found
+  if (headerIndex === -1) {
+    return { headers: [], rows: [], rowNumbers: [] };
+  }
+
+  // Convert array of arrays to array of objects
+  // First non-blank row is assumed to be headers
+  // Use header as key, or fallback to column index if header is empty
+  const headers = jsonData[headerIndex].map((header, index) => header || `Column_${index + 1}`);
+  const rows = [];
+  const rowNumbers = [];
+
+  jsonData.forEach((row, index) => {
+    if (index <= headerIndex || isBlank(row)) return;
+
+    const obj = {};
+    headers.forEach((key, column) => {
+      obj[key] = row[column] || '';
+    });
+    rows.push(obj);
+    rowNumbers.push(firstRow + index);
+  });
+
+  return { headers, rows, rowNumbers };
+}
+
 /**
  * Parse XLSX file and extract data from the first sheet as JSON
  * @param {string} filePath - Path to the .xlsx file
@@ -33,46 +80,44 @@ async function parseXLSX(filePath) {
     // Get the first worksheet
     const worksheet = workbook.Sheets[firstSheetName];
     
-    // Convert worksheet to JSON
-    // Using header: 1 to get array of arrays, then we'll convert to objects
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-      header: 1,
-      defval: '', // Default value for empty cells
-      blankrows: false // Skip blank rows
-    });
+    return sheetToObjects(worksheet).rows;
+    
+  } catch (error) {
+    console.error('Error parsing XLSX:', error.message);
+    throw new Error(`Failed to parse XLSX: ${error.message}`);
+  }
+}
+
+/**
+ * Parse XLSX file and extract data from every sheet
+ * @param {string} filePath - Path to the .xlsx file
+ * @returns {Promise<Array<Object>>} - Array of { sheet, headers, rows, rowNumbers } objects in workbook order
+ * @throws {Error} - If file doesn't exist or parsing fails
+ */
+async function parseXLSXSheets(filePath) {
+  try {
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`XLSX file not found: ${filePath}`);
+    }
 
-    // If no data found
-    if (jsonData.length === 0) {
-      return [];
+    // Check if file has .xlsx extension
+    if (!filePath.toLowerCase().endsWith('.xlsx')) {
+      throw new Error(`Invalid file type. Expected .xlsx file, got: ${filePath}`);
     }
 
-    // Convert array of arrays to array of objects
-    // First row is assumed to be headers
-    const headers = jsonData[0];
-    const rows = jsonData.slice(1);
-
-    const result = rows.map(row => {
-      const obj = {};
-      headers.forEach((header, index) => {
-        // Use header as key, or fallback to column index if header is empty
-        const key = header || `Column_${index + 1}`;
-        obj[key] = row[index] || '';
-      });
-      return obj;
-    });
+    const workbook = XLSX.readFile(filePath);
 
-    return result;
+    return workbook.SheetNames.map(sheetName => ({
+      sheet: sheetName,
+      ...sheetToObjects(workbook.Sheets[sheetName])
+    }));
     
   } catch (error) {
-    console.error('Error parsing XLSX:', error.message);
+    console.error('Error parsing XLSX sheets:', error.message);
     throw new Error(`Failed to parse XLSX: ${error.message}`);
   }
 }
 
-// Export the function using module.exports for CommonJS compatibility
-module.exports = {
-  parseXLSX
-};
-
-// Also export as ES module for modern usage
-export { parseXLSX };
\ No newline at end of file
+// Export the functions as ES modules
+export { parseXLSX, parseXLSXSheets };
\ No newline at end of file
@@ -0,0 +1,100 @@
+// Gemini provider for chat generation and embeddings via the Google Generative AI SDK
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Create a Gemini provider
+ * @param {Object} options - { apiKey, chatModel, embeddingModel }
+ * @returns {Object} - Provider exposing generate, generateStream, embedDocuments and embedQuery
+ */
+function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey;
+  const chatModel = options.chatModel || 'gemini-1.5-flash';
+  const embeddingModel = options.embeddingModel || 'embedding-001';
+
+  const getClient = () => {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+    return new GoogleGenerativeAI(apiKey);
+  };
+
+  const getChatModel = (generationOptions = {}) => getClient().getGenerativeModel({
+    model: chatModel,
+    generationConfig: {
+      temperature: generationOptions.temperature,
+      maxOutputTokens: generationOptions.maxTokens,
+    }
+  });
+
+  const toContent = (text) => ({ role: 'user', parts: [{ text }] });
+
+  return {
+    name: 'gemini',
+    chatModel,
+    embeddingModel,
+    configured: !!apiKey,
+
+    /**
+     * Generate a complete answer
+     * @param {string} prompt - Prompt text
+     * @param {Object} generationOptions - { temperature, maxTokens, signal }
+     * @returns {Promise<string>} - Generated text
+     */
+    async generate(prompt, generationOptions = {}) {
+      const result = await getChatModel(generationOptions).generateContent(prompt, {
+        signal: generationOptions.signal
+      });
+      return result.response.text();
+    },
+
+    /**
+     * Generate an answer as a stream of text fragments
+     * @param {string} prompt - Prompt text
+     * @param {Object} generationOptions - { temperature, maxTokens, signal }
+     * @returns {AsyncGenerator<string>} - Text fragments in order
+     */
+    async *generateStream(prompt, generationOptions = {}) {
+      const result = await getChatModel(generationOptions).generateContentStream(prompt, {
+        signal: generationOptions.signal
+      });
+
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+
+    /**
+     * Embed a batch of document chunks
+     * @param {Array<string>} texts - Chunk texts
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async embedDocuments(texts) {
+      const model = getClient().getGenerativeModel({ model: embeddingModel });
+      const result = await model.batchEmbedContents({
+        requests: texts.map(text => ({
+          content: toContent(text),
+          taskType: 'RETRIEVAL_DOCUMENT'
+        }))
+      });
+      return result.embeddings.map(embedding => embedding.values);
+    },
+
+    /**
+     * Embed a search query
+     * @param {string} text - Query text
+     * @returns {Promise<Array<number>>} - Query vector
+     */
+    async embedQuery(text) {
+      const model = getClient().getGenerativeModel({ model: embeddingModel });
+      const result = await model.embedContent({
+        content: toContent(text),
+        taskType: 'RETRIEVAL_QUERY'
+      });
+      return result.embedding.values;
+    }
+  };
+}
+
+// Export the function as an ES module
+export { createGeminiProvider };
@@ -0,0 +1,63 @@
+// LLM and embedding provider selection
+// LLM_PROVIDER chooses the backend: gemini (default), openai (any OpenAI-compatible endpoint) or mock (offline)
+import dotenv from 'dotenv';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+// Load environment variables
+dotenv.config();
+
+const PROVIDER_NAMES = ['gemini', 'openai', 'mock'];
+
+// Providers are stateless, so one instance per name is reused
+const providerCache = new Map();
+
+/**
+ * Create a provider by name from environment configuration
+ * @param {string} name - Provider name (gemini, openai or mock)
+ * @returns {Object} - Provider instance
+ */
+function createProvider(name) {
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        chatModel: process.env.GEMINI_CHAT_MODEL,
+        embeddingModel: process.env.GEMINI_EMBEDDING_MODEL
+      });
+
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        chatModel: process.env.OPENAI_CHAT_MODEL,
+        embeddingModel: process.env.OPENAI_EMBEDDING_MODEL,
+        rerankModel: process.env.OPENAI_RERANK_MODEL
+      });
+
+    case 'mock':
+      return createMockProvider();
+
+    default:
+      throw new Error(`Unknown LLM provider "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Get the configured provider
+ * @param {string} name - Optional provider name overriding LLM_PROVIDER
+ * @returns {Object} - Provider instance
+ */
+function getProvider(name) {
+  const providerName = (name || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  if (!providerCache.has(providerName)) {
+    providerCache.set(providerName, createProvider(providerName));
+  }
+
+  return providerCache.get(providerName);
+}
+
+// Export the functions as ES modules
+export { PROVIDER_NAMES, createProvider, getProvider };
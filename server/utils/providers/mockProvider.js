@@ -0,0 +1,181 @@
+// Deterministic offline provider used for tests and CI runs without network access
+// Embeddings are hashed bag-of-words vectors, answers are extracted from the prompt's context
+import crypto from 'crypto';
+import { tokenize as searchTerms } from '../keywordIndex.js';
+
+const EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Split text into lowercase word tokens, keeping hyphenated names such as "insat-3d" intact
+ * @param {string} text - Input text
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(text) {
+  return text.toLowerCase().match(/[a-z0-9]+(?:-[a-z0-9]+)*/g) || [];
+}
+
+/**
+ * Embed text as a normalised hashed bag-of-words vector
+ * Each token is hashed to a dimension and a sign, so identical text always gets the same vector
+ * @param {string} text - Input text
+ * @returns {Array<number>} - Unit-length vector
+ */
+function hashedEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+  tokenize(text).forEach(token => {
+    const digest = crypto.createHash('md5').update(token).digest();
+    const dimension = digest.readUInt32BE(0) % EMBEDDING_DIMENSIONS;
+    vector[dimension] += digest[4] & 1 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Pull a labelled single-line field such as "User Question: ..." out of a prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} label - Field label without the colon
+ * @returns {string|null} - Field value, or null if absent
+ */
+function extractField(prompt, label) {
+  const match = prompt.match(new RegExp(`${label}:[ \\t]*(.+)`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Produce a deterministic answer from a prompt
+ * Follow-up rewrite prompts echo the question; RAG prompts return the context
+ * sentences that share the most words with the question, citing their passage,
+ * or the not-in-knowledge-base marker the prompt asks for when none match
+ * @param {string} prompt - Prompt text
+ * @returns {string} - Answer text
+ */
+function mockAnswer(prompt) {
+  const followUp = extractField(prompt, 'Follow-up Question');
+  if (followUp && prompt.includes('Standalone Question:')) {
+    return followUp;
+  }
+
+  const question = extractField(prompt, 'User Question') || prompt.trim().split('\n').pop();
+  const contextMatch = prompt.match(/Context Information:\n([\s\S]*?)\n\n(?:Knowledge Graph Relations:|Conversation History:|User Question:)/);
+
+  if (!contextMatch) {
+    return `Mock answer: ${question}`;
+  }
+
+  const questionTokens = new Set(tokenize(question));
+  // Passages are numbered "[1]", "[2]"... on their own line; split() returns each number followed by its text
+  const parts = contextMatch[1].split(/^\[(\d+)\]\n/m);
+  const sentences = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    parts[i + 1].split(/\n+|(?<=\.)\s+/).forEach(sentence => {
+      if (sentence.trim()) sentences.push({ sentence: sentence.trim(), passage: parts[i] });
+    });
+  }
+
+  const ranked = sentences
+    .map((item, position) => ({
+      ...item,
+      position,
+      overlap: tokenize(item.sentence).filter(token => questionTokens.has(token)).length
+    }))
+    .filter(item => item.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap || a.position - b.position)
+    .slice(0, 3)
+    .sort((a, b) => a.position - b.position);
+
+  // A context sharing only words like "what is the" with the question doesn't answer it
+  const questionTerms = searchTerms(question);
+  const answersQuestion = sentences.some(item => searchTerms(item.sentence).some(term => questionTerms.includes(term)));
+
+  const notInKnowledgeBase = prompt.match(/reply with exactly (\S+)/);
+  if (ranked.length === 0 || !answersQuestion) {
+    return notInKnowledgeBase ? notInKnowledgeBase[1] : 'I could not find information about that in the MOSDAC knowledge base.';
+  }
+
+  return ranked.map(item => item.sentence.replace(/([.!?]?)$/, ` [${item.passage}]$1`)).join(' ');
+}
+
+/**
+ * Score a passage by the share of the query's distinct words it contains
+ * @param {string} query - Query text
+ * @param {string} passage - Passage text
+ * @returns {number} - Score between 0 and 1
+ */
+function overlapScore(query, passage) {
+  const queryTokens = new Set(tokenize(query));
+  if (queryTokens.size === 0) return 0;
+
+  const passageTokens = new Set(tokenize(passage));
+  return [...queryTokens].filter(token => passageTokens.has(token)).length / queryTokens.size;
+}
+
+/**
+ * Create the offline mock provider
+ * @returns {Object} - Provider exposing generate, generateStream, embedDocuments, embedQuery and rerank
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    chatModel: 'mock-extractive',
+    embeddingModel: `mock-hashed-bow-${EMBEDDING_DIMENSIONS}`,
+    rerankModel: 'mock-word-overlap',
+    configured: true,
+
+    /**
+     * Generate a complete answer
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<string>} - Extracted answer
+     */
+    async generate(prompt) {
+      return mockAnswer(prompt);
+    },
+
+    /**
+     * Generate an answer word by word
+     * @param {string} prompt - Prompt text
+     * @param {Object} generationOptions - { signal }
+     * @returns {AsyncGenerator<string>} - Words with their trailing whitespace
+     */
+    async *generateStream(prompt, generationOptions = {}) {
+      const words = mockAnswer(prompt).split(/(?<=\s)/);
+      for (const word of words) {
+        if (generationOptions.signal?.aborted) return;
+        yield word;
+      }
+    },
+
+    /**
+     * Embed a batch of document chunks
+     * @param {Array<string>} texts - Chunk texts
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async embedDocuments(texts) {
+      return texts.map(hashedEmbedding);
+    },
+
+    /**
+     * Embed a search query
+     * @param {string} text - Query text
+     * @returns {Promise<Array<number>>} - Query vector
+     */
+    async embedQuery(text) {
+      return hashedEmbedding(text);
+    },
+
+    /**
+     * Score passages against a query
+     * @param {string} query - Query text
+     * @param {Array<string>} documents - Passage texts
+     * @returns {Promise<Array<number>>} - One relevance score per passage
+     */
+    async rerank(query, documents) {
+      return documents.map(document => overlapScore(query, document));
+    }
+  };
+}
+
+// Export the functions as ES modules
+export { createMockProvider, hashedEmbedding, tokenize };
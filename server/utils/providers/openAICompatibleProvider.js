@@ -0,0 +1,147 @@
+// OpenAI-compatible provider for chat generation and embeddings over HTTP
+// Works with any server exposing /chat/completions and /embeddings (Ollama, llama.cpp, vLLM, OpenAI),
+// and /rerank for servers hosting a reranking model (llama.cpp, vLLM, Infinity)
+import axios from 'axios';
+
+/**
+ * Create a provider for an OpenAI-compatible endpoint
+ * @param {Object} options - { baseUrl, apiKey, chatModel, embeddingModel, rerankModel, timeoutMs }
+ * @returns {Object} - Provider exposing generate, generateStream, embedDocuments, embedQuery and, with a rerankModel, rerank
+ */
+function createOpenAICompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const chatModel = options.chatModel || 'llama3.1';
+  const embeddingModel = options.embeddingModel || 'nomic-embed-text';
+  const rerankModel = options.rerankModel || null;
+  const timeoutMs = options.timeoutMs || 120000;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+  };
+
+  const chatBody = (prompt, generationOptions, stream) => ({
+    model: chatModel,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: generationOptions.temperature,
+    max_tokens: generationOptions.maxTokens,
+    stream
+  });
+
+  const embed = async (input) => {
+    const response = await axios.post(`${baseUrl}/embeddings`, {
+      model: embeddingModel,
+      input
+    }, { headers, timeout: timeoutMs });
+
+    // Responses carry an index per item, don't rely on array order
+    return response.data.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  };
+
+  return {
+    name: 'openai',
+    chatModel,
+    embeddingModel,
+    // The local default is only a guess, so the provider counts as configured once OPENAI_BASE_URL is set
+    configured: !!options.baseUrl,
+
+    /**
+     * Generate a complete answer
+     * @param {string} prompt - Prompt text
+     * @param {Object} generationOptions - { temperature, maxTokens, signal }
+     * @returns {Promise<string>} - Generated text
+     */
+    async generate(prompt, generationOptions = {}) {
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        chatBody(prompt, generationOptions, false),
+        { headers, timeout: timeoutMs, signal: generationOptions.signal }
+      );
+      return response.data.choices?.[0]?.message?.content || '';
+    },
+
+    /**
+     * Generate an answer as a stream of text fragments
+     * Parses the `data:` lines of the server-sent event stream
+     * @param {string} prompt - Prompt text
+     * @param {Object} generationOptions - { temperature, maxTokens, signal }
+     * @returns {AsyncGenerator<string>} - Text fragments in order
+     */
+    async *generateStream(prompt, generationOptions = {}) {
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        chatBody(prompt, generationOptions, true),
+        { headers, timeout: timeoutMs, signal: generationOptions.signal, responseType: 'stream' }
+      );
+
+      let buffer = '';
+      for await (const data of response.data) {
+        buffer += data.toString('utf-8');
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+
+    /**
+     * Embed a batch of document chunks
+     * @param {Array<string>} texts - Chunk texts
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async embedDocuments(texts) {
+      return embed(texts);
+    },
+
+    /**
+     * Embed a search query
+     * @param {string} text - Query text
+     * @returns {Promise<Array<number>>} - Query vector
+     */
+    async embedQuery(text) {
+      const [vector] = await embed([text]);
+      return vector;
+    },
+
+    // Reranking is only offered when a reranking model is configured
+    ...(rerankModel && {
+      rerankModel,
+
+      /**
+       * Score passages against a query with the reranking model
+       * @param {string} query - Query text
+       * @param {Array<string>} documents - Passage texts
+       * @returns {Promise<Array<number>>} - One relevance score per passage, in input order
+       */
+      async rerank(query, documents) {
+        const response = await axios.post(`${baseUrl}/rerank`, {
+          model: rerankModel,
+          query,
+          documents
+        }, { headers, timeout: timeoutMs });
+
+        // Results come back sorted by relevance, so map them to their input positions
+        const scores = new Array(documents.length).fill(0);
+        response.data.results.forEach(result => {
+          scores[result.index] = result.relevance_score;
+        });
+        return scores;
+      }
+    })
+  };
+}
+
+// Export the function as an ES module
+export { createOpenAICompatibleProvider };
@@ -1,153 +1,682 @@
-// RAG (Retrieval-Augmented Generation) System using LangChain and Gemini
+// RAG (Retrieval-Augmented Generation) System using LangChain and a pluggable LLM provider
 import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
-import { MemoryVectorStore } from 'langchain/vectorstores/memory';
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { PromptTemplate } from '@langchain/core/prompts';
+import {
+  loadVectorIndex,
+  saveVectorIndex,
+  updateVectorIndex
+} from './vectorIndex.js';
+import { getKeywordIndex } from './keywordIndex.js';
+import { resolveRetrievalMode, hybridSearch } from './hybridRetriever.js';
+import { DEFAULT_SELECTION_OPTIONS, resolveReranker, rerankAndSelect } from './reranker.js';
+import { applyRetrievalFilters } from './retrievalFilters.js';
+import { tagDocumentLocations, getSpatialIndex } from './spatialIndex.js';
+import { resolveChunkingStrategy, chunkSections } from './structuredChunker.js';
+import { buildGraphFromText } from './graphBuilder.js';
+import { graphAugmentResults, formatGraphPath } from './graphRetriever.js';
+import {
+  NOT_IN_KNOWLEDGE_BASE_MARKER,
+  NOT_IN_KNOWLEDGE_BASE_ANSWER,
+  resolveVerificationMode,
+  verifyAnswer
+} from './answerVerifier.js';
+import { getProvider } from './providers/index.js';
+
+// Fix __dirname for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // Load environment variables
 dotenv.config();
 
+// Folder holding the persisted knowledge base indexes, one per provider since vectors aren't interchangeable
+const INDEX_DIR = path.join(__dirname, '..', 'index');
+
+// Answer returned when the sidebar filters exclude every chunk
+const NO_MATCHING_DOCUMENTS_ANSWER = 'No documents in the MOSDAC knowledge base match the active filters. Try enabling more document types, changing the keyword or widening the area of interest.';
+
+// Conversation turns included in the prompt, and how much of each past answer to keep
+const HISTORY_WINDOW = 4;
+const HISTORY_ANSWER_CHARS = 500;
+
+// Chunking used for the persisted knowledge base index (shared by the chat server and ingest script)
+const KNOWLEDGE_BASE_CHUNKING = {
+  chunkSize: 800,
+  chunkOverlap: 150
+};
+
+// Candidates retrieved per chunk that can go into the prompt, leaving the reranker room to choose
+const CANDIDATE_MULTIPLIER = 3;
+
 /**
- * RAG System for contextual question answering
- * Uses Gemini embeddings with MemoryVectorStore for document retrieval
- * @param {string} inputText - Long input text to use as knowledge base
- * @param {string} userQuery - User's question/query
+ * Read a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @returns {number|undefined} - Parsed value, or undefined when unset or not a number
+ */
+function envNumber(name) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Build RAG configuration from caller options
+ * `topK` is the most chunks placed in the prompt; `contextTokenBudget` usually stops the selection earlier
  * @param {Object} options - Configuration options
- * @returns {Promise<string>} - Contextual answer based on retrieved documents
+ * @returns {Object} - Configuration with defaults applied
  */
-async function runRAG(inputText, userQuery, options = {}) {
-  try {
-    // Validate inputs
-    if (!inputText || typeof inputText !== 'string') {
-      throw new Error('Input text must be a non-empty string');
-    }
-    
-    if (!userQuery || typeof userQuery !== 'string') {
-      throw new Error('User query must be a non-empty string');
-    }
+function buildConfig(options = {}) {
+  const topK = options.topK || DEFAULT_SELECTION_OPTIONS.maxChunks;
 
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
+  return {
+    chunkSize: options.chunkSize || 1000,
+    chunkOverlap: options.chunkOverlap || 200,
+    topK,
+    candidateK: topK * CANDIDATE_MULTIPLIER,
+    temperature: options.temperature || 0.7,
+    maxTokens: options.maxTokens || 1000,
+    contextTokenBudget: envNumber('CONTEXT_TOKEN_BUDGET') || DEFAULT_SELECTION_OPTIONS.contextTokenBudget,
+    mmrLambda: envNumber('MMR_LAMBDA') ?? DEFAULT_SELECTION_OPTIONS.mmrLambda,
+    duplicateThreshold: DEFAULT_SELECTION_OPTIONS.duplicateThreshold,
+    ...options,
+    chunking: resolveChunkingStrategy(options.chunking || process.env.CHUNKING),
+    retrievalMode: resolveRetrievalMode(options.retrievalMode || process.env.RETRIEVAL_MODE),
+    reranker: resolveReranker(options.reranker || process.env.RERANKER),
+    verification: resolveVerificationMode(options.verification || process.env.ANSWER_VERIFICATION),
+    history: (options.history || []).slice(-HISTORY_WINDOW)
+  };
+}
 
-    // Configuration options with defaults
-    const config = {
-      chunkSize: options.chunkSize || 1000,
-      chunkOverlap: options.chunkOverlap || 200,
-      topK: options.topK || 4,
-      temperature: options.temperature || 0.7,
-      maxTokens: options.maxTokens || 1000,
-      ...options
-    };
+/**
+ * Resolve the provider used for a request
+ * @param {Object} config - RAG configuration, optionally carrying a `provider` instance
+ * @returns {Object} - LLM/embedding provider
+ */
+function resolveProvider(config = {}) {
+  return config.provider || getProvider();
+}
 
-    console.log('🚀 Starting RAG process...');
-    console.log(`📄 Input text length: ${inputText.length} characters`);
-    console.log(`❓ User query: "${userQuery}"`);
+/**
+ * Name recorded in the index so vectors from another provider or model are never mixed
+ * @param {Object} provider - LLM/embedding provider
+ * @returns {string} - e.g. "gemini:embedding-001"
+ */
+function embeddingModelId(provider) {
+  return `${provider.name}:${provider.embeddingModel}`;
+}
 
-    // Step 1: Split the input text into chunks
-    console.log('📝 Splitting text into chunks...');
-    const textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: config.chunkSize,
-      chunkOverlap: config.chunkOverlap,
-      separators: ['\n\n', '\n', '. ', ' ', '']
-    });
+/**
+ * Default index path for a provider
+ * @param {Object} provider - LLM/embedding provider
+ * @returns {string} - Path to the provider's index JSON file
+ */
+function defaultIndexPath(provider) {
+  return path.join(INDEX_DIR, `vector_index_${provider.name}.json`);
+}
 
-    const documents = await textSplitter.createDocuments([inputText]);
-    console.log(`✂️ Created ${documents.length} text chunks`);
+/**
+ * Split input text into document chunks
+ * @param {string} inputText - Text to split
+ * @param {Object} config - { chunkSize, chunkOverlap }
+ * @param {Object} metadata - Metadata attached to every chunk
+ * @returns {Promise<Array<Object>>} - Array of { pageContent, metadata } chunks
+ */
+async function splitIntoChunks(inputText, config, metadata = {}) {
+  const textSplitter = new RecursiveCharacterTextSplitter({
+    chunkSize: config.chunkSize,
+    chunkOverlap: config.chunkOverlap,
+    separators: ['\n\n', '\n', '. ', ' ', '']
+  });
 
-    // Step 2: Initialize Gemini embeddings
-    console.log('🧠 Initializing Gemini embeddings...');
-    const embeddings = new GoogleGenerativeAIEmbeddings({
-      apiKey: process.env.GEMINI_API_KEY,
-      model: 'embedding-001', // Gemini embedding model
-    });
+  return textSplitter.createDocuments([inputText], [metadata]);
+}
 
-    // Step 3: Create vector store from documents
-    console.log('🗄️ Creating vector store...');
-    const vectorStore = await MemoryVectorStore.fromDocuments(
-      documents,
-      embeddings
-    );
+/**
+ * Split text sections into document chunks with the configured chunking strategy
+ * Structured chunking follows headings, lists and tables; recursive chunking splits each section by size
+ * @param {Array<Object>} sources - Array of { text, metadata } sections
+ * @param {Object} config - { chunking, chunkSize, chunkOverlap }
+ * @returns {Promise<Array<Object>>} - Array of { pageContent, metadata } chunks
+ */
+async function chunkSources(sources, config) {
+  if (config.chunking === 'structured') {
+    return chunkSections(sources, config);
+  }
 
-    // Step 4: Perform similarity search
-    console.log('🔍 Performing similarity search...');
-    const relevantDocs = await vectorStore.similaritySearch(
-      userQuery,
-      config.topK
-    );
+  const documents = [];
+  for (const source of sources) {
+    if (!source.text || !source.text.trim()) continue;
+    documents.push(...await splitIntoChunks(source.text, config, source.metadata));
+  }
+  return documents;
+}
 
-    console.log(`📋 Found ${relevantDocs.length} relevant document chunks`);
+/**
+ * Convert low-level errors into user-facing RAG errors
+ * @param {Error} error - Original error
+ * @returns {Error} - Error with a helpful message
+ */
+function toRAGError(error) {
+  if (error.code === 'ECONNREFUSED') {
+    return new Error('❌ LLM provider is not reachable. Please check OPENAI_BASE_URL and that the model server is running.');
+  } else if (error.message.includes('API_KEY')) {
+    return new Error('❌ Gemini API key is missing or invalid. Please check your GEMINI_API_KEY environment variable.');
+  } else if (error.message.includes('quota')) {
+    return new Error('❌ Gemini API quota exceeded. Please check your usage limits.');
+  } else if (error.message.includes('model')) {
+    return new Error('❌ LLM model error. The configured model may not be available.');
+  } else {
+    return new Error(`❌ RAG system error: ${error.message}`);
+  }
+}
+
+/**
+ * Find the chunks most relevant to the query in an index
+ * The retrieval mode chooses vector similarity, BM25 keyword search or both fused; the query is only
+ * embedded when vector scores or the graph need it. When a knowledge `graph` is configured, the results
+ * are expanded with chunks supporting the relations around the entities named in the query.
+ * Several times more candidates than fit the prompt are retrieved, then reranked and selected with MMR
+ * within the context token budget
+ * @param {Object} vectorIndex - Vector index to search
+ * @param {Object} provider - Provider used to embed the query and rerank candidates
+ * @param {string} userQuery - User's question/query
+ * @param {Object} config - RAG configuration, with `retrievalMode`, `reranker`, `contextTokenBudget` and optionally `graph`, `graphOptions`, `rrfK` and `fusionWeights`
+ * @returns {Promise<Object>} - { results, graphPath, selection } where results are selected { chunk, score, retrievedBy, relevance } entries
+ */
+async function retrieveFromIndex(vectorIndex, provider, userQuery, config) {
+  console.log(`🔍 Performing ${config.retrievalMode} search...`);
+  const needsEmbedding = config.retrievalMode !== 'keyword' || !!config.graph;
+  const queryEmbedding = needsEmbedding ? await provider.embedQuery(userQuery) : null;
+  const searchResults = hybridSearch(vectorIndex, userQuery, queryEmbedding, {
+    mode: config.retrievalMode,
+    topK: config.candidateK,
+    rrfK: config.rrfK,
+    weights: config.fusionWeights
+  });
 
-    // Step 5: Prepare context from retrieved documents
-    const context = relevantDocs
-      .map((doc, index) => `[Context ${index + 1}]\n${doc.pageContent}`)
-      .join('\n\n');
+  const { results: candidates, graphPath } = graphAugmentResults(
+    config.graph,
+    vectorIndex.chunks,
+    searchResults,
+    userQuery,
+    queryEmbedding,
+    config.graphOptions
+  );
 
-    // Step 6: Create prompt template for RAG
-    const promptTemplate = PromptTemplate.fromTemplate(`
+  const { results, stats: selection } = await rerankAndSelect(provider, userQuery, candidates, {
+    reranker: config.reranker,
+    mmrLambda: config.mmrLambda,
+    duplicateThreshold: config.duplicateThreshold,
+    contextTokenBudget: config.contextTokenBudget,
+    maxChunks: config.topK
+  });
+
+  console.log(`📋 Found ${results.length} relevant document chunks`);
+  return { results, graphPath, selection };
+}
+
+/**
+ * Render recent conversation turns for inclusion in a prompt
+ * Long answers are truncated so the history can't crowd out the retrieved context
+ * @param {Array<Object>} history - Prior { query, answer } turns, oldest first
+ * @returns {string} - Conversation transcript, or 'None' when there is no history
+ */
+function formatHistory(history = []) {
+  if (history.length === 0) {
+    return 'None';
+  }
+
+  return history
+    .map(turn => {
+      const answer = turn.answer.length > HISTORY_ANSWER_CHARS
+        ? turn.answer.substring(0, HISTORY_ANSWER_CHARS) + '...'
+        : turn.answer;
+      return `User: ${turn.query}\nAssistant: ${answer}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Build the RAG prompt from retrieved chunks
+ * Passages are numbered [1], [2]... in the order of the sources returned to the frontend, so citations map to them
+ * @param {Array<Object>} results - Retrieved { chunk, score } pairs
+ * @param {string} userQuery - User's question/query
+ * @param {Array<Object>} history - Prior conversation turns to include
+ * @param {Object|null} graphPath - Knowledge graph relations found for the query
+ * @returns {Promise<string>} - Formatted prompt
+ */
+async function buildPrompt(results, userQuery, history = [], graphPath = null) {
+  // Prepare context from retrieved documents
+  const context = results
+    .map((result, index) => `[${index + 1}]\n${result.chunk.content}`)
+    .join('\n\n');
+
+  // Create prompt template for RAG
+  const promptTemplate = PromptTemplate.fromTemplate(`
 You are MOSDAC AI Help Bot, a helpful assistant specializing in space technology, satellite data, and remote sensing. You work for MOSDAC (Meteorological and Oceanographic Satellite Data Archival Centre).
 
 Context Information:
 {context}
 
+Knowledge Graph Relations:
+{relations}
+
+Conversation History:
+{history}
+
 User Question: {question}
 
 Instructions:
-- Answer the question using the information provided in the context above
-- Focus on MOSDAC services, satellite data, remote sensing, and space technology
-- If the context doesn't contain enough information to answer the question, provide general knowledge about MOSDAC and suggest contacting MOSDAC directly
-- Be specific and cite relevant parts of the context when possible
+- Answer the question using only the information in the numbered context passages above
+- After each sentence that states a fact, cite the passages it comes from by number, e.g. [1] or [2, 3]
+- Use the knowledge graph relations to connect facts that are spread across several context passages
+- Use the conversation history only to understand what the question refers to
+- Do not add facts that are not in the context, even if you know them
+- If the context doesn't contain the answer, reply with exactly {notInKnowledgeBase} and nothing else
 - Keep your answer helpful, professional, and informative
 - If multiple perspectives exist in the context, present them clearly
 
 Answer:`);
 
+  return promptTemplate.format({
+    context: context,
+    relations: formatGraphPath(graphPath),
+    history: formatHistory(history),
+    question: userQuery,
+    notInKnowledgeBase: NOT_IN_KNOWLEDGE_BASE_MARKER
+  });
+}
+
+/**
+ * Rewrite a follow-up question into a standalone question using the conversation history
+ * e.g. "what about its resolution?" after asking about INSAT-3D becomes "What is the resolution of INSAT-3D?"
+ * Falls back to the original question if there is no history or the rewrite fails
+ * @param {Object} provider - LLM provider used for the rewrite
+ * @param {Array<Object>} history - Prior { query, answer } turns, oldest first
+ * @param {string} userQuery - Follow-up question
+ * @returns {Promise<string>} - Standalone question used for retrieval
+ */
+async function rewriteFollowUpQuery(provider, history, userQuery) {
+  if (!history || history.length === 0) {
+    return userQuery;
+  }
+
+  try {
+    const promptTemplate = PromptTemplate.fromTemplate(`
+Given the conversation below and a follow-up question, rewrite the follow-up question as a standalone question that can be understood without the conversation.
+Keep satellite, sensor and product names exactly as written. If the question is already standalone, return it unchanged.
+Return only the rewritten question.
+
+Conversation:
+{history}
+
+Follow-up Question: {question}
+
+Standalone Question:`);
+
     const prompt = await promptTemplate.format({
-      context: context,
+      history: formatHistory(history),
       question: userQuery
     });
 
-    // Step 7: Generate answer using Gemini
-    console.log('🤖 Generating contextual answer...');
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ 
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: config.temperature,
-        maxOutputTokens: config.maxTokens,
-      }
+    console.log('🔁 Rewriting follow-up question...');
+    const standaloneQuery = (await provider.generate(prompt, { temperature: 0, maxTokens: 200 })).trim();
+
+    if (!standaloneQuery) {
+      return userQuery;
+    }
+
+    console.log(`🔁 Standalone question: "${standaloneQuery}"`);
+    return standaloneQuery;
+
+  } catch (error) {
+    console.error('❌ Error rewriting follow-up question:', error.message);
+    return userQuery;
+  }
+}
+
+/**
+ * Retrieve relevant chunks from an index and generate an answer with the provider
+ * @param {Object} vectorIndex - Vector index to search
+ * @param {Object} provider - LLM/embedding provider
+ * @param {string} userQuery - User's question/query (standalone form when part of a conversation)
+ * @param {Object} config - RAG configuration, including optional conversation `history`
+ * @returns {Promise<Object>} - { answer, results, graphPath, selection, verification } where results are the retrieved { chunk, score } pairs
+ *   and answer has been checked against them by verifyAnswer
+ */
+async function answerFromIndex(vectorIndex, provider, userQuery, config) {
+  const { results, graphPath, selection } = await retrieveFromIndex(vectorIndex, provider, userQuery, config);
+  const prompt = await buildPrompt(results, userQuery, config.history, graphPath);
+
+  // Generate answer using the configured LLM
+  console.log(`🤖 Generating contextual answer with ${provider.name} (${provider.chatModel})...`);
+  const generated = await provider.generate(prompt, {
+    temperature: config.temperature,
+    maxTokens: config.maxTokens
+  });
+  const { answer, verification } = verifyAnswer(generated.trim(), results, { mode: config.verification });
+
+  console.log('✅ RAG process completed successfully');
+  console.log(`📊 Answer length: ${answer.length} characters`);
+
+  return { answer, results, graphPath, selection, verification };
+}
+
+/**
+ * Describe a retrieved chunk as a source citation for the frontend
+ * @param {Object} result - Retrieved { chunk, score } pair
+ * @returns {Object} - Source with document metadata, similarity score and excerpt
+ */
+function toSource(result) {
+  const { chunk, score } = result;
+  const metadata = chunk.metadata || {};
+
+  return {
+    chunkId: chunk.id,
+    filename: metadata.filename,
+    type: metadata.type,
+    page: metadata.page,
+    section: metadata.section,
+    url: metadata.url,
+    title: metadata.title,
+    sheet: metadata.sheet,
+    row: metadata.row,
+    score: Math.round(score * 10000) / 10000,
+    ...(result.rerankScore !== undefined && { rerankScore: Math.round(result.rerankScore * 10000) / 10000 }),
+    retrievedBy: result.retrievedBy || 'vector',
+    excerpt: chunk.content.length > 200 ? chunk.content.substring(0, 200) + '...' : chunk.content
+  };
+}
+
+/**
+ * Load the persisted knowledge base index and bring it up to date with the sources
+ * Only chunks whose content hash changed since the last run are re-embedded
+ * @param {Array<Object>} sources - Array of { text, metadata } sections (knowledge base, pages, sheets...)
+ * @param {Object} options - Chunking options plus indexPath and an optional provider
+ * @returns {Promise<Object>} - { index, stats }
+ */
+async function prepareKnowledgeIndex(sources, options = {}) {
+  try {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new Error('Knowledge sources must be a non-empty array');
+    }
+
+    const config = buildConfig({ ...KNOWLEDGE_BASE_CHUNKING, ...options });
+    const provider = resolveProvider(options);
+    const indexPath = options.indexPath || defaultIndexPath(provider);
+
+    // Chunk each section separately so every chunk keeps its own document metadata
+    console.log(`📝 Splitting ${sources.length} knowledge sections into ${config.chunking} chunks...`);
+    const documents = await chunkSources(sources, config);
+    console.log(`✂️ Created ${documents.length} text chunks`);
+
+    // Locations are stored with each chunk so area filters don't need to re-read the text
+    tagDocumentLocations(documents);
+
+    const existingIndex = loadVectorIndex(indexPath);
+    const { index, stats } = await updateVectorIndex(existingIndex, documents, provider, {
+      embeddingModel: embeddingModelId(provider)
     });
 
-    const result = await model.generateContent(prompt);
-    const answer = result.response.text();
+    if (stats.changed) {
+      saveVectorIndex(index, indexPath);
+    } else {
+      console.log('✅ Vector index already up to date');
+    }
 
-    console.log('✅ RAG process completed successfully');
-    console.log(`📊 Answer length: ${answer.length} characters`);
+    return { index, stats };
+
+  } catch (error) {
+    console.error('❌ Knowledge Index Error:', error.message);
+    throw toRAGError(error);
+  }
+}
+
+/**
+ * Validate an indexed RAG request and apply the sidebar filters to the index
+ * @param {Object} vectorIndex - Index returned by prepareKnowledgeIndex
+ * @param {string} userQuery - User's question/query
+ * @param {Object} config - RAG configuration, including the frontend `filters`
+ * @returns {Object} - { filteredIndex, retrieval } where filteredIndex only holds matching chunks
+ */
+function filterIndexForQuery(vectorIndex, userQuery, config) {
+  if (!vectorIndex || !Array.isArray(vectorIndex.chunks)) {
+    throw new Error('Vector index is not loaded');
+  }
+
+  if (!userQuery || typeof userQuery !== 'string') {
+    throw new Error('User query must be a non-empty string');
+  }
+
+  console.log('🚀 Starting RAG process...');
+  console.log(`🗄️ Indexed chunks: ${vectorIndex.chunks.length}`);
+  console.log(`❓ User query: "${userQuery}"`);
+
+  // Restrict candidates to the document types, keyword and area of interest chosen in the sidebar
+  const filtered = applyRetrievalFilters(vectorIndex.chunks, config.filters, getSpatialIndex(vectorIndex));
+
+  if (filtered.filtersApplied) {
+    console.log(`🔎 Filters matched ${filtered.matchedChunks} of ${filtered.totalChunks} chunks`);
+  }
+  if (filtered.area) {
+    console.log(`🗺️ Area of interest: ${filtered.area.label || filtered.area.type}`);
+  }
+
+  return {
+    filteredIndex: {
+      ...vectorIndex,
+      chunks: filtered.chunks,
+      // Keyword statistics stay those of the whole knowledge base
+      ...(config.retrievalMode !== 'vector' && { keywordIndex: getKeywordIndex(vectorIndex) })
+    },
+    retrieval: {
+      mode: config.retrievalMode,
+      totalChunks: filtered.totalChunks,
+      matchedChunks: filtered.matchedChunks,
+      retrievedChunks: 0,
+      filtersApplied: filtered.filtersApplied,
+      area: filtered.area
+    }
+  };
+}
+
+/**
+ * RAG over a prebuilt vector index
+ * Only the query is embedded per request, the corpus embeddings come from the index
+ * @param {Object} vectorIndex - Index returned by prepareKnowledgeIndex
+ * @param {string} userQuery - User's question/query
+ * @param {Object} options - Configuration options, including the frontend `filters`, conversation `history` and knowledge `graph`
+ * @returns {Promise<Object>} - { answer, standaloneQuery, sources, context, retrieval, graphPath, verification } where retrieval has chunk counts
+ *   before and after filtering and verification reports the claims the context doesn't support
+ */
+async function runIndexedRAG(vectorIndex, userQuery, options = {}) {
+  try {
+    const config = buildConfig(options);
+    const { filteredIndex, retrieval } = filterIndexForQuery(vectorIndex, userQuery, config);
+
+    if (retrieval.matchedChunks === 0) {
+      return {
+        answer: NO_MATCHING_DOCUMENTS_ANSWER,
+        standaloneQuery: userQuery,
+        sources: [],
+        context: '',
+        retrieval,
+        graphPath: null,
+        verification: null
+      };
+    }
+
+    // Follow-ups like "what about its resolution?" need the conversation to be searchable
+    const provider = resolveProvider(config);
+    const standaloneQuery = await rewriteFollowUpQuery(provider, config.history, userQuery);
+
+    const { answer, results, graphPath, selection, verification } = await answerFromIndex(
+      filteredIndex,
+      provider,
+      standaloneQuery,
+      config
+    );
 
-    return answer.trim();
+    return {
+      answer,
+      standaloneQuery,
+      sources: results.map(toSource),
+      context: results.map(result => result.chunk.content).join('\n\n'),
+      retrieval: { ...retrieval, ...selection, retrievedChunks: results.length },
+      graphPath,
+      verification
+    };
 
   } catch (error) {
     console.error('❌ RAG Error:', error.message);
-    
-    // Provide helpful error messages
-    if (error.message.includes('API_KEY')) {
-      throw new Error('❌ Gemini API key is missing or invalid. Please check your GEMINI_API_KEY environment variable.');
-    } else if (error.message.includes('quota')) {
-      throw new Error('❌ Gemini API quota exceeded. Please check your usage limits.');
-    } else if (error.message.includes('model')) {
-      throw new Error('❌ Gemini model error. The specified model may not be available.');
+    throw toRAGError(error);
+  }
+}
+
+/**
+ * Streaming RAG over a prebuilt vector index
+ * Yields a `retrieval` event once chunks are selected, `token` events as the LLM
+ * produces text, and a final `done` event with the verified answer, its verification and timings
+ * @param {Object} vectorIndex - Index returned by prepareKnowledgeIndex
+ * @param {string} userQuery - User's question/query
+ * @param {Object} options - Configuration options, including `filters`, conversation `history`, knowledge `graph` and an AbortSignal as `signal`
+ * @returns {AsyncGenerator<Object>} - Stream of { type, ... } events
+ */
+async function* streamIndexedRAG(vectorIndex, userQuery, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    const config = buildConfig(options);
+    const provider = resolveProvider(config);
+    const { filteredIndex, retrieval } = filterIndexForQuery(vectorIndex, userQuery, config);
+
+    let results = [];
+    let graphPath = null;
+    let selection = null;
+    let standaloneQuery = userQuery;
+    if (retrieval.matchedChunks > 0) {
+      standaloneQuery = await rewriteFollowUpQuery(provider, config.history, userQuery);
+      ({ results, graphPath, selection } = await retrieveFromIndex(filteredIndex, provider, standaloneQuery, config));
+    }
+
+    const sources = results.map(toSource);
+    const context = results.map(result => result.chunk.content).join('\n\n');
+    const retrievalDone = Date.now();
+
+    yield {
+      type: 'retrieval',
+      standaloneQuery,
+      sources,
+      context,
+      retrieval: { ...retrieval, ...selection, retrievedChunks: results.length },
+      graphPath
+    };
+
+    let answer = '';
+    let verification = null;
+
+    if (results.length === 0) {
+      answer = NO_MATCHING_DOCUMENTS_ANSWER;
+      yield { type: 'token', text: answer };
     } else {
-      throw new Error(`❌ RAG system error: ${error.message}`);
+      const prompt = await buildPrompt(results, standaloneQuery, config.history, graphPath);
+
+      console.log(`🤖 Streaming contextual answer with ${provider.name} (${provider.chatModel})...`);
+      const stream = provider.generateStream(prompt, {
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        signal: config.signal
+      });
+
+      // Text is held back while it could still be the not-in-knowledge-base marker, so the marker is never shown
+      let sent = 0;
+      for await (const text of stream) {
+        answer += text;
+        if (NOT_IN_KNOWLEDGE_BASE_MARKER.startsWith(answer.trim())) continue;
+        yield { type: 'token', text: answer.slice(sent) };
+        sent = answer.length;
+      }
+
+      ({ answer, verification } = verifyAnswer(answer.trim(), results, { mode: config.verification }));
+      if (sent === 0 && verification.notInKnowledgeBase) {
+        yield { type: 'token', text: NOT_IN_KNOWLEDGE_BASE_ANSWER };
+      }
     }
+
+    console.log('✅ RAG stream completed successfully');
+    console.log(`📊 Answer length: ${answer.length} characters`);
+
+    yield {
+      type: 'done',
+      answer: answer.trim(),
+      verification,
+      timings: {
+        retrievalMs: retrievalDone - startTime,
+        generationMs: Date.now() - retrievalDone,
+        totalMs: Date.now() - startTime
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ RAG Stream Error:', error.message);
+    throw toRAGError(error);
   }
 }
 
-// Export the function using module.exports for CommonJS compatibility
-module.exports = {
-  runRAG
-};
+/**
+ * RAG System for contextual question answering
+ * Uses the configured provider's embeddings with a throwaway in-memory index for document retrieval
+ * @param {string} inputText - Long input text to use as knowledge base
+ * @param {string} userQuery - User's question/query
+ * @param {Object} options - Configuration options
+ * @returns {Promise<string>} - Contextual answer based on retrieved documents
+ */
+async function runRAG(inputText, userQuery, options = {}) {
+  try {
+    // Validate inputs
+    if (!inputText || typeof inputText !== 'string') {
+      throw new Error('Input text must be a non-empty string');
+    }
+    
+    if (!userQuery || typeof userQuery !== 'string') {
+      throw new Error('User query must be a non-empty string');
+    }
+
+    // Configuration options with defaults
+    const config = buildConfig(options);
+
+    // Graph-augmented retrieval over the same text when requested
+    if (config.useGraph && !config.graph) {
+      config.graph = buildGraphFromText(inputText);
+    }
+
+    console.log('🚀 Starting RAG process...');
+    console.log(`📄 Input text length: ${inputText.length} characters`);
+    console.log(`❓ User query: "${userQuery}"`);
+
+    // Step 1: Split the input text into chunks
+    console.log('📝 Splitting text into chunks...');
+    const documents = await chunkSources([{ text: inputText, metadata: {} }], config);
+    console.log(`✂️ Created ${documents.length} text chunks`);
+
+    // Step 2: Embed the chunks into an in-memory index
+    console.log('🗄️ Creating vector index...');
+    const provider = resolveProvider(config);
+    const { index } = await updateVectorIndex(null, documents, provider, {
+      embeddingModel: embeddingModelId(provider)
+    });
+
+    // Step 3: Retrieve and generate
+    const { answer } = await answerFromIndex(index, provider, userQuery, config);
+    return answer;
+
+  } catch (error) {
+    console.error('❌ RAG Error:', error.message);
+    throw toRAGError(error);
+  }
+}
 
-// Also export as ES module for modern usage
-export { runRAG };
\ No newline at end of file
+// Export the functions as ES modules
+export { runRAG, runIndexedRAG, streamIndexedRAG, prepareKnowledgeIndex };
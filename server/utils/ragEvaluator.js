@@ -0,0 +1,405 @@
+// RAG Evaluator utility for scoring retrieval and answers against a golden question set
+// Retrieval is measured with recall@k, MRR and nDCG over the passages put in the prompt; answers with
+// fact coverage, citation precision and refusal correctness. Reports from different runs can be compared for regressions
+import fs from 'fs';
+import { parseCitations, stripCitations } from './answerVerifier.js';
+
+// Cut-offs for recall@k and nDCG@k
+const METRIC_KS = [1, 3, 5];
+
+// Summary metrics, all higher-is-better and in 0-1, in report order
+const SUMMARY_METRICS = [
+  ...METRIC_KS.map(k => `recall@${k}`),
+  'mrr',
+  `ndcg@${METRIC_KS[METRIC_KS.length - 1]}`,
+  'factCoverage',
+  'citationPrecision',
+  'refusalAccuracy'
+];
+
+// Drop in a summary metric, relative to the baseline report, that counts as a regression
+const DEFAULT_REGRESSION_TOLERANCE = 0.05;
+
+/**
+ * Load and validate a golden question set
+ * @param {string} goldenPath - Path to the golden set JSON
+ * @returns {Object} - { version, description, questions }
+ */
+function loadGoldenSet(goldenPath) {
+  try {
+    const goldenSet = JSON.parse(fs.readFileSync(goldenPath, 'utf-8'));
+
+    if (goldenSet.version === undefined) {
+      throw new Error('golden set has no version');
+    }
+    if (!Array.isArray(goldenSet.questions) || goldenSet.questions.length === 0) {
+      throw new Error('golden set has no questions');
+    }
+
+    const ids = new Set();
+    goldenSet.questions.forEach((question, index) => {
+      if (!question.id || !question.question) {
+        throw new Error(`question ${index + 1} needs an id and a question`);
+      }
+      if (ids.has(question.id)) {
+        throw new Error(`duplicate question id "${question.id}"`);
+      }
+      ids.add(question.id);
+    });
+
+    return goldenSet;
+
+  } catch (error) {
+    console.error('❌ Error loading golden set:', error.message);
+    throw new Error(`Failed to load golden set: ${error.message}`);
+  }
+}
+
+/**
+ * Lowercase text and treat hyphens and runs of whitespace alike, so "Near Real-Time" matches "near real time"
+ * @param {string} text - Text to normalise
+ * @returns {string} - Normalised text
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[-\s]+/g, ' ').trim();
+}
+
+/**
+ * Whether a retrieved chunk is one of the passages a question expects
+ * @param {Object} chunk - Indexed chunk with content and metadata
+ * @param {Object} expected - { filename, contains, section }; every given field must match
+ * @returns {boolean} - True when the chunk matches
+ */
+function matchesExpectedSource(chunk, expected) {
+  const metadata = chunk.metadata || {};
+
+  if (expected.filename && metadata.filename !== expected.filename) return false;
+  if (expected.section && normalizeText(metadata.section) !== normalizeText(expected.section)) return false;
+  if (expected.contains && !normalizeText(chunk.content).includes(normalizeText(expected.contains))) return false;
+  return true;
+}
+
+/**
+ * Relevance of each retrieved chunk, crediting every expected source at most once
+ * Overlapping chunks can contain the same excerpt; only the first one counts as a hit
+ * @param {Array<Object>} chunks - Retrieved chunks in rank order
+ * @param {Array<Object>} expectedSources - Expected sources of the question
+ * @returns {Array<number>} - 1 for a chunk that finds a not yet found source, otherwise 0
+ */
+function relevanceByRank(chunks, expectedSources) {
+  const found = new Set();
+
+  return chunks.map(chunk => {
+    const match = expectedSources.findIndex((expected, index) => !found.has(index) && matchesExpectedSource(chunk, expected));
+    if (match === -1) return 0;
+    found.add(match);
+    return 1;
+  });
+}
+
+/**
+ * Retrieval metrics for one question
+ * @param {Array<Object>} chunks - Retrieved chunks in rank order
+ * @param {Array<Object>} expectedSources - Expected sources of the question
+ * @returns {Object|null} - { recall: { k: value }, mrr, ndcg: { k: value }, firstRelevantRank }, or null without expected sources
+ */
+function retrievalMetrics(chunks, expectedSources = []) {
+  if (expectedSources.length === 0) return null;
+
+  const relevance = relevanceByRank(chunks, expectedSources);
+  const firstHit = relevance.indexOf(1);
+  const discount = rank => 1 / Math.log2(rank + 2);
+  const recall = {};
+  const ndcg = {};
+
+  METRIC_KS.forEach(k => {
+    const top = relevance.slice(0, k);
+    const hits = top.reduce((sum, value) => sum + value, 0);
+    const dcg = top.reduce((sum, value, rank) => sum + value * discount(rank), 0);
+    const idealHits = Math.min(expectedSources.length, k);
+    const idcg = Array.from({ length: idealHits }, (_, rank) => discount(rank)).reduce((sum, value) => sum + value, 0);
+
+    recall[k] = hits / expectedSources.length;
+    ndcg[k] = idcg > 0 ? dcg / idcg : 0;
+  });
+
+  return {
+    recall,
+    mrr: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+    ndcg,
+    firstRelevantRank: firstHit === -1 ? null : firstHit + 1
+  };
+}
+
+/**
+ * Share of the expected facts stated in an answer
+ * A fact given as an array is covered when any of its alternatives appears
+ * @param {string} answer - Generated answer
+ * @param {Array<string|Array<string>>} expectedFacts - Expected facts
+ * @returns {Object|null} - { coverage, missingFacts }, or null without expected facts
+ */
+function factCoverage(answer, expectedFacts = []) {
+  if (expectedFacts.length === 0) return null;
+
+  const text = normalizeText(stripCitations(answer));
+  const missingFacts = expectedFacts.filter(fact => {
+    const alternatives = Array.isArray(fact) ? fact : [fact];
+    return !alternatives.some(alternative => text.includes(normalizeText(alternative)));
+  });
+
+  return {
+    coverage: (expectedFacts.length - missingFacts.length) / expectedFacts.length,
+    missingFacts: missingFacts.map(fact => (Array.isArray(fact) ? fact.join(' / ') : fact))
+  };
+}
+
+/**
+ * Share of an answer's citations that point at an expected source
+ * @param {string} answer - Generated answer with [n] citations
+ * @param {Array<Object>} chunks - Retrieved chunks in the order they were numbered in the prompt
+ * @param {Array<Object>} expectedSources - Expected sources of the question
+ * @returns {number|null} - Precision, or null when the answer cites nothing or nothing is expected
+ */
+function citationPrecision(answer, chunks, expectedSources = []) {
+  const citations = parseCitations(answer);
+  if (citations.length === 0 || expectedSources.length === 0) return null;
+
+  const relevant = citations.filter(number => {
+    const chunk = chunks[number - 1];
+    return chunk && expectedSources.some(expected => matchesExpectedSource(chunk, expected));
+  });
+
+  return relevant.length / citations.length;
+}
+
+/**
+ * Score one golden question against the RAG response it got
+ * @param {Object} question - Golden question
+ * @param {Object} response - runIndexedRAG response
+ * @param {Array<Object>} chunks - Full retrieved chunks in prompt order
+ * @param {number} latencyMs - Time taken to answer
+ * @returns {Object} - Per-question result
+ */
+function evaluateQuestion(question, response, chunks, latencyMs) {
+  const expectRefusal = !!question.expectRefusal;
+  const refused = !!response.verification?.notInKnowledgeBase;
+  const retrieval = expectRefusal ? null : retrievalMetrics(chunks, question.expectedSources);
+  // A wrong refusal states none of the facts
+  const facts = expectRefusal ? null : factCoverage(refused ? '' : response.answer, question.expectedFacts);
+
+  return {
+    id: question.id,
+    question: question.question,
+    expectRefusal,
+    refused,
+    refusalCorrect: refused === expectRefusal,
+    retrieval,
+    factCoverage: facts ? facts.coverage : null,
+    missingFacts: facts ? facts.missingFacts : [],
+    citationPrecision: expectRefusal ? null : citationPrecision(response.answer, chunks, question.expectedSources),
+    grounded: response.verification?.grounded ?? null,
+    retrievedChunks: chunks.length,
+    latencyMs,
+    answer: response.answer
+  };
+}
+
+/**
+ * Mean of the values that apply, skipping nulls
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} - Mean, or null when no value applies
+ */
+function mean(values) {
+  const applicable = values.filter(value => value !== null && value !== undefined);
+  return applicable.length > 0 ? applicable.reduce((sum, value) => sum + value, 0) / applicable.length : null;
+}
+
+/**
+ * Round a metric for reports
+ * @param {number|null} value - Metric value
+ * @returns {number|null} - Value rounded to four decimals
+ */
+function roundMetric(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Average per-question results into the summary metrics of a variant
+ * @param {Array<Object>} results - Results from evaluateQuestion
+ * @returns {Object} - Summary keyed by SUMMARY_METRICS, plus averageLatencyMs and question counts
+ */
+function summarizeResults(results) {
+  const lastK = METRIC_KS[METRIC_KS.length - 1];
+  const summary = {};
+
+  METRIC_KS.forEach(k => {
+    summary[`recall@${k}`] = roundMetric(mean(results.map(result => result.retrieval?.recall[k] ?? null)));
+  });
+  summary.mrr = roundMetric(mean(results.map(result => result.retrieval?.mrr ?? null)));
+  summary[`ndcg@${lastK}`] = roundMetric(mean(results.map(result => result.retrieval?.ndcg[lastK] ?? null)));
+  summary.factCoverage = roundMetric(mean(results.map(result => result.factCoverage)));
+  summary.citationPrecision = roundMetric(mean(results.map(result => result.citationPrecision)));
+  summary.refusalAccuracy = roundMetric(mean(results.map(result => (result.refusalCorrect ? 1 : 0))));
+  summary.averageLatencyMs = Math.round(mean(results.map(result => result.latencyMs)) || 0);
+  summary.questions = results.length;
+  summary.refusalQuestions = results.filter(result => result.expectRefusal).length;
+
+  return summary;
+}
+
+/**
+ * Compare a report against a baseline report of the same golden set version
+ * Variants are matched by name; a variant or metric missing from either report is not compared
+ * @param {Object} report - Current evaluation report
+ * @param {Object} baseline - Earlier evaluation report
+ * @param {number} tolerance - Allowed drop before a metric counts as regressed
+ * @returns {Object} - { comparable, reason, regressions: [{ variant, metric, baseline, current, delta }], improvements }
+ */
+function compareReports(report, baseline, tolerance = DEFAULT_REGRESSION_TOLERANCE) {
+  if (baseline.goldenSet?.version !== report.goldenSet?.version) {
+    return {
+      comparable: false,
+      reason: `golden set version ${baseline.goldenSet?.version} differs from ${report.goldenSet?.version}`,
+      regressions: [],
+      improvements: []
+    };
+  }
+
+  const regressions = [];
+  const improvements = [];
+  const baselineVariants = new Map((baseline.variants || []).map(variant => [variant.name, variant]));
+
+  report.variants.forEach(variant => {
+    const previous = baselineVariants.get(variant.name);
+    if (!previous) return;
+
+    SUMMARY_METRICS.forEach(metric => {
+      const before = previous.summary[metric];
+      const after = variant.summary[metric];
+      if (typeof before !== 'number' || typeof after !== 'number') return;
+
+      const delta = roundMetric(after - before);
+      const entry = { variant: variant.name, metric, baseline: before, current: after, delta };
+      if (delta < -tolerance) regressions.push(entry);
+      else if (delta > tolerance) improvements.push(entry);
+    });
+  });
+
+  return { comparable: true, reason: null, regressions, improvements };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to show
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a 0-1 metric for the HTML report
+ * @param {number|null} value - Metric value
+ * @returns {string} - Value with three decimals, or a dash when it doesn't apply
+ */
+function formatMetric(value) {
+  return typeof value === 'number' ? value.toFixed(3) : '–';
+}
+
+/**
+ * Render an evaluation report as a self-contained HTML page
+ * @param {Object} report - Evaluation report
+ * @returns {string} - HTML document
+ */
+function renderHTMLReport(report) {
+  const summaryRows = report.variants.map(variant => `
+      <tr>
+        <th>${escapeHTML(variant.name)}</th>
+        <td class="config">${escapeHTML(JSON.stringify(variant.options))}</td>
+        ${SUMMARY_METRICS.map(metric => `<td>${formatMetric(variant.summary[metric])}</td>`).join('')}
+        <td>${variant.summary.averageLatencyMs}</td>
+      </tr>`).join('');
+
+  const comparison = report.comparison
+    ? `
+    <h2>Comparison with baseline</h2>
+    ${report.comparison.comparable
+    ? `<p>${report.comparison.regressions.length} regression(s), ${report.comparison.improvements.length} improvement(s) beyond ±${report.comparison.tolerance}.</p>
+    <table>
+      <tr><th>Variant</th><th>Metric</th><th>Baseline</th><th>Current</th><th>Change</th></tr>
+      ${[...report.comparison.regressions, ...report.comparison.improvements].map(entry => `
+      <tr class="${entry.delta < 0 ? 'bad' : 'good'}"><td>${escapeHTML(entry.variant)}</td><td>${escapeHTML(entry.metric)}</td><td>${formatMetric(entry.baseline)}</td><td>${formatMetric(entry.current)}</td><td>${entry.delta > 0 ? '+' : ''}${entry.delta.toFixed(3)}</td></tr>`).join('')}
+    </table>`
+    : `<p>Not compared: ${escapeHTML(report.comparison.reason)}.</p>`}`
+    : '';
+
+  const variantDetails = report.variants.map(variant => `
+    <details>
+      <summary>${escapeHTML(variant.name)}</summary>
+      <table>
+        <tr><th>Question</th><th>Refusal</th><th>First hit</th><th>MRR</th><th>Facts</th><th>Citations</th><th>Missing facts</th><th>Answer</th></tr>
+        ${variant.results.map(result => `
+        <tr class="${result.refusalCorrect ? '' : 'bad'}">
+          <td><strong>${escapeHTML(result.id)}</strong> ${escapeHTML(result.question)}</td>
+          <td>${result.refused ? 'refused' : 'answered'}${result.refusalCorrect ? '' : ' ✗'}</td>
+          <td>${result.retrieval ? (result.retrieval.firstRelevantRank ?? 'miss') : '–'}</td>
+          <td>${formatMetric(result.retrieval?.mrr ?? null)}</td>
+          <td>${formatMetric(result.factCoverage)}</td>
+          <td>${formatMetric(result.citationPrecision)}</td>
+          <td>${escapeHTML(result.missingFacts.join(', '))}</td>
+          <td class="answer">${escapeHTML(result.answer)}</td>
+        </tr>`).join('')}
+      </table>
+    </details>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>RAG evaluation ${escapeHTML(report.createdAt)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    table { border-collapse: collapse; margin: 1rem 0; font-size: 0.875rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    td.config { font-family: monospace; font-size: 0.75rem; }
+    td.answer { max-width: 32rem; white-space: pre-wrap; }
+    tr.bad td { background: #fef2f2; }
+    tr.good td { background: #f0fdf4; }
+    summary { cursor: pointer; font-weight: 600; margin-top: 1rem; }
+  </style>
+</head>
+<body>
+  <h1>RAG evaluation</h1>
+  <p>${escapeHTML(report.createdAt)} · provider ${escapeHTML(report.provider)} · golden set v${escapeHTML(report.goldenSet.version)} (${report.goldenSet.questions} questions)</p>
+  <table>
+    <tr><th>Variant</th><th>Options</th>${SUMMARY_METRICS.map(metric => `<th>${escapeHTML(metric)}</th>`).join('')}<th>Latency (ms)</th></tr>
+    ${summaryRows}
+  </table>
+  ${comparison}
+  <h2>Questions</h2>
+  ${variantDetails}
+</body>
+</html>
+`;
+}
+
+// Export the functions as ES modules
+export {
+  METRIC_KS,
+  SUMMARY_METRICS,
+  DEFAULT_REGRESSION_TOLERANCE,
+  loadGoldenSet,
+  matchesExpectedSource,
+  retrievalMetrics,
+  factCoverage,
+  citationPrecision,
+  evaluateQuestion,
+  summarizeResults,
+  compareReports,
+  renderHTMLReport
+};
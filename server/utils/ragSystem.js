@@ -1,17 +1,16 @@
-// RAG (Retrieval-Augmented Generation) System using LangChain and Gemini
+// RAG (Retrieval-Augmented Generation) System using LangChain and a pluggable LLM provider
 import dotenv from 'dotenv';
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
 import { MemoryVectorStore } from 'langchain/vectorstores/memory';
-import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { PromptTemplate } from '@langchain/core/prompts';
+import { getProvider } from './providers/index.js';
 
 // Load environment variables
 dotenv.config();
 
 /**
  * RAG System for contextual question answering
- * Uses Gemini embeddings with MemoryVectorStore for document retrieval
+ * Uses the configured provider's embeddings with MemoryVectorStore for document retrieval
  * @param {string} inputText - Long input text to use as knowledge base
  * @param {string} userQuery - User's question/query
  * @param {Object} options - Configuration options
@@ -28,10 +27,6 @@ async function runRAG(inputText, userQuery, options = {}) {
       throw new Error('User query must be a non-empty string');
     }
 
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
-
     // Configuration options with defaults
     const config = {
       chunkSize: options.chunkSize || 1000,
@@ -42,6 +37,8 @@ async function runRAG(inputText, userQuery, options = {}) {
       ...options
     };
 
+    const provider = config.provider || getProvider();
+
     console.log('🚀 Starting RAG process...');
     console.log(`📄 Input text length: ${inputText.length} characters`);
     console.log(`❓ User query: "${userQuery}"`);
@@ -57,18 +54,14 @@ async function runRAG(inputText, userQuery, options = {}) {
     const documents = await textSplitter.createDocuments([inputText]);
     console.log(`✂️ Created ${documents.length} text chunks`);
 
-    // Step 2: Initialize Gemini embeddings
-    console.log('🧠 Initializing Gemini embeddings...');
-    const embeddings = new GoogleGenerativeAIEmbeddings({
-      apiKey: process.env.GEMINI_API_KEY,
-      model: 'embedding-001', // Gemini embedding model
-    });
+    // Step 2: Use the provider for embeddings (it exposes embedDocuments/embedQuery like a LangChain embeddings client)
+    console.log(`🧠 Using ${provider.name} embeddings (${provider.embeddingModel})...`);
 
     // Step 3: Create vector store from documents
     console.log('🗄️ Creating vector store...');
     const vectorStore = await MemoryVectorStore.fromDocuments(
       documents,
-      embeddings
+      provider
     );
 
     // Step 4: Perform similarity search
@@ -108,20 +101,13 @@ Answer:`);
       question: userQuery
     });
 
-    // Step 7: Generate answer using Gemini
-    console.log('🤖 Generating contextual answer...');
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ 
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: config.temperature,
-        maxOutputTokens: config.maxTokens,
-      }
+    // Step 7: Generate answer using the configured LLM
+    console.log(`🤖 Generating contextual answer with ${provider.name} (${provider.chatModel})...`);
+    const answer = await provider.generate(prompt, {
+      temperature: config.temperature,
+      maxTokens: config.maxTokens
     });
 
-    const result = await model.generateContent(prompt);
-    const answer = result.response.text();
-
     // Step 8: Prepare response with metadata
     const response = {
       answer: answer.trim(),
@@ -131,8 +117,9 @@ Answer:`);
         contextLength: context.length,
         queryLength: userQuery.length,
         processingTime: Date.now(),
-        model: 'gemini-1.5-flash',
-        embeddingModel: 'embedding-001'
+        provider: provider.name,
+        model: provider.chatModel,
+        embeddingModel: provider.embeddingModel
       },
       retrievedChunks: relevantDocs.map((doc, index) => ({
         index: index + 1,
@@ -155,7 +142,7 @@ Answer:`);
     } else if (error.message.includes('quota')) {
       throw new Error('❌ Gemini API quota exceeded. Please check your usage limits.');
     } else if (error.message.includes('model')) {
-      throw new Error('❌ Gemini model error. The specified model may not be available.');
+      throw new Error('❌ LLM model error. The configured model may not be available.');
     } else {
       throw new Error(`❌ RAG system error: ${error.message}`);
     }
@@ -255,14 +242,7 @@ async function runBatchRAG(inputText, queries, options = {}) {
   }
 }
 
-// Export the functions using module.exports for CommonJS compatibility
-module.exports = {
-  runRAG,
-  runAdvancedRAG,
-  runBatchRAG
-};
-
-// Also export as ES module for modern usage
+// Export the functions as ES modules
 export { 
   runRAG, 
   runAdvancedRAG, 
@@ -0,0 +1,246 @@
+// Reranker utility for choosing the context passages placed in the prompt
+// Over-retrieved candidates are rescored against the query, de-duplicated with maximal marginal relevance (MMR)
+// and packed into a context token budget instead of a fixed number of chunks
+import { cosineSimilarity } from './vectorIndex.js';
+import { tokenize } from './keywordIndex.js';
+
+// RERANKER values: keep the retrieval order, ask the chat model to score passages,
+// or use the provider's own rerank endpoint (e.g. a local cross-encoder model)
+const RERANKERS = ['none', 'llm', 'provider'];
+const DEFAULT_RERANKER = 'none';
+
+// Defaults for passage selection
+const DEFAULT_SELECTION_OPTIONS = {
+  mmrLambda: 0.7,
+  duplicateThreshold: 0.9,
+  contextTokenBudget: 2000,
+  maxChunks: 8
+};
+
+// Characters of each passage shown to the LLM reranker, so one scoring prompt fits many candidates
+const LLM_PASSAGE_CHARS = 600;
+
+/**
+ * Validate a reranker name, falling back to none
+ * @param {string} name - Requested reranker (e.g. from RERANKER)
+ * @returns {string} - One of RERANKERS
+ */
+function resolveReranker(name) {
+  if (!name) return DEFAULT_RERANKER;
+
+  const normalized = String(name).trim().toLowerCase();
+  if (RERANKERS.includes(normalized)) return normalized;
+
+  console.warn(`⚠️ Unknown reranker "${name}", using ${DEFAULT_RERANKER}. Expected one of: ${RERANKERS.join(', ')}`);
+  return DEFAULT_RERANKER;
+}
+
+/**
+ * Rough token count of a text, about four characters per token for English prose
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Scale scores to 0-1 so rerankers with different ranges (0-10 ratings, cross-encoder logits) compare alike
+ * @param {Array<number>} scores - Raw scores
+ * @returns {Array<number>} - Scores relative to the lowest and highest
+ */
+function normalizeScores(scores) {
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return scores.map(score => (max > min ? (score - min) / (max - min) : 1));
+}
+
+/**
+ * Ask the chat model to rate every candidate passage in a single prompt
+ * @param {Object} provider - LLM provider
+ * @param {string} query - Standalone user query
+ * @param {Array<Object>} candidates - Retrieved { chunk } entries
+ * @returns {Promise<Array<number>>} - One 0-10 rating per candidate
+ */
+async function scoreWithLLM(provider, query, candidates) {
+  const passages = candidates
+    .map((candidate, index) => {
+      const content = candidate.chunk.content.replace(/\s+/g, ' ').trim();
+      const excerpt = content.length > LLM_PASSAGE_CHARS ? content.substring(0, LLM_PASSAGE_CHARS) + '...' : content;
+      return `[${index + 1}] ${excerpt}`;
+    })
+    .join('\n\n');
+
+  const prompt = `Rate how useful each passage is for answering the question, from 0 (unrelated) to 10 (answers it directly).
+Return only a JSON array of ${candidates.length} numbers, one per passage in order.
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Ratings:`;
+
+  const response = await provider.generate(prompt, { temperature: 0, maxTokens: 20 + candidates.length * 4 });
+  const match = response.match(/\[[\d\s.,]*\]/);
+  const ratings = match ? JSON.parse(match[0]) : null;
+
+  if (!Array.isArray(ratings) || ratings.length !== candidates.length || !ratings.every(Number.isFinite)) {
+    throw new Error(`expected ${candidates.length} ratings, got "${response.trim().substring(0, 80)}"`);
+  }
+
+  return ratings;
+}
+
+/**
+ * Score candidates with the provider's rerank endpoint
+ * @param {Object} provider - Provider exposing rerank(query, documents)
+ * @param {string} query - Standalone user query
+ * @param {Array<Object>} candidates - Retrieved { chunk } entries
+ * @returns {Promise<Array<number>>} - One relevance score per candidate
+ */
+async function scoreWithProvider(provider, query, candidates) {
+  if (typeof provider.rerank !== 'function') {
+    throw new Error(`provider "${provider.name}" has no rerank model configured`);
+  }
+
+  return provider.rerank(query, candidates.map(candidate => candidate.chunk.content));
+}
+
+/**
+ * Rescore retrieved candidates against the query
+ * Every result gets a 0-1 `relevance`; without a reranker (or if it fails) this follows the retrieval order
+ * @param {Object} provider - LLM provider
+ * @param {string} query - Standalone user query
+ * @param {Array<Object>} candidates - Retrieved { chunk, score, retrievedBy } entries, best first
+ * @param {string} reranker - One of RERANKERS
+ * @returns {Promise<Object>} - { results, reranker } with results sorted by relevance; reranker is 'none' after a fallback
+ */
+async function rerankResults(provider, query, candidates, reranker = DEFAULT_RERANKER) {
+  const byRetrievalOrder = candidates.map((candidate, index) => ({
+    ...candidate,
+    relevance: 1 - index / candidates.length
+  }));
+
+  if (reranker === 'none' || candidates.length < 2) {
+    return { results: byRetrievalOrder, reranker: 'none' };
+  }
+
+  try {
+    console.log(`🏅 Reranking ${candidates.length} candidates with the ${reranker} reranker...`);
+    const scores = reranker === 'llm'
+      ? await scoreWithLLM(provider, query, candidates)
+      : await scoreWithProvider(provider, query, candidates);
+    const relevance = normalizeScores(scores);
+
+    const results = candidates
+      .map((candidate, index) => ({ ...candidate, rerankScore: scores[index], relevance: relevance[index] }))
+      .sort((a, b) => b.relevance - a.relevance);
+
+    return { results, reranker };
+
+  } catch (error) {
+    console.warn(`⚠️ Reranking failed, keeping retrieval order: ${error.message}`);
+    return { results: byRetrievalOrder, reranker: 'none' };
+  }
+}
+
+/**
+ * Similarity between two chunks: embedding cosine when both are embedded, otherwise shared-term overlap
+ * @param {Object} first - Indexed chunk
+ * @param {Object} second - Indexed chunk
+ * @returns {number} - Similarity, 1 for identical text
+ */
+function chunkSimilarity(first, second) {
+  if (first.embedding && second.embedding) {
+    return cosineSimilarity(first.embedding, second.embedding);
+  }
+
+  const firstTerms = new Set(tokenize(first.content));
+  const secondTerms = new Set(tokenize(second.content));
+  const shared = [...firstTerms].filter(term => secondTerms.has(term)).length;
+  const union = firstTerms.size + secondTerms.size - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Pick passages with maximal marginal relevance until the token budget is spent
+ * Each step takes the candidate maximising lambda * relevance - (1 - lambda) * similarity to those already picked;
+ * near-duplicates (e.g. neighbouring chunks sharing their overlap) are dropped outright.
+ * A passage that doesn't fit the remaining budget is skipped so a shorter one can still be used,
+ * but the best passage is always kept even if it exceeds the budget on its own
+ * @param {Array<Object>} candidates - Results with a 0-1 `relevance`
+ * @param {Object} options - { mmrLambda, duplicateThreshold, contextTokenBudget, maxChunks }
+ * @returns {Object} - { results, contextTokens } with results in selection order
+ */
+function selectWithMMR(candidates, options = {}) {
+  const { mmrLambda, duplicateThreshold, contextTokenBudget, maxChunks } = { ...DEFAULT_SELECTION_OPTIONS, ...options };
+  const remaining = candidates.map(candidate => ({ candidate, maxSimilarity: 0 }));
+  const selected = [];
+  let contextTokens = 0;
+
+  while (remaining.length > 0 && selected.length < maxChunks) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((entry, index) => {
+      const score = mmrLambda * entry.candidate.relevance - (1 - mmrLambda) * entry.maxSimilarity;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    const [{ candidate, maxSimilarity }] = remaining.splice(bestIndex, 1);
+    const tokens = estimateTokens(candidate.chunk.content);
+
+    if (maxSimilarity >= duplicateThreshold) continue;
+    if (selected.length > 0 && contextTokens + tokens > contextTokenBudget) continue;
+
+    selected.push(candidate);
+    contextTokens += tokens;
+
+    remaining.forEach(entry => {
+      entry.maxSimilarity = Math.max(entry.maxSimilarity, chunkSimilarity(entry.candidate.chunk, candidate.chunk));
+    });
+  }
+
+  return { results: selected, contextTokens };
+}
+
+/**
+ * Rerank over-retrieved candidates and select the prompt context from them
+ * @param {Object} provider - LLM provider used by the llm and provider rerankers
+ * @param {string} query - Standalone user query
+ * @param {Array<Object>} candidates - Retrieved { chunk, score, retrievedBy } entries, best first
+ * @param {Object} options - { reranker, mmrLambda, duplicateThreshold, contextTokenBudget, maxChunks }
+ * @returns {Promise<Object>} - { results, stats: { reranker, candidateChunks, contextTokens, contextTokenBudget } }
+ */
+async function rerankAndSelect(provider, query, candidates, options = {}) {
+  const contextTokenBudget = options.contextTokenBudget || DEFAULT_SELECTION_OPTIONS.contextTokenBudget;
+  const reranked = await rerankResults(provider, query, candidates, resolveReranker(options.reranker));
+  const { results, contextTokens } = selectWithMMR(reranked.results, { ...options, contextTokenBudget });
+
+  console.log(`🧮 Selected ${results.length} of ${candidates.length} candidates (~${contextTokens}/${contextTokenBudget} tokens)`);
+
+  return {
+    results,
+    stats: {
+      reranker: reranked.reranker,
+      candidateChunks: candidates.length,
+      contextTokens,
+      contextTokenBudget
+    }
+  };
+}
+
+// Export the functions as ES modules
+export {
+  RERANKERS,
+  DEFAULT_RERANKER,
+  DEFAULT_SELECTION_OPTIONS,
+  resolveReranker,
+  estimateTokens,
+  rerankResults,
+  selectWithMMR,
+  rerankAndSelect
+};
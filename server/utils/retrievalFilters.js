@@ -0,0 +1,119 @@
+// Retrieval Filters utility for restricting candidate chunks by document type, keyword and area of interest
+import { normalizeArea, chunkInArea, findCandidateChunkIds } from './spatialIndex.js';
+
+// Sidebar file-type toggles and the chunk types each one covers
+// The bundled knowledge base is website content, so it follows the Web toggle
+const FILE_TYPE_GROUPS = {
+  PDF: ['PDF'],
+  DOCX: ['DOCX'],
+  XLSX: ['XLSX'],
+  Web: ['Web', 'Knowledge Base']
+};
+
+/**
+ * Normalise the filters sent by the frontend
+ * Unknown or malformed values are ignored rather than rejected
+ * @param {Object} filters - { fileTypes: { PDF, DOCX, XLSX, Web }, keyword, area }
+ * @returns {Object} - { allowedTypes: Set|null, keyword: string|null, area: Object|null, active: boolean }
+ */
+function normalizeFilters(filters) {
+  let allowedTypes = null;
+  let keyword = null;
+  let area = null;
+
+  if (filters && typeof filters === 'object') {
+    if (filters.fileTypes && typeof filters.fileTypes === 'object') {
+      const toggles = Object.keys(FILE_TYPE_GROUPS);
+      const disabled = toggles.filter(toggle => filters.fileTypes[toggle] === false);
+
+      // All toggles on means no type restriction
+      if (disabled.length > 0) {
+        allowedTypes = new Set(
+          toggles
+            .filter(toggle => filters.fileTypes[toggle] !== false)
+            .flatMap(toggle => FILE_TYPE_GROUPS[toggle])
+        );
+      }
+    }
+
+    if (typeof filters.keyword === 'string' && filters.keyword.trim()) {
+      keyword = filters.keyword.trim().toLowerCase();
+    }
+
+    area = normalizeArea(filters.area);
+  }
+
+  return {
+    allowedTypes,
+    keyword,
+    area,
+    active: allowedTypes !== null || keyword !== null || area !== null
+  };
+}
+
+/**
+ * Check whether a chunk passes the normalised filters
+ * The keyword is matched case-insensitively against the chunk text and its document name/section;
+ * the area matches chunks tagged with a location inside it
+ * @param {Object} chunk - Indexed chunk with content and metadata
+ * @param {Object} normalized - Result of normalizeFilters
+ * @returns {boolean} - True if the chunk survives the filters
+ */
+function chunkMatchesFilters(chunk, normalized) {
+  const metadata = chunk.metadata || {};
+
+  if (normalized.allowedTypes && !normalized.allowedTypes.has(metadata.type)) {
+    return false;
+  }
+
+  if (normalized.keyword) {
+    const haystack = [chunk.content, metadata.filename, metadata.section]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+
+    if (!haystack.includes(normalized.keyword)) {
+      return false;
+    }
+  }
+
+  if (normalized.area && !chunkInArea(chunk, normalized.area)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Restrict indexed chunks to those matching the frontend filters
+ * @param {Array<Object>} chunks - Indexed chunks
+ * @param {Object} filters - Raw filters from the request body
+ * @param {Object} spatialIndex - Grid index over the chunks, used to skip chunks far from the area
+ * @returns {Object} - { chunks, totalChunks, matchedChunks, filtersApplied, area }
+ */
+function applyRetrievalFilters(chunks, filters, spatialIndex = null) {
+  const normalized = normalizeFilters(filters);
+  const candidateIds = normalized.area && spatialIndex
+    ? findCandidateChunkIds(spatialIndex, normalized.area)
+    : null;
+
+  const matched = normalized.active
+    ? chunks.filter(chunk => (!candidateIds || candidateIds.has(chunk.id)) && chunkMatchesFilters(chunk, normalized))
+    : chunks;
+
+  return {
+    chunks: matched,
+    totalChunks: chunks.length,
+    matchedChunks: matched.length,
+    filtersApplied: normalized.active,
+    area: normalized.area
+  };
+}
+
+// Export the functions as ES modules
+export {
+  FILE_TYPE_GROUPS,
+  normalizeFilters,
+  chunkMatchesFilters,
+  applyRetrievalFilters
+};
@@ -0,0 +1,149 @@
+// Session Store utility for keeping multi-turn conversation history on the server
+import crypto from 'crypto';
+
+// Sessions idle for longer than this are discarded
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Upper bounds so a long-running server can't grow without limit
+const MAX_SESSIONS = 1000;
+const MAX_TURNS_PER_SESSION = 50;
+
+// In-memory session storage keyed by session id
+const sessions = new Map();
+
+/**
+ * Remove sessions that have been idle past the TTL, then the oldest ones if over capacity
+ */
+function pruneSessions() {
+  const now = Date.now();
+
+  for (const [id, session] of sessions) {
+    if (now - session.lastActiveAt > SESSION_TTL_MS) {
+      sessions.delete(id);
+    }
+  }
+
+  // Map preserves insertion order and touched sessions are re-inserted, so the first entries are least recent
+  while (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+}
+
+/**
+ * Create a new empty session
+ * @returns {Object} - Session with id, turns and timestamps
+ */
+function createSession() {
+  pruneSessions();
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    lastActiveAt: now,
+    turns: []
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Look up a session by id
+ * @param {string} sessionId - Session identifier issued to the client
+ * @returns {Object|null} - Session, or null if unknown or expired
+ */
+function getSession(sessionId) {
+  if (!sessionId || typeof sessionId !== 'string') {
+    return null;
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  if (Date.now() - session.lastActiveAt > SESSION_TTL_MS) {
+    sessions.delete(sessionId);
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Return the client's session, issuing a new one if it is missing or expired
+ * @param {string} sessionId - Session identifier sent by the client (may be empty)
+ * @returns {Object} - Existing or newly created session
+ */
+function getOrCreateSession(sessionId) {
+  return getSession(sessionId) || createSession();
+}
+
+/**
+ * Record a completed question/answer turn
+ * @param {string} sessionId - Session identifier
+ * @param {Object} turn - { query, standaloneQuery, answer }
+ */
+function appendTurn(sessionId, turn) {
+  const session = getSession(sessionId);
+  if (!session) {
+    return;
+  }
+
+  session.turns.push({
+    query: turn.query,
+    standaloneQuery: turn.standaloneQuery || turn.query,
+    answer: turn.answer,
+    timestamp: new Date().toISOString()
+  });
+
+  if (session.turns.length > MAX_TURNS_PER_SESSION) {
+    session.turns.splice(0, session.turns.length - MAX_TURNS_PER_SESSION);
+  }
+
+  // Re-insert so the Map stays ordered by activity
+  session.lastActiveAt = Date.now();
+  sessions.delete(sessionId);
+  sessions.set(sessionId, session);
+}
+
+/**
+ * Get the most recent turns of a session
+ * @param {string} sessionId - Session identifier
+ * @param {number} maxTurns - Number of turns to return
+ * @returns {Array<Object>} - Turns in chronological order
+ */
+function getHistory(sessionId, maxTurns = MAX_TURNS_PER_SESSION) {
+  const session = getSession(sessionId);
+  return session ? session.turns.slice(-maxTurns) : [];
+}
+
+/**
+ * Delete a session and its history
+ * @param {string} sessionId - Session identifier
+ * @returns {boolean} - True if a session was removed
+ */
+function deleteSession(sessionId) {
+  return sessions.delete(sessionId);
+}
+
+/**
+ * Number of live sessions, for health reporting
+ * @returns {number} - Active session count
+ */
+function getSessionCount() {
+  pruneSessions();
+  return sessions.size;
+}
+
+// Export the functions as ES modules
+export {
+  createSession,
+  getSession,
+  getOrCreateSession,
+  appendTurn,
+  getHistory,
+  deleteSession,
+  getSessionCount
+};
@@ -0,0 +1,318 @@
+// Spatial Index utility for tagging chunks with their locations and filtering them by area
+// Chunks are tagged at ingest time; a grid over their footprints answers "which chunks cover this area?" per request
+import { parseCoordinates } from './coordinateParser.js';
+import { extractPlaceLocations } from './geoExtractor.js';
+
+// Grid cell size in degrees
+const CELL_SIZE_DEGREES = 1;
+
+// Footprints spanning more cells than this (ocean basins, whole states) are kept in a list checked for every query
+const MAX_CELLS_PER_FOOTPRINT = 400;
+
+// Radius used when an area is a named place without an extent, such as a city
+const DEFAULT_PLACE_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 5000;
+const EARTH_RADIUS_KM = 6371;
+
+// Grid indexes, cached per vector index
+const spatialIndexCache = new WeakMap();
+
+/**
+ * Extract the locations mentioned in a chunk and the bounding box that covers them
+ * @param {string} text - Chunk text
+ * @returns {Object|null} - { locations: Array<{ lat, lon, label?, bbox? }>, footprint: { north, south, east, west } }, or null without locations
+ */
+function extractChunkLocations(text) {
+  const coordinates = parseCoordinates(text)
+    .filter(coord => coord.lat !== null && coord.lon !== null)
+    .map(({ lat, lon, bbox }) => ({ lat, lon, ...(bbox && { bbox }) }));
+
+  const places = extractPlaceLocations(text)
+    .map(({ lat, lon, label, bbox }) => ({ lat, lon, label, ...(bbox && { bbox }) }));
+
+  const locations = [...coordinates, ...places];
+  if (locations.length === 0) {
+    return null;
+  }
+
+  const extents = locations.map(location => location.bbox || {
+    north: location.lat,
+    south: location.lat,
+    east: location.lon,
+    west: location.lon
+  });
+
+  return {
+    locations,
+    footprint: {
+      north: Math.max(...extents.map(extent => extent.north)),
+      south: Math.min(...extents.map(extent => extent.south)),
+      east: Math.max(...extents.map(extent => extent.east)),
+      west: Math.min(...extents.map(extent => extent.west))
+    }
+  };
+}
+
+/**
+ * Tag document chunks with the locations they mention
+ * Tags live in the chunk metadata so they are persisted with the vector index
+ * @param {Array<Object>} documents - Array of { pageContent, metadata } chunks
+ * @returns {Array<Object>} - The same chunks, with `locations` and `footprint` metadata where any were found
+ */
+function tagDocumentLocations(documents) {
+  let tagged = 0;
+
+  documents.forEach(doc => {
+    const geo = extractChunkLocations(doc.pageContent);
+    if (geo) {
+      doc.metadata = { ...doc.metadata, locations: geo.locations, footprint: geo.footprint };
+      tagged++;
+    }
+  });
+
+  console.log(`📍 Tagged ${tagged} of ${documents.length} chunks with locations`);
+  return documents;
+}
+
+/**
+ * Grid cells covered by a bounding box
+ * @param {Object} bbox - { north, south, east, west }
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Object} - { rows: [min, max], cols: [min, max], count }
+ */
+function cellRange(bbox, cellSize) {
+  const rows = [Math.floor(bbox.south / cellSize), Math.floor(bbox.north / cellSize)];
+  const cols = [Math.floor(bbox.west / cellSize), Math.floor(bbox.east / cellSize)];
+  return { rows, cols, count: (rows[1] - rows[0] + 1) * (cols[1] - cols[0] + 1) };
+}
+
+/**
+ * Build a grid index over the footprints of tagged chunks
+ * @param {Array<Object>} chunks - Indexed chunks
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Object} - { cellSize, cells: Map<"row:col", Set<chunkId>>, wide: Set<chunkId>, taggedChunks }
+ */
+function buildSpatialIndex(chunks, cellSize = CELL_SIZE_DEGREES) {
+  const cells = new Map();
+  const wide = new Set();
+  let taggedChunks = 0;
+
+  chunks.forEach(chunk => {
+    const footprint = chunk.metadata?.footprint;
+    if (!footprint) return;
+    taggedChunks++;
+
+    const { rows, cols, count } = cellRange(footprint, cellSize);
+    if (count > MAX_CELLS_PER_FOOTPRINT) {
+      wide.add(chunk.id);
+      return;
+    }
+
+    for (let row = rows[0]; row <= rows[1]; row++) {
+      for (let col = cols[0]; col <= cols[1]; col++) {
+        const key = `${row}:${col}`;
+        if (!cells.has(key)) cells.set(key, new Set());
+        cells.get(key).add(chunk.id);
+      }
+    }
+  });
+
+  return { cellSize, cells, wide, taggedChunks };
+}
+
+/**
+ * Get the grid index for a vector index, building it on first use
+ * @param {Object} vectorIndex - Vector index with tagged chunks
+ * @returns {Object} - Result of buildSpatialIndex
+ */
+function getSpatialIndex(vectorIndex) {
+  if (!spatialIndexCache.has(vectorIndex)) {
+    spatialIndexCache.set(vectorIndex, buildSpatialIndex(vectorIndex.chunks));
+  }
+  return spatialIndexCache.get(vectorIndex);
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} - Distance in kilometres
+ */
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Bounding box of a point-radius area
+ * @param {Object} area - { lat, lon, radiusKm }
+ * @returns {Object} - { north, south, east, west }
+ */
+function circleBounds(area) {
+  const latDelta = area.radiusKm / 111.32;
+  const lonDelta = area.radiusKm / (111.32 * Math.max(Math.cos(area.lat * Math.PI / 180), 0.01));
+  return {
+    north: Math.min(area.lat + latDelta, 90),
+    south: Math.max(area.lat - latDelta, -90),
+    east: Math.min(area.lon + lonDelta, 180),
+    west: Math.max(area.lon - lonDelta, -180)
+  };
+}
+
+/**
+ * Normalise an area of interest sent by the frontend or the API
+ * Accepts a bounding box, a point with a radius, or a gazetteer place name
+ * @param {Object} area - { type: 'bbox', north, south, east, west } | { type: 'circle', lat, lon, radiusKm } | { type: 'place', name }
+ * @returns {Object|null} - { type: 'bbox' | 'circle', ..., bounds, label? }, or null if the area is malformed or unknown
+ */
+function normalizeArea(area) {
+  if (!area || typeof area !== 'object') {
+    return null;
+  }
+
+  const number = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+
+  if (area.type === 'place') {
+    const [place] = typeof area.name === 'string' ? extractPlaceLocations(area.name) : [];
+    if (!place) return null;
+
+    return place.bbox
+      ? normalizeArea({ type: 'bbox', ...place.bbox, label: place.label })
+      : normalizeArea({ type: 'circle', lat: place.lat, lon: place.lon, radiusKm: DEFAULT_PLACE_RADIUS_KM, label: place.label });
+  }
+
+  const label = typeof area.label === 'string' && area.label.trim() ? area.label.trim() : undefined;
+
+  if (area.type === 'circle') {
+    const lat = number(area.lat);
+    const lon = number(area.lon);
+    const radiusKm = number(area.radiusKm);
+    if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180 && radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) return null;
+
+    const circle = { type: 'circle', lat, lon, radiusKm, ...(label && { label }) };
+    return { ...circle, bounds: circleBounds(circle) };
+  }
+
+  if (area.type === 'bbox') {
+    const [north, south, east, west] = [area.north, area.south, area.east, area.west].map(number);
+    if (!(Math.abs(north) <= 90 && Math.abs(south) <= 90 && Math.abs(east) <= 180 && Math.abs(west) <= 180)) return null;
+    if (south > north || west > east) return null;
+
+    return { type: 'bbox', north, south, east, west, bounds: { north, south, east, west }, ...(label && { label }) };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a location (point or extent) falls inside a normalised area
+ * @param {Object} location - { lat, lon, bbox? }
+ * @param {Object} area - Result of normalizeArea
+ * @returns {boolean} - True if they intersect
+ */
+function locationInArea(location, area) {
+  const extent = location.bbox || { north: location.lat, south: location.lat, east: location.lon, west: location.lon };
+  const { bounds } = area;
+
+  if (extent.south > bounds.north || extent.north < bounds.south || extent.west > bounds.east || extent.east < bounds.west) {
+    return false;
+  }
+
+  if (area.type === 'circle') {
+    // Nearest point of the extent to the centre
+    const lat = Math.min(Math.max(area.lat, extent.south), extent.north);
+    const lon = Math.min(Math.max(area.lon, extent.west), extent.east);
+    return haversineKm(area.lat, area.lon, lat, lon) <= area.radiusKm;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether any location tagged on a chunk falls inside a normalised area
+ * @param {Object} chunk - Indexed chunk
+ * @param {Object} area - Result of normalizeArea
+ * @returns {boolean} - True if the chunk covers the area
+ */
+function chunkInArea(chunk, area) {
+  const locations = chunk.metadata?.locations;
+  return Array.isArray(locations) && locations.some(location => locationInArea(location, area));
+}
+
+/**
+ * Candidate chunk ids whose footprint cells overlap an area
+ * @param {Object} spatialIndex - Result of buildSpatialIndex
+ * @param {Object} area - Result of normalizeArea
+ * @returns {Set<string>} - Chunk ids to check exactly with chunkInArea
+ */
+function findCandidateChunkIds(spatialIndex, area) {
+  const candidates = new Set(spatialIndex.wide);
+  const { rows, cols } = cellRange(area.bounds, spatialIndex.cellSize);
+
+  for (let row = rows[0]; row <= rows[1]; row++) {
+    for (let col = cols[0]; col <= cols[1]; col++) {
+      spatialIndex.cells.get(`${row}:${col}`)?.forEach(id => candidates.add(id));
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Summarise which documents cover an area
+ * @param {Object} vectorIndex - Vector index with tagged chunks
+ * @param {Object} area - Result of normalizeArea
+ * @returns {Array<Object>} - { filename, type, title, url, chunks, locations } per document, most chunks first
+ */
+function findDocumentsInArea(vectorIndex, area) {
+  const candidateIds = findCandidateChunkIds(getSpatialIndex(vectorIndex), area);
+  const documents = new Map();
+
+  vectorIndex.chunks
+    .filter(chunk => candidateIds.has(chunk.id) && chunkInArea(chunk, area))
+    .forEach(chunk => {
+      const metadata = chunk.metadata || {};
+      const key = metadata.url || metadata.filename || 'unknown';
+      if (!documents.has(key)) {
+        documents.set(key, {
+          filename: metadata.filename,
+          type: metadata.type,
+          title: metadata.title,
+          url: metadata.url,
+          chunks: 0,
+          locations: new Map()
+        });
+      }
+
+      const document = documents.get(key);
+      document.chunks++;
+      metadata.locations
+        .filter(location => locationInArea(location, area))
+        .forEach(location => document.locations.set(`${location.lat},${location.lon}`, location));
+    });
+
+  return [...documents.values()]
+    .map(document => ({ ...document, locations: [...document.locations.values()] }))
+    .sort((a, b) => b.chunks - a.chunks);
+}
+
+// Export the functions as ES modules
+export {
+  DEFAULT_PLACE_RADIUS_KM,
+  extractChunkLocations,
+  tagDocumentLocations,
+  buildSpatialIndex,
+  getSpatialIndex,
+  haversineKm,
+  normalizeArea,
+  locationInArea,
+  chunkInArea,
+  findCandidateChunkIds,
+  findDocumentsInArea
+};
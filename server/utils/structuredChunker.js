@@ -0,0 +1,400 @@
+// Structured Chunker utility for splitting documents along their structure
+// Chunks break between headings, paragraphs, list items and table rows rather than at a fixed character count,
+// carry the heading path they sit under, and repeat a table's column names (or a list's lead-in) in every piece
+
+// CHUNKING values: structure-aware splitting, or the plain recursive character splitter
+const CHUNKING_STRATEGIES = ['structured', 'recursive'];
+const DEFAULT_CHUNKING_STRATEGY = 'structured';
+
+// Markdown heading ("## Data Products")
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+
+// Numbered section heading with at least two levels ("2.3 Ocean Products", "4.1.2. Calibration")
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)+)\.?\s+([A-Z][^.!?]{0,80})$/;
+
+// Short title followed by a colon on its own line ("Key Services and Products:")
+const COLON_HEADING = /^([A-Z][^.!?:|]{0,78}):$/;
+
+// Short line in capitals, as PDFs render section titles ("DATA PRODUCTS")
+const CAPS_HEADING = /^(?=.*[A-Z]{3})[A-Z0-9][A-Z0-9 &/,'()-]{2,78}$/;
+
+// Bullet or numbered list item ("- INSAT-3D", "• Imager", "2. Climate Data Records", "(a) Rainfall")
+const LIST_ITEM = /^([-*•▪◦‣]|\d{1,3}[.)]|[a-z][.)]|\([a-z0-9]{1,3}\))\s+\S/;
+
+// Markdown table row and the separator row under its header
+const PIPE_ROW = /^\|.*\|$/;
+const PIPE_SEPARATOR = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/;
+
+// Spreadsheet row rendered by the document loader ("Sheet Stations, row 4: Station: Chennai | Lat: 13.08")
+const SHEET_ROW = /^(Sheet .+?, row \d+:)\s*(.+)$/s;
+
+// Headings longer than this many words are treated as sentences
+const MAX_HEADING_WORDS = 8;
+
+// Heading level given to colon headings, so they nest under any markdown, numbered or capitals heading
+const COLON_HEADING_LEVEL = 10;
+
+/**
+ * Validate a chunking strategy, falling back to structured
+ * @param {string} strategy - Requested strategy (e.g. from CHUNKING)
+ * @returns {string} - One of CHUNKING_STRATEGIES
+ */
+function resolveChunkingStrategy(strategy) {
+  if (!strategy) return DEFAULT_CHUNKING_STRATEGY;
+
+  const normalized = String(strategy).trim().toLowerCase();
+  if (CHUNKING_STRATEGIES.includes(normalized)) return normalized;
+
+  console.warn(`⚠️ Unknown chunking strategy "${strategy}", using ${DEFAULT_CHUNKING_STRATEGY}. Expected one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+  return DEFAULT_CHUNKING_STRATEGY;
+}
+
+/**
+ * Width of a line's leading whitespace, counting a tab as four spaces
+ * @param {string} line - Text line
+ * @returns {number} - Indent width
+ */
+function indentOf(line) {
+  const whitespace = line.match(/^\s*/)[0];
+  return whitespace.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Whether every longer word of a phrase is capitalised, as in "Key Services and Products"
+ * @param {string} text - Phrase
+ * @returns {boolean} - True for title case
+ */
+function isTitleCase(text) {
+  return text.split(/\s+/).every(word => word.length <= 3 || !/^[a-z]/.test(word));
+}
+
+/**
+ * Recognise a heading line
+ * @param {string} line - Text line
+ * @returns {Object|null} - { level, text }, or null for any other line
+ */
+function matchHeading(line) {
+  const trimmed = line.trim();
+  const isShort = text => text.split(/\s+/).length <= MAX_HEADING_WORDS;
+
+  const markdown = trimmed.match(MARKDOWN_HEADING);
+  if (markdown) return { level: markdown[1].length, text: markdown[2] };
+
+  const numbered = trimmed.match(NUMBERED_HEADING);
+  if (numbered && isShort(numbered[2])) return { level: numbered[1].split('.').length, text: trimmed };
+
+  // Colon and capitals headings must start the line, an indented one is part of a list
+  if (indentOf(line) > 0) return null;
+
+  // A lower-case lead-in such as "The table below lists products:" introduces the next block instead
+  const colon = trimmed.match(COLON_HEADING);
+  if (colon && isShort(colon[1]) && isTitleCase(colon[1])) return { level: COLON_HEADING_LEVEL, text: colon[1].trim() };
+
+  if (CAPS_HEADING.test(trimmed) && isShort(trimmed) && !LIST_ITEM.test(trimmed)) return { level: 1, text: trimmed };
+
+  return null;
+}
+
+/**
+ * Whether a line is a table row: a markdown pipe row, or tab-separated cells
+ * @param {string} line - Text line
+ * @returns {boolean} - True for table rows
+ */
+function isTableRow(line) {
+  const trimmed = line.trim();
+  return PIPE_ROW.test(trimmed) || (trimmed.includes('\t') && trimmed.split('\t').length > 1);
+}
+
+/**
+ * Split text into headings and blocks of paragraphs, lists and tables
+ * Each block has `units` that are never split unless a single one is larger than a chunk (list items, table rows),
+ * and an optional `header` repeated in front of every piece when the block is split (column names, a list's lead-in)
+ * @param {string} text - Section text
+ * @returns {Array<Object>} - Headings { type: 'heading', level, text } and blocks { type, header, units, separator }
+ */
+function parseBlocks(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const nextNonBlank = from => {
+    let j = from;
+    while (j < lines.length && !lines[j].trim()) j++;
+    return j;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = matchHeading(line);
+    if (heading) {
+      blocks.push({ type: 'heading', ...heading });
+      i++;
+      continue;
+    }
+
+    // A table needs at least two rows, so a single tabbed line stays a paragraph
+    if (isTableRow(line) && i + 1 < lines.length && isTableRow(lines[i + 1])) {
+      const rows = [];
+      while (i < lines.length && isTableRow(lines[i])) {
+        rows.push(lines[i].trim());
+        i++;
+      }
+      const headerRows = PIPE_SEPARATOR.test(rows[1] || '') ? 2 : 1;
+      blocks.push({
+        type: 'table',
+        header: rows.slice(0, headerRows).join('\n'),
+        units: rows.slice(headerRows),
+        separator: '\n'
+      });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line.trim())) {
+      const baseIndent = indentOf(line);
+      const items = [];
+      let item = [];
+
+      while (i < lines.length) {
+        const current = lines[i];
+
+        // Blank lines between items (or inside an indented item) don't end the list
+        if (!current.trim()) {
+          const next = nextNonBlank(i);
+          if (next < lines.length && indentOf(lines[next]) >= baseIndent
+            && (LIST_ITEM.test(lines[next].trim()) || indentOf(lines[next]) > baseIndent)) {
+            i = next;
+            continue;
+          }
+          break;
+        }
+
+        const indent = indentOf(current);
+        const isItem = LIST_ITEM.test(current.trim());
+
+        if (isItem && indent <= baseIndent) {
+          if (item.length > 0) items.push(item.join('\n'));
+          item = [current.trim()];
+        } else if (indent > baseIndent) {
+          // Nested items and wrapped lines stay with their parent item, keeping their relative indent
+          item.push(current.replace(/^\s+/, whitespace => whitespace.replace(/\t/g, '    ')).trimEnd().slice(baseIndent));
+        } else {
+          break;
+        }
+        i++;
+      }
+      if (item.length > 0) items.push(item.join('\n'));
+
+      blocks.push({ type: 'list', header: null, units: items, separator: '\n' });
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !matchHeading(lines[i])
+      && !LIST_ITEM.test(lines[i].trim()) && !isTableRow(lines[i])) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', header: null, units: [paragraph.join('\n')], separator: '\n' });
+  }
+
+  // A sentence introducing a list or table ("... satellites including:") travels with it
+  return blocks.reduce((merged, block) => {
+    const previous = merged[merged.length - 1];
+    if ((block.type === 'list' || block.type === 'table') && previous?.type === 'paragraph'
+      && previous.units[0].endsWith(':')) {
+      merged[merged.length - 1] = {
+        ...block,
+        header: [previous.units[0], block.header].filter(Boolean).join('\n')
+      };
+    } else {
+      merged.push(block);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Block for a spreadsheet row: the "Sheet, row" label is repeated and fields are only split between cells
+ * @param {string} text - Row text from the document loader
+ * @returns {Object} - Block { type: 'row', header, headerSeparator, units, separator }
+ */
+function sheetRowBlock(text) {
+  const match = text.match(SHEET_ROW);
+  if (!match) {
+    return { type: 'paragraph', header: null, units: [text], separator: '\n' };
+  }
+  return { type: 'row', header: match[1], headerSeparator: ' ', units: match[2].split(' | '), separator: ' | ' };
+}
+
+/**
+ * Split an oversized piece of text at sentence boundaries, then at words
+ * @param {string} text - Text longer than the limit
+ * @param {number} limit - Maximum characters per piece
+ * @returns {Array<string>} - Pieces no longer than the limit
+ */
+function splitLongText(text, limit) {
+  if (text.length <= limit) return [text];
+
+  const pieces = [];
+  let current = '';
+
+  const sentences = text.split(/(?<=[.!?;])\s+/);
+  const parts = sentences.flatMap(sentence => (sentence.length <= limit ? [sentence] : sentence.split(/\s+/)));
+
+  parts.forEach(part => {
+    // A single word longer than a chunk is cut where it must be
+    for (let start = 0; start < part.length; start += limit) {
+      const slice = part.slice(start, start + limit);
+      if (current && current.length + 1 + slice.length > limit) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${slice}` : slice;
+    }
+  });
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+/**
+ * Split a block into pieces that fit a chunk, repeating its header in each
+ * @param {Object} block - Block from parseBlocks
+ * @param {number} limit - Maximum characters per piece
+ * @returns {Array<string>} - Rendered pieces
+ */
+function splitBlock(block, limit) {
+  let { header, units } = block;
+
+  // A header taking most of the room can't be repeated, so it becomes an ordinary unit
+  if (header && header.length + 1 > limit / 2) {
+    units = [header, ...units];
+    header = null;
+  }
+
+  const room = header ? limit - header.length - 1 : limit;
+  const render = parts => (header ? header + (block.headerSeparator || '\n') : '') + parts.join(block.separator);
+  const pieces = [];
+  let current = [];
+  let length = 0;
+
+  units.flatMap(unit => splitLongText(unit, room)).forEach(unit => {
+    const added = (current.length > 0 ? block.separator.length : 0) + unit.length;
+    if (current.length > 0 && length + added > room) {
+      pieces.push(render(current));
+      current = [];
+      length = 0;
+    }
+    length += (current.length > 0 ? block.separator.length : 0) + unit.length;
+    current.push(unit);
+  });
+  if (current.length > 0) pieces.push(render(current));
+
+  return pieces;
+}
+
+/**
+ * Split one section of text into chunks along its structure
+ * @param {string} text - Section text
+ * @param {Object} options - { chunkSize }
+ * @param {Object} metadata - Metadata attached to every chunk; `headingPath` or `section` seed the heading path
+ * @param {Array<Object>} headings - Open { level, text } headings carried over from the previous section
+ * @returns {Object} - { chunks: [{ pageContent, metadata }], headings } with the headings still open at the end
+ */
+function chunkText(text, options = {}, metadata = {}, headings = []) {
+  const chunkSize = options.chunkSize || 1000;
+  const basePath = metadata.headingPath || (metadata.section ? [metadata.section] : []);
+  const blocks = metadata.sheet !== undefined && metadata.row !== undefined ? [sheetRowBlock(text)] : parseBlocks(text);
+  const chunks = [];
+  let stack = [...headings];
+  let parts = [];
+  let length = 0;
+
+  const headingPath = () => [...basePath, ...stack.map(heading => heading.text)];
+  const capacity = () => {
+    const path = headingPath();
+    return Math.max(chunkSize - (path.length > 0 ? path.join(' > ').length + 1 : 0), chunkSize / 2);
+  };
+
+  const flush = () => {
+    if (parts.length === 0) return;
+    const path = headingPath();
+    const body = parts.join('\n\n');
+
+    chunks.push({
+      // The heading path leads the chunk so its embedding knows what the passage is about
+      pageContent: path.length > 0 ? `${path.join(' > ')}\n${body}` : body,
+      metadata: {
+        ...metadata,
+        ...(path.length > 0 && { headingPath: path }),
+        ...(!metadata.section && stack.length > 0 && { section: stack[stack.length - 1].text })
+      }
+    });
+    parts = [];
+    length = 0;
+  };
+
+  const addPiece = piece => {
+    const added = (parts.length > 0 ? 2 : 0) + piece.length;
+    if (parts.length > 0 && length + added > capacity()) flush();
+    length += (parts.length > 0 ? 2 : 0) + piece.length;
+    parts.push(piece);
+  };
+
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      flush();
+      stack = [...stack.filter(heading => heading.level < block.level), { level: block.level, text: block.text }];
+      return;
+    }
+
+    splitBlock(block, capacity()).forEach(addPiece);
+  });
+  flush();
+
+  return { chunks, headings: stack };
+}
+
+/**
+ * Split text sections into chunks along their structure
+ * Consecutive pages of the same PDF continue under the headings left open by the previous page
+ * @param {Array<Object>} sections - Array of { text, metadata } sections
+ * @param {Object} options - { chunkSize }
+ * @returns {Array<Object>} - Array of { pageContent, metadata } chunks
+ */
+function chunkSections(sections, options = {}) {
+  const chunks = [];
+  let previous = null;
+  let headings = [];
+
+  sections.forEach(({ text, metadata = {} }) => {
+    if (!text || !text.trim()) return;
+
+    const continuesPrevious = metadata.page !== undefined && previous?.page !== undefined
+      && previous.filename === metadata.filename;
+    const result = chunkText(text, options, metadata, continuesPrevious ? headings : []);
+
+    chunks.push(...result.chunks);
+    headings = result.headings;
+    previous = metadata;
+  });
+
+  return chunks;
+}
+
+// Export the functions as ES modules
+export {
+  CHUNKING_STRATEGIES,
+  DEFAULT_CHUNKING_STRATEGY,
+  resolveChunkingStrategy,
+  parseBlocks,
+  chunkText,
+  chunkSections
+};
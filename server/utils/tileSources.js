@@ -0,0 +1,144 @@
+// Tile Sources utility for configuring the basemaps offered by the frontend map
+// Sources come from a JSON config file (XYZ or WMS services) plus any MBTiles packages served by the chat server
+import fs from 'fs';
+import { openMBTiles, listMBTiles } from './mbtiles.js';
+
+// Used when no config file is given
+const DEFAULT_TILE_SOURCES = [
+  {
+    id: 'osm',
+    name: 'OpenStreetMap',
+    type: 'xyz',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    subdomains: 'abc',
+    maxZoom: 18
+  }
+];
+
+// Route the frontend uses for tiles read from MBTiles packages
+const LOCAL_TILE_ROUTE = '/api/tiles';
+
+/**
+ * Validate one configured tile source and fill in defaults
+ * @param {Object} source - { id, name, type: 'xyz' | 'wms', url, attribution, minZoom, maxZoom, subdomains, overlay,
+ *   and for WMS: layers, format, transparent, version }
+ * @returns {Object|null} - Normalised source, or null if it can't be used
+ */
+function normalizeTileSource(source) {
+  if (!source || typeof source !== 'object') return null;
+
+  const { id, type, url } = source;
+  if (typeof id !== 'string' || !/^[\w-]+$/.test(id) || typeof url !== 'string' || !url) return null;
+  if (type !== 'xyz' && type !== 'wms') return null;
+  if (type === 'wms' && typeof source.layers !== 'string') return null;
+
+  const zoom = (value, fallback) => (Number.isInteger(value) && value >= 0 && value <= 22 ? value : fallback);
+
+  return {
+    id,
+    name: typeof source.name === 'string' ? source.name : id,
+    type,
+    url,
+    attribution: typeof source.attribution === 'string' ? source.attribution : '',
+    minZoom: zoom(source.minZoom, 0),
+    maxZoom: zoom(source.maxZoom, 18),
+    overlay: source.overlay === true,
+    ...(typeof source.subdomains === 'string' && { subdomains: source.subdomains }),
+    ...(type === 'wms' && {
+      layers: source.layers,
+      format: typeof source.format === 'string' ? source.format : 'image/png',
+      transparent: source.transparent === true,
+      version: typeof source.version === 'string' ? source.version : '1.1.1'
+    })
+  };
+}
+
+/**
+ * Describe an MBTiles package as a tile source served by the chat server
+ * @param {Object} tiles - Result of openMBTiles
+ * @returns {Object} - Tile source with a local URL template
+ */
+function mbtilesSource(tiles) {
+  const { metadata } = tiles;
+  const zoom = (value, fallback) => (Number.isInteger(parseInt(value, 10)) ? parseInt(value, 10) : fallback);
+  const bounds = (metadata.bounds || '').split(',').map(Number);
+
+  return {
+    id: tiles.id,
+    name: metadata.name || tiles.id,
+    type: 'xyz',
+    url: `${LOCAL_TILE_ROUTE}/${tiles.id}/{z}/{x}/{y}`,
+    attribution: metadata.attribution || '',
+    minZoom: zoom(metadata.minzoom, 0),
+    maxZoom: zoom(metadata.maxzoom, 18),
+    overlay: metadata.type === 'overlay',
+    local: true,
+    ...(bounds.length === 4 && bounds.every(Number.isFinite) && {
+      bounds: { west: bounds[0], south: bounds[1], east: bounds[2], north: bounds[3] }
+    })
+  };
+}
+
+/**
+ * Load the tile configuration
+ * In offline mode, sources pointing at other hosts are dropped so only self-hosted tiles are offered
+ * @param {Object} options - { configPath, mbtilesDir, offline }
+ * @returns {Promise<Object>} - { sources, defaultSource, packages: Map<id, MBTiles> }
+ */
+async function loadTileSources(options = {}) {
+  let configured = DEFAULT_TILE_SOURCES;
+  let defaultSource = null;
+
+  if (options.configPath) {
+    try {
+      const config = JSON.parse(fs.readFileSync(options.configPath, 'utf-8'));
+      configured = Array.isArray(config.sources) ? config.sources : [];
+      defaultSource = typeof config.defaultSource === 'string' ? config.defaultSource : null;
+    } catch (error) {
+      console.error('❌ Error loading map tile config, using defaults:', error.message);
+    }
+  }
+
+  const sources = configured
+    .map(source => {
+      const normalized = normalizeTileSource(source);
+      if (!normalized) console.warn(`⚠️ Skipping invalid tile source: ${JSON.stringify(source).slice(0, 100)}`);
+      return normalized;
+    })
+    .filter(Boolean)
+    .filter(source => !options.offline || !/^(?:https?:)?\/\//i.test(source.url));
+
+  const packages = new Map();
+  for (const filePath of listMBTiles(options.mbtilesDir)) {
+    try {
+      const tiles = await openMBTiles(filePath);
+      if (sources.some(source => source.id === tiles.id)) {
+        console.warn(`⚠️ Skipping MBTiles package with duplicate id: ${tiles.id}`);
+        tiles.close();
+        continue;
+      }
+      packages.set(tiles.id, tiles);
+      sources.push(mbtilesSource(tiles));
+    } catch (error) {
+      console.warn(`⚠️ Skipping MBTiles package ${filePath}: ${error.message}`);
+    }
+  }
+
+  const baseSources = sources.filter(source => !source.overlay);
+  if (!baseSources.some(source => source.id === defaultSource)) {
+    defaultSource = baseSources[0]?.id || null;
+  }
+
+  console.log(`🗺️ Map tiles: ${sources.length} sources (${packages.size} MBTiles packages)${options.offline ? ', offline mode' : ''}`);
+
+  return { sources, defaultSource, packages };
+}
+
+// Export the functions as ES modules
+export {
+  DEFAULT_TILE_SOURCES,
+  LOCAL_TILE_ROUTE,
+  normalizeTileSource,
+  loadTileSources
+};
@@ -0,0 +1,625 @@
+// Track Extractor utility for turning storm positions over time into ordered tracks
+// Positions are paired with their observation times and intensities, from advisory text or from spreadsheet rows
+import { parseCoordinates, parseAngle } from './coordinateParser.js';
+import { parseXLSX } from './parsers/xlsxParser.js';
+
+// IMD intensity scale for North Indian Ocean systems, by maximum sustained wind in knots
+const INTENSITY_CATEGORIES = [
+  { code: 'LPA', name: 'Low Pressure Area', minWindKt: 0 },
+  { code: 'D', name: 'Depression', minWindKt: 17 },
+  { code: 'DD', name: 'Deep Depression', minWindKt: 28 },
+  { code: 'CS', name: 'Cyclonic Storm', minWindKt: 34 },
+  { code: 'SCS', name: 'Severe Cyclonic Storm', minWindKt: 48 },
+  { code: 'VSCS', name: 'Very Severe Cyclonic Storm', minWindKt: 64 },
+  { code: 'ESCS', name: 'Extremely Severe Cyclonic Storm', minWindKt: 90 },
+  { code: 'SuCS', name: 'Super Cyclonic Storm', minWindKt: 120 }
+];
+
+// A track needs at least this many timed positions
+const DEFAULT_MIN_POINTS = 2;
+
+// IST is five and a half hours ahead of UTC
+const IST_OFFSET_MINUTES = 330;
+
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ISO_PATTERN = /(?<!\d)(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|UTC|IST)?)?(?!\d)/gi;
+const DAY_MONTH_PATTERN = new RegExp(`(?<![\\w.])(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+(?:of\\s+)?(${MONTH_PATTERN})\\.?(?:[\\s,-]+(\\d{4}))?(?![\\w])`, 'gi');
+const MONTH_DAY_PATTERN = new RegExp(`(?<![\\w])(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?![\\w])`, 'gi');
+// Numeric dates are read day first, as in IMD bulletins
+const NUMERIC_DATE_PATTERN = /(?<![\d.])(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?![\d.])/g;
+const TIME_PATTERN = /(?<![\d.:])(\d{1,2})(?::|\.)?(\d{2})?\s*(UTC|GMT|Z|IST|hrs?)(?![A-Za-z])/gi;
+const CLOCK_PATTERN = /(?<![\d.:])(\d{1,2}):(\d{2})(?![\d.:])/g;
+
+const CATEGORY_NAME_PATTERN = /\b(super cyclonic storm|extremely severe cyclonic storm|very severe cyclonic storm|severe cyclonic storm|cyclonic storm|deep depression|depression|low pressure area)\b/gi;
+const CATEGORY_CODE_PATTERN = /(?<![\w-])(SuCS|ESCS|VSCS|SCS|CS|DD)(?![\w-])/g;
+const WIND_PATTERN = /(?<!gusting\s+to\s+)(?<![\d.])(\d{1,3})(?:\s*-\s*(\d{1,3}))?\s*(knots|kts?|kmph|km\/h|kph|m\/s)(?![A-Za-z])/gi;
+const PRESSURE_PATTERN = /(?<![\d.])(\d{3,4}(?:\.\d)?)\s*(?:hPa|mb|mbar)(?![A-Za-z])/gi;
+
+const STORM_NAME_PATTERN = /\b(?:super\s+|extremely\s+|very\s+)?(?:severe\s+)?(?:cyclonic\s+storm|cyclone|typhoon|hurricane|storm|SuCS|ESCS|VSCS|SCS|CS)\s+["'“‘]?([A-Za-z]{3,})["'”’]?/gi;
+// Words that follow "cyclone" or "storm" without being a storm name
+const NOT_STORM_NAMES = new Set([
+  'advisory', 'advisories', 'alert', 'and', 'bulletin', 'category', 'center', 'centre', 'crossed', 'data',
+  'formed', 'forecast', 'genesis', 'has', 'information', 'intensified', 'intensity', 'lay', 'landfall', 'monitoring',
+  'moved', 'near', 'over', 'position', 'products', 'report', 'season', 'surge', 'that', 'the', 'track', 'tracking',
+  'warning', 'warnings', 'was', 'watch', 'weakened', 'which', 'with',
+  ...INTENSITY_CATEGORIES.map(category => category.code.toLowerCase())
+]);
+
+// Spreadsheet columns, matched against the header text in this order; each column takes one role
+const COLUMN_ROLES = [
+  { role: 'lat', pattern: /\blat(?:itude)?\b/i },
+  { role: 'lon', pattern: /\blong?(?:itude)?\b/i },
+  { role: 'pressure', pattern: /pressure|\becp\b|\bmslp\b|hpa/i },
+  { role: 'wind', pattern: /wind|\bmsw\b|\bknots?\b|\bkts?\b/i },
+  { role: 'category', pattern: /grade|categ|classif|intensity|stage/i },
+  { role: 'datetime', pattern: /date\s*[/&-]?\s*time|timestamp|valid\s*time/i },
+  { role: 'date', pattern: /\bdate\b|\bday\b/i },
+  { role: 'time', pattern: /\btime\b|\bhour\b|\butc\b|\bist\b/i },
+  { role: 'name', pattern: /\bname\b|\bstorm\b|\bcyclone\b|\bsystem\b/i }
+];
+
+/**
+ * Find the intensity category for a code or name such as "VSCS" or "Severe Cyclonic Storm"
+ * @param {string} text - Category text
+ * @returns {Object|null} - Entry from INTENSITY_CATEGORIES
+ */
+function findCategory(text) {
+  const value = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!value) return null;
+  if (value === 'well marked low' || value === 'wml') return INTENSITY_CATEGORIES[0];
+  return INTENSITY_CATEGORIES.find(category => category.code.toLowerCase() === value || category.name.toLowerCase() === value) || null;
+}
+
+/**
+ * Classify a maximum sustained wind on the IMD scale
+ * @param {number} windKt - Wind speed in knots
+ * @returns {string|null} - Category code
+ */
+function classifyWind(windKt) {
+  if (!Number.isFinite(windKt) || windKt < 0) return null;
+  return INTENSITY_CATEGORIES.filter(category => windKt >= category.minWindKt).pop().code;
+}
+
+/**
+ * Convert a wind speed to knots
+ * @param {number} value - Wind speed
+ * @param {string} unit - Unit text such as "kt", "kmph" or "m/s"
+ * @returns {number} - Speed in knots, rounded
+ */
+function toKnots(value, unit = 'kt') {
+  if (/km/i.test(unit)) return Math.round(value / 1.852);
+  if (/m\/s|mps/i.test(unit)) return Math.round(value * 1.943844);
+  return Math.round(value);
+}
+
+/**
+ * Build an intensity record, filling in the category from the wind when it isn't stated
+ * @param {Object} values - { category, windKt, pressureHpa }
+ * @returns {Object|null} - Intensity with only the known fields, or null when nothing is known
+ */
+function buildIntensity({ category = null, windKt = null, pressureHpa = null }) {
+  const intensity = {
+    ...((category || Number.isFinite(windKt)) && { category: category || classifyWind(windKt) }),
+    ...(Number.isFinite(windKt) && { windKt }),
+    ...(Number.isFinite(pressureHpa) && { pressureHpa })
+  };
+  return Object.keys(intensity).length > 0 ? intensity : null;
+}
+
+/**
+ * Expand a two-digit year
+ * @param {string} text - Year text
+ * @returns {number} - Four-digit year
+ */
+function fullYear(text) {
+  const year = parseInt(text, 10);
+  return text.length === 2 ? 2000 + year : year;
+}
+
+/**
+ * Check that a day and month make a calendar date
+ * @param {number} year - Year, or null when unknown
+ * @param {number} month - Month, 0-11
+ * @param {number} day - Day of the month
+ * @returns {boolean} - True if valid
+ */
+function validDate(year, month, day) {
+  if (month < 0 || month > 11 || day < 1) return false;
+  return day <= new Date(Date.UTC(year ?? 2000, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Check whether a span overlaps any of the given spans
+ * @param {Object} span - { start, end }
+ * @param {Array<Object>} spans - Spans to test against
+ * @returns {boolean} - True on any overlap
+ */
+function overlapsAny(span, spans) {
+  return spans.some(other => span.start < other.end && other.start < span.end);
+}
+
+/**
+ * Find calendar dates in text, skipping anything inside the given spans (such as coordinates)
+ * ISO timestamps also carry their time of day
+ * @param {string} text - Input text
+ * @param {Array<Object>} exclude - Spans to ignore
+ * @returns {Array<Object>} - Dates { year, month, day, start, end, text, time? } in text order; year may be null
+ */
+function findDates(text, exclude = []) {
+  const dates = [];
+  const add = (match, year, month, day, time) => {
+    const span = { start: match.index, end: match.index + match[0].length };
+    if (!validDate(year, month, day) || overlapsAny(span, exclude) || overlapsAny(span, dates)) return;
+    dates.push({ year, month, day, ...span, text: match[0], ...(time && { time }) });
+  };
+  const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+  for (const match of text.matchAll(ISO_PATTERN)) {
+    const [, year, month, day, hours, minutes, zone] = match;
+    const time = hours !== undefined ? buildTimeOfDay(hours, minutes, zone) : null;
+    add(match, parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10), time);
+  }
+  for (const match of text.matchAll(DAY_MONTH_PATTERN)) {
+    add(match, match[3] ? parseInt(match[3], 10) : null, monthIndex(match[2]), parseInt(match[1], 10));
+  }
+  for (const match of text.matchAll(MONTH_DAY_PATTERN)) {
+    add(match, match[3] ? parseInt(match[3], 10) : null, monthIndex(match[1]), parseInt(match[2], 10));
+  }
+  for (const match of text.matchAll(NUMERIC_DATE_PATTERN)) {
+    add(match, fullYear(match[3]), parseInt(match[2], 10) - 1, parseInt(match[1], 10));
+  }
+
+  return dates.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build a time of day in minutes after midnight UTC
+ * @param {string} hours - Hours text
+ * @param {string} minutes - Minutes text (optional)
+ * @param {string} zone - "IST" for Indian Standard Time; anything else is read as UTC
+ * @returns {Object|null} - { minutes, zone } or null when out of range
+ */
+function buildTimeOfDay(hours, minutes = '0', zone = 'UTC') {
+  const h = parseInt(hours, 10);
+  const m = parseInt(minutes || '0', 10);
+  if (h > 23 || m > 59) return null;
+  const ist = /ist/i.test(zone || '');
+  return { minutes: h * 60 + m - (ist ? IST_OFFSET_MINUTES : 0), zone: ist ? 'IST' : 'UTC' };
+}
+
+/**
+ * Find times of day in text such as "0300 UTC", "03Z", "1730 hrs IST" or "06:00"
+ * @param {string} text - Input text
+ * @param {Array<Object>} exclude - Spans to ignore
+ * @returns {Array<Object>} - Times { minutes, zone, start, end, text } in text order
+ */
+function findTimes(text, exclude = []) {
+  const times = [];
+  const add = (match, time) => {
+    const span = { start: match.index, end: match.index + match[0].length };
+    if (!time || overlapsAny(span, exclude) || overlapsAny(span, times)) return;
+    times.push({ ...time, ...span, text: match[0] });
+  };
+
+  for (const match of text.matchAll(TIME_PATTERN)) {
+    const [, hours, minutes, zone] = match;
+    // "15 hrs" is a duration; hours need minutes to be read as a clock time
+    if (/^hr/i.test(zone) && minutes === undefined) continue;
+    const istAfter = /^\s*IST\b/i.test(text.slice(match.index + match[0].length));
+    add(match, buildTimeOfDay(hours, minutes, istAfter ? 'IST' : zone));
+  }
+  for (const match of text.matchAll(CLOCK_PATTERN)) {
+    add(match, buildTimeOfDay(match[1], match[2]));
+  }
+
+  return times.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the intensity stated in text, preferring mentions closest to a position
+ * @param {string} text - Segment text
+ * @param {number} position - Offset of the position the intensity belongs to
+ * @returns {Object|null} - Intensity { category?, windKt?, pressureHpa? }
+ */
+function findIntensity(text, position) {
+  const nearest = (matches) => matches
+    .sort((a, b) => Math.abs(a.index - position) - Math.abs(b.index - position))[0] || null;
+
+  const categoryMatch = nearest([...text.matchAll(CATEGORY_NAME_PATTERN), ...text.matchAll(CATEGORY_CODE_PATTERN)]);
+  const windMatch = nearest([...text.matchAll(WIND_PATTERN)]);
+  const pressureMatch = nearest([...text.matchAll(PRESSURE_PATTERN)]);
+
+  // For a range such as "60-70 kmph" the upper value is the stated maximum
+  const windValue = windMatch ? parseInt(windMatch[2] || windMatch[1], 10) : null;
+
+  return buildIntensity({
+    category: categoryMatch ? findCategory(categoryMatch[1])?.code : null,
+    windKt: windMatch ? toKnots(windValue, windMatch[3]) : null,
+    pressureHpa: pressureMatch ? parseFloat(pressureMatch[1]) : null
+  });
+}
+
+/**
+ * Find a storm name such as "Cyclone Fani" or 'Cyclonic Storm "Biparjoy"'
+ * @param {string} text - Segment text
+ * @returns {string|null} - Storm name in title case
+ */
+function findStormName(text) {
+  for (const match of text.matchAll(STORM_NAME_PATTERN)) {
+    const name = match[1];
+    if (!/^(?:[A-Z][a-z]+|[A-Z]+)$/.test(name) || NOT_STORM_NAMES.has(name.toLowerCase())) continue;
+    return name[0] + name.slice(1).toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Turn a date and time of day into an ISO timestamp
+ * @param {Object} date - { year, month, day }
+ * @param {Object} time - { minutes } after midnight UTC (optional)
+ * @returns {string|null} - ISO timestamp, or null when the year is unknown
+ */
+function toTimestamp(date, time) {
+  if (!date || date.year === null) return null;
+  return new Date(Date.UTC(date.year, date.month, date.day, 0, time ? time.minutes : 0)).toISOString();
+}
+
+/**
+ * Split text into lines, and long lines into sentences, so each fix is read with its own time
+ * @param {string} text - Input text
+ * @returns {Array<string>} - Non-empty segments in text order
+ */
+function splitSegments(text) {
+  return text
+    .split(/\r?\n/)
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z(])/))
+    .filter(segment => segment.trim());
+}
+
+/**
+ * Turn a slug-friendly id from a name
+ * @param {string} text - Track name
+ * @returns {string} - Lowercase id
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'track';
+}
+
+/**
+ * Sort points by time and drop repeated fixes
+ * Points are only reordered when every one has a timestamp; otherwise the order they were reported in is kept
+ * @param {Array<Object>} points - Track points
+ * @returns {Array<Object>} - Ordered points
+ */
+function orderPoints(points) {
+  const seen = new Set();
+  const unique = points.filter(point => {
+    const key = `${point.time || point.timeText || ''}|${point.lat}|${point.lon}`;
+    return !seen.has(key) && seen.add(key);
+  });
+
+  if (unique.every(point => point.time)) {
+    return unique
+      .map((point, index) => ({ point, index }))
+      .sort((a, b) => a.point.time.localeCompare(b.point.time) || a.index - b.index)
+      .map(({ point }) => point);
+  }
+  return unique;
+}
+
+/**
+ * Build track objects from grouped points
+ * @param {Map<string|null, Array<Object>>} groups - Points keyed by storm name (null when unnamed)
+ * @param {Object} options - { source, label, minPoints }
+ * @returns {Array<Object>} - Tracks { id, label, name, source, points, start, end }
+ */
+function buildTracks(groups, options = {}) {
+  const minPoints = options.minPoints ?? DEFAULT_MIN_POINTS;
+  const tracks = [];
+
+  groups.forEach((points, name) => {
+    const ordered = orderPoints(points);
+    if (ordered.length < minPoints) return;
+
+    const label = name || (options.label ? `${options.label} track` : 'Storm track');
+    const times = ordered.map(point => point.time).filter(Boolean);
+
+    tracks.push({
+      id: slugify(name || label),
+      label,
+      name: name || null,
+      ...(options.source && { source: options.source }),
+      points: ordered,
+      start: times[0] || null,
+      end: times[times.length - 1] || null
+    });
+  });
+
+  return tracks;
+}
+
+/**
+ * Extract storm tracks from advisory or bulletin text
+ * Each position is paired with the closest date/time and intensity in its sentence; a time without a date
+ * takes the last date mentioned, rolling over to the next day when the clock goes backwards. Positions
+ * belong to the last storm name mentioned.
+ * @param {string} text - Input text
+ * @param {Object} options - { source, label, year, minPoints, minConfidence }
+ * @returns {Array<Object>} - Tracks { id, label, name, source, points: [{ lat, lon, time, timeText, intensity? }], start, end }
+ */
+function extractTracksFromText(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+
+  const fallbackYear = text.match(/\b(?:19|20)\d{2}\b/);
+  const context = {
+    name: null,
+    date: null,
+    year: options.year ?? (fallbackYear ? parseInt(fallbackYear[0], 10) : null),
+    lastTime: null
+  };
+  const groups = new Map();
+
+  splitSegments(text).forEach(segment => {
+    const name = findStormName(segment);
+    if (name && name !== context.name) {
+      context.name = name;
+      context.lastTime = null;
+    }
+
+    const positions = parseCoordinates(segment, { minConfidence: options.minConfidence })
+      .filter(location => location.lat !== null && location.lon !== null && !location.bbox);
+    const dates = findDates(segment, positions).map(date => ({ ...date, year: date.year ?? context.year }));
+    const times = findTimes(segment, [...positions, ...dates]);
+    const closest = (spans, position) => spans
+      .slice()
+      .sort((a, b) => Math.abs(a.start - position.start) - Math.abs(b.start - position.start))[0] || null;
+
+    positions.forEach(position => {
+      const date = closest(dates, position);
+      const time = date?.time || closest(times, position);
+      if (!date && !time) return;
+
+      let day = date || context.date;
+      let timestamp = toTimestamp(day, time);
+      // A bare time earlier than the previous fix is on the following day
+      if (!date && timestamp && context.lastTime && timestamp < context.lastTime) {
+        const next = new Date(Date.parse(timestamp) + 86400000);
+        day = { year: next.getUTCFullYear(), month: next.getUTCMonth(), day: next.getUTCDate() };
+        timestamp = toTimestamp(day, time);
+      }
+      if (day) context.date = { year: day.year, month: day.month, day: day.day };
+      if (timestamp) context.lastTime = timestamp;
+
+      const intensity = findIntensity(segment, position.start);
+      const point = {
+        lat: position.lat,
+        lon: position.lon,
+        time: timestamp,
+        timeText: [date?.text, date?.time ? null : time?.text].filter(Boolean).join(' '),
+        ...(intensity && { intensity })
+      };
+
+      const key = context.name;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(point);
+    });
+
+    // A date on its own line (such as a table heading) applies to the times that follow
+    if (positions.length === 0 && dates.length > 0) {
+      const last = dates[dates.length - 1];
+      if (last.year !== null) context.date = { year: last.year, month: last.month, day: last.day };
+    }
+  });
+
+  return buildTracks(groups, options);
+}
+
+/**
+ * Assign spreadsheet columns to track roles by their headers
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object} - Map of role to header, e.g. { lat: 'Lat (°N)', lon: 'Long (°E)', time: 'Time (UTC)' }
+ */
+function detectTrackColumns(headers) {
+  const columns = {};
+  const used = new Set();
+
+  COLUMN_ROLES.forEach(({ role, pattern }) => {
+    const header = headers.find(candidate => !used.has(candidate) && pattern.test(String(candidate)));
+    if (header !== undefined) {
+      columns[role] = header;
+      used.add(header);
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Read a latitude or longitude cell such as 15.2, "15.2" or "15.2°N"
+ * @param {*} value - Cell value
+ * @returns {number|null} - Signed decimal degrees
+ */
+function cellAngle(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const angle = parseAngle(String(value || '').trim());
+  return angle ? angle.value : null;
+}
+
+/**
+ * Read a date cell: an Excel serial day number or date text
+ * @param {*} value - Cell value
+ * @returns {Object|null} - { year, month, day, time? }
+ */
+function cellDate(value) {
+  if (typeof value === 'number' && value > 59) {
+    // Excel day 25569 is 1970-01-01; the fraction is the time of day
+    const date = new Date(Math.round((value - 25569) * 86400) * 1000);
+    const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth(),
+      day: date.getUTCDate(),
+      ...(minutes > 0 && { time: { minutes, zone: 'UTC' } })
+    };
+  }
+
+  const text = String(value || '');
+  const [date] = findDates(text);
+  if (!date) return null;
+  return date.time ? date : { ...date, time: findTimes(text, [date])[0] || undefined };
+}
+
+/**
+ * Read a time cell: a day fraction, an HHMM number such as 300 or 1800, or time text
+ * @param {*} value - Cell value
+ * @param {string} zone - Zone named in the column header ("IST" or "UTC")
+ * @returns {Object|null} - { minutes, zone }
+ */
+function cellTime(value, zone) {
+  if (typeof value === 'number') {
+    if (value >= 0 && value < 1) {
+      const minutes = Math.round(value * 1440);
+      return buildTimeOfDay(String(Math.floor(minutes / 60)), String(minutes % 60), zone);
+    }
+    if (Number.isInteger(value) && value >= 0 && value <= 2359) return buildTimeOfDay(String(Math.floor(value / 100)), String(value % 100), zone);
+    return null;
+  }
+
+  const text = String(value || '').trim();
+  const [time] = findTimes(text);
+  if (time) return time;
+  const clock = text.match(/^(\d{1,2})[:.]?(\d{2})$/) || text.match(/^(\d{1,2})$/);
+  return clock ? buildTimeOfDay(clock[1], clock[2], zone) : null;
+}
+
+/**
+ * Extract storm tracks from spreadsheet rows keyed by header, as returned by parseXLSX
+ * Rows need latitude and longitude columns; date/time, intensity, wind, pressure and storm name columns are used
+ * when present. Rows without a storm name continue the storm above them, as with merged cells.
+ * @param {Array<Object>} rows - Row objects
+ * @param {Object} options - { source, label, year, minPoints }
+ * @returns {Array<Object>} - Tracks in the same shape as extractTracksFromText
+ */
+function extractTracksFromRows(rows, options = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+
+  const headers = Object.keys(rows[0]);
+  const columns = detectTrackColumns(headers);
+  if (!columns.lat || !columns.lon) return [];
+
+  const zoneOf = (header) => (header && /\bist\b/i.test(header) ? 'IST' : 'UTC');
+  const windUnit = columns.wind ? String(columns.wind) : 'kt';
+  const groups = new Map();
+  let name = null;
+  let lastDate = null;
+  let lastTime = null;
+
+  rows.forEach(row => {
+    const lat = cellAngle(row[columns.lat]);
+    const lon = cellAngle(row[columns.lon]);
+    if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) return;
+
+    if (columns.name && String(row[columns.name]).trim()) {
+      const rowName = String(row[columns.name]).trim();
+      if (rowName !== name) lastTime = null;
+      name = rowName;
+    }
+
+    const stamp = columns.datetime ? cellDate(row[columns.datetime]) : null;
+    const date = stamp || (columns.date ? cellDate(row[columns.date]) : null);
+    const time = stamp?.time || date?.time || (columns.time ? cellTime(row[columns.time], zoneOf(columns.time)) : null);
+    if (date) lastDate = { year: date.year ?? options.year ?? null, month: date.month, day: date.day };
+
+    let timestamp = toTimestamp(date || time ? lastDate : null, time);
+    // Rows that only give a time roll over to the next day when the clock goes backwards
+    if (!date && timestamp && lastTime && timestamp < lastTime) {
+      timestamp = new Date(Date.parse(timestamp) + 86400000).toISOString();
+      const next = new Date(timestamp);
+      lastDate = { year: next.getUTCFullYear(), month: next.getUTCMonth(), day: next.getUTCDate() };
+    }
+    if (timestamp) lastTime = timestamp;
+
+    const windValue = columns.wind ? parseFloat(row[columns.wind]) : NaN;
+    const pressureValue = columns.pressure ? parseFloat(row[columns.pressure]) : NaN;
+    const intensity = buildIntensity({
+      category: columns.category ? findCategory(row[columns.category])?.code : null,
+      windKt: Number.isFinite(windValue) ? toKnots(windValue, windUnit) : null,
+      pressureHpa: Number.isFinite(pressureValue) ? pressureValue : null
+    });
+
+    // Excel serial numbers mean nothing to a reader, so only text cells are kept as written
+    const timeText = [columns.datetime, columns.date, columns.time]
+      .filter(header => header && typeof row[header] === 'string' && row[header].trim())
+      .map(header => row[header].trim())
+      .join(' ');
+
+    const point = {
+      lat: Math.round(lat * 1000000) / 1000000,
+      lon: Math.round(lon * 1000000) / 1000000,
+      time: timestamp,
+      ...(timeText && { timeText }),
+      ...(intensity && { intensity })
+    };
+
+    const key = name ? name[0].toUpperCase() + name.slice(1).toLowerCase() : null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(point);
+  });
+
+  return buildTracks(groups, options);
+}
+
+/**
+ * Extract storm tracks from the first sheet of an XLSX advisory
+ * @param {string} filePath - Path to the .xlsx file
+ * @param {Object} options - { source, label, year, minPoints } (source defaults to the file name)
+ * @returns {Promise<Array<Object>>} - Tracks in the same shape as extractTracksFromText
+ * @throws {Error} - If the file can't be parsed
+ */
+async function extractTracksFromXLSX(filePath, options = {}) {
+  try {
+    const rows = await parseXLSX(filePath);
+    const source = options.source || filePath.split(/[\\/]/).pop();
+    return extractTracksFromRows(rows, { ...options, source, label: options.label || source.replace(/\.xlsx$/i, '') });
+  } catch (error) {
+    console.error('❌ Error extracting tracks from XLSX:', error.message);
+    throw new Error(`Failed to extract tracks: ${error.message}`);
+  }
+}
+
+/**
+ * Combine tracks of the same storm reported in different places into one ordered track
+ * @param {Array<Object>} tracks - Tracks, possibly sharing ids
+ * @returns {Array<Object>} - One track per id, in first-seen order
+ */
+function mergeTracks(tracks) {
+  const merged = new Map();
+
+  tracks.forEach(track => {
+    const existing = merged.get(track.id);
+    if (!existing) {
+      merged.set(track.id, { ...track, points: [...track.points] });
+      return;
+    }
+    existing.points.push(...track.points);
+  });
+
+  return [...merged.values()].map(track => {
+    const points = orderPoints(track.points);
+    const times = points.map(point => point.time).filter(Boolean);
+    return { ...track, points, start: times[0] || null, end: times[times.length - 1] || null };
+  });
+}
+
+// Export the functions as ES modules
+export {
+  INTENSITY_CATEGORIES,
+  classifyWind,
+  detectTrackColumns,
+  extractTracksFromText,
+  extractTracksFromRows,
+  extractTracksFromXLSX,
+  mergeTracks
+};
@@ -0,0 +1,240 @@
+// Persistent Vector Index utility for storing chunk embeddings on disk
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const INDEX_FORMAT = 'mosdac_vector_index_v1';
+
+/**
+ * Compute a stable content hash for a chunk of text
+ * @param {string} text - Chunk content
+ * @returns {string} - SHA-256 hex digest of the content
+ */
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text, 'utf-8').digest('hex');
+}
+
+/**
+ * Create an empty vector index
+ * @param {string} embeddingModel - Name of the embedding model used for the vectors
+ * @returns {Object} - Empty index structure
+ */
+function createEmptyIndex(embeddingModel) {
+  const now = new Date().toISOString();
+  return {
+    format: INDEX_FORMAT,
+    embeddingModel,
+    createdAt: now,
+    updatedAt: now,
+    chunks: []
+  };
+}
+
+/**
+ * Load a vector index from disk
+ * @param {string} indexPath - Path to the index JSON file
+ * @returns {Object|null} - Loaded index, or null if missing or unreadable
+ */
+function loadVectorIndex(indexPath) {
+  try {
+    if (!fs.existsSync(indexPath)) {
+      return null;
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+
+    if (index.format !== INDEX_FORMAT || !Array.isArray(index.chunks)) {
+      console.warn(`⚠️ Ignoring vector index with unknown format: ${indexPath}`);
+      return null;
+    }
+
+    console.log(`📂 Loaded vector index with ${index.chunks.length} chunks from ${indexPath}`);
+    return index;
+
+  } catch (error) {
+    console.error('❌ Error loading vector index:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a vector index to disk
+ * Writes to a temporary file first so a crash never leaves a truncated index behind
+ * @param {Object} index - Vector index to persist
+ * @param {string} indexPath - Path to the index JSON file
+ */
+function saveVectorIndex(index, indexPath) {
+  try {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(index), 'utf-8');
+    fs.renameSync(tempPath, indexPath);
+
+    console.log(`💾 Vector index saved to: ${indexPath}`);
+
+  } catch (error) {
+    console.error('❌ Error saving vector index:', error.message);
+    throw new Error(`Failed to save vector index: ${error.message}`);
+  }
+}
+
+/**
+ * Bring a vector index in line with a set of documents
+ * Chunks whose content hash is already indexed keep their stored embedding,
+ * only new or changed chunks are embedded, and chunks no longer present are dropped
+ * @param {Object|null} index - Existing index (or null to build from scratch)
+ * @param {Array<Object>} documents - Array of { pageContent, metadata } chunks
+ * @param {Object} embeddings - Embeddings client exposing embedDocuments(texts)
+ * @param {Object} options - { embeddingModel, batchSize }
+ * @returns {Promise<Object>} - { index, stats: { added, reused, removed, total, changed } }
+ */
+async function updateVectorIndex(index, documents, embeddings, options = {}) {
+  try {
+    const embeddingModel = options.embeddingModel || 'unknown';
+    const batchSize = options.batchSize || 50;
+
+    // Vectors from a different embedding model are not comparable, start over
+    const baseIndex = index && index.embeddingModel === embeddingModel
+      ? index
+      : createEmptyIndex(embeddingModel);
+
+    const existingByHash = new Map();
+    baseIndex.chunks.forEach(chunk => {
+      existingByHash.set(chunk.contentHash, chunk);
+    });
+
+    const usedIds = new Set();
+    const pending = [];
+    let reused = 0;
+
+    const chunks = documents.map(doc => {
+      const contentHash = hashContent(doc.pageContent);
+
+      // Identical content can appear twice, keep chunk ids unique
+      let id = `chunk_${contentHash.slice(0, 16)}`;
+      for (let n = 1; usedIds.has(id); n++) {
+        id = `chunk_${contentHash.slice(0, 16)}_${n}`;
+      }
+      usedIds.add(id);
+
+      const chunk = {
+        id,
+        contentHash,
+        content: doc.pageContent,
+        metadata: doc.metadata || {},
+        embedding: existingByHash.get(contentHash)?.embedding || null
+      };
+
+      if (chunk.embedding) {
+        reused++;
+      } else {
+        pending.push(chunk);
+      }
+
+      return chunk;
+    });
+
+    // Embed only the chunks that are not already in the index
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      console.log(`🧠 Embedding chunks ${i + 1}-${i + batch.length} of ${pending.length}...`);
+      const vectors = await embeddings.embedDocuments(batch.map(chunk => chunk.content));
+      batch.forEach((chunk, j) => {
+        chunk.embedding = vectors[j];
+      });
+    }
+
+    const newHashes = new Set(chunks.map(chunk => chunk.contentHash));
+    const removed = baseIndex.chunks.filter(chunk => !newHashes.has(chunk.contentHash)).length;
+
+    const changed = (
+      baseIndex !== index ||
+      pending.length > 0 ||
+      removed > 0 ||
+      chunks.length !== baseIndex.chunks.length ||
+      chunks.some((chunk, i) => (
+        chunk.id !== baseIndex.chunks[i].id ||
+        JSON.stringify(chunk.metadata) !== JSON.stringify(baseIndex.chunks[i].metadata)
+      ))
+    );
+
+    const updatedIndex = {
+      ...baseIndex,
+      updatedAt: changed ? new Date().toISOString() : baseIndex.updatedAt,
+      chunks
+    };
+
+    const stats = {
+      added: pending.length,
+      reused,
+      removed,
+      total: chunks.length,
+      changed
+    };
+
+    console.log(`🗄️ Vector index updated: ${stats.added} embedded, ${stats.reused} reused, ${stats.removed} removed`);
+
+    return { index: updatedIndex, stats };
+
+  } catch (error) {
+    console.error('❌ Error updating vector index:', error.message);
+    throw new Error(`Failed to update vector index: ${error.message}`);
+  }
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity in the range [-1, 1]
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Find the chunks most similar to a query embedding
+ * @param {Object} index - Vector index
+ * @param {Array<number>} queryEmbedding - Embedded user query
+ * @param {number} topK - Number of chunks to return
+ * @returns {Array<Object>} - Array of { chunk, score } sorted by descending score
+ */
+function searchVectorIndex(index, queryEmbedding, topK = 4) {
+  if (!index || index.chunks.length === 0) {
+    return [];
+  }
+
+  return index.chunks
+    .map(chunk => ({
+      chunk,
+      score: cosineSimilarity(queryEmbedding, chunk.embedding)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+// Export the functions as ES modules
+export {
+  hashContent,
+  createEmptyIndex,
+  loadVectorIndex,
+  saveVectorIndex,
+  updateVectorIndex,
+  cosineSimilarity,
+  searchVectorIndex
+};
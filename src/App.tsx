@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Satellite, Menu, X } from 'lucide-react';
+import { Send, Satellite, Menu, X, Square, RotateCcw } from 'lucide-react';
 import ChatMessage from './components/ChatMessage';
 import TypingIndicator from './components/TypingIndicator';
 import Sidebar from './components/Sidebar';
@@ -10,12 +10,124 @@ interface Source {
   type?: 'PDF' | 'DOCX' | 'XLSX' | 'Web' | 'Knowledge Base';
   page?: number;
   section?: string;
+  url?: string;
+  title?: string;
+  sheet?: string;
+  row?: number;
+  chunkId?: string;
+  score?: number;
+  excerpt?: string;
+  retrievedBy?: 'vector' | 'keyword' | 'hybrid' | 'graph' | 'both';
+}
+
+interface BoundingBox {
+  north: number;
+  south: number;
+  east: number;
+  west: number;
 }
 
 interface GeoLocation {
   lat: number;
   lon: number;
   label?: string;
+  placeType?: string;
+  bbox?: BoundingBox;
+  polygon?: [number, number][];
+  format?: string;
+  originalText?: string;
+  confidence?: number;
+  source?: string;
+}
+
+interface TrackIntensity {
+  category?: string;
+  windKt?: number;
+  pressureHpa?: number;
+}
+
+interface TrackPoint {
+  lat: number;
+  lon: number;
+  time?: string | null;
+  timeText?: string;
+  label?: string;
+  intensity?: TrackIntensity;
+}
+
+interface GeoTrack {
+  id: string;
+  label: string;
+  name?: string | null;
+  points: TrackPoint[];
+  source?: string;
+  start?: string | null;
+  end?: string | null;
+}
+
+interface AreaOfInterest {
+  type: 'bbox' | 'circle';
+  north?: number;
+  south?: number;
+  east?: number;
+  west?: number;
+  lat?: number;
+  lon?: number;
+  radiusKm?: number;
+  label?: string;
+}
+
+interface RetrievalStats {
+  totalChunks: number;
+  matchedChunks: number;
+  retrievedChunks: number;
+  filtersApplied: boolean;
+  area?: AreaOfInterest | null;
+  mode?: 'vector' | 'keyword' | 'hybrid';
+  reranker?: 'none' | 'llm' | 'provider';
+  candidateChunks?: number;
+  contextTokens?: number;
+  contextTokenBudget?: number;
+}
+
+interface GraphPathNode {
+  id: string;
+  label: string;
+  type: string;
+}
+
+interface GraphPathEdge {
+  id: string;
+  source: string;
+  sourceLabel: string;
+  target: string;
+  targetLabel: string;
+  type: string;
+  label: string;
+  confidence: number;
+  hop: number;
+  evidence: string | null;
+}
+
+interface GraphPath {
+  seeds: GraphPathNode[];
+  nodes: GraphPathNode[];
+  edges: GraphPathEdge[];
+}
+
+interface UnsupportedClaim {
+  text: string;
+  citations: number[];
+  support: number;
+}
+
+interface AnswerVerification {
+  mode: 'flag' | 'strip' | 'off';
+  notInKnowledgeBase: boolean;
+  grounded: boolean | null;
+  checkedSentences: number;
+  unsupportedClaims: UnsupportedClaim[];
+  removedClaims: number;
 }
 
 interface Message {
@@ -24,9 +136,31 @@ interface Message {
   sender: 'user' | 'bot';
   timestamp: Date;
   source?: Source;
+  sources?: Source[];
   context?: string;
   geoLocations?: GeoLocation[];
+  geoTracks?: GeoTrack[];
+  retrieval?: RetrievalStats;
+  graphPath?: GraphPath | null;
   processingTime?: number;
+  isStreaming?: boolean;
+  standaloneQuery?: string;
+  verification?: AnswerVerification | null;
+}
+
+interface StreamEventData {
+  sessionId?: string;
+  standaloneQuery?: string;
+  text?: string;
+  answer?: string;
+  source?: Source;
+  sources?: Source[];
+  context?: string;
+  retrieval?: RetrievalStats;
+  graphPath?: GraphPath | null;
+  geoLocations?: GeoLocation[];
+  geoTracks?: GeoTrack[];
+  verification?: AnswerVerification | null;
 }
 
 interface FilterOptions {
@@ -37,6 +171,44 @@ interface FilterOptions {
     Web: boolean;
   };
   keyword: string;
+  area: AreaOfInterest | null;
+}
+
+// Question asked about an area selected on an answer's map
+const AREA_COVERAGE_QUESTION = 'What MOSDAC data covers this area?';
+
+/**
+ * Read a Server-Sent Events response body and dispatch each event as it arrives
+ * @param body - Streaming response body
+ * @param onEvent - Called with the event name and parsed JSON data
+ */
+async function readEventStream(body: ReadableStream<Uint8Array>, onEvent: (event: string, data: StreamEventData) => void) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
 }
 
 function App() {
@@ -58,11 +230,16 @@ function App() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [filters, setFilters] = useState<FilterOptions>({
     fileTypes: { PDF: true, DOCX: true, XLSX: true, Web: true },
-    keyword: ''
+    keyword: '',
+    area: null
   });
   
+  const [streamingMessageId, setStreamingMessageId] = useState<string | null>(null);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const inputRef = useRef<HTMLInputElement>(null);
+  const abortControllerRef = useRef<AbortController | null>(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -72,7 +249,11 @@ function App() {
     scrollToBottom();
   }, [messages]);
 
-  const handleSend = async (messageText?: string) => {
+  const updateMessage = (id: string, update: (message: Message) => Message) => {
+    setMessages(prev => prev.map(message => (message.id === id ? update(message) : message)));
+  };
+
+  const handleSend = async (messageText?: string, area?: AreaOfInterest) => {
     const textToSend = messageText || inputText.trim();
     if (!textToSend || isLoading) return;
 
@@ -87,46 +268,124 @@ function App() {
     setInputText('');
     setIsLoading(true);
 
+    const botMessageId = (Date.now() + 1).toString();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    // End the answer with a notice, keeping whatever was streamed so far
+    const endWithNotice = (notice: string) => {
+      setMessages(prev => (
+        prev.some(message => message.id === botMessageId)
+          ? prev.map(message => (message.id === botMessageId ? {
+              ...message,
+              text: `${message.text}${message.text ? '\n\n' : ''}${notice}`,
+              isStreaming: false
+            } : message))
+          : [...prev, {
+              id: botMessageId,
+              text: notice,
+              sender: 'bot',
+              timestamp: new Date()
+            }]
+      ));
+    };
+
     try {
       const startTime = Date.now();
       
-      // Include filter information in the request
+      // Include filter information in the request; an area picked on a map applies to this question only
       const requestBody = {
         query: textToSend,
-        filters: filters
+        filters: area ? { ...filters, area } : filters,
+        sessionId: sessionId
       };
 
-      const response = await fetch('/api/chat', {
+      const response = await fetch('/api/chat/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(requestBody),
+        signal: abortController.signal,
       });
 
-      if (!response.ok) {
+      if (!response.ok || !response.body) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
-      const processingTime = Date.now() - startTime;
-      
-      const botMessage: Message = {
-        id: (Date.now() + 1).toString(),
-        text: data.answer || 'I apologize, but I couldn\'t process your request at the moment.',
-        sender: 'bot',
-        timestamp: new Date(),
-        source: data.source || {
-          filename: 'MOSDAC Knowledge Base',
-          type: 'Knowledge Base'
-        },
-        context: data.context,
-        geoLocations: data.geoLocations,
-        processingTime: processingTime
-      };
+      let finished = false;
+      await readEventStream(response.body, (event, data) => {
+        if (event === 'done' || event === 'error') finished = true;
+
+        switch (event) {
+          case 'retrieval':
+            if (data.sessionId) setSessionId(data.sessionId);
+
+            // Show the answer bubble as soon as sources are known
+            setStreamingMessageId(botMessageId);
+            setMessages(prev => [...prev, {
+              id: botMessageId,
+              text: '',
+              sender: 'bot',
+              timestamp: new Date(),
+              source: data.source || {
+                filename: 'MOSDAC Knowledge Base',
+                type: 'Knowledge Base'
+              },
+              sources: data.sources,
+              context: data.context,
+              retrieval: data.retrieval,
+              graphPath: data.graphPath,
+              standaloneQuery: data.standaloneQuery !== textToSend ? data.standaloneQuery : undefined,
+              isStreaming: true
+            }]);
+            break;
+
+          case 'token':
+            updateMessage(botMessageId, message => ({ ...message, text: message.text + (data.text || '') }));
+            break;
+
+          case 'done':
+            updateMessage(botMessageId, message => ({
+              ...message,
+              text: data.answer || message.text || 'I apologize, but I couldn\'t process your request at the moment.',
+              geoLocations: data.geoLocations,
+              geoTracks: data.geoTracks,
+              verification: data.verification,
+              processingTime: Date.now() - startTime,
+              isStreaming: false
+            }));
+            break;
+
+          case 'error':
+            if (data.sessionId) setSessionId(data.sessionId);
+            setMessages(prev => [
+              ...prev.filter(message => message.id !== botMessageId),
+              {
+                id: botMessageId,
+                text: data.answer || '⚠️ Error: Unable to process your request at the moment',
+                sender: 'bot',
+                timestamp: new Date(),
+                source: {
+                  filename: 'System Error',
+                  type: 'Knowledge Base'
+                }
+              }
+            ]);
+            break;
+        }
+      });
 
-      setMessages(prev => [...prev, botMessage]);
+      // The stream closed without done or error, e.g. after a server crash or a proxy timeout
+      if (!finished) {
+        endWithNotice('⚠️ The answer was cut off because the connection closed early. Please try again.');
+      }
     } catch (error) {
+      if (abortController.signal.aborted) {
+        endWithNotice('⏹️ Response stopped.');
+        return;
+      }
+
       console.error('Chat API Error:', error);
       
       const botMessage: Message = {
@@ -140,13 +399,33 @@ function App() {
         }
       };
 
-      setMessages(prev => [...prev, botMessage]);
+      setMessages(prev => [...prev.filter(message => message.id !== botMessageId), botMessage]);
     } finally {
+      abortControllerRef.current = null;
+      setStreamingMessageId(null);
       setIsLoading(false);
       inputRef.current?.focus();
     }
   };
 
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleNewConversation = () => {
+    if (isLoading) return;
+
+    // Forget the server-side history so follow-ups start fresh
+    if (sessionId) {
+      fetch(`/api/sessions/${sessionId}`, { method: 'DELETE' }).catch(error => {
+        console.error('Session API Error:', error);
+      });
+    }
+
+    setSessionId(null);
+    setMessages(prev => prev.slice(0, 1));
+  };
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -163,6 +442,14 @@ function App() {
     setFilters(newFilters);
   };
 
+  const handleAreaSelect = (area: AreaOfInterest) => {
+    setFilters(prev => ({ ...prev, area }));
+  };
+
+  const handleAskAboutArea = (area: AreaOfInterest) => {
+    handleSend(AREA_COVERAGE_QUESTION, area);
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-950 via-purple-950 to-slate-900 relative overflow-hidden">
       {/* Animated stars background */}
@@ -207,8 +494,21 @@ function App() {
                 </p>
               </div>
 
+              {/* New Conversation */}
+              {messages.length > 1 && (
+                <button
+                  onClick={handleNewConversation}
+                  disabled={isLoading}
+                  className="flex items-center gap-2 px-3 py-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded-lg transition-colors text-xs text-purple-200"
+                  aria-label="Start a new conversation"
+                >
+                  <RotateCcw className="w-3 h-3" />
+                  <span className="hidden sm:inline">New chat</span>
+                </button>
+              )}
+
               {/* Filter Status */}
-              {(filters.keyword || !Object.values(filters.fileTypes).every(Boolean)) && (
+              {(filters.keyword || filters.area || !Object.values(filters.fileTypes).every(Boolean)) && (
                 <div className="hidden sm:flex items-center gap-2 px-3 py-1 bg-purple-600/20 rounded-lg">
                   <span className="text-xs text-purple-200">Filters Active</span>
                   <div className="w-2 h-2 bg-purple-400 rounded-full animate-pulse"></div>
@@ -220,11 +520,18 @@ function App() {
           {/* Messages area */}
           <div className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-4 scrollbar-thin scrollbar-thumb-purple-500 scrollbar-track-transparent">
             {messages.map((message) => (
-              <ChatMessage key={message.id} message={message} />
+              <ChatMessage
+                key={message.id}
+                message={message}
+                onAskFollowUp={handleSend}
+                followUpDisabled={isLoading}
+                onAreaSelect={handleAreaSelect}
+                onAskAboutArea={handleAskAboutArea}
+              />
             ))}
 
-            {/* Typing indicator */}
-            {isLoading && <TypingIndicator />}
+            {/* Typing indicator until the streamed answer starts */}
+            {isLoading && !streamingMessageId && <TypingIndicator />}
 
             <div ref={messagesEndRef} />
           </div>
@@ -259,14 +566,24 @@ function App() {
                 />
               </div>
               
-              <button
-                onClick={() => handleSend()}
-                disabled={!inputText.trim() || isLoading}
-                className="bg-gradient-to-br from-purple-600 to-indigo-600 hover:from-purple-500 hover:to-indigo-500 disabled:from-gray-600 disabled:to-gray-700 text-white p-3 rounded-2xl transition-all duration-200 transform hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none focus:outline-none focus:ring-2 focus:ring-purple-400 focus:ring-offset-2 focus:ring-offset-transparent"
-                aria-label="Send message"
-              >
-                <Send className="w-5 h-5" />
-              </button>
+              {isLoading ? (
+                <button
+                  onClick={handleCancel}
+                  className="bg-gradient-to-br from-rose-600 to-purple-600 hover:from-rose-500 hover:to-purple-500 text-white p-3 rounded-2xl transition-all duration-200 transform hover:scale-105 active:scale-95 focus:outline-none focus:ring-2 focus:ring-rose-400 focus:ring-offset-2 focus:ring-offset-transparent"
+                  aria-label="Stop response"
+                >
+                  <Square className="w-5 h-5" />
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleSend()}
+                  disabled={!inputText.trim()}
+                  className="bg-gradient-to-br from-purple-600 to-indigo-600 hover:from-purple-500 hover:to-indigo-500 disabled:from-gray-600 disabled:to-gray-700 text-white p-3 rounded-2xl transition-all duration-200 transform hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none focus:outline-none focus:ring-2 focus:ring-purple-400 focus:ring-offset-2 focus:ring-offset-transparent"
+                  aria-label="Send message"
+                >
+                  <Send className="w-5 h-5" />
+                </button>
+              )}
             </div>
             
             {/* Help text */}
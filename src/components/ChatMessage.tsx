@@ -1,18 +1,131 @@
 import React from 'react';
-import { Bot, User, FileText, MapPin, Clock } from 'lucide-react';
+import { Bot, User, FileText, MapPin, Clock, Filter, Network, Download, SearchX, ShieldAlert, ShieldCheck } from 'lucide-react';
 import GeoMap from './GeoMap';
+import KnowledgeGraphPanel from './KnowledgeGraphPanel';
 
 interface Source {
   filename?: string;
   type?: 'PDF' | 'DOCX' | 'XLSX' | 'Web' | 'Knowledge Base';
   page?: number;
   section?: string;
+  url?: string;
+  title?: string;
+  sheet?: string;
+  row?: number;
+  chunkId?: string;
+  score?: number;
+  excerpt?: string;
+  retrievedBy?: 'vector' | 'keyword' | 'hybrid' | 'graph' | 'both';
+}
+
+interface BoundingBox {
+  north: number;
+  south: number;
+  east: number;
+  west: number;
 }
 
 interface GeoLocation {
   lat: number;
   lon: number;
   label?: string;
+  placeType?: string;
+  bbox?: BoundingBox;
+  polygon?: [number, number][];
+  format?: string;
+  originalText?: string;
+  confidence?: number;
+  source?: string;
+}
+
+interface TrackIntensity {
+  category?: string;
+  windKt?: number;
+  pressureHpa?: number;
+}
+
+interface TrackPoint {
+  lat: number;
+  lon: number;
+  time?: string | null;
+  timeText?: string;
+  label?: string;
+  intensity?: TrackIntensity;
+}
+
+interface GeoTrack {
+  id: string;
+  label: string;
+  name?: string | null;
+  points: TrackPoint[];
+  source?: string;
+  start?: string | null;
+  end?: string | null;
+}
+
+interface AreaOfInterest {
+  type: 'bbox' | 'circle';
+  north?: number;
+  south?: number;
+  east?: number;
+  west?: number;
+  lat?: number;
+  lon?: number;
+  radiusKm?: number;
+  label?: string;
+}
+
+interface RetrievalStats {
+  totalChunks: number;
+  matchedChunks: number;
+  retrievedChunks: number;
+  filtersApplied: boolean;
+  area?: AreaOfInterest | null;
+  mode?: 'vector' | 'keyword' | 'hybrid';
+  reranker?: 'none' | 'llm' | 'provider';
+  candidateChunks?: number;
+  contextTokens?: number;
+  contextTokenBudget?: number;
+}
+
+interface GraphPathNode {
+  id: string;
+  label: string;
+  type: string;
+}
+
+interface GraphPathEdge {
+  id: string;
+  source: string;
+  sourceLabel: string;
+  target: string;
+  targetLabel: string;
+  type: string;
+  label: string;
+  confidence: number;
+  hop: number;
+  evidence: string | null;
+}
+
+interface GraphPath {
+  seeds: GraphPathNode[];
+  nodes: GraphPathNode[];
+  edges: GraphPathEdge[];
+}
+
+interface UnsupportedClaim {
+  text: string;
+  citations: number[];
+  support: number;
+}
+
+interface AnswerVerification {
+  mode: 'flag' | 'strip' | 'off';
+  notInKnowledgeBase: boolean;
+  grounded: boolean | null;
+  checkedSentences: number;
+  unsupportedClaims: UnsupportedClaim[];
+  removedClaims: number;
 }
 
 interface Message {
@@ -21,16 +134,45 @@ interface Message {
   sender: 'user' | 'bot';
   timestamp: Date;
   source?: Source;
+  sources?: Source[];
   context?: string;
   geoLocations?: GeoLocation[];
+  geoTracks?: GeoTrack[];
+  retrieval?: RetrievalStats;
+  graphPath?: GraphPath | null;
   processingTime?: number;
+  isStreaming?: boolean;
+  standaloneQuery?: string;
+  verification?: AnswerVerification | null;
 }
 
 interface ChatMessageProps {
   message: Message;
+  onAskFollowUp?: (question: string) => void;
+  followUpDisabled?: boolean;
+  onAreaSelect?: (area: AreaOfInterest) => void;
+  onAskAboutArea?: (area: AreaOfInterest) => void;
 }
 
-const ChatMessage: React.FC<ChatMessageProps> = ({ message }) => {
+// Download formats for the locations on an answer's map
+const GEO_EXPORT_FORMATS = [
+  { format: 'geojson', label: 'GeoJSON' },
+  { format: 'kml', label: 'KML' },
+  { format: 'csv', label: 'CSV' }
+];
+
+// How a source was found, for sources not found by vector search alone
+const RETRIEVED_BY_LABELS: Record<string, string> = {
+  keyword: 'keyword match',
+  hybrid: 'vector + keyword',
+  graph: 'via graph',
+  both: 'vector + graph'
+};
+
+// Inline citation such as [2] or [1, 3], captured so split() keeps it
+const CITATION_PATTERN = /(\[\d+(?:\s*,\s*\d+)*\])/;
+
+const ChatMessage: React.FC<ChatMessageProps> = ({ message, onAskFollowUp, followUpDisabled = false, onAreaSelect, onAskAboutArea }) => {
   const formatTime = (date: Date) => {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
@@ -51,7 +193,57 @@ const ChatMessage: React.FC<ChatMessageProps> = ({ message }) => {
   };
 
   const geoLocations = message.geoLocations || extractGeoLocations(message.text);
+  const geoTracks = message.geoTracks || [];
+  // The server builds the file so answers and whole documents export the same way
+  const downloadLocations = async (format: string) => {
+    try {
+      const response = await fetch('/api/geo/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          format,
+          name: 'mosdac_answer',
+          // Region outlines stay on the map; the export only needs each place's point and extent
+          locations: geoLocations.map(location => ({ ...location, polygon: undefined }))
+        })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `mosdac_answer_locations.${format}`;
+      link.click();
+      // Some browsers cancel the download if the URL goes away before the click is handled
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+      console.error('Error exporting locations:', error);
+    }
+  };
+
   const cleanText = message.text.replace(/\{lat:\s*-?\d+\.?\d*,\s*lon:\s*-?\d+\.?\d*\}/g, '').trim();
+  const notInKnowledgeBase = message.sender === 'bot' && !!message.verification?.notInKnowledgeBase;
+  const unsupportedClaims = message.verification?.unsupportedClaims || [];
+
+  // Citation numbers become badges naming the source they point to
+  const renderCitedText = (text: string) => text.split(CITATION_PATTERN).map((part, index) => {
+    const citation = part.match(/^\[([\d\s,]+)\]$/);
+    if (!citation || message.sender !== 'bot') return <React.Fragment key={index}>{part}</React.Fragment>;
+
+    return citation[1].split(',').map(value => {
+      const number = Number(value);
+      const source = message.sources?.[number - 1];
+      return (
+        <sup
+          key={`${index}-${number}`}
+          className="ml-0.5 px-1 rounded bg-purple-500/30 text-[10px] text-purple-100 cursor-help"
+          title={source ? `${source.title || source.filename || 'Knowledge Base'}: ${source.excerpt || ''}` : `Source ${number}`}
+        >
+          {number}
+        </sup>
+      );
+    });
+  });
 
   return (
     <div
@@ -93,16 +285,34 @@ const ChatMessage: React.FC<ChatMessageProps> = ({ message }) => {
           </div>
         )}
 
+        {/* Rewritten follow-up question */}
+        {message.standaloneQuery && message.sender === 'bot' && (
+          <p className="mb-2 text-xs text-purple-300 italic">
+            Interpreted as: "{message.standaloneQuery}"
+          </p>
+        )}
+
         {/* Message Bubble */}
         <div
           className={`rounded-2xl px-4 py-3 shadow-md ${
             message.sender === 'user'
               ? 'bg-gradient-to-br from-blue-600 to-purple-600 text-white'
-              : 'bg-white/10 backdrop-blur-md text-white border border-white/20'
+              : notInKnowledgeBase
+                ? 'bg-amber-500/10 backdrop-blur-md text-white border border-amber-400/40'
+                : 'bg-white/10 backdrop-blur-md text-white border border-white/20'
           }`}
         >
+          {notInKnowledgeBase && (
+            <div className="flex items-center gap-2 mb-2 text-xs font-medium text-amber-200">
+              <SearchX className="w-4 h-4" />
+              <span>Not in knowledge base</span>
+            </div>
+          )}
           <p className="text-sm sm:text-base leading-relaxed whitespace-pre-wrap">
-            {cleanText}
+            {renderCitedText(cleanText)}
+            {message.isStreaming && (
+              <span className="inline-block w-2 h-4 ml-1 align-middle bg-purple-300 animate-pulse" />
+            )}
           </p>
 
           {/* Timestamp */}
@@ -118,7 +328,75 @@ const ChatMessage: React.FC<ChatMessageProps> = ({ message }) => {
         </div>
 
         {/* Source Information */}
-        {message.source && message.sender === 'bot' && (
+        {message.sources && message.sources.length > 0 && message.sender === 'bot' ? (
+          <div className="mt-2 p-2 bg-white/5 backdrop-blur-sm rounded-xl border border-white/10">
+            <div className="flex items-center gap-2 mb-1 text-xs text-purple-200">
+              <FileText className="w-3 h-3" />
+              <span className="font-medium">Sources ({message.sources.length}):</span>
+              {message.retrieval?.mode && (
+                <span className="text-purple-400">{message.retrieval.mode} search</span>
+              )}
+              {message.retrieval?.reranker && message.retrieval.reranker !== 'none' && (
+                <span className="text-purple-400">· reranked by {message.retrieval.reranker}</span>
+              )}
+              {message.retrieval?.contextTokens !== undefined && (
+                <span
+                  className="text-purple-400"
+                  title={`Chosen from ${message.retrieval.candidateChunks} candidates within a ${message.retrieval.contextTokenBudget}-token budget`}
+                >
+                  · ~{message.retrieval.contextTokens} tokens
+                </span>
+              )}
+            </div>
+            <ol className="space-y-1">
+              {message.sources.map((source, index) => (
+                <li
+                  key={source.chunkId || index}
+                  className="flex flex-wrap items-center gap-2 text-xs text-purple-200"
+                  title={source.excerpt}
+                >
+                  <span className="text-purple-400">[{index + 1}]</span>
+                  {source.url ? (
+                    <a
+                      href={source.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="underline decoration-purple-400/50 hover:text-white truncate max-w-[16rem]"
+                    >
+                      {source.title || source.url}
+                    </a>
+                  ) : (
+                    <span>{source.filename || 'Knowledge Base'}</span>
+                  )}
+                  {source.type && (
+                    <span className="px-2 py-0.5 bg-purple-500/20 rounded-md text-purple-200">
+                      {source.type}
+                    </span>
+                  )}
+                  {source.page && (
+                    <span className="text-purple-300">Page {source.page}</span>
+                  )}
+                  {source.sheet && (
+                    <span className="text-purple-300">
+                      {source.sheet}{source.row ? `, row ${source.row}` : ''}
+                    </span>
+                  )}
+                  {source.section && (
+                    <span className="text-purple-300 truncate max-w-[12rem]">{source.section}</span>
+                  )}
+                  {source.score !== undefined && (
+                    <span className="text-purple-400">{(source.score * 100).toFixed(0)}% match</span>
+                  )}
+                  {source.retrievedBy && RETRIEVED_BY_LABELS[source.retrievedBy] && (
+                    <span className="px-2 py-0.5 bg-indigo-500/20 rounded-md text-indigo-200">
+                      {RETRIEVED_BY_LABELS[source.retrievedBy]}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        ) : message.source && message.sender === 'bot' && (
           <div className="mt-2 p-2 bg-white/5 backdrop-blur-sm rounded-xl border border-white/10">
             <div className="flex items-center gap-2 text-xs text-purple-200">
               <FileText className="w-3 h-3" />
@@ -136,6 +414,88 @@ const ChatMessage: React.FC<ChatMessageProps> = ({ message }) => {
           </div>
         )}
 
+        {/* Graph Path */}
+        {message.graphPath && message.graphPath.edges.length > 0 && message.sender === 'bot' && (
+          <div className="mt-2 p-2 bg-white/5 backdrop-blur-sm rounded-xl border border-white/10">
+            <div className="flex items-center gap-2 mb-1 text-xs text-purple-200">
+              <Network className="w-3 h-3" />
+              <span className="font-medium">Graph path</span>
+              <span className="text-purple-400">
+                from {message.graphPath.seeds.map(seed => seed.label).join(', ')}
+              </span>
+            </div>
+            {!message.isStreaming && (
+              <div className="mb-2">
+                <KnowledgeGraphPanel
+                  graphPath={message.graphPath}
+                  onAskFollowUp={onAskFollowUp}
+                  disabled={followUpDisabled}
+                />
+              </div>
+            )}
+            <ul className="space-y-1">
+              {message.graphPath.edges.map(edge => (
+                <li
+                  key={edge.id}
+                  className="flex flex-wrap items-center gap-1 text-xs text-purple-200"
+                  title={edge.evidence || undefined}
+                >
+                  <span className="text-white">{edge.sourceLabel}</span>
+                  <span className="px-1.5 py-0.5 bg-indigo-500/20 rounded-md text-indigo-200">{edge.label}</span>
+                  <span className="text-white">{edge.targetLabel}</span>
+                  {edge.hop > 1 && <span className="text-purple-400">({edge.hop} hops)</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Answer Verification */}
+        {message.verification && !notInKnowledgeBase && message.sender === 'bot' && (
+          unsupportedClaims.length > 0 ? (
+            <div className="mt-2 p-2 bg-amber-500/10 backdrop-blur-sm rounded-xl border border-amber-400/30">
+              <div className="flex items-center gap-2 mb-1 text-xs text-amber-200">
+                <ShieldAlert className="w-3 h-3" />
+                <span className="font-medium">
+                  {message.verification.mode === 'strip'
+                    ? `Removed ${message.verification.removedClaims} statement${message.verification.removedClaims === 1 ? '' : 's'} not supported by the sources:`
+                    : `${unsupportedClaims.length} statement${unsupportedClaims.length === 1 ? '' : 's'} not supported by the cited sources:`}
+                </span>
+              </div>
+              <ul className="space-y-1 list-disc list-inside text-xs text-amber-100/80">
+                {unsupportedClaims.map((claim, index) => (
+                  <li key={index}>{claim.text}</li>
+                ))}
+              </ul>
+            </div>
+          ) : message.verification.grounded && message.verification.checkedSentences > 0 && (
+            <div className="flex items-center gap-1 mt-2 text-xs text-emerald-300">
+              <ShieldCheck className="w-3 h-3" />
+              <span>Every statement is supported by its cited sources</span>
+            </div>
+          )
+        )}
+
+        {/* Filter Results */}
+        {message.retrieval?.filtersApplied && message.sender === 'bot' && (
+          <div
+            className={`mt-2 p-2 backdrop-blur-sm rounded-xl border ${
+              message.retrieval.matchedChunks === 0
+                ? 'bg-amber-500/10 border-amber-400/30'
+                : 'bg-white/5 border-white/10'
+            }`}
+          >
+            <div className="flex items-center gap-2 text-xs text-purple-200">
+              <Filter className="w-3 h-3" />
+              <span className="font-medium">Filters:</span>
+              <span>
+                {message.retrieval.matchedChunks} of {message.retrieval.totalChunks} chunks matched
+                {message.retrieval.area && ` within ${message.retrieval.area.label || 'the selected area'}`}
+              </span>
+            </div>
+          </div>
+        )}
+
         {/* Context Preview */}
         {message.context && message.sender === 'bot' && (
           <div className="mt-2 p-2 bg-white/5 backdrop-blur-sm rounded-xl border border-white/10">
@@ -149,14 +509,35 @@ const ChatMessage: React.FC<ChatMessageProps> = ({ message }) => {
         )}
 
         {/* Geo Map */}
-        {geoLocations.length > 0 && message.sender === 'bot' && (
+        {(geoLocations.length > 0 || geoTracks.length > 0) && message.sender === 'bot' && !message.isStreaming && (
           <div className="mt-3">
             <div className="flex items-center gap-2 mb-2 text-xs text-purple-200">
               <MapPin className="w-3 h-3" />
               <span className="font-medium">Geographic Locations</span>
+              {geoLocations.length > 0 && (
+                <div className="ml-auto flex items-center gap-1">
+                  <Download className="w-3 h-3" />
+                  {GEO_EXPORT_FORMATS.map(({ format, label }) => (
+                    <button
+                      key={format}
+                      onClick={() => downloadLocations(format)}
+                      className="px-2 py-0.5 bg-white/10 hover:bg-white/20 rounded-md transition-colors"
+                      title={`Download these locations as ${label}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
             <div className="rounded-xl overflow-hidden border border-white/20">
-              <GeoMap locations={geoLocations} />
+              <GeoMap
+                locations={geoLocations}
+                tracks={message.geoTracks}
+                height="260px"
+                onAreaSelect={onAreaSelect}
+                onAskAboutArea={followUpDisabled ? undefined : onAskAboutArea}
+              />
             </div>
           </div>
         )}
@@ -1,117 +1,761 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import { Crosshair, Square, MapPin, HelpCircle, Filter, X, Clock } from 'lucide-react';
+
+interface BoundingBox {
+  north: number;
+  south: number;
+  east: number;
+  west: number;
+}
 
 interface GeoLocation {
   lat: number;
   lon: number;
   label?: string;
+  placeType?: string;
+  bbox?: BoundingBox;
+  polygon?: [number, number][];
+  format?: string;
+  originalText?: string;
+  confidence?: number;
+  source?: string;
+}
+
+interface TrackIntensity {
+  category?: string;
+  windKt?: number;
+  pressureHpa?: number;
+}
+
+interface TrackPoint {
+  lat: number;
+  lon: number;
+  time?: string | null;
+  timeText?: string;
+  label?: string;
+  intensity?: TrackIntensity;
+}
+
+interface GeoTrack {
+  id: string;
+  label: string;
+  name?: string | null;
+  points: TrackPoint[];
+  source?: string;
+  start?: string | null;
+  end?: string | null;
+}
+
+interface AreaOfInterest {
+  type: 'bbox' | 'circle';
+  north?: number;
+  south?: number;
+  east?: number;
+  west?: number;
+  lat?: number;
+  lon?: number;
+  radiusKm?: number;
+  label?: string;
 }
 
 interface GeoMapProps {
   locations: GeoLocation[];
+  tracks?: GeoTrack[];
   height?: string;
+  onAreaSelect?: (area: AreaOfInterest) => void;
+  onAskAboutArea?: (area: AreaOfInterest) => void;
+}
+
+interface TileSource {
+  id: string;
+  name: string;
+  type: 'xyz' | 'wms';
+  url: string;
+  attribution: string;
+  minZoom: number;
+  maxZoom: number;
+  overlay: boolean;
+  subdomains?: string;
+  layers?: string;
+  format?: string;
+  transparent?: boolean;
+  version?: string;
+  local?: boolean;
+  bounds?: BoundingBox;
 }
 
-const GeoMap: React.FC<GeoMapProps> = ({ locations, height = '200px' }) => {
+interface TileConfig {
+  sources: TileSource[];
+  defaultSource: string | null;
+}
+
+type DrawMode = 'none' | 'rectangle' | 'point';
+
+// Used when the chat server can't provide a tile configuration
+const FALLBACK_TILE_CONFIG: TileConfig = {
+  sources: [{
+    id: 'osm',
+    name: 'OpenStreetMap',
+    type: 'xyz',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    minZoom: 0,
+    maxZoom: 18,
+    overlay: false,
+    subdomains: 'abc'
+  }],
+  defaultSource: 'osm'
+};
+
+// Failed tiles, before any loaded, after which a basemap counts as unreachable
+const TILE_FAILURE_THRESHOLD = 4;
+const BLANK_BASEMAP = 'Blank';
+
+// The tile configuration is fetched once and shared by every map
+let tileConfigPromise: Promise<TileConfig> | null = null;
+
+const loadTileConfig = () => {
+  if (!tileConfigPromise) {
+    tileConfigPromise = fetch('/api/map/config')
+      .then(response => (response.ok ? response.json() : FALLBACK_TILE_CONFIG))
+      .catch(() => FALLBACK_TILE_CONFIG);
+  }
+  return tileConfigPromise;
+};
+
+// Basemap chosen in the layer switcher, reused by maps created later
+let preferredBasemap: string | null = null;
+
+const createTileLayer = (source: TileSource): L.TileLayer => {
+  const options = {
+    attribution: source.attribution,
+    minZoom: source.minZoom,
+    maxZoom: source.maxZoom,
+    ...(source.bounds && {
+      bounds: L.latLngBounds([source.bounds.south, source.bounds.west], [source.bounds.north, source.bounds.east])
+    })
+  };
+
+  if (source.type === 'wms') {
+    return L.tileLayer.wms(source.url, {
+      ...options,
+      layers: source.layers || '',
+      format: source.format,
+      transparent: source.transparent,
+      version: source.version
+    });
+  }
+
+  return L.tileLayer(source.url, {
+    ...options,
+    ...(source.subdomains && { subdomains: source.subdomains })
+  });
+};
+
+// One colour per source document, in order of first appearance
+const SOURCE_COLORS = ['#8b5cf6', '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#14b8a6', '#eab308'];
+const TRACK_COLOR = '#f97316';
+const SELECTION_COLOR = '#facc15';
+
+// IMD intensity scale, weakest first, coloured from cool to hot
+const INTENSITY_STYLES: { code: string; name: string; color: string }[] = [
+  { code: 'LPA', name: 'Low Pressure Area', color: '#93c5fd' },
+  { code: 'D', name: 'Depression', color: '#60a5fa' },
+  { code: 'DD', name: 'Deep Depression', color: '#22d3ee' },
+  { code: 'CS', name: 'Cyclonic Storm', color: '#facc15' },
+  { code: 'SCS', name: 'Severe Cyclonic Storm', color: '#fb923c' },
+  { code: 'VSCS', name: 'Very Severe Cyclonic Storm', color: '#ef4444' },
+  { code: 'ESCS', name: 'Extremely Severe Cyclonic Storm', color: '#db2777' },
+  { code: 'SuCS', name: 'Super Cyclonic Storm', color: '#9333ea' }
+];
+
+// Markers closer than this on screen are merged into a cluster
+const CLUSTER_RADIUS_PX = 40;
+
+// Radius of the area around a clicked point
+const POINT_AREA_RADIUS_KM = 50;
+
+// Stable default so the map isn't rebuilt on every render
+const NO_TRACKS: GeoTrack[] = [];
+
+const intensityStyle = (point: TrackPoint) =>
+  INTENSITY_STYLES.find(style => style.code === point.intensity?.category);
+
+const formatTrackTime = (time: number) => `${new Date(time).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+const escapeHtml = (text: string) =>
+  text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char] as string));
+
+const markerIcon = (color: string) => L.divIcon({
+  className: 'custom-marker',
+  html: `
+    <div style="
+      background: ${color};
+      width: 18px;
+      height: 18px;
+      border-radius: 50%;
+      border: 2px solid white;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+    "></div>
+  `,
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+const clusterIcon = (count: number) => L.divIcon({
+  className: 'custom-cluster',
+  html: `
+    <div style="
+      background: rgba(139, 92, 246, 0.85);
+      width: 30px;
+      height: 30px;
+      border-radius: 50%;
+      border: 2px solid white;
+      color: white;
+      font: 600 12px system-ui;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    ">${count}</div>
+  `,
+  iconSize: [30, 30],
+  iconAnchor: [15, 15],
+});
+
+const boundsToArea = (bounds: L.LatLngBounds, label: string): AreaOfInterest => {
+  const round = (value: number) => Math.round(value * 10000) / 10000;
+  return {
+    type: 'bbox',
+    north: round(Math.min(bounds.getNorth(), 90)),
+    south: round(Math.max(bounds.getSouth(), -90)),
+    east: round(Math.min(bounds.getEast(), 180)),
+    west: round(Math.max(bounds.getWest(), -180)),
+    label
+  };
+};
+
+const GeoMap: React.FC<GeoMapProps> = ({ locations, tracks = NO_TRACKS, height = '200px', onAreaSelect, onAskAboutArea }) => {
   const mapRef = useRef<HTMLDivElement>(null);
   const mapInstanceRef = useRef<L.Map | null>(null);
+  const selectionLayerRef = useRef<L.LayerGroup | null>(null);
+  const trackLayerRef = useRef<L.FeatureGroup | null>(null);
+  const [drawMode, setDrawMode] = useState<DrawMode>('none');
+  const [selectedArea, setSelectedArea] = useState<AreaOfInterest | null>(null);
+  const [tileConfig, setTileConfig] = useState<TileConfig | null>(null);
+  const [basemapNotice, setBasemapNotice] = useState<string | null>(null);
+  const [trackTimeIndex, setTrackTimeIndex] = useState<number | null>(null);
 
   useEffect(() => {
-    if (!mapRef.current || locations.length === 0) return;
+    let active = true;
+    loadTileConfig().then(config => {
+      if (active) setTileConfig(config);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const sourceColors = useMemo(() => {
+    const colors = new Map<string, string>();
+    [...locations.map(location => location.source), ...tracks.map(track => track.source)].forEach(source => {
+      const name = source || 'Answer';
+      if (!colors.has(name)) colors.set(name, SOURCE_COLORS[colors.size % SOURCE_COLORS.length]);
+    });
+    return colors;
+  }, [locations, tracks]);
+
+  const hasAreas = locations.some(location => location.bbox || location.polygon);
+
+  // Every fix time across the tracks, for the time slider
+  const trackTimes = useMemo(() => {
+    const times = new Set<number>();
+    tracks.forEach(track => track.points.forEach(point => {
+      const time = point.time ? Date.parse(point.time) : NaN;
+      if (!Number.isNaN(time)) times.add(time);
+    }));
+    return [...times].sort((a, b) => a - b);
+  }, [tracks]);
+
+  const trackIntensities = useMemo(() => INTENSITY_STYLES.filter(style =>
+    tracks.some(track => track.points.some(point => point.intensity?.category === style.code))
+  ), [tracks]);
+
+  // New tracks start with their full length shown
+  useEffect(() => {
+    setTrackTimeIndex(null);
+  }, [tracks]);
+
+  const timeIndex = trackTimeIndex ?? trackTimes.length - 1;
+  const timeCutoff = trackTimes.length > 1 ? trackTimes[timeIndex] : null;
+
+  useEffect(() => {
+    if (!mapRef.current || !tileConfig || (locations.length === 0 && tracks.length === 0)) return;
 
     // Clean up existing map
     if (mapInstanceRef.current) {
       mapInstanceRef.current.remove();
     }
 
-    // Create new map
+    // Scroll zoom only while the map has focus, so the chat still scrolls past it
     const map = L.map(mapRef.current, {
       zoomControl: true,
       scrollWheelZoom: false,
       doubleClickZoom: true,
       touchZoom: true,
     });
+    map.on('focus', () => map.scrollWheelZoom.enable());
+    map.on('blur', () => map.scrollWheelZoom.disable());
 
     mapInstanceRef.current = map;
 
-    // Add tile layer
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      attribution: '© OpenStreetMap contributors',
-      maxZoom: 18,
-    }).addTo(map);
-
-    // Create custom icon
-    const customIcon = L.divIcon({
-      className: 'custom-marker',
-      html: `
-        <div style="
-          background: linear-gradient(135deg, #8b5cf6, #3b82f6);
-          width: 20px;
-          height: 20px;
-          border-radius: 50%;
-          border: 2px solid white;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-          display: flex;
-          align-items: center;
-          justify-content: center;
-        ">
-          <div style="
-            width: 6px;
-            height: 6px;
-            background: white;
-            border-radius: 50%;
-          "></div>
-        </div>
-      `,
-      iconSize: [20, 20],
-      iconAnchor: [10, 10],
+    // Basemaps and tile overlays from the server configuration, plus a blank basemap that always works
+    const basemaps: Record<string, L.Layer> = {};
+    const tileOverlays: Record<string, L.Layer> = {};
+    tileConfig.sources.forEach(source => {
+      const layer = createTileLayer(source);
+      if (source.overlay) {
+        tileOverlays[source.name] = layer;
+        return;
+      }
+
+      // Switch to the blank basemap if this one can't be reached
+      let loaded = false;
+      let failures = 0;
+      layer.on('tileload', () => {
+        loaded = true;
+      });
+      layer.on('tileerror', () => {
+        failures++;
+        if (!loaded && failures === TILE_FAILURE_THRESHOLD && map.hasLayer(layer)) {
+          map.removeLayer(layer);
+          basemaps[BLANK_BASEMAP].addTo(map);
+          setBasemapNotice(`${source.name} is unreachable, showing a blank basemap`);
+        }
+      });
+      basemaps[source.name] = layer;
     });
+    basemaps[BLANK_BASEMAP] = L.layerGroup();
+
+    const defaultName = tileConfig.sources.find(source => source.id === tileConfig.defaultSource)?.name;
+    const initialBasemap = [preferredBasemap, defaultName].find(name => name && basemaps[name]) || BLANK_BASEMAP;
+    basemaps[initialBasemap].addTo(map);
 
-    // Add markers
-    const markers: L.Marker[] = [];
+    map.on('baselayerchange', (event: L.LayersControlEvent) => {
+      preferredBasemap = event.name;
+      setBasemapNotice(null);
+    });
+
+    const colorOf = (source?: string) => sourceColors.get(source || 'Answer') || SOURCE_COLORS[0];
+    const extent = L.latLngBounds([]);
+
+    const popupHtml = (location: GeoLocation, index: number) => `
+      <div style="font-family: system-ui; font-size: 12px;">
+        <strong>${escapeHtml(location.label || location.originalText || `Location ${index + 1}`)}</strong><br/>
+        ${location.placeType ? `${escapeHtml(location.placeType.replace(/_/g, ' '))}<br/>` : ''}
+        ${location.source ? `From: ${escapeHtml(location.source)}<br/>` : ''}
+        Lat: ${location.lat.toFixed(6)}<br/>
+        Lon: ${location.lon.toFixed(6)}
+      </div>
+    `;
+
+    // Regions: gazetteer polygons, otherwise their bounding boxes
+    const areaLayer = L.featureGroup();
     locations.forEach((location, index) => {
-      const marker = L.marker([location.lat, location.lon], { icon: customIcon })
-        .addTo(map)
-        .bindPopup(`
-          <div style="font-family: system-ui; font-size: 12px;">
-            <strong>Location ${index + 1}</strong><br/>
-            Lat: ${location.lat.toFixed(6)}<br/>
-            Lon: ${location.lon.toFixed(6)}
-            ${location.label ? `<br/>${location.label}` : ''}
-          </div>
-        `);
-      markers.push(marker);
+      const style = { color: colorOf(location.source), weight: 2, fillOpacity: 0.1 };
+      let shape: L.Polygon | null = null;
+      if (location.polygon && location.polygon.length > 2) {
+        shape = L.polygon(location.polygon, style);
+      } else if (location.bbox) {
+        const { north, south, east, west } = location.bbox;
+        shape = L.rectangle([[south, west], [north, east]], style);
+      }
+      if (shape) {
+        shape.bindPopup(popupHtml(location, index)).addTo(areaLayer);
+        extent.extend(shape.getBounds());
+      }
+    });
+
+    // Tracks such as cyclone paths, drawn up to the slider time by the effect below
+    const trackLayer = L.featureGroup();
+    tracks.forEach(track => track.points.forEach(point => extent.extend([point.lat, point.lon])));
+
+    // Density layer: overlapping translucent discs, off by default
+    const heatLayer = L.layerGroup();
+    locations.forEach(location => {
+      L.circle([location.lat, location.lon], {
+        radius: 40000,
+        stroke: false,
+        color: TRACK_COLOR,
+        fillOpacity: 0.2,
+        interactive: false
+      }).addTo(heatLayer);
     });
 
-    // Fit map to show all markers
-    if (locations.length === 1) {
+    // Markers, merged into clusters when they overlap at the current zoom
+    const markerLayer = L.layerGroup();
+    const renderMarkers = () => {
+      markerLayer.clearLayers();
+      const clusters: { point: L.Point; members: { location: GeoLocation; index: number }[] }[] = [];
+
+      locations.forEach((location, index) => {
+        const point = map.latLngToLayerPoint([location.lat, location.lon]);
+        const cluster = clusters.find(candidate => candidate.point.distanceTo(point) < CLUSTER_RADIUS_PX);
+        if (cluster) {
+          cluster.members.push({ location, index });
+        } else {
+          clusters.push({ point, members: [{ location, index }] });
+        }
+      });
+
+      clusters.forEach(({ members }) => {
+        if (members.length === 1) {
+          const { location, index } = members[0];
+          L.marker([location.lat, location.lon], { icon: markerIcon(colorOf(location.source)) })
+            .bindPopup(popupHtml(location, index))
+            .addTo(markerLayer);
+          return;
+        }
+
+        const bounds = L.latLngBounds(members.map(({ location }) => [location.lat, location.lon] as [number, number]));
+        L.marker(bounds.getCenter(), { icon: clusterIcon(members.length) })
+          .on('click', () => map.fitBounds(bounds.pad(0.5)))
+          .addTo(markerLayer);
+      });
+    };
+    locations.forEach(location => extent.extend([location.lat, location.lon]));
+
+    areaLayer.addTo(map);
+    trackLayer.addTo(map);
+    markerLayer.addTo(map);
+    L.control.layers(basemaps, {
+      ...tileOverlays,
+      Markers: markerLayer,
+      Regions: areaLayer,
+      Tracks: trackLayer,
+      Density: heatLayer
+    }, { collapsed: true }).addTo(map);
+
+    selectionLayerRef.current = L.layerGroup().addTo(map);
+    trackLayerRef.current = trackLayer;
+
+    // Fit map to everything shown, or zoom in on a single point
+    const single = locations.length === 1 && tracks.length === 0 && !hasAreas;
+    if (single) {
       map.setView([locations[0].lat, locations[0].lon], 10);
-    } else {
-      const group = new L.FeatureGroup(markers);
-      map.fitBounds(group.getBounds().pad(0.1));
+    } else if (extent.isValid()) {
+      map.fitBounds(extent.pad(0.1));
     }
 
+    map.on('zoomend', renderMarkers);
+    renderMarkers();
+
     // Cleanup function
     return () => {
       if (mapInstanceRef.current) {
         mapInstanceRef.current.remove();
         mapInstanceRef.current = null;
+        selectionLayerRef.current = null;
+        trackLayerRef.current = null;
       }
     };
-  }, [locations]);
+  }, [locations, tracks, sourceColors, hasAreas, tileConfig]);
+
+  // Draw each track in time order up to the slider time, one segment per leg coloured by intensity
+  useEffect(() => {
+    const layer = trackLayerRef.current;
+    if (!layer) return;
+
+    layer.clearLayers();
+    tracks.forEach(track => {
+      const points = track.points.filter(point =>
+        timeCutoff === null || !point.time || Date.parse(point.time) <= timeCutoff
+      );
+      if (points.length === 0) return;
+
+      points.slice(1).forEach((point, index) => {
+        const from = points[index];
+        const style = intensityStyle(from);
+        L.polyline([[from.lat, from.lon], [point.lat, point.lon]], {
+          color: style?.color || TRACK_COLOR,
+          weight: 3,
+          ...(!style && { dashArray: '6 4' })
+        })
+          .bindTooltip(escapeHtml(track.label))
+          .addTo(layer);
+      });
+
+      points.forEach((point, index) => {
+        const style = intensityStyle(point);
+        const latest = index === points.length - 1;
+        const details = [
+          track.label,
+          point.time ? formatTrackTime(Date.parse(point.time)) : point.timeText,
+          style?.name,
+          point.intensity?.windKt !== undefined ? `${point.intensity.windKt} kt` : null,
+          point.intensity?.pressureHpa !== undefined ? `${point.intensity.pressureHpa} hPa` : null,
+          point.label
+        ];
+        L.circleMarker([point.lat, point.lon], {
+          radius: latest ? 6 : 4,
+          color: latest ? 'white' : style?.color || TRACK_COLOR,
+          weight: latest ? 2 : 1,
+          fillColor: style?.color || TRACK_COLOR,
+          fillOpacity: 0.9
+        })
+          .bindTooltip(escapeHtml(details.filter(Boolean).join(' — ')))
+          .addTo(layer);
+      });
+    });
+  }, [tracks, timeCutoff, locations, sourceColors, hasAreas, tileConfig]);
+
+  // Draw a rectangle by dragging, or pick a point by clicking
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || drawMode === 'none') return;
+
+    const container = map.getContainer();
+    container.style.cursor = 'crosshair';
+
+    const finish = (area: AreaOfInterest) => {
+      setSelectedArea(area);
+      setDrawMode('none');
+    };
+
+    if (drawMode === 'point') {
+      const handleClick = (event: L.LeafletMouseEvent) => finish({
+        type: 'circle',
+        lat: Math.round(event.latlng.lat * 10000) / 10000,
+        lon: Math.round(event.latlng.lng * 10000) / 10000,
+        radiusKm: POINT_AREA_RADIUS_KM,
+        label: 'Selected point'
+      });
+      map.on('click', handleClick);
 
-  if (locations.length === 0) {
+      return () => {
+        map.off('click', handleClick);
+        container.style.cursor = '';
+      };
+    }
+
+    let start: L.LatLng | null = null;
+    let preview: L.Rectangle | null = null;
+    map.dragging.disable();
+
+    const handleDown = (event: L.LeafletMouseEvent) => {
+      start = event.latlng;
+    };
+    const handleMove = (event: L.LeafletMouseEvent) => {
+      if (!start) return;
+      const bounds = L.latLngBounds(start, event.latlng);
+      if (preview) {
+        preview.setBounds(bounds);
+      } else {
+        preview = L.rectangle(bounds, { color: SELECTION_COLOR, weight: 2, dashArray: '4 4', fillOpacity: 0.1 }).addTo(map);
+      }
+    };
+    const handleUp = (event: L.LeafletMouseEvent) => {
+      if (!start) return;
+      const bounds = L.latLngBounds(start, event.latlng);
+      start = null;
+      preview?.remove();
+      preview = null;
+
+      // A click without a drag doesn't describe an area
+      if (!bounds.getNorthEast().equals(bounds.getSouthWest())) {
+        finish(boundsToArea(bounds, 'Drawn area'));
+      }
+    };
+
+    map.on('mousedown', handleDown);
+    map.on('mousemove', handleMove);
+    map.on('mouseup', handleUp);
+
+    return () => {
+      map.off('mousedown', handleDown);
+      map.off('mousemove', handleMove);
+      map.off('mouseup', handleUp);
+      preview?.remove();
+      map.dragging.enable();
+      container.style.cursor = '';
+    };
+  }, [drawMode]);
+
+  // Show the selected area on the map
+  useEffect(() => {
+    const layer = selectionLayerRef.current;
+    if (!layer) return;
+
+    layer.clearLayers();
+    if (!selectedArea) return;
+
+    const style = { color: SELECTION_COLOR, weight: 2, fillOpacity: 0.15 };
+    if (selectedArea.type === 'circle') {
+      L.circle([selectedArea.lat as number, selectedArea.lon as number], {
+        ...style,
+        radius: (selectedArea.radiusKm as number) * 1000
+      }).addTo(layer);
+    } else {
+      L.rectangle([
+        [selectedArea.south as number, selectedArea.west as number],
+        [selectedArea.north as number, selectedArea.east as number]
+      ], style).addTo(layer);
+    }
+  }, [selectedArea, locations, tracks]);
+
+  // Use the visible map extent as the area of interest for the next questions
+  const handleUseMapView = () => {
+    const map = mapInstanceRef.current;
+    if (!map || !onAreaSelect) return;
+    onAreaSelect(boundsToArea(map.getBounds(), 'Map view'));
+  };
+
+  const toggleDrawMode = (mode: DrawMode) => {
+    setSelectedArea(null);
+    setDrawMode(current => (current === mode ? 'none' : mode));
+  };
+
+  if (locations.length === 0 && tracks.length === 0) {
     return null;
   }
 
+  const interactive = !!(onAreaSelect || onAskAboutArea);
+  const toolButton = (active: boolean) =>
+    `flex items-center gap-1 px-2 py-1 text-xs rounded-lg border transition-colors ${
+      active
+        ? 'bg-yellow-400/20 border-yellow-300/50 text-yellow-100'
+        : 'bg-purple-900/80 hover:bg-purple-800/90 border-purple-400/30 text-purple-100'
+    }`;
+
   return (
-    <div 
-      ref={mapRef} 
-      style={{ height, width: '100%' }}
-      className="rounded-xl"
-    />
+    <div>
+      <div className="relative">
+        <div
+          ref={mapRef}
+          style={{ height, width: '100%' }}
+          className="rounded-xl"
+        />
+
+        {/* Map tools */}
+        {interactive && (
+          <div className="absolute top-2 right-12 z-[1000] flex gap-1">
+            <button
+              onClick={() => toggleDrawMode('rectangle')}
+              className={toolButton(drawMode === 'rectangle')}
+              title="Drag on the map to select an area"
+            >
+              <Square className="w-3 h-3" />
+              Draw area
+            </button>
+            <button
+              onClick={() => toggleDrawMode('point')}
+              className={toolButton(drawMode === 'point')}
+              title={`Click the map to select ${POINT_AREA_RADIUS_KM} km around a point`}
+            >
+              <MapPin className="w-3 h-3" />
+              Pick point
+            </button>
+            {onAreaSelect && (
+              <button
+                onClick={handleUseMapView}
+                className={toolButton(false)}
+                title="Restrict the next questions to documents about this map area"
+              >
+                <Crosshair className="w-3 h-3" />
+                Search this area
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Selected area actions */}
+        {selectedArea && (
+          <div className="absolute bottom-2 left-2 right-2 z-[1000] flex flex-wrap items-center gap-2 p-2 bg-purple-950/90 rounded-lg border border-yellow-300/30 text-xs text-purple-100">
+            <span className="flex-1">
+              {selectedArea.type === 'circle'
+                ? `${selectedArea.radiusKm} km around ${selectedArea.lat?.toFixed(2)}, ${selectedArea.lon?.toFixed(2)}`
+                : `${selectedArea.south?.toFixed(2)}° to ${selectedArea.north?.toFixed(2)}° N/S, ${selectedArea.west?.toFixed(2)}° to ${selectedArea.east?.toFixed(2)}° E/W`}
+            </span>
+            {onAskAboutArea && (
+              <button
+                onClick={() => onAskAboutArea(selectedArea)}
+                className="flex items-center gap-1 px-2 py-1 bg-yellow-400/20 hover:bg-yellow-400/30 rounded-md transition-colors"
+              >
+                <HelpCircle className="w-3 h-3" />
+                What MOSDAC data covers here?
+              </button>
+            )}
+            {onAreaSelect && (
+              <button
+                onClick={() => onAreaSelect(selectedArea)}
+                className="flex items-center gap-1 px-2 py-1 bg-white/10 hover:bg-white/20 rounded-md transition-colors"
+              >
+                <Filter className="w-3 h-3" />
+                Filter next questions
+              </button>
+            )}
+            <button
+              onClick={() => setSelectedArea(null)}
+              className="p-1 hover:bg-white/10 rounded-md transition-colors"
+              aria-label="Clear selected area"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Time slider for tracks */}
+      {trackTimes.length > 1 && (
+        <div className="flex items-center gap-2 px-2 py-1.5 bg-black/20 text-[10px] text-purple-200">
+          <Clock className="w-3 h-3 flex-shrink-0" />
+          <input
+            type="range"
+            min={0}
+            max={trackTimes.length - 1}
+            step={1}
+            value={timeIndex}
+            onChange={(e) => setTrackTimeIndex(Number(e.target.value))}
+            className="flex-1 accent-yellow-400"
+            aria-label="Show tracks up to this time"
+          />
+          <span className="whitespace-nowrap">{formatTrackTime(trackTimes[timeIndex])}</span>
+        </div>
+      )}
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-x-3 gap-y-1 px-2 py-1.5 bg-black/20 text-[10px] text-purple-200">
+        {[...sourceColors.entries()].map(([source, color]) => (
+          <span key={source} className="flex items-center gap-1">
+            <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+            {source}
+          </span>
+        ))}
+        {hasAreas && (
+          <span className="flex items-center gap-1">
+            <span className="inline-block w-3 h-2 border border-purple-300" />
+            region
+          </span>
+        )}
+        {tracks.length > 0 && (
+          <span className="flex items-center gap-1">
+            <span className="inline-block w-3 border-t-2 border-dashed" style={{ borderColor: TRACK_COLOR }} />
+            track
+          </span>
+        )}
+        {trackIntensities.map(style => (
+          <span key={style.code} className="flex items-center gap-1" title={style.name}>
+            <span className="inline-block w-3 border-t-2" style={{ borderColor: style.color }} />
+            {style.code}
+          </span>
+        ))}
+        {basemapNotice && (
+          <span className="text-amber-300">{basemapNotice}</span>
+        )}
+      </div>
+    </div>
   );
 };
 
-export default GeoMap;
\ No newline at end of file
+export default GeoMap;
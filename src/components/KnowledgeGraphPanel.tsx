@@ -0,0 +1,188 @@
+import React, { useMemo, useState } from 'react';
+
+interface GraphPathNode {
+  id: string;
+  label: string;
+  type: string;
+}
+
+interface GraphPathEdge {
+  id: string;
+  source: string;
+  sourceLabel: string;
+  target: string;
+  targetLabel: string;
+  type: string;
+  label: string;
+  confidence: number;
+  hop: number;
+  evidence: string | null;
+}
+
+interface GraphPath {
+  seeds: GraphPathNode[];
+  nodes: GraphPathNode[];
+  edges: GraphPathEdge[];
+}
+
+interface KnowledgeGraphPanelProps {
+  graphPath: GraphPath;
+  onAskFollowUp?: (question: string) => void;
+  disabled?: boolean;
+}
+
+interface PositionedNode extends GraphPathNode {
+  x: number;
+  y: number;
+  hop: number;
+}
+
+const WIDTH = 360;
+const HEIGHT = 240;
+const RING_SPACING = 75;
+
+// Node colours per entity type, matching the sidebar palette
+const TYPE_COLORS: Record<string, string> = {
+  satellite: '#a78bfa',
+  sensor: '#60a5fa',
+  product: '#34d399',
+  organisation: '#fbbf24',
+  parameter: '#f472b6'
+};
+
+const KnowledgeGraphPanel: React.FC<KnowledgeGraphPanelProps> = ({ graphPath, onAskFollowUp, disabled = false }) => {
+  const [hoveredId, setHoveredId] = useState<string | null>(null);
+
+  // Radial layout: query entities in the middle, each further hop on a wider ring
+  const nodes = useMemo<PositionedNode[]>(() => {
+    const seedIds = new Set(graphPath.seeds.map(seed => seed.id));
+    const hops = new Map<string, number>();
+
+    graphPath.nodes.forEach(node => hops.set(node.id, seedIds.has(node.id) ? 0 : Infinity));
+    graphPath.edges.forEach(edge => {
+      [edge.source, edge.target].forEach(id => {
+        if (!seedIds.has(id)) hops.set(id, Math.min(hops.get(id) ?? Infinity, edge.hop));
+      });
+    });
+
+    const rings = new Map<number, GraphPathNode[]>();
+    graphPath.nodes.forEach(node => {
+      const hop = Number.isFinite(hops.get(node.id)) ? hops.get(node.id) as number : 1;
+      rings.set(hop, [...(rings.get(hop) || []), node]);
+    });
+
+    return [...rings.entries()].flatMap(([hop, ringNodes]) =>
+      ringNodes.map((node, index) => {
+        // A single seed sits at the centre; several seeds share a small inner ring
+        const radius = hop === 0 ? (ringNodes.length === 1 ? 0 : 30) : hop * RING_SPACING;
+        const angle = (2 * Math.PI * index) / ringNodes.length - Math.PI / 2 + hop * 0.4;
+        return {
+          ...node,
+          hop,
+          x: WIDTH / 2 + radius * Math.cos(angle) * 1.4,
+          y: HEIGHT / 2 + radius * Math.sin(angle) * 0.8
+        };
+      })
+    );
+  }, [graphPath]);
+
+  const positions = new Map(nodes.map(node => [node.id, node]));
+  const seedLabels = graphPath.seeds.map(seed => seed.label);
+
+  const handleNodeClick = (node: PositionedNode) => {
+    if (!onAskFollowUp || disabled) return;
+
+    const question = node.hop === 0 || seedLabels.length === 0
+      ? `Tell me more about ${node.label}`
+      : `How is ${node.label} related to ${seedLabels.join(' and ')}?`;
+    onAskFollowUp(question);
+  };
+
+  return (
+    <div className="w-full">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto rounded-lg bg-black/20"
+        role="img"
+        aria-label="Knowledge graph relations for this answer"
+      >
+        <defs>
+          <marker id="graph-arrow" viewBox="0 0 10 10" refX="18" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#c4b5fd" />
+          </marker>
+        </defs>
+
+        {/* Relations */}
+        {graphPath.edges.map(edge => {
+          const source = positions.get(edge.source);
+          const target = positions.get(edge.target);
+          if (!source || !target) return null;
+
+          const highlighted = hoveredId === edge.source || hoveredId === edge.target;
+          return (
+            <g key={edge.id}>
+              <line
+                x1={source.x}
+                y1={source.y}
+                x2={target.x}
+                y2={target.y}
+                stroke={highlighted ? '#e9d5ff' : '#8b5cf6'}
+                strokeOpacity={highlighted ? 0.9 : 0.5}
+                strokeWidth={1 + edge.confidence}
+                markerEnd="url(#graph-arrow)"
+              >
+                <title>{`${edge.sourceLabel} ${edge.label} ${edge.targetLabel}${edge.evidence ? `\n"${edge.evidence}"` : ''}`}</title>
+              </line>
+              {highlighted && (
+                <text
+                  x={(source.x + target.x) / 2}
+                  y={(source.y + target.y) / 2 - 4}
+                  textAnchor="middle"
+                  className="fill-purple-100"
+                  fontSize="8"
+                >
+                  {edge.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {/* Entities */}
+        {nodes.map(node => (
+          <g
+            key={node.id}
+            transform={`translate(${node.x}, ${node.y})`}
+            onClick={() => handleNodeClick(node)}
+            onMouseEnter={() => setHoveredId(node.id)}
+            onMouseLeave={() => setHoveredId(null)}
+            className={onAskFollowUp && !disabled ? 'cursor-pointer' : undefined}
+          >
+            <title>{`${node.label} (${node.type})${onAskFollowUp ? ' — click to ask about it' : ''}`}</title>
+            <circle
+              r={node.hop === 0 ? 9 : 7}
+              fill={TYPE_COLORS[node.type] || '#c4b5fd'}
+              stroke={hoveredId === node.id ? '#ffffff' : 'rgba(255,255,255,0.4)'}
+              strokeWidth={node.hop === 0 ? 2 : 1}
+            />
+            <text y={node.hop === 0 ? 20 : 17} textAnchor="middle" className="fill-white" fontSize="9">
+              {node.label.length > 18 ? `${node.label.slice(0, 17)}…` : node.label}
+            </text>
+          </g>
+        ))}
+      </svg>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-2 mt-1">
+        {[...new Set(nodes.map(node => node.type))].map(type => (
+          <span key={type} className="flex items-center gap-1 text-[10px] text-purple-300">
+            <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: TYPE_COLORS[type] || '#c4b5fd' }} />
+            {type}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default KnowledgeGraphPanel;
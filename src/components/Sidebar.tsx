@@ -1,5 +1,17 @@
-import React, { useState } from 'react';
-import { Search, Filter, FileText, File, Table, Globe, X } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Search, Filter, FileText, File, Table, Globe, X, MapPin } from 'lucide-react';
+
+interface AreaOfInterest {
+  type: 'bbox' | 'circle';
+  north?: number;
+  south?: number;
+  east?: number;
+  west?: number;
+  lat?: number;
+  lon?: number;
+  radiusKm?: number;
+  label?: string;
+}
 
 interface FilterOptions {
   fileTypes: {
@@ -9,6 +21,7 @@ interface FilterOptions {
     Web: boolean;
   };
   keyword: string;
+  area: AreaOfInterest | null;
 }
 
 interface SidebarProps {
@@ -21,6 +34,11 @@ interface SidebarProps {
 const Sidebar: React.FC<SidebarProps> = ({ isOpen, onClose, onFiltersChange, filters }) => {
   const [localFilters, setLocalFilters] = useState<FilterOptions>(filters);
 
+  // The area of interest is picked on a map in the chat, so follow changes made outside the sidebar
+  useEffect(() => {
+    setLocalFilters(filters);
+  }, [filters]);
+
   const handleFileTypeChange = (type: keyof FilterOptions['fileTypes']) => {
     const newFilters = {
       ...localFilters,
@@ -42,10 +60,27 @@ const Sidebar: React.FC<SidebarProps> = ({ isOpen, onClose, onFiltersChange, fil
     onFiltersChange(newFilters);
   };
 
+  const handleClearArea = () => {
+    const newFilters = {
+      ...localFilters,
+      area: null
+    };
+    setLocalFilters(newFilters);
+    onFiltersChange(newFilters);
+  };
+
+  const describeArea = (area: AreaOfInterest) => {
+    if (area.type === 'circle') {
+      return `${area.radiusKm} km around ${area.lat?.toFixed(2)}, ${area.lon?.toFixed(2)}`;
+    }
+    return `${area.south?.toFixed(2)}° to ${area.north?.toFixed(2)}° lat, ${area.west?.toFixed(2)}° to ${area.east?.toFixed(2)}° lon`;
+  };
+
   const clearAllFilters = () => {
     const clearedFilters = {
       fileTypes: { PDF: true, DOCX: true, XLSX: true, Web: true },
-      keyword: ''
+      keyword: '',
+      area: null
     };
     setLocalFilters(clearedFilters);
     onFiltersChange(clearedFilters);
@@ -136,6 +171,33 @@ const Sidebar: React.FC<SidebarProps> = ({ isOpen, onClose, onFiltersChange, fil
             </div>
           </div>
 
+          {/* Area of Interest */}
+          <div>
+            <label className="block text-sm font-medium text-purple-200 mb-3">
+              Area of Interest
+            </label>
+            {localFilters.area ? (
+              <div className="flex items-start gap-2 p-3 bg-white/5 rounded-lg">
+                <MapPin className="w-4 h-4 mt-0.5 text-purple-300 flex-shrink-0" />
+                <div className="flex-1 text-xs text-purple-200">
+                  <div className="font-medium">{localFilters.area.label || 'Selected area'}</div>
+                  <div className="text-purple-300">{describeArea(localFilters.area)}</div>
+                </div>
+                <button
+                  onClick={handleClearArea}
+                  className="p-1 hover:bg-white/10 rounded transition-colors"
+                  aria-label="Clear area of interest"
+                >
+                  <X className="w-3 h-3 text-purple-300" />
+                </button>
+              </div>
+            ) : (
+              <p className="text-xs text-purple-300">
+                Use "Search this area" on an answer's map to limit answers to documents about that region.
+              </p>
+            )}
+          </div>
+
           {/* Clear Filters */}
           <div className="pt-4 border-t border-purple-500/20">
             <button
@@ -159,6 +221,9 @@ const Sidebar: React.FC<SidebarProps> = ({ isOpen, onClose, onFiltersChange, fil
               {localFilters.keyword && (
                 <div>Keyword: "{localFilters.keyword}"</div>
               )}
+              {localFilters.area && (
+                <div>Area: {localFilters.area.label || 'Selected area'}</div>
+              )}
             </div>
           </div>
         </div>